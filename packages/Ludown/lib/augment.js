@@ -0,0 +1,84 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const retCode = require('./enums/CLI-errors');
+const exception = require('./classes/exception');
+const helperClass = require('./classes/hclasses');
+const expansion = require('./utterance-expansion');
+// number of attempts per requested utterance before giving up on finding new unique utterances for a pattern
+const MAX_ATTEMPTS_PER_UTTERANCE = 10;
+const augment = {
+    /**
+     * Helper function to get augment options requested in command line args
+     * @param {object} program parsed program object from commander
+     * @returns {Object} augment options with count and seed. undefined if --augment was not requested
+     * @throws {exception} Throws on errors. exception object includes errCode and text.
+     */
+    getAugmentOptions: function(program) {
+        if(program.augment === undefined) return undefined;
+        let count = Number(program.augment);
+        if(!Number.isInteger(count) || count < 1) {
+            throw(new exception(retCode.errorCode.INVALID_INPUT, '[ERROR]: Invalid augment count "' + program.augment + '". Augment count must be a positive integer'));
+        }
+        return {
+            count: count,
+            seed: program.seed !== undefined ? String(program.seed) : expansion.DEFAULT_SEED
+        };
+    },
+    /**
+     * Generate example utterances from patterns that only reference list entities by substituting list entity values.
+     * Generated utterances are added to the LUIS JSON with generated set to true.
+     * @param {LUIS} LUISJSON collated LUIS JSON
+     * @param {Object} options augment options with count (number of utterances to generate for each pattern) and seed
+     * @returns {number} number of utterances generated
+     */
+    augmentUtterances: function(LUISJSON, options) {
+        let random = expansion.createRandom(options.seed);
+        let lists = new Map((LUISJSON.closedLists || []).map(list => [list.name, list.subLists.filter(subList => getListValues(subList).length !== 0)]));
+        let existing = new Set((LUISJSON.utterances || []).map(utterance => utterance.text.toLowerCase()));
+        let generated = 0;
+        (LUISJSON.patterns || []).forEach(pattern => {
+            let references = getEntityReferences(pattern.pattern);
+            // patterns with entities other than list entities cannot be filled in
+            if(references.length === 0 || references.some(name => !lists.has(name) || lists.get(name).length === 0)) return;
+            let parts = expansion.parseExpansion(pattern.pattern);
+            let total = expansion.countExpansions(parts);
+            let added = 0;
+            for(let attempt = 0; added < options.count && attempt < options.count * MAX_ATTEMPTS_PER_UTTERANCE; attempt++) {
+                // pick one expansion of any (a|b) and [optional] pattern syntax, then a value for every list entity reference
+                let text = expansion.getExpansion(parts, Math.floor(random() * total)).replace(/\{([^{}=]+)\}/g, (match, reference) => {
+                    let subLists = lists.get(reference.split(':')[0].trim());
+                    let values = getListValues(subLists[Math.floor(random() * subLists.length)]);
+                    return values[Math.floor(random() * values.length)];
+                });
+                if(existing.has(text.toLowerCase())) continue;
+                existing.add(text.toLowerCase());
+                let utterance = new helperClass.uttereances(text, pattern.intent, []);
+                utterance.generated = true;
+                LUISJSON.utterances.push(utterance);
+                added++;
+            }
+            generated += added;
+        });
+        return generated;
+    }
+};
+/**
+ * Helper function to get names of entities referenced in a pattern
+ * @param {string} pattern pattern text
+ * @returns {string []} entity names. Roles are removed
+ */
+const getEntityReferences = function(pattern) {
+    return (pattern.match(/\{([^{}=]+)\}/g) || []).map(reference => reference.slice(1, -1).split(':')[0].trim());
+};
+/**
+ * Helper function to get all values of a list entity item
+ * @param {Object} subList list entity item with canonicalForm and list of synonyms
+ * @returns {string []} canonical form followed by synonyms
+ */
+const getListValues = function(subList) {
+    return [subList.canonicalForm].concat(subList.list || []).filter(value => value);
+};
+
+module.exports = augment;
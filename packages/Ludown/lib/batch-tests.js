@@ -0,0 +1,72 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const retCode = require('./enums/CLI-errors');
+const exception = require('./classes/exception');
+const expansion = require('./utterance-expansion');
+const batchTests = {
+    /**
+     * Helper function to get the test split ratio requested in command line args
+     * @param {object} program parsed program object from commander
+     * @returns {number} ratio of utterances in each intent to hold out for batch tests. undefined if --test_split was not requested
+     * @throws {exception} Throws on errors. exception object includes errCode and text.
+     */
+    getTestSplit: function(program) {
+        if(program.test_split === undefined) return undefined;
+        let ratio = Number(program.test_split);
+        if(isNaN(ratio) || ratio <= 0 || ratio >= 1) {
+            throw(new exception(retCode.errorCode.INVALID_INPUT, '[ERROR]: Invalid test split "' + program.test_split + '". Test split must be a number between 0 and 1'));
+        }
+        return ratio;
+    },
+    /**
+     * Helper function to remove test-only utterances from collated LUIS JSON
+     * @param {LUIS} LUISJSON collated LUIS JSON
+     * @returns {Object []} test-only utterances that were removed
+     */
+    removeTestOnlyUtterances: function(LUISJSON) {
+        let testUtterances = LUISJSON.utterances.filter(utterance => utterance.testOnly);
+        LUISJSON.utterances = LUISJSON.utterances.filter(utterance => !utterance.testOnly);
+        return testUtterances;
+    },
+    /**
+     * Helper function to hold out a share of the utterances in every intent for batch tests.
+     * Every intent keeps at least one utterance. Utterances that are copies of patterns are never held out.
+     * @param {LUIS} LUISJSON collated LUIS JSON
+     * @param {number} ratio ratio of utterances in each intent to hold out
+     * @param {string} seed seed for picking utterances. The same seed always holds out the same utterances
+     * @returns {Object []} utterances that were held out and removed from the LUIS JSON
+     */
+    holdOutUtterances: function(LUISJSON, ratio, seed) {
+        let patterns = new Set((LUISJSON.patterns || []).map(pattern => pattern.intent + '\n' + pattern.pattern));
+        let heldOut = new Set();
+        let intentNames = [...new Set(LUISJSON.utterances.map(utterance => utterance.intent))];
+        intentNames.forEach(intentName => {
+            let candidates = LUISJSON.utterances.filter(utterance => utterance.intent === intentName && !patterns.has(intentName + '\n' + utterance.text));
+            let count = Math.min(Math.round(candidates.length * ratio), candidates.length - 1);
+            if(count <= 0) return;
+            expansion.sampleIndices(candidates.length, count, seed + '\n' + intentName).forEach(idx => heldOut.add(candidates[idx]));
+        });
+        LUISJSON.utterances = LUISJSON.utterances.filter(utterance => !heldOut.has(utterance));
+        return [...heldOut];
+    },
+    /**
+     * Helper function to convert utterances to the LUIS batch testing format
+     * @param {Object []} utterances utterances with text, intent and labelled entities
+     * @returns {Object []} batch tests with text, intent and entities (entity, startPos and endPos)
+     */
+    toBatchTests: function(utterances) {
+        return utterances.map(utterance => ({
+            text: utterance.text,
+            intent: utterance.intent,
+            entities: (utterance.entities || []).map(entity => ({
+                entity: entity.entity,
+                startPos: entity.startPos,
+                endPos: entity.endPos
+            }))
+        }));
+    }
+};
+
+module.exports = batchTests;
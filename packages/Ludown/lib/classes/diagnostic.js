@@ -0,0 +1,62 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const severityEnum = require('../enums/diagnosticseverity');
+class diagnostic {
+    /**
+     * @property {string} severity
+     */
+    /**
+     * @property {int} errCode
+     */
+    /**
+     * @property {string} text
+     */
+    /**
+     * @property {string} file
+     */
+    /**
+     * @property {int} line
+     */
+    /**
+     * @property {int} column
+     */
+    /**
+     * @property {string} rule lint rule that reported this diagnostic. Empty for parser errors and warnings
+     */
+    constructor(severity, errCode, text, file, line, column, rule) {
+        this.severity = severity?severity:severityEnum.ERROR;
+        this.errCode = errCode?errCode:0;
+        this.text = text?text:'';
+        this.file = file?file:'';
+        this.line = line?line:0;
+        this.column = column?column:0;
+        this.rule = rule?rule:'';
+    }
+    /**
+     * Get the source location of this diagnostic in file:line:col notation
+     * @returns {string} source location. Empty string if location is unknown
+     */
+    location() {
+        let location = this.file;
+        if(this.line) location += (location ? ':' : '') + this.line + ':' + this.column;
+        return location;
+    }
+    toString() {
+        let location = this.location();
+        return location ? location + ' - ' + this.text : this.text;
+    }
+}
+/**
+ * Helper method to create an error diagnostic from an exception
+ * @param {exception} err exception object that includes errCode, text and optional file, line and column
+ * @param {string} file [Optional] file name to use if the exception does not have one
+ * @returns {diagnostic} error diagnostic
+ */
+diagnostic.fromException = function(err, file) {
+    err = err?err:{};
+    return new diagnostic(severityEnum.ERROR, err.errCode?err.errCode:99, err.text?err.text:String(err.message || err), err.file || file, err.line, err.column);
+}
+
+module.exports = diagnostic;
@@ -7,16 +7,22 @@ const exception = class {
      * 
      * @param {string} errCode 
      * @param {string} text 
+     * @param {Object} position [Optional] source position of the error. Object includes file, line and column
      */
-    constructor(errCode, text) {
+    constructor(errCode, text, position) {
         if(errCode === Object(errCode)) {
             this.text = errCode.text?errCode.text:'';
             this.errCode = errCode.errCode?errCode.errCode:99;
+            position = errCode;
         } else {
             this.text = text?text:'';
             this.errCode = errCode?errCode:99;
         }
+        position = position?position:{};
+        this.file = position.file?position.file:'';
+        this.line = position.line?position.line:0;
+        this.column = position.column?position.column:0;
     }
 };
 
-module.exports = exception;
\ No newline at end of file
+module.exports = exception;
@@ -37,9 +37,10 @@ const readerObj = {
         }
     }, 
     validateLUISBlobEntity: class {
-        constructor(name, type) {
+        constructor(name, type, definitions) {
             this.name = name?name:'';
             this.type = type?type:[];
+            this.definitions = definitions?definitions:[];
         }
     }, 
     pattern: class {
@@ -68,6 +69,28 @@ const readerObj = {
             this.subLists = subLists?subLists:[];
             this.roles = roles?roles:[];
         }
+    },
+    regExEntity: class {
+        constructor(name, regexPattern, roles) {
+            this.name = name?name:'';
+            this.regexPattern = regexPattern?regexPattern:'';
+            this.roles = roles?roles:[];
+        }
+    },
+    compositeEntity: class {
+        constructor(name, children, roles) {
+            this.name = name?name:'';
+            this.children = children?children:[];
+            this.roles = roles?roles:[];
+        }
+    },
+    section: class {
+        constructor(content, positions, testOnly, annotations) {
+            this.content = content?content:'';
+            this.positions = positions?positions:[];
+            this.testOnly = testOnly?true:false;
+            this.annotations = annotations?annotations:{};
+        }
     }
 };
 
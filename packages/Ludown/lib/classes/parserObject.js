@@ -24,6 +24,9 @@ class parserObject {
     /**
      * @property {Boolean} includeInCollate
      */
+    /**
+     * @property {diagnostic []} diagnostics
+     */
     constructor() {
         this.additionalFilesToParse = [];
         this.LUISJsonStructure = new LUIS();
@@ -31,6 +34,7 @@ class parserObject {
         this.qnaAlterations = new qnaAlterations.qnaAlterations();
         this.srcFile = undefined;
         this.includeInCollate = true;
+        this.diagnostics = [];
     }
 }
 /**
@@ -18,12 +18,16 @@ class qnaList {
     /**
      * @property {qnaMetaData []} metadata
      */
-    constructor(id, answer, source, questions, metadata) {
+    /**
+     * @property {Object} context [Optional] multi-turn context. Includes isContextOnly and prompts
+     */
+    constructor(id, answer, source, questions, metadata, context) {
         this.id = id?id:0;
         this.answer = answer?answer:'';
         this.source = source?source:'custom editorial';
         this.questions = questions?questions:[];
         this.metadata = metadata?metadata:[];
+        if(context) this.context = context;
     }
 }
 
@@ -0,0 +1,34 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const path = require('path');
+const resolvers = require('../resolvers');
+class referenceGraph {
+    /**
+     * @property {Object []} references list of references with from, to and optional fromIntent and toIntent.
+     * toIntent is ? for references to QnA pairs. References without toIntent include the whole file
+     */
+    constructor() {
+        this.references = [];
+    }
+    /**
+     * Add a reference from one .lu file to another
+     * @param {string} fromFile file that has the reference
+     * @param {string} toFile file or wildcard path that is referenced
+     * @param {string} fromIntent [Optional] intent that has the reference in one of its utterances
+     * @param {string} toIntent [Optional] intent that is referenced. ? for QnA pairs
+     * @returns {void} nothing
+     */
+    addReference(fromFile, toFile, fromIntent, toIntent) {
+        let reference = {
+            from: resolvers.isURI(fromFile) ? fromFile : path.resolve(fromFile),
+            to: resolvers.isURI(toFile) ? toFile : path.resolve(toFile)
+        };
+        if(fromIntent !== undefined) reference.fromIntent = fromIntent;
+        if(toIntent !== undefined) reference.toIntent = toIntent;
+        this.references.push(reference);
+    }
+}
+
+module.exports = referenceGraph;
@@ -0,0 +1,136 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const retCode = require('./enums/CLI-errors');
+const exception = require('./classes/exception');
+const PARSERCONSTS = require('./enums/parserconsts');
+const NEWLINE = require('os').EOL;
+const ANY_NEWLINE = /\r\n|\r|\n/g;
+const DIRECTIVE = /^>\s*!#\s*@(if|elseif|else|endif)\b\s*(.*)$/i;
+const VARIABLE_NAME = /^[A-Za-z_][\w.-]*$/;
+/**
+ * Conditional blocks include or exclude content based on variables passed with --define -
+ *   > !# @if market == uk
+ *   > !# @elseif market != us
+ *   > !# @else
+ *   > !# @endif
+ * Conditions are either <name> == <value>, <name> != <value>, <name> (variable is defined) or !<name> (variable is not defined). Blocks can be nested.
+ */
+const conditions = {
+    /**
+     * Helper function to collect repeated --define options from commander
+     * @param {string} value name=value passed to this --define
+     * @param {string []} defines values collected so far. undefined for the first --define
+     * @returns {string []} all values collected
+     */
+    collectDefine: function(value, defines) {
+        return (defines || []).concat([value]);
+    },
+    /**
+     * Helper function to parse variables passed with --define
+     * @param {string []} defines list of name=value definitions. A name without a value is set to true
+     * @returns {Object} map of variable name to value
+     * @throws {exception} Throws on errors. exception object includes errCode and text.
+     */
+    parseDefines: function(defines) {
+        let variables = {};
+        defines.forEach(function(define) {
+            let separator = define.indexOf('=');
+            let name = (separator === -1 ? define : define.substring(0, separator)).trim();
+            if(!VARIABLE_NAME.test(name)) {
+                throw(new exception(retCode.errorCode.INVALID_INPUT, '[ERROR]: Invalid define "' + define + '". Defines follow name=value notation and names can only have letters, digits, _, . and -'));
+            }
+            variables[name] = separator === -1 ? 'true' : define.substring(separator + 1).trim();
+        });
+        return variables;
+    },
+    /**
+     * Helper function to see if a line is a conditional block directive and get its keyword
+     * @param {string} line line in a .lu file
+     * @returns {string} if, elseif, else or endif. undefined if the line is not a directive
+     */
+    getDirective: function(line) {
+        let directive = line.trim().match(DIRECTIVE);
+        return directive === null ? undefined : directive[1].toLowerCase();
+    },
+    /**
+     * Helper function to remove content in conditional blocks whose condition is false.
+     * Directive lines and excluded lines are replaced with blank lines so line numbers in diagnostics stay the same.
+     * @param {string} fileContent .lu file content
+     * @param {Object} variables map of variable name to value
+     * @returns {string} file content with only the content that applies to the variables
+     * @throws {exception} Throws on errors. exception object includes errCode, text, line and column.
+     */
+    applyConditions: function(fileContent, variables) {
+        let linesInFile = fileContent.split(ANY_NEWLINE);
+        // fast path for files without conditional blocks
+        if(!linesInFile.some(line => DIRECTIVE.test(line.trim()))) return fileContent;
+        let openBlocks = [];
+        let inQnAAnswer = false;
+        let isActive = () => openBlocks.length === 0 || openBlocks[openBlocks.length - 1].active;
+        let result = linesInFile.map(function(line, lineIndex) {
+            let currentLine = line.trim();
+            let position = {line: lineIndex + 1, column: line.search(/\S|$/) + 1};
+            // directives inside QnA answers are answer content
+            if(currentLine.indexOf(PARSERCONSTS.ANSWER) === 0) inQnAAnswer = !inQnAAnswer;
+            let directive = inQnAAnswer ? null : currentLine.match(DIRECTIVE);
+            if(directive === null) return isActive() ? line : '';
+            let keyword = directive[1].toLowerCase();
+            let block = openBlocks[openBlocks.length - 1];
+            if(keyword !== 'if' && (block === undefined || (keyword !== 'endif' && block.hasElse))) {
+                throw(new exception(retCode.errorCode.INVALID_CONDITION, '[ERROR]: "' + currentLine + '" does not have a matching > !# @if', position));
+            }
+            switch(keyword) {
+                case 'if': {
+                    let parentActive = isActive();
+                    let condition = evaluateCondition(directive[2], variables, position);
+                    openBlocks.push({active: parentActive && condition, taken: condition, parentActive: parentActive, hasElse: false, position: position});
+                    break;
+                }
+                case 'elseif': {
+                    let condition = evaluateCondition(directive[2], variables, position);
+                    block.active = block.parentActive && !block.taken && condition;
+                    block.taken = block.taken || condition;
+                    break;
+                }
+                case 'else':
+                    block.active = block.parentActive && !block.taken;
+                    block.hasElse = true;
+                    break;
+                default:
+                    openBlocks.pop();
+            }
+            return '';
+        });
+        if(openBlocks.length !== 0) {
+            throw(new exception(retCode.errorCode.INVALID_CONDITION, '[ERROR]: > !# @if does not have a matching > !# @endif', openBlocks[openBlocks.length - 1].position));
+        }
+        return result.join(NEWLINE);
+    }
+};
+/**
+ * Helper function to evaluate the condition in an @if or @elseif directive
+ * @param {string} expression condition text
+ * @param {Object} variables map of variable name to value
+ * @param {Object} position line and column of the directive
+ * @returns {boolean} true if the condition is met
+ * @throws {exception} Throws on errors. exception object includes errCode, text, line and column.
+ */
+const evaluateCondition = function(expression, variables, position) {
+    let comparison = expression.match(/^([^=!\s]+)\s*(==|!=)\s*(.+)$/);
+    if(comparison !== null && VARIABLE_NAME.test(comparison[1])) {
+        // values can be quoted
+        let value = comparison[3].trim().replace(/^(["'])(.*)\1$/, '$2');
+        let isEqual = variables[comparison[1]] === value;
+        return comparison[2] === '==' ? isEqual : !isEqual;
+    }
+    let defined = expression.trim().match(/^(!?)\s*(\S+)$/);
+    if(defined !== null && VARIABLE_NAME.test(defined[2])) {
+        let isDefined = variables[defined[2]] !== undefined;
+        return defined[1] === '!' ? !isDefined : isDefined;
+    }
+    throw(new exception(retCode.errorCode.INVALID_CONDITION, '[ERROR]: Invalid condition "' + expression + '". Conditions follow <name> == <value>, <name> != <value>, <name> or !<name> notation', position));
+};
+
+module.exports = conditions;
@@ -26,6 +26,18 @@ module.exports = {
         PHRASELIST_NOT_A_LIST:      19,
         TRANSLATE_SERVICE_FAIL:     20,
         INVALID_URI:                21,
+        INVALID_REGEX_ENTITY:       22,
+        INVALID_COMPOSITE_ENTITY:   23,
+        LINT_RULE_VIOLATION:        24,
+        INVALID_LINT_CONFIG:        25,
+        TOO_MANY_EXPANSIONS:        26,
+        INVALID_ANNOTATION:         27,
+        INVALID_CONDITION:          28,
+        INVALID_QNA_PROMPT:         29,
+        INVALID_QNA_ID:             30,
+        DUPLICATE_QNA_ID:           31,
+        INVALID_QNA_TABLE:          32,
+        NOT_FORMATTED:              33,
         UNKNOWN_ERROR:              99   
     }
 };
\ No newline at end of file
@@ -0,0 +1,11 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+// properties that can be set with > !# @<scope>.<property> = <value> annotations, by scope
+module.exports = {
+    app: ["name", "versionId", "desc", "culture"],
+    kb: ["name"],
+    intent: ["description", "expansion"],
+    qna: ["source"]
+};
@@ -0,0 +1,10 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+module.exports = {
+    ERROR: 'error',
+    WARNING: 'warning',
+    // only used in lint rule configuration to turn a rule off
+    OFF: 'off'
+};
@@ -0,0 +1,12 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+module.exports = {
+    MIN_UTTERANCES: 'min-utterances',
+    DUPLICATE_UTTERANCE: 'duplicate-utterance',
+    UNUSED_ENTITY: 'unused-entity',
+    PATTERN_ANY_SHADOWS_SIMPLE_ENTITY: 'pattern-any-shadows-simple-entity',
+    DUPLICATE_PHRASELIST_WORD: 'duplicate-phraselist-word',
+    DUPLICATE_QNA_QUESTION: 'duplicate-qna-question'
+};
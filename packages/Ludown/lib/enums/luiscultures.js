@@ -0,0 +1,24 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+// LUIS app culture for translator language codes. Used as the locale folder and @app.culture for ludown translate --layout locale
+module.exports = {
+    'ar': 'ar-ar',
+    'de': 'de-de',
+    'en': 'en-us',
+    'es': 'es-es',
+    'fr': 'fr-fr',
+    'gu': 'gu-in',
+    'hi': 'hi-in',
+    'it': 'it-it',
+    'ja': 'ja-jp',
+    'ko': 'ko-kr',
+    'mr': 'mr-in',
+    'nl': 'nl-nl',
+    'pt': 'pt-br',
+    'ta': 'ta-in',
+    'te': 'te-in',
+    'tr': 'tr-tr',
+    'zh-hans': 'zh-cn'
+};
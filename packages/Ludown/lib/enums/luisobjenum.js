@@ -8,6 +8,8 @@ module.exports = {
     PATTERNANYENTITY: "patternAnyEntities",
     CLOSEDLISTS: "closedLists",
     PREBUILT: "prebuiltEntities",
+    REGEX: "regex_entities",
+    COMPOSITES: "composites",
     UTTERANCE: "utterances",
     PATTERNS: "patterns"
 };
\ No newline at end of file
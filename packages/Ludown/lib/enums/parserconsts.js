@@ -13,5 +13,11 @@ module.exports = {
     QNATABLE: "|",
     ANSWER: "```",
     FILTER: "**",
-    QNAALTERATIONS: "qna-alterations"
+    REGEX: "/",
+    COMPOSITESTART: "[",
+    COMPOSITEEND: "]",
+    QNAALTERATIONS: "qna-alterations",
+    TESTANNOTATION: "@test",
+    ANNOTATION: "!#",
+    QNAID: "<a "
 };
\ No newline at end of file
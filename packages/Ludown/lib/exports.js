@@ -5,8 +5,14 @@
 const modules = {
     parser: {
         parseFile: require('./parseFileContents').parseFile,
+        parseContents: require('./parser').parseContents,
         validateLUISBlob: require('./parseFileContents').validateLUISBlob
     },
+    resolvers: {
+        createOfflineResolver: require('./resolvers').createOfflineResolver,
+        createHttpResolver: require('./resolvers').createHttpResolver,
+        createMirrorResolver: require('./resolvers').createMirrorResolver
+    },
     refresh: {
         constructMdFromLUIS: require('./toLU-helpers').constructMdFromLUISJSON,
         constructMdFromQnA: require('./toLU-helpers').constructMdFromQnAJSON,
@@ -14,7 +20,15 @@ const modules = {
     },
     translate: {
         parseAndTranslate: require('./translate-helpers').parseAndTranslate,
-        translateText: require('./translate-helpers').translateText
+        translateText: require('./translate-helpers').translateText,
+        createMicrosoftTranslator: require('./translators').createMicrosoftTranslator,
+        createHttpTranslator: require('./translators').createHttpTranslator,
+        createDictionaryTranslator: require('./translators').createDictionaryTranslator,
+        createTranslationMemory: require('./translation-memory').createTranslationMemory,
+        readTranslationMemory: require('./translation-memory').readTranslationMemory,
+        writeTranslationMemory: require('./translation-memory').writeTranslationMemory,
+        createGlossary: require('./glossary').createGlossary,
+        readGlossary: require('./glossary').readGlossary
     },
     helperEnums: {
         errorCodes: require('./enums/CLI-errors').errorCode,
@@ -24,7 +38,8 @@ const modules = {
         Exception: require('./classes/exception'),
         LUIS: require('./classes/LUIS'),
         QnA: require('./classes/qna'),
-        Parser: require('./classes/parserObject')
+        Parser: require('./classes/parserObject'),
+        Diagnostic: require('./classes/diagnostic')
     }
 };
 module.exports = modules;
@@ -0,0 +1,230 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const chalk = require('chalk');
+const fs = require('fs');
+const path = require('path');
+const txtfile = require('read-text-file');
+const retCode = require('./enums/CLI-errors');
+const PARSERCONSTS = require('./enums/parserconsts');
+const parseFileContents = require('./parseFileContents');
+const helpers = require('./helpers');
+const exception = require('./classes/exception');
+// references are not followed when formatting, so URL references are never fetched
+const OFFLINE_RESOLVER = {
+    getContentType: async () => 'text/html',
+    readLUFile: async () => ''
+};
+/**
+ * .lu files are formatted in canonical form -
+ *   Lines are trimmed. Blank lines are collapsed and sections are separated by one blank line. Comments stay where they are.
+ *   Headings have one space after # and ?. Entity definitions have no space around the : after the entity name.
+ *   List items use - bullets. List entity synonyms are sorted.
+ *   Files with \r\n line endings keep them. All other files use \n.
+ */
+const formatModule = {
+    /**
+     * Helper function to format .lu files in place, or check that they are formatted with --check
+     * @param {object} program parsed program object from commander
+     * @returns {void} nothing
+     * @throws {exception} Throws on errors or if any file is not formatted with --check. exception object includes errCode and text.
+     */
+    formatFiles: async function(program) {
+        let files = program.in ? [path.resolve(program.in)] : [];
+        if(program.lu_folder) {
+            if(!fs.existsSync(program.lu_folder) || !fs.statSync(program.lu_folder).isDirectory()) {
+                throw(new exception(retCode.errorCode.OUTPUT_FOLDER_INVALID, 'Sorry, ' + program.lu_folder + ' is not a folder or does not exist'));
+            }
+            files = helpers.findLUFiles(program.lu_folder, program.subfolder);
+            if(files.length === 0) {
+                throw(new exception(retCode.errorCode.NO_LU_FILES_FOUND, 'Sorry, no .lu files found in the specified folder.'));
+            }
+        }
+        let unformattedFiles = [];
+        for(let file of files) {
+            if(!fs.existsSync(file)) {
+                throw(new exception(retCode.errorCode.FILE_OPEN_ERROR, 'Sorry unable to open [' + file + ']'));
+            }
+            let fileContent = txtfile.readSync(file);
+            let formattedContent = await formatModule.formatContent(fileContent, file);
+            if(formattedContent === fileContent) continue;
+            unformattedFiles.push(file);
+            if(program.check) {
+                process.stdout.write(chalk.default.yellowBright(file + ' is not formatted\n'));
+                continue;
+            }
+            try {
+                fs.writeFileSync(file, formattedContent, 'utf-8');
+            } catch (err) {
+                throw(new exception(retCode.errorCode.UNABLE_TO_WRITE_FILE, 'Unable to write formatted file - ' + file));
+            }
+            if(program.verbose) process.stdout.write(chalk.default.italic('Formatted ' + file + '\n'));
+        }
+        if(program.check && unformattedFiles.length !== 0) {
+            throw(new exception(retCode.errorCode.NOT_FORMATTED, '[ERROR]: ' + unformattedFiles.length + ' file(s) are not formatted. Run ludown format to format them.'));
+        }
+    },
+    /**
+     * Helper function to format .lu content in canonical form. The content is parsed before and after formatting to make sure formatting does not change it.
+     * @param {string} fileContent .lu file content
+     * @param {string} srcFile [Optional] name of the file. Used to report the source of errors
+     * @returns {string} formatted content
+     * @throws {exception} Throws on errors in the .lu content. exception object includes errCode, text, file, line and column.
+     */
+    formatContent: async function(fileContent, srcFile) {
+        let original = await parseFileContents.parseFile(fileContent, false, undefined, srcFile, false, OFFLINE_RESOLVER);
+        let newLine = fileContent.includes('\r\n') ? '\r\n' : '\n';
+        let formattedContent = formatLines(fileContent.split(/\r\n|\r|\n/)).join(newLine);
+        formattedContent = formattedContent === '' ? '' : formattedContent + newLine;
+        let formatted = await parseFileContents.parseFile(formattedContent, false, undefined, srcFile, false, OFFLINE_RESOLVER);
+        if(toComparable(original) !== toComparable(formatted)) {
+            throw(new exception(retCode.errorCode.UNKNOWN_ERROR, '[ERROR]: Formatting changes the parsed content of ' + (srcFile || 'the .lu content') + '. The file is left as-is.'));
+        }
+        return formattedContent;
+    }
+};
+/**
+ * Helper function to format lines of .lu content
+ * @param {string []} lines lines in the file
+ * @returns {string []} formatted lines without a trailing blank line
+ */
+const formatLines = function(lines) {
+    let formattedLines = [];
+    let inQnAAnswer = false;
+    let inListEntity = false;
+    // contiguous list entity synonyms are sorted as a group
+    let synonyms = [];
+    const flushSynonyms = function() {
+        synonyms.sort(compareText).forEach(synonym => formattedLines.push('- ' + synonym));
+        synonyms = [];
+    };
+    const pushBlankLine = function() {
+        if(formattedLines.length !== 0 && formattedLines[formattedLines.length - 1] !== '') formattedLines.push('');
+    };
+    lines.forEach(function(line) {
+        let currentLine = line.trim();
+        if(inQnAAnswer || currentLine.indexOf(PARSERCONSTS.ANSWER) === 0) {
+            if(currentLine.indexOf(PARSERCONSTS.ANSWER) === 0) inQnAAnswer = !inQnAAnswer;
+            formattedLines.push(currentLine);
+            return;
+        }
+        let isListItem = /^[-*+]/.test(currentLine) && !isBlockLabel(currentLine);
+        if(inListEntity && isListItem) {
+            synonyms.push(currentLine.slice(1).trim());
+            return;
+        }
+        flushSynonyms();
+        if(currentLine === '') {
+            pushBlankLine();
+        } else if(currentLine.indexOf(PARSERCONSTS.COMMENT) === 0) {
+            formattedLines.push(currentLine);
+        } else if(currentLine.indexOf(PARSERCONSTS.QNAID) === 0) {
+            pushSectionBreak(formattedLines);
+            formattedLines.push(currentLine);
+        } else if(currentLine.indexOf(PARSERCONSTS.INTENT) === 0 && currentLine.indexOf(PARSERCONSTS.FILEREF) !== 0 && currentLine.indexOf(PARSERCONSTS.URLREF) !== 0) {
+            inListEntity = false;
+            pushSectionBreak(formattedLines);
+            formattedLines.push(formatHeading(currentLine));
+        } else if(currentLine.indexOf(PARSERCONSTS.ENTITY) === 0) {
+            let entityDefinition = formatEntityDefinition(currentLine);
+            inListEntity = isListEntityDefinition(entityDefinition);
+            pushSectionBreak(formattedLines);
+            formattedLines.push(entityDefinition);
+        } else if(currentLine.indexOf(PARSERCONSTS.QNATABLE) === 0) {
+            inListEntity = false;
+            if(!isTableRow(formattedLines[formattedLines.length - 1])) pushSectionBreak(formattedLines);
+            formattedLines.push(currentLine);
+        } else if(isListItem) {
+            formattedLines.push('- ' + currentLine.slice(1).trim());
+        } else if(isBlockLabel(currentLine)) {
+            formattedLines.push(currentLine.toLowerCase() === '**filters:**' ? '**Filters:**' : '**Prompts:**');
+        } else {
+            formattedLines.push(currentLine);
+        }
+    });
+    flushSynonyms();
+    while(formattedLines.length !== 0 && formattedLines[formattedLines.length - 1] === '') formattedLines.pop();
+    return formattedLines;
+};
+/**
+ * Helper function to separate a section from the content before it with a blank line.
+ * Sections that follow a comment or QnA pair id are kept with it.
+ * @param {string []} formattedLines lines formatted so far
+ * @returns {void} nothing
+ */
+const pushSectionBreak = function(formattedLines) {
+    let previousLine = formattedLines[formattedLines.length - 1];
+    if(previousLine === undefined || previousLine === '') return;
+    if(previousLine.indexOf(PARSERCONSTS.COMMENT) === 0 || previousLine.indexOf(PARSERCONSTS.QNAID) === 0) return;
+    formattedLines.push('');
+};
+/**
+ * Helper function to see if a line is a row in a QnA table
+ * @param {string} line formatted line
+ * @returns {boolean} true if the line is a table row
+ */
+const isTableRow = function(line) {
+    return line !== undefined && line.indexOf(PARSERCONSTS.QNATABLE) === 0;
+};
+/**
+ * Helper function to see if a line starts a **Filters:** or **Prompts:** block in a QnA pair
+ * @param {string} line trimmed line
+ * @returns {boolean} true if the line is a block label
+ */
+const isBlockLabel = function(line) {
+    return ['**filters:**', '**prompts:**'].includes(line.toLowerCase());
+};
+/**
+ * Helper function to format an intent or QnA heading with one space after the # and ?
+ * @param {string} line trimmed heading
+ * @returns {string} formatted heading
+ */
+const formatHeading = function(line) {
+    let heading = line.match(/^(#+)\s*(\?)?\s*(.*)$/);
+    return heading[1] + ' ' + (heading[2] ? '? ' : '') + heading[3];
+};
+/**
+ * Helper function to format an entity definition without space around the : after the entity name
+ * @param {string} line trimmed entity definition
+ * @returns {string} formatted entity definition
+ */
+const formatEntityDefinition = function(line) {
+    let separator = line.indexOf(':');
+    if(separator === -1) return line;
+    return PARSERCONSTS.ENTITY + line.substring(1, separator).trim() + ':' + line.substring(separator + 1).trim();
+};
+/**
+ * Helper function to see if an entity definition starts a list entity
+ * @param {string} entityDefinition formatted entity definition
+ * @returns {boolean} true for list entities. false for QnA Maker alterations and all other entity types
+ */
+const isListEntityDefinition = function(entityDefinition) {
+    let entityType = entityDefinition.substring(entityDefinition.indexOf(':') + 1);
+    if(entityType.indexOf(PARSERCONSTS.REGEX) === 0 || entityType.indexOf(PARSERCONSTS.COMPOSITESTART) === 0) return false;
+    return entityType.endsWith('=') && !entityType.toLowerCase().includes(PARSERCONSTS.QNAALTERATIONS);
+};
+/**
+ * Helper function to compare text for sorting. Case is only used to break ties so the order does not depend on the locale.
+ * @param {string} a first text
+ * @param {string} b second text
+ * @returns {number} negative if a comes first, positive if b comes first, 0 if they are the same
+ */
+const compareText = function(a, b) {
+    let lowerA = a.toLowerCase();
+    let lowerB = b.toLowerCase();
+    if(lowerA !== lowerB) return lowerA < lowerB ? -1 : 1;
+    return a < b ? -1 : (a > b ? 1 : 0);
+};
+/**
+ * Helper function to get parsed content in a form that can be compared. List entity synonyms are compared in sorted order.
+ * @param {parserObj} parsedContent parsed .lu content
+ * @returns {string} parsed LUIS, QnA and QnA alterations content
+ */
+const toComparable = function(parsedContent) {
+    let LUISJSON = JSON.parse(JSON.stringify(parsedContent.LUISJsonStructure));
+    (LUISJSON.closedLists || []).forEach(closedList => closedList.subLists.forEach(subList => subList.list.sort(compareText)));
+    return JSON.stringify([LUISJSON, parsedContent.qnaJsonStructure, parsedContent.qnaAlterations, parsedContent.additionalFilesToParse]);
+};
+
+module.exports = formatModule;
@@ -0,0 +1,137 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const fs = require('fs');
+const txtfile = require('read-text-file');
+const retCode = require('./enums/CLI-errors');
+const exception = require('./classes/exception');
+const WORD_CHARACTER = new RegExp('[\\p{L}\\p{N}_]', 'u');
+/**
+ * A glossary has terms that are never translated, e.g. brand names, and terms with a forced translation to a target language -
+ *   {
+ *     "doNotTranslate": ["Contoso", "Surface Pro"],
+ *     "translations": {"de": {"checking account": "Girokonto"}}
+ *   }
+ * Terms are not case sensitive. Text that is a glossary term is not sent to the translation service.
+ * Terms inside longer text are replaced in the translated text using the alignment from the translation service, so they are only applied if the service returns an alignment.
+ * Terms that could not be applied are reported back to the caller.
+ */
+const glossary = {
+    /**
+     * Create a glossary
+     * @param {Object} definition glossary with doNotTranslate terms and translations by target language
+     * @returns {Object} glossary with lookup(text, toLang) and apply(text, translation, toLang, skippedTerms) functions.
+     * apply adds terms found in text that could not be applied to the optional skippedTerms collection
+     * @throws {exception} Throws on errors. exception object includes errCode and text.
+     */
+    createGlossary: function(definition) {
+        definition = definition || {};
+        let doNotTranslate = definition.doNotTranslate || [];
+        let translations = definition.translations || {};
+        if(!Array.isArray(doNotTranslate) || typeof translations !== 'object') {
+            throw(new exception(retCode.errorCode.INVALID_INPUT, 'Sorry, glossary doNotTranslate must be a list of terms and translations a map of target language to terms'));
+        }
+        // terms for a target language, longest first so the longest term wins where terms overlap
+        const getTerms = function(toLang) {
+            let langKey = Object.keys(translations).find(lang => lang.toLowerCase() === String(toLang).toLowerCase());
+            let forcedTranslations = langKey ? translations[langKey] : {};
+            return doNotTranslate.map(term => ({term: term, translation: term}))
+                .concat(Object.keys(forcedTranslations).map(term => ({term: term, translation: forcedTranslations[term]})))
+                .sort((a, b) => b.term.length - a.term.length);
+        };
+        return {
+            lookup: function(text, toLang) {
+                let match = getTerms(toLang).find(item => item.term.toLowerCase() === text.trim().toLowerCase());
+                return match === undefined ? undefined : match.translation;
+            },
+            apply: function(text, translation, toLang, skippedTerms) {
+                let alignment = parseAlignment(translation.alignment || '');
+                let translatedText = translation.text;
+                let coveredRanges = [];
+                getTerms(toLang).forEach(item => {
+                    findTerm(text, item.term).forEach(range => {
+                        if(coveredRanges.some(covered => range.start <= covered.end && covered.start <= range.end)) return;
+                        let targets = alignment.filter(pair => pair.srcStart >= range.start && pair.srcEnd <= range.end);
+                        if(targets.length === 0) {
+                            if(skippedTerms && !skippedTerms.includes(item.term)) skippedTerms.push(item.term);
+                            return;
+                        }
+                        coveredRanges.push(range);
+                        let tgtStart = Math.min(...targets.map(pair => pair.tgtStart));
+                        let tgtEnd = Math.max(...targets.map(pair => pair.tgtEnd));
+                        translatedText = translatedText.substring(0, tgtStart) + item.translation + translatedText.substring(tgtEnd + 1);
+                        let delta = item.translation.length - (tgtEnd - tgtStart + 1);
+                        alignment.forEach(pair => {
+                            if(pair.tgtStart > tgtEnd) {
+                                pair.tgtStart += delta;
+                                pair.tgtEnd += delta;
+                            } else if(pair.tgtEnd >= tgtStart) {
+                                pair.tgtStart = tgtStart;
+                                pair.tgtEnd = tgtStart + item.translation.length - 1;
+                            }
+                        });
+                    });
+                });
+                if(!translation.alignment) return translation;
+                return {text: translatedText, alignment: formatAlignment(alignment)};
+            }
+        };
+    },
+    /**
+     * Helper function to read a glossary file
+     * @param {string} file JSON glossary file
+     * @returns {Object} glossary
+     * @throws {exception} Throws on errors. exception object includes errCode and text.
+     */
+    readGlossary: function(file) {
+        if(!fs.existsSync(file)) {
+            throw(new exception(retCode.errorCode.FILE_OPEN_ERROR, 'Sorry unable to open [' + file + ']'));
+        }
+        let definition;
+        try {
+            definition = JSON.parse(txtfile.readSync(file));
+        } catch (err) {
+            throw(new exception(retCode.errorCode.INVALID_INPUT_FILE, 'Sorry, ' + file + ' is not valid JSON. ' + err.message));
+        }
+        return glossary.createGlossary(definition);
+    }
+};
+/**
+ * Helper function to find whole word occurrences of a term in text. Case is ignored
+ * @param {string} text text
+ * @param {string} term glossary term
+ * @returns {Object []} start and end index of each occurrence
+ */
+const findTerm = function(text, term) {
+    let ranges = [];
+    let lowerText = text.toLowerCase();
+    let lowerTerm = term.toLowerCase();
+    for(let idx = lowerText.indexOf(lowerTerm); lowerTerm !== '' && idx !== -1; idx = lowerText.indexOf(lowerTerm, idx + 1)) {
+        let end = idx + lowerTerm.length - 1;
+        if(WORD_CHARACTER.test(text.charAt(idx - 1)) || WORD_CHARACTER.test(text.charAt(end + 1))) continue;
+        ranges.push({start: idx, end: end});
+    }
+    return ranges;
+};
+/**
+ * Helper function to parse a srcStart:srcEnd-tgtStart:tgtEnd alignment
+ * @param {string} alignment alignment
+ * @returns {Object []} aligned ranges with srcStart, srcEnd, tgtStart and tgtEnd
+ */
+const parseAlignment = function(alignment) {
+    return alignment.split(' ').filter(pair => /^\d+:\d+-\d+:\d+$/.test(pair)).map(pair => {
+        let [src, tgt] = pair.split('-').map(range => range.split(':').map(Number));
+        return {srcStart: src[0], srcEnd: src[1], tgtStart: tgt[0], tgtEnd: tgt[1]};
+    });
+};
+/**
+ * Helper function to write aligned ranges as a srcStart:srcEnd-tgtStart:tgtEnd alignment
+ * @param {Object []} alignment aligned ranges
+ * @returns {string} alignment
+ */
+const formatAlignment = function(alignment) {
+    return alignment.map(pair => pair.srcStart + ':' + pair.srcEnd + '-' + pair.tgtStart + ':' + pair.tgtEnd).join(' ');
+};
+
+module.exports = glossary;
@@ -0,0 +1,219 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const chalk = require('chalk');
+const fs = require('fs');
+const path = require('path');
+const retCode = require('./enums/CLI-errors');
+const parser = require('./parser');
+const exception = require('./classes/exception');
+const referenceGraph = require('./classes/referenceGraph');
+const resolvers = require('./resolvers');
+const GRAPH_FORMATS = ['json', 'dot'];
+const graphModule = {
+    /**
+     * Helper function to parse .lu files and write out the reference graph across them in the requested format
+     * @param {object} program parsed program object from commander
+     * @returns {void} nothing
+     * @throws {exception} Throws on errors. exception object includes errCode and text.
+     */
+    writeGraph: async function(program) {
+        let format = (program.format || 'json').toLowerCase();
+        if(!GRAPH_FORMATS.includes(format)) {
+            throw(new exception(retCode.errorCode.INVALID_INPUT, '[ERROR]: Unsupported graph format "' + program.format + '". Supported formats: ' + GRAPH_FORMATS.join(', ')));
+        }
+        // verbose logs go to stdout and would end up in the middle of the graph
+        if(program.verbose && !program.out) {
+            throw(new exception(retCode.errorCode.INVALID_INPUT, '[ERROR]: --verbose needs --out. The graph is written to stdout otherwise.'));
+        }
+        let diagnostics = [];
+        let graph;
+        try {
+            graph = await graphModule.getGraph(program, diagnostics);
+        } catch (err) {
+            throw (err);
+        }
+        // parse errors do not stop the graph from being generated. Files with errors show up as unresolved references.
+        diagnostics.forEach(item => process.stderr.write(chalk.default.yellowBright(item.toString() + '\n')));
+        let content = format === 'dot' ? graphModule.toDOT(graph) : JSON.stringify(graph, null, 2);
+        if(!program.out) {
+            process.stdout.write(content + '\n');
+            return;
+        }
+        try {
+            fs.writeFileSync(path.resolve(program.out), content, 'utf-8');
+        } catch (err) {
+            throw(new exception(retCode.errorCode.UNABLE_TO_WRITE_FILE, 'Unable to write graph file - ' + path.resolve(program.out)));
+        }
+        if(program.verbose) process.stdout.write(chalk.default.italic('Successfully wrote graph to ' + path.resolve(program.out) + '\n'));
+    },
+    /**
+     * Helper function to parse .lu files and get the file and intent reference graph across them.
+     * File paths are relative to the folder of the root file or --lu_folder.
+     * @param {object} program parsed program object from commander
+     * @param {diagnostic []} diagnostics collection that errors and warnings found while parsing are added to
+     * @returns {Object} graph with files, references, cycles, unresolved references and files excluded from collation
+     * @throws {exception} Throws on errors. exception object includes errCode and text.
+     */
+    getGraph: async function(program, diagnostics) {
+        let references = new referenceGraph();
+        let parsedFiles;
+        try {
+            parsedFiles = await parser.parseFiles(program, diagnostics, true, references);
+        } catch (err) {
+            throw (err);
+        }
+        let baseFolder = path.resolve(program.lu_folder ? program.lu_folder : path.dirname(program.in));
+        // files imported by URL are listed by URL
+        let relativePath = file => resolvers.isURI(file) ? file : (path.relative(baseFolder, file) || path.basename(file));
+        let files = getFiles(parsedFiles.allParsedContent);
+        let resolvedReferences = resolveReferences(references.references, files);
+        let cycles = findCycles(resolvedReferences.filter(item => item.resolved), files);
+        return {
+            files: files.map(file => ({
+                file: relativePath(file.file),
+                includeInCollate: file.includeInCollate,
+                intents: file.intents
+            })),
+            references: resolvedReferences.map(item => toRelativeReference(item, relativePath)),
+            cycles: cycles.map(cycle => cycle.map(relativePath)),
+            unresolved: resolvedReferences.filter(item => !item.resolved).map(item => toRelativeReference(item, relativePath)),
+            excludedFromCollate: files.filter(file => !file.includeInCollate).map(file => relativePath(file.file))
+        };
+    },
+    /**
+     * Helper function to convert a reference graph from getGraph to Graphviz DOT notation
+     * @param {Object} graph reference graph from getGraph
+     * @returns {string} graph in DOT notation
+     */
+    toDOT: function(graph) {
+        let lines = ['digraph ludown {', '    rankdir=LR;', '    node [shape=box];'];
+        let fileNames = new Set(graph.files.map(file => file.file));
+        graph.files.forEach(file => {
+            lines.push('    ' + quoteDOT(file.file) + (file.includeInCollate ? '' : ' [style=dashed, label=' + quoteDOT(file.file + '\n(not collated)') + ']') + ';');
+        });
+        // references to files that were not parsed
+        new Set(graph.unresolved.map(item => item.to).filter(file => !fileNames.has(file))).forEach(file => {
+            lines.push('    ' + quoteDOT(file) + ' [color=red, fontcolor=red];');
+        });
+        graph.references.forEach(item => {
+            let attributes = [];
+            if(item.toIntent !== undefined) attributes.push('label=' + quoteDOT(item.fromIntent + ' -> ' + item.toIntent));
+            if(!item.resolved) {
+                attributes.push('color=red', 'style=dashed');
+            } else if(graph.cycles.some(cycle => cycle.includes(item.from) && cycle.includes(item.to))) {
+                attributes.push('color=orange');
+            }
+            lines.push('    ' + quoteDOT(item.from) + ' -> ' + quoteDOT(item.to) + (attributes.length !== 0 ? ' [' + attributes.join(', ') + ']' : '') + ';');
+        });
+        lines.push('}');
+        return lines.join('\n');
+    }
+};
+/**
+ * Helper function to get all files that were parsed along with their intents and if they are collated
+ * @param {Object} allParsedContent parsed content from parser.parseFiles
+ * @returns {Object []} files with file (absolute path), includeInCollate, intents and hasQnA
+ */
+const getFiles = function(allParsedContent) {
+    // every file that was parsed has QnA content, even if it is empty
+    return allParsedContent.QnAContent.map(blob => {
+        let luisBlob = allParsedContent.LUISContent.find(item => item.srcFile === blob.srcFile);
+        return {
+            file: resolvers.isURI(blob.srcFile) ? blob.srcFile : path.resolve(blob.srcFile),
+            includeInCollate: blob.includeInCollate,
+            intents: luisBlob ? luisBlob.LUISJsonStructure.intents.map(intent => intent.name) : [],
+            hasQnA: blob.qnaJsonStructure.qnaList.length !== 0
+        };
+    });
+};
+/**
+ * Helper function to expand wildcard references and flag references that could not be resolved
+ * @param {Object []} references references from referenceGraph
+ * @param {Object []} files parsed files from getFiles
+ * @returns {Object []} references with type (file, intent or qna) and resolved
+ */
+const resolveReferences = function(references, files) {
+    let resolvedReferences = [];
+    references.forEach(reference => {
+        let type = reference.toIntent === undefined ? 'file' : (reference.toIntent === '?' ? 'qna' : 'intent');
+        let targets = [reference.to];
+        if(type === 'qna' && reference.to.endsWith('*')) {
+            // same matching as utterance reference resolution in the parser
+            let matches = files.filter(file => file.file.includes(reference.to.replace(/\*/g, ''))).map(file => file.file);
+            if(matches.length !== 0) targets = matches;
+        }
+        targets.forEach(target => {
+            let file = files.find(item => item.file === target);
+            let resolved = file !== undefined;
+            if(resolved && type === 'intent') resolved = file.intents.includes(reference.toIntent);
+            if(resolved && type === 'qna') resolved = file.hasQnA;
+            resolvedReferences.push(Object.assign({}, reference, {to: target, type: type, resolved: resolved}));
+        });
+    });
+    return resolvedReferences;
+};
+/**
+ * Helper function to find groups of files that reference each other.
+ * References from a file to itself are not cycles.
+ * @param {Object []} references resolved references
+ * @param {Object []} files parsed files from getFiles
+ * @returns {Array []} list of cycles. Each cycle lists files in the order they were parsed
+ */
+const findCycles = function(references, files) {
+    let edges = new Map(files.map(file => [file.file, new Set()]));
+    references.forEach(item => {
+        if(item.from !== item.to && edges.has(item.from)) edges.get(item.from).add(item.to);
+    });
+    // Tarjan's strongly connected components. Every component with more than one file is a cycle.
+    let index = 0;
+    let stack = [];
+    let state = new Map();
+    let cycles = [];
+    const visit = function(file) {
+        state.set(file, {index: index, lowLink: index, onStack: true});
+        index++;
+        stack.push(file);
+        edges.get(file).forEach(next => {
+            if(!state.has(next)) {
+                visit(next);
+                state.get(file).lowLink = Math.min(state.get(file).lowLink, state.get(next).lowLink);
+            } else if(state.get(next).onStack) {
+                state.get(file).lowLink = Math.min(state.get(file).lowLink, state.get(next).index);
+            }
+        });
+        if(state.get(file).lowLink !== state.get(file).index) return;
+        let component = [];
+        let member;
+        do {
+            member = stack.pop();
+            state.get(member).onStack = false;
+            component.push(member);
+        } while(member !== file);
+        if(component.length > 1) cycles.push(files.map(item => item.file).filter(item => component.includes(item)));
+    };
+    files.forEach(file => {
+        if(!state.has(file.file)) visit(file.file);
+    });
+    return cycles;
+};
+/**
+ * Helper function to convert file paths in a reference to paths relative to the root folder
+ * @param {Object} reference resolved reference
+ * @param {Function} relativePath function to get path relative to the root folder
+ * @returns {Object} reference with relative paths
+ */
+const toRelativeReference = function(reference, relativePath) {
+    return Object.assign({}, reference, {from: relativePath(reference.from), to: relativePath(reference.to)});
+};
+/**
+ * Helper function to quote an ID for DOT notation
+ * @param {string} id ID to quote
+ * @returns {string} quoted ID
+ */
+const quoteDOT = function(id) {
+    return '"' + id.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"';
+};
+
+module.exports = graphModule;
@@ -6,10 +6,13 @@
 const fs = require('fs');
 const path = require('path');
 const PARSERCONSTS = require('./enums/parserconsts');
-const chalk = require('chalk');
 const retCode = require('./enums/CLI-errors');
+const severityEnum = require('./enums/diagnosticseverity');
 const exception = require('./classes/exception');
+const diagnostic = require('./classes/diagnostic');
+const hClasses = require('./classes/hclasses');
 const LUISBuiltInTypes = require('./enums/luisbuiltintypes').consolidatedList;
+const annotationProperties = require('./enums/annotations');
 const NEWLINE = require('os').EOL;
 const ANY_NEWLINE = /\r\n|\r|\n/g;
 const url = require('url');
@@ -86,136 +89,349 @@ const helpers = {
         }
     },
     /**
-     * Helper function to split current file content by sections. Each section needs a parser delimiter
+     * Helper function to parse entity references in an utterance.
+     * Labelled entities follow {entityName=labelled value} notation and can be nested - e.g. {outer=foo {inner=bar}}
+     * Pattern entities follow {entityName} or {entityName:roleName} notation and are left as-is in the text.
+     * @param {string} utterance utterance text with entity references
+     * @returns {Object} Object that contains text (utterance with labels removed), entities (labelled entities with startPos and endPos in text, sorted by start position) and patternEntities (list of pattern entity references)
+     * @throws {exception} Throws on errors. exception object includes errCode and text.
+     */
+    parseLabelledUtterance : function(utterance) {
+        let text = '';
+        let entities = [];
+        let patternEntities = [];
+        let openEntities = [];
+        for(let idx = 0; idx < utterance.length; idx++) {
+            let currentChar = utterance.charAt(idx);
+            if(currentChar === '{') {
+                // labelled entity if there is an '=' before the next '{' or '}'
+                let nextBrace = utterance.substring(idx + 1).search(/[{}]/);
+                if(nextBrace === -1) {
+                    throw (new exception(retCode.errorCode.INVALID_INPUT, '[ERROR]: Entity reference is missing a closing "}" in utterance: ' + utterance));
+                }
+                let entityRef = utterance.substr(idx + 1, nextBrace);
+                if(entityRef.includes('=')) {
+                    if(openEntities.find(item => !item.labelled)) {
+                        throw (new exception(retCode.errorCode.INVALID_INPUT, '[ERROR]: Labelled entities cannot be nested inside a pattern entity reference in utterance: ' + utterance));
+                    }
+                    openEntities.push({entity: entityRef.substring(0, entityRef.indexOf('=')).trim(), labelled: true, startPos: -1, depth: openEntities.length});
+                    // skip past '=' and leading white space in the labelled value
+                    idx += entityRef.indexOf('=') + 1;
+                    while(idx + 1 < utterance.length && utterance.charAt(idx + 1) === ' ') idx++;
+                } else {
+                    if(openEntities.length !== 0) {
+                        throw (new exception(retCode.errorCode.INVALID_INPUT, '[ERROR]: Pattern entity references cannot be nested inside another entity reference in utterance: ' + utterance));
+                    }
+                    openEntities.push({entity: entityRef.trim(), labelled: false});
+                    text += currentChar;
+                }
+            } else if(currentChar === '}') {
+                let entity = openEntities.pop();
+                if(entity === undefined) {
+                    throw (new exception(retCode.errorCode.INVALID_INPUT, '[ERROR]: Entity reference is missing an opening "{" in utterance: ' + utterance));
+                }
+                if(entity.labelled) {
+                    // remove trailing white space in the labelled value
+                    text = text.replace(/ +$/, '');
+                    if(entity.startPos === -1 || entity.startPos >= text.length) {
+                        throw (new exception(retCode.errorCode.MISSING_LABELLED_VALUE, '[ERROR]: No labelled value found for entity: ' + entity.entity + ' in utterance: ' + utterance));
+                    }
+                    entities.push({
+                        entity: entity.entity,
+                        startPos: entity.startPos,
+                        endPos: text.length - 1,
+                        depth: entity.depth
+                    });
+                } else {
+                    patternEntities.push(entity.entity);
+                    text += currentChar;
+                }
+            } else {
+                // the first character of a labelled value marks the start position for all entities that open here
+                openEntities.forEach(item => {
+                    if(item.labelled && item.startPos === -1) item.startPos = text.length;
+                });
+                text += currentChar;
+            }
+        }
+        if(openEntities.length !== 0) {
+            throw (new exception(retCode.errorCode.INVALID_INPUT, '[ERROR]: Entity reference is missing a closing "}" in utterance: ' + utterance));
+        }
+        // sort by start position. Outer entities come before entities nested in them.
+        entities.sort((a, b) => (a.startPos - b.startPos) || (b.endPos - a.endPos) || (a.depth - b.depth));
+        return {
+            text: text,
+            entities: entities.map(item => ({entity: item.entity, startPos: item.startPos, endPos: item.endPos})),
+            patternEntities: patternEntities
+        };
+    },
+    /**
+     * Helper function to parse an annotation. Annotations follow > !# @<scope>.<property> = <value> notation
+     *
+     * @param {string} currentLine comment line with the annotation
+     * @param {Object} position line and column of the annotation
+     * @param {diagnostic[]} diagnostics collection that warnings for unknown annotations are added to
+     * @returns {Object} Object that contains scope, property and value. undefined if the annotation is not known
+     * @throws {exception} Throws on errors. exception object includes errCode, text, line and column. 
+     */
+    parseAnnotation : function(currentLine, position, diagnostics) {
+        let annotation = currentLine.substring(PARSERCONSTS.COMMENT.length).trim().substring(PARSERCONSTS.ANNOTATION.length).trim();
+        let parsedAnnotation = annotation.match(/^@([^.\s=]+)\.([^\s=]+)\s*=(.*)$/);
+        if(parsedAnnotation === null) {
+            throw (new exception(retCode.errorCode.INVALID_ANNOTATION, '[ERROR]: Invalid annotation "' + currentLine + '". Annotations follow > !# @<scope>.<property> = <value> notation', position));
+        }
+        let scope = parsedAnnotation[1].toLowerCase();
+        let property = (annotationProperties[scope] || []).find(item => item.toLowerCase() === parsedAnnotation[2].toLowerCase());
+        if(property === undefined) {
+            diagnostics.push(new diagnostic(severityEnum.WARNING, retCode.errorCode.INVALID_ANNOTATION, '[WARN]: Unknown annotation "@' + parsedAnnotation[1] + '.' + parsedAnnotation[2] + '" is ignored.', undefined, position.line, position.column));
+            return undefined;
+        }
+        return {
+            scope: scope,
+            property: property,
+            value: parsedAnnotation[3].trim()
+        };
+    },
+    /**
+     * Helper function to parse a QnA pair id. Ids follow <a id="<id>"></a> notation
+     *
+     * @param {string} currentLine line with the id
+     * @param {Object} position line and column of the id
+     * @returns {number} QnA pair id
+     * @throws {exception} Throws on errors. exception object includes errCode, text, line and column. 
+     */
+    parseQnAId : function(currentLine, position) {
+        let parsedId = currentLine.match(/^<a\s+id\s*=\s*(["']?)(\d+)\1\s*>\s*<\/a>$/i);
+        if(parsedId === null || Number(parsedId[2]) === 0) {
+            throw (new exception(retCode.errorCode.INVALID_QNA_ID, '[ERROR]: Invalid QnA pair id "' + currentLine + '". Ids follow <a id="<id>"></a> notation and are numbers greater than 0', position));
+        }
+        return Number(parsedId[2]);
+    },
+    /**
+     * Helper function to split current file content by sections. Each section needs a parser delimiter.
+     * Intent sections that follow a > @test comment are marked as test-only.
+     * > !# @app and @kb annotations are added as single line sections. > !# @intent and @qna annotations and <a id="<id>"></a> QnA pair ids are added to the next intent or QnA section.
      *
      * @param {string} fileContent string content of current file being parsed
-     * @param {boolean} log indicates if this function should write verbose messages to process.stdout
-     * @returns {string[]} List of parsed LUIS/ QnA sections in current file
-     * @throws {exception} Throws on errors. exception object includes errCode and text. 
+     * @param {diagnostic[]} diagnostics [Optional] collection that warnings found in the file are added to. Errors are added here as well if continueOnError is true
+     * @param {boolean} continueOnError [Optional] if true, lines with errors are reported in diagnostics and skipped instead of throwing
+     * @returns {section[]} List of parsed LUIS/ QnA sections in current file along with the line and column of every line in the section
+     * @throws {exception} Throws on errors. exception object includes errCode, text, line and column. 
      */
-    splitFileBySections : function(fileContent, log) {
+    splitFileBySections : function(fileContent, diagnostics, continueOnError) {
         fileContent = helpers.sanitizeNewLines(fileContent);
+        diagnostics = diagnostics?diagnostics:[];
         let linesInFile = fileContent.split(NEWLINE);
         let currentSection = null;
+        let currentPositions = [];
         let middleOfSection = false;
+        let skipToNextSection = false;
         let sectionsInFile = [];
         let currentSectionType = null; //PARSERCONSTS
         let inQnAAnswer = false;
-        let lineIndex = 0;
-        for(lineIndex in linesInFile) {
+        // > @test marks the next intent section as test-only
+        let nextSectionIsTestOnly = false;
+        let currentSectionIsTestOnly = false;
+        // > !# @intent and @qna annotations and QnA pair ids apply to the next intent or QnA section
+        let nextSectionAnnotations = {};
+        let currentSectionAnnotations = {};
+        // handle anything in currentSection buffer
+        const pushCurrentSection = function() {
+            if(currentSection === null) return;
+            let previousSection = new hClasses.section(currentSection.substring(0, currentSection.lastIndexOf(NEWLINE)), currentPositions, currentSectionIsTestOnly, currentSectionAnnotations);
+            currentSection = null;
+            currentPositions = [];
+            sectionsInFile = validateAndPushCurrentBuffer(previousSection, sectionsInFile, currentSectionType, diagnostics);
+        };
+        // start a new multi-line section with the current line
+        const startSection = function(currentLine, position, sectionType) {
+            middleOfSection = true;
+            currentSectionType = sectionType;
+            currentSectionIsTestOnly = nextSectionIsTestOnly && sectionType === PARSERCONSTS.INTENT;
+            nextSectionIsTestOnly = false;
+            currentSectionAnnotations = sectionType === PARSERCONSTS.INTENT ? nextSectionAnnotations : {};
+            nextSectionAnnotations = {};
+            currentSection = currentLine + NEWLINE;
+            currentPositions = [position];
+        };
+        for(let lineIndex = 0; lineIndex < linesInFile.length; lineIndex++) {
             let currentLine = linesInFile[lineIndex].trim();
-            // QnA answer can be multi-line markdown. So (re)set the in answer flag
-            if(currentLine.indexOf(PARSERCONSTS.ANSWER) === 0) {
-                inQnAAnswer = !inQnAAnswer;
-            }
-            // if in QnA answer, just add the new line.
-            if(inQnAAnswer) {
-                currentSection += currentLine + NEWLINE;
-                continue;
-            }
-            // skip line if it is just a comment
-            if(currentLine.indexOf(PARSERCONSTS.COMMENT) === 0) continue;
-
-            // skip line if it is blank
-            if(currentLine === '') continue;
-
-            // is this a FILEREF or URLREF section? 
-            if((currentLine.indexOf(PARSERCONSTS.FILEREF) === 0) ||
-            (currentLine.indexOf(PARSERCONSTS.URLREF) === 0)  ||
-            (currentLine.indexOf(PARSERCONSTS.URLORFILEREF) === 0)) {
-                // handle anything in currentSection buffer
-                if(currentSection !== null) {
-                    var previousSection = currentSection.substring(0, currentSection.lastIndexOf(NEWLINE));
-                    try {
-                        sectionsInFile = validateAndPushCurrentBuffer(previousSection, sectionsInFile, currentSectionType, lineIndex, log);
-                    } catch (err) {
-                        throw(err);
-                    }
+            // line and column of the first non white space character in this line
+            let position = {line: lineIndex + 1, column: linesInFile[lineIndex].search(/\S|$/) + 1};
+            try {
+                // QnA answer can be multi-line markdown. So (re)set the in answer flag
+                if(currentLine.indexOf(PARSERCONSTS.ANSWER) === 0) {
+                    inQnAAnswer = !inQnAAnswer;
                 }
-                currentSection = null;
-                sectionsInFile.push(currentLine);
-                middleOfSection = false;
-            } else if((currentLine.indexOf(PARSERCONSTS.INTENT) === 0)) {
-                if(currentLine.indexOf(' ') === -1) {
-                    ++lineIndex;
-                    throw(new exception(retCode.errorCode.INVALID_INTENT, 'Error: Line #' + lineIndex + '. "' + currentLine + '" does not have valid intent definition'));
+                // if in QnA answer, just add the new line.
+                if(inQnAAnswer) {
+                    currentSection += currentLine + NEWLINE;
+                    currentPositions.push(position);
+                    continue;
                 }
-                // handle anything in currentSection buffer
-                if(currentSection !== null) {
-                    let previousSection = currentSection.substring(0, currentSection.lastIndexOf(NEWLINE));
-                    try {
-                        sectionsInFile = validateAndPushCurrentBuffer(previousSection, sectionsInFile, currentSectionType, lineIndex, log);
-                    } catch (err) {
-                        throw(err);
+                // skip line if it is just a comment
+                if(currentLine.indexOf(PARSERCONSTS.COMMENT) === 0) {
+                    let comment = currentLine.substring(PARSERCONSTS.COMMENT.length).trim();
+                    if(comment.toLowerCase() === PARSERCONSTS.TESTANNOTATION) nextSectionIsTestOnly = true;
+                    if(comment.indexOf(PARSERCONSTS.ANNOTATION) === 0) {
+                        let annotation = helpers.parseAnnotation(currentLine, position, diagnostics);
+                        if(annotation && (annotation.scope === 'intent' || annotation.scope === 'qna')) {
+                            nextSectionAnnotations[annotation.property] = annotation.value;
+                        } else if(annotation) {
+                            sectionsInFile.push(new hClasses.section(currentLine, [position]));
+                        }
                     }
+                    continue;
                 }
-                middleOfSection = true;
-                currentSectionType = PARSERCONSTS.INTENT;
-                currentSection = currentLine + NEWLINE;
-            } else if((currentLine.indexOf(PARSERCONSTS.ENTITY) === 0)) {
-                // handle anything in currentSection buffer
-                if(currentSection !== null) {
-                    let previousSection = currentSection.substring(0, currentSection.lastIndexOf(NEWLINE));
-                    try {
-                        sectionsInFile = validateAndPushCurrentBuffer(previousSection, sectionsInFile, currentSectionType, lineIndex, log);
-                    } catch (err) {
-                        throw(err);
+
+                // <a id="<id>"></a> sets the id of the next QnA pair
+                if(currentLine.toLowerCase().indexOf(PARSERCONSTS.QNAID) === 0) {
+                    nextSectionAnnotations.id = helpers.parseQnAId(currentLine, position);
+                    continue;
+                }
+
+                // skip line if it is blank
+                if(currentLine === '') continue;
+
+                // is this a FILEREF or URLREF section? 
+                if((currentLine.indexOf(PARSERCONSTS.FILEREF) === 0) ||
+                (currentLine.indexOf(PARSERCONSTS.URLREF) === 0)  ||
+                (currentLine.indexOf(PARSERCONSTS.URLORFILEREF) === 0)) {
+                    skipToNextSection = false;
+                    pushCurrentSection();
+                    sectionsInFile.push(new hClasses.section(currentLine, [position]));
+                    middleOfSection = false;
+                } else if((currentLine.indexOf(PARSERCONSTS.INTENT) === 0)) {
+                    skipToNextSection = false;
+                    pushCurrentSection();
+                    if(currentLine.indexOf(' ') === -1) {
+                        throw(new exception(retCode.errorCode.INVALID_INTENT, '[ERROR]: "' + currentLine + '" does not have valid intent definition', position));
                     }
-                } 
-                // is this a valid entity definition? 
-                // Entities must have $<entityName>:<entityType> format
-                // List entities have $<entityName>:<normalizedvalue>= format
-                // Phrase list entities have $<entityName>:phraseList format
-                // only list entity and phrase list entity types can have multi-line definition
-                if(currentLine.toLowerCase().includes(':')) {
-                    // get entity name and type
-                    let entityDef = currentLine.replace(PARSERCONSTS.ENTITY, '').split(':');
-                    let entityType = entityDef[1];
-                    // is entityType a phraseList? 
-                    if(entityType.trim().toLowerCase().includes('phraselist') || entityType.trim().toLowerCase().includes('qna-alterations')) {
-                        middleOfSection = true;
-                        currentSectionType = PARSERCONSTS.ENTITY;
-                        currentSection = currentLine + NEWLINE;
-                    } else if(LUISBuiltInTypes.includes(entityType.trim()) || entityType.trim().toLowerCase().includes('simple')) {
-                        // this is a built in type definition. Just add it.
-                        sectionsInFile.push(currentLine);
-                        middleOfSection = false;
-                        currentSection = null;
-                    } else if((currentLine.indexOf('=') >= 0)) {
-                        // this is a list entity type
-                        if(currentLine.indexOf('=') === (currentLine.length - 1)){
-                            middleOfSection = true;
-                            currentSectionType = PARSERCONSTS.ENTITY;
-                            currentSection = currentLine + NEWLINE;
+                    startSection(currentLine, position, PARSERCONSTS.INTENT);
+                } else if(currentLine.indexOf(PARSERCONSTS.QNATABLE) === 0) {
+                    skipToNextSection = false;
+                    // rows of a QnA table are one section
+                    if(middleOfSection && currentSectionType === PARSERCONSTS.QNATABLE) {
+                        currentSection += currentLine + NEWLINE;
+                        currentPositions.push(position);
+                    } else {
+                        pushCurrentSection();
+                        startSection(currentLine, position, PARSERCONSTS.QNATABLE);
+                    }
+                } else if((currentLine.indexOf(PARSERCONSTS.ENTITY) === 0)) {
+                    skipToNextSection = false;
+                    pushCurrentSection();
+                    // is this a valid entity definition? 
+                    // Entities must have $<entityName>:<entityType> format
+                    // List entities have $<entityName>:<normalizedvalue>= format
+                    // Phrase list entities have $<entityName>:phraseList format
+                    // Regex entities have $<entityName>:/<regexPattern>/ format
+                    // Composite entities have $<entityName>:[<child1>, <child2>] format
+                    // only list entity and phrase list entity types can have multi-line definition
+                    if(currentLine.toLowerCase().includes(':')) {
+                        // get entity name and type
+                        let entityType = currentLine.substring(currentLine.indexOf(':') + 1);
+                        // is entityType a regex pattern?
+                        if(entityType.trim().indexOf(PARSERCONSTS.REGEX) === 0) {
+                            if(!helpers.isRegexEntityDefinition(entityType)) {
+                                throw (new exception(retCode.errorCode.INVALID_REGEX_ENTITY, '[ERROR] Invalid regex entity definition for ' + currentLine + '\n Regex entities follow $<entityName>:/<regexPattern>/ notation', position));
+                            }
+                            sectionsInFile.push(new hClasses.section(currentLine, [position]));
+                            middleOfSection = false;
+                        } else if(entityType.trim().indexOf(PARSERCONSTS.COMPOSITESTART) === 0) {
+                            // is entityType a composite definition?
+                            if(helpers.parseCompositeChildren(entityType) === undefined) {
+                                throw (new exception(retCode.errorCode.INVALID_COMPOSITE_ENTITY, '[ERROR] Invalid composite entity definition for ' + currentLine + '\n Composite entities follow $<entityName>:[<childEntity1>, <childEntity2>] notation', position));
+                            }
+                            sectionsInFile.push(new hClasses.section(currentLine, [position]));
+                            middleOfSection = false;
+                        } else if(entityType.trim().toLowerCase().includes('phraselist') || entityType.trim().toLowerCase().includes('qna-alterations')) {
+                            startSection(currentLine, position, PARSERCONSTS.ENTITY);
+                        } else if(LUISBuiltInTypes.includes(entityType.trim()) || entityType.trim().toLowerCase().includes('simple')) {
+                            // this is a built in type definition. Just add it.
+                            sectionsInFile.push(new hClasses.section(currentLine, [position]));
+                            middleOfSection = false;
+                        } else if((currentLine.indexOf('=') >= 0)) {
+                            // this is a list entity type
+                            if(currentLine.indexOf('=') === (currentLine.length - 1)){
+                                startSection(currentLine, position, PARSERCONSTS.ENTITY);
+                            } else {
+                                throw (new exception(retCode.errorCode.INVALID_INPUT, '[ERROR] Invalid list entity definition for ' + currentLine + '\n List entities follow $<entityName>:<normalizedValue>= notation', position));
+                            }
                         } else {
-                            throw (new exception(retCode.errorCode.INVALID_INPUT, '[ERROR] Invalid list entity definition for ' + currentLine + '\n List entities follow $<entityName>:<normalizedValue>= notation'));
+                            throw (new exception(retCode.errorCode.INVALID_INPUT, '[ERROR] Invalid entity definition for ' + currentLine, position));
                         }
                     } else {
-                        throw (new exception(retCode.errorCode.INVALID_INPUT, '[ERROR] Invalid entity definition for ' + currentLine));
+                        throw (new exception(retCode.errorCode.INVALID_INPUT, '[ERROR] Invalid entity definition for ' + currentLine, position));
                     }
                 } else {
-                    throw (new exception(retCode.errorCode.INVALID_INPUT, '[ERROR] Invalid entity definition for ' + currentLine));
-                }
-            } else {
-                if(middleOfSection) {
-                    currentSection += currentLine + NEWLINE;
-                } else {
-                    ++lineIndex;
-                    throw(new exception(retCode.errorCode.INVALID_LINE,'Error: Line #' + lineIndex + ' is not part of a Intent/ Entity/ QnA'));
+                    if(skipToNextSection) continue;
+                    if(middleOfSection) {
+                        currentSection += currentLine + NEWLINE;
+                        currentPositions.push(position);
+                    } else {
+                        throw(new exception(retCode.errorCode.INVALID_LINE, '[ERROR]: Line is not part of a Intent/ Entity/ QnA', position));
+                    }
                 }
-            }
-        }
-        // handle anything in currentSection buffer
-        if(currentSection !== null) {
-            let previousSection = currentSection.substring(0, currentSection.lastIndexOf(NEWLINE));
-            try {
-                sectionsInFile = validateAndPushCurrentBuffer(previousSection, sectionsInFile, currentSectionType, lineIndex, log);
             } catch (err) {
-                throw (err);
+                if(!continueOnError) throw (err);
+                diagnostics.push(diagnostic.fromException(err));
+                // skip the rest of the section that has the error
+                currentSection = null;
+                currentPositions = [];
+                middleOfSection = false;
+                skipToNextSection = true;
             }
         }
+        try {
+            pushCurrentSection();
+        } catch (err) {
+            if(!continueOnError) throw (err);
+            diagnostics.push(diagnostic.fromException(err));
+        }
         return sectionsInFile;
     },
+    /**
+     * Helper function to check if an entity type is a /regexPattern/ definition
+     * @param {string} entityType entity type portion of the entity definition
+     * @returns {boolean} true if this is a regex entity definition with a non-empty pattern
+     */
+    isRegexEntityDefinition : function(entityType) {
+        entityType = entityType.trim();
+        return (entityType.length > 2 &&
+                entityType.indexOf(PARSERCONSTS.REGEX) === 0 &&
+                entityType.lastIndexOf(PARSERCONSTS.REGEX) === entityType.length - 1);
+    },
+    /**
+     * Helper function to get the list of children from a [child1, child2] composite entity definition
+     * @param {string} entityType entity type portion of the entity definition
+     * @returns {string[]} list of child entity names. undefined if this is not a valid composite definition
+     */
+    parseCompositeChildren : function(entityType) {
+        entityType = entityType.trim();
+        if(entityType.indexOf(PARSERCONSTS.COMPOSITESTART) !== 0 ||
+           entityType.lastIndexOf(PARSERCONSTS.COMPOSITEEND) !== entityType.length - 1) return undefined;
+        let children = entityType.slice(1, -1).split(',').map(child => child.trim());
+        if(children.includes('')) return undefined;
+        return children;
+    },
+    /**
+     * Helper function to add source position to an exception that does not already have one
+     * @param {Object} err error thrown by the parser
+     * @param {Object} position [Optional] line and column to add to the exception
+     * @param {string} srcFile [Optional] name of the file being parsed
+     * @returns {exception} exception object with source position. Errors that are not parser exceptions are returned as-is
+     */
+    addPositionToError : function(err, position, srcFile) {
+        if(!err || err.errCode === undefined) return err;
+        let error = new exception(err);
+        if(!error.line && position) {
+            error.line = position.line;
+            error.column = position.column;
+        }
+        if(!error.file && srcFile) error.file = srcFile;
+        return error;
+    },
     /**
      * Helper function to do a filter operation based search over an Array
      * @param {Array} srcList Object to filter on
@@ -233,39 +449,38 @@ const helpers = {
 /**
  * Internal helper function to examine type of content in the current buffer and provide validation errors based on content type
  *
- * @param {string} previousSection Contents of of the prior section being parsed
- * @param {string[]} sectionsInFile array of strings of prior sections parsed in current file
+ * @param {section} previousSection Contents of of the prior section being parsed
+ * @param {section[]} sectionsInFile array of prior sections parsed in current file
  * @param {PARSERCONSTS} currentSectionType type of current section parsed
- * @param {int} lineIndex current line index being parsed
- * @param {boolean} log indicates if this function should write verbose messages to process.stdout
- * @returns {string[]} updated sections in current file being parsed.
- * @throws {exception} Throws on errors. exception object includes errCode and text. 
+ * @param {diagnostic[]} diagnostics collection to add warnings to
+ * @returns {section[]} updated sections in current file being parsed.
+ * @throws {exception} Throws on errors. exception object includes errCode, text, line and column. 
  */
-var validateAndPushCurrentBuffer = function(previousSection, sectionsInFile, currentSectionType, lineIndex, log) {
-    previousSection = helpers.sanitizeNewLines(previousSection);
+var validateAndPushCurrentBuffer = function(previousSection, sectionsInFile, currentSectionType, diagnostics) {
+    let linesInSection = previousSection.content.split(NEWLINE);
+    let position = previousSection.positions[0];
     switch(currentSectionType) {
     case PARSERCONSTS.INTENT:
         // warn if there isnt at least one utterance in an intent
-        if(previousSection.split(NEWLINE).length === 1)  {
-            ++lineIndex;
-            if(previousSection.split(NEWLINE)[0].includes('?')) {
-                throw(new exception(retCode.errorCode.INVALID_LINE, 'Line #' + lineIndex + ': [ERR] No answer found for question: ' + previousSection.split(NEWLINE)[0]));
+        if(linesInSection.length === 1)  {
+            if(linesInSection[0].includes('?')) {
+                throw(new exception(retCode.errorCode.INVALID_LINE, '[ERROR]: No answer found for question: ' + linesInSection[0], position));
             } else {
-                if(log) process.stdout.write(chalk.yellow('Line #' + lineIndex + ': [WARN] No utterances found for intent: ' + previousSection.split(NEWLINE)[0] + NEWLINE));
+                diagnostics.push(new diagnostic(severityEnum.WARNING, retCode.errorCode.INVALID_INTENT, '[WARN] No utterances found for intent: ' + linesInSection[0], undefined, position.line, position.column));
             }
-            --lineIndex;
         }
         sectionsInFile.push(previousSection);
         break;
     case PARSERCONSTS.ENTITY:
         // warn if there isnt at least one synonym for a list entity
-        if(previousSection.split(NEWLINE).length === 1)  {
-            ++lineIndex;
-            if(log) process.stdout.write(chalk.yellow('Line #' + lineIndex + ': [WARN] No synonyms list found for list entity:' + previousSection.split(NEWLINE)[0] + NEWLINE));
-            --lineIndex;
+        if(linesInSection.length === 1)  {
+            diagnostics.push(new diagnostic(severityEnum.WARNING, retCode.errorCode.SYNONYMS_NOT_A_LIST, '[WARN] No synonyms list found for list entity:' + linesInSection[0], undefined, position.line, position.column));
         }
         sectionsInFile.push(previousSection);
         break;
+    case PARSERCONSTS.QNATABLE:
+        sectionsInFile.push(previousSection);
+        break;
     }
     return sectionsInFile;
 };
@@ -0,0 +1,248 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const deepEqual = require('deep-equal');
+const retCode = require('./enums/CLI-errors');
+const severityEnum = require('./enums/diagnosticseverity');
+const lintRules = require('./enums/lintrules');
+const exception = require('./classes/exception');
+const diagnostic = require('./classes/diagnostic');
+const sourcePositions = require('./source-positions');
+// default severity and options for every lint rule. Override these in .ludownrc
+const defaultRulesConfig = {
+    [lintRules.MIN_UTTERANCES]: [severityEnum.WARNING, {min: 5}],
+    [lintRules.DUPLICATE_UTTERANCE]: severityEnum.ERROR,
+    [lintRules.UNUSED_ENTITY]: severityEnum.WARNING,
+    [lintRules.PATTERN_ANY_SHADOWS_SIMPLE_ENTITY]: severityEnum.ERROR,
+    [lintRules.DUPLICATE_PHRASELIST_WORD]: severityEnum.WARNING,
+    [lintRules.DUPLICATE_QNA_QUESTION]: severityEnum.ERROR
+};
+const lintHelpers = {
+    /**
+     * Helper function to merge rules configuration from .ludownrc with the default rules configuration
+     * Each rule can be configured as "<severity>" or ["<severity>", {options}]. Severity can be error, warning or off
+     * @param {Object} config parsed .ludownrc content. Rules configuration is under the rules property
+     * @returns {Object} Rules configuration. Each rule includes severity and options
+     * @throws {exception} Throws on errors. exception object includes errCode and text.
+     */
+    getRulesConfig: function(config) {
+        let userRules = (config && config.rules) ? config.rules : {};
+        Object.keys(userRules).forEach(ruleName => {
+            if(defaultRulesConfig[ruleName] === undefined) {
+                throw(new exception(retCode.errorCode.INVALID_LINT_CONFIG, '[ERROR]: Unknown lint rule "' + ruleName + '". Supported rules: ' + Object.keys(defaultRulesConfig).join(', ')));
+            }
+        });
+        let rulesConfig = {};
+        Object.keys(defaultRulesConfig).forEach(ruleName => {
+            let defaultRule = normalizeRuleConfig(ruleName, defaultRulesConfig[ruleName]);
+            let rule = userRules[ruleName] !== undefined ? normalizeRuleConfig(ruleName, userRules[ruleName]) : defaultRule;
+            rulesConfig[ruleName] = {
+                severity: rule.severity,
+                options: Object.assign({}, defaultRule.options, rule.options)
+            };
+        });
+        return rulesConfig;
+    },
+    /**
+     * Helper function to run all enabled lint rules over parsed .lu content
+     * @param {Object} allParsedContent Object with LUISContent and QnAContent arrays of parsed content per file
+     * @param {Object} rulesConfig Rules configuration from getRulesConfig
+     * @returns {diagnostic []} List of problems found
+     */
+    lintParsedContent: function(allParsedContent, rulesConfig) {
+        // only lint content that ends up in the final model
+        let LUISContent = (allParsedContent.LUISContent || []).filter(item => item.includeInCollate);
+        let QnAContent = (allParsedContent.QnAContent || []).filter(item => item.includeInCollate);
+        let diagnostics = [];
+        Object.keys(ruleHandlers).forEach(ruleName => {
+            let rule = rulesConfig[ruleName];
+            if(!rule || rule.severity === severityEnum.OFF) return;
+            ruleHandlers[ruleName](LUISContent, QnAContent, rule.options).forEach(problem => {
+                // problems are reported where the item was defined. Items added when references are resolved have no position
+                let position = problem.position || {};
+                diagnostics.push(new diagnostic(rule.severity, retCode.errorCode.LINT_RULE_VIOLATION, problem.text, problem.file, position.line, position.column, ruleName));
+            });
+        });
+        return diagnostics;
+    }
+};
+
+/**
+ * Helper function to validate and normalize the configuration of a rule to {severity, options}
+ * @param {string} ruleName name of the rule
+ * @param {string|Array} ruleConfig "<severity>" or ["<severity>", {options}]
+ * @returns {Object} Object with severity and options
+ * @throws {exception} Throws on errors. exception object includes errCode and text.
+ */
+const normalizeRuleConfig = function(ruleName, ruleConfig) {
+    let severity = Array.isArray(ruleConfig) ? ruleConfig[0] : ruleConfig;
+    let options = (Array.isArray(ruleConfig) && ruleConfig[1]) ? ruleConfig[1] : {};
+    if(![severityEnum.ERROR, severityEnum.WARNING, severityEnum.OFF].includes(severity)) {
+        throw(new exception(retCode.errorCode.INVALID_LINT_CONFIG, '[ERROR]: Invalid severity "' + severity + '" for lint rule "' + ruleName + '". Severity must be one of error, warning or off'));
+    }
+    return {
+        severity: severity,
+        options: options
+    };
+};
+/**
+ * Helper function to normalize text for comparison
+ * @param {string} text text to normalize
+ * @returns {string} trimmed lower case text
+ */
+const normalizeText = function(text) {
+    return (text || '').trim().toLowerCase();
+};
+/**
+ * Lint rule: intents with fewer than options.min utterances
+ * @param {parserObj []} LUISContent parsed LUIS content per file
+ * @param {parserObj []} QnAContent parsed QnA content per file
+ * @param {Object} options rule options. min is the minimum number of utterances per intent
+ * @returns {Object []} problems found. Each problem has text, file and position
+ */
+const checkMinUtterances = function(LUISContent, QnAContent, options) {
+    let intents = new Map();
+    LUISContent.forEach(blob => {
+        blob.LUISJsonStructure.intents.forEach(intent => {
+            if(!intents.has(intent.name)) intents.set(intent.name, {file: blob.srcFile, position: sourcePositions.get(intent), count: 0});
+        });
+    });
+    LUISContent.forEach(blob => {
+        blob.LUISJsonStructure.utterances.forEach(utterance => {
+            if(intents.has(utterance.intent)) intents.get(utterance.intent).count++;
+        });
+    });
+    let problems = [];
+    intents.forEach((intent, intentName) => {
+        if(intent.count < options.min) {
+            problems.push({file: intent.file, position: intent.position, text: 'Intent "' + intentName + '" has ' + intent.count + ' utterance(s). Add at least ' + options.min + ' utterances per intent.'});
+        }
+    });
+    return problems;
+};
+/**
+ * Lint rule: identical utterances under two or more intents
+ * @param {parserObj []} LUISContent parsed LUIS content per file
+ * @returns {Object []} problems found. Each problem has text, file and position
+ */
+const checkDuplicateUtterances = function(LUISContent) {
+    let utterances = new Map();
+    let problems = [];
+    LUISContent.forEach(blob => {
+        blob.LUISJsonStructure.utterances.forEach(utterance => {
+            let key = normalizeText(utterance.text);
+            if(!utterances.has(key)) {
+                utterances.set(key, [utterance.intent]);
+                return;
+            }
+            let intentsWithUtterance = utterances.get(key);
+            if(intentsWithUtterance.includes(utterance.intent)) return;
+            problems.push({file: blob.srcFile, position: sourcePositions.get(utterance), text: 'Utterance "' + utterance.text + '" in intent "' + utterance.intent + '" is also an utterance in intent "' + intentsWithUtterance[0] + '".'});
+            intentsWithUtterance.push(utterance.intent);
+        });
+    });
+    return problems;
+};
+/**
+ * Lint rule: simple and composite entities that are declared but never labelled in an utterance or used in a pattern
+ * @param {parserObj []} LUISContent parsed LUIS content per file
+ * @returns {Object []} problems found. Each problem has text, file and position
+ */
+const checkUnusedEntities = function(LUISContent) {
+    let usedEntities = new Set();
+    LUISContent.forEach(blob => {
+        blob.LUISJsonStructure.utterances.forEach(utterance => {
+            (utterance.entities || []).forEach(entity => usedEntities.add(entity.entity));
+        });
+        blob.LUISJsonStructure.patterns.forEach(pattern => {
+            (pattern.pattern.match(/\{[^}]*\}/g) || []).forEach(entityRef => usedEntities.add(entityRef.slice(1, -1).split(':')[0].trim()));
+        });
+    });
+    let problems = [];
+    let reported = new Set();
+    LUISContent.forEach(blob => {
+        blob.LUISJsonStructure.entities.concat(blob.LUISJsonStructure.composites || []).forEach(entity => {
+            if(usedEntities.has(entity.name) || reported.has(entity.name)) return;
+            reported.add(entity.name);
+            problems.push({file: blob.srcFile, position: sourcePositions.get(entity), text: 'Entity "' + entity.name + '" is declared but never labelled in an utterance or used in a pattern.'});
+        });
+    });
+    return problems;
+};
+/**
+ * Lint rule: pattern.any entities that have the same name as a simple entity in a different case
+ * @param {parserObj []} LUISContent parsed LUIS content per file
+ * @returns {Object []} problems found. Each problem has text, file and position
+ */
+const checkPatternAnyShadowsSimpleEntity = function(LUISContent) {
+    let simpleEntities = new Map();
+    LUISContent.forEach(blob => {
+        blob.LUISJsonStructure.entities.forEach(entity => simpleEntities.set(normalizeText(entity.name), entity.name));
+    });
+    let problems = [];
+    LUISContent.forEach(blob => {
+        blob.LUISJsonStructure.patternAnyEntities.forEach(entity => {
+            let simpleEntity = simpleEntities.get(normalizeText(entity.name));
+            if(simpleEntity === undefined || simpleEntity === entity.name) return;
+            problems.push({file: blob.srcFile, position: sourcePositions.get(entity), text: 'Pattern.any entity "' + entity.name + '" shadows simple entity "' + simpleEntity + '". Use "{' + simpleEntity + '}" in the pattern to refer to the simple entity.'});
+        });
+    });
+    return problems;
+};
+/**
+ * Lint rule: phrase lists that have the same word more than once
+ * @param {parserObj []} LUISContent parsed LUIS content per file
+ * @returns {Object []} problems found. Each problem has text, file and position
+ */
+const checkDuplicatePhraseListWords = function(LUISContent) {
+    let problems = [];
+    LUISContent.forEach(blob => {
+        blob.LUISJsonStructure.model_features.forEach(phraseList => {
+            let words = new Set();
+            phraseList.words.split(',').forEach(word => {
+                let key = normalizeText(word);
+                if(words.has(key)) {
+                    problems.push({file: blob.srcFile, position: sourcePositions.get(phraseList), text: 'Phrase list "' + phraseList.name + '" has duplicate word "' + word.trim() + '".'});
+                }
+                words.add(key);
+            });
+        });
+    });
+    return problems;
+};
+/**
+ * Lint rule: QnA pairs that have the same question
+ * @param {parserObj []} LUISContent parsed LUIS content per file
+ * @param {parserObj []} QnAContent parsed QnA content per file
+ * @returns {Object []} problems found. Each problem has text, file and position
+ */
+const checkDuplicateQnAQuestions = function(LUISContent, QnAContent) {
+    let questions = new Map();
+    let problems = [];
+    QnAContent.forEach(blob => {
+        blob.qnaJsonStructure.qnaList.forEach(qnaPair => {
+            qnaPair.questions.forEach(question => {
+                let key = normalizeText(question);
+                let existingPair = questions.get(key);
+                if(existingPair === undefined) {
+                    questions.set(key, qnaPair);
+                } else if(existingPair === qnaPair || !deepEqual(existingPair, qnaPair)) {
+                    // identical QnA pairs across files are merged when collated and are not duplicates.
+                    problems.push({file: blob.srcFile, position: sourcePositions.get(qnaPair), text: 'Question "' + question + '" is defined more than once.'});
+                }
+            });
+        });
+    });
+    return problems;
+};
+const ruleHandlers = {
+    [lintRules.MIN_UTTERANCES]: checkMinUtterances,
+    [lintRules.DUPLICATE_UTTERANCE]: checkDuplicateUtterances,
+    [lintRules.UNUSED_ENTITY]: checkUnusedEntities,
+    [lintRules.PATTERN_ANY_SHADOWS_SIMPLE_ENTITY]: checkPatternAnyShadowsSimpleEntity,
+    [lintRules.DUPLICATE_PHRASELIST_WORD]: checkDuplicatePhraseListWords,
+    [lintRules.DUPLICATE_QNA_QUESTION]: checkDuplicateQnAQuestions
+};
+
+module.exports = lintHelpers;
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const chalk = require('chalk');
+const fs = require('fs');
+const path = require('path');
+const retCode = require('./enums/CLI-errors');
+const severityEnum = require('./enums/diagnosticseverity');
+const parser = require('./parser');
+const lintHelpers = require('./lint-helpers');
+const exception = require('./classes/exception');
+const LINT_CONFIG_FILE = '.ludownrc';
+const lintModule = {
+    /**
+     * Helper function to parse and run lint rules on .lu files without writing out any files
+     * @param {object} program parsed program object from commander
+     * @returns {void} nothing
+     * @throws {exception} Throws on errors or if any lint rule with error severity fails. exception object includes errCode and text.
+     */
+    lintFiles: async function(program) {
+        if(program.diagnostics !== undefined && program.diagnostics.toLowerCase() !== 'json') {
+            throw(new exception(retCode.errorCode.INVALID_INPUT, '[ERROR]: Unsupported diagnostics format "' + program.diagnostics + '". Supported formats: json'));
+        }
+        let rulesConfig;
+        try {
+            rulesConfig = lintHelpers.getRulesConfig(getLintConfig(program));
+        } catch (err) {
+            throw (err);
+        }
+        // report parse errors along with lint rule violations
+        let diagnostics = [];
+        let parsedFiles;
+        try {
+            parsedFiles = await parser.parseFiles(program, diagnostics, true);
+        } catch (err) {
+            throw (err);
+        }
+        lintHelpers.lintParsedContent(parsedFiles.allParsedContent, rulesConfig).forEach(item => diagnostics.push(item));
+        let errorCount = diagnostics.filter(item => item.severity === severityEnum.ERROR).length;
+        let warningCount = diagnostics.length - errorCount;
+        if(program.diagnostics !== undefined) {
+            // same as parse --diagnostics json so stdout only has --verbose logs
+            parser.outputDiagnostics(program, diagnostics);
+        } else if(diagnostics.length !== 0) {
+            diagnostics.forEach(item => {
+                let color = item.severity === severityEnum.ERROR ? chalk.default.redBright : chalk.default.yellowBright;
+                process.stdout.write(color(item.location() + ' - [' + item.severity + '] ' + item.text + (item.rule ? ' (' + item.rule + ')' : '') + '\n'));
+            });
+            process.stdout.write(diagnostics.length + ' problem(s) (' + errorCount + ' error(s), ' + warningCount + ' warning(s))\n');
+        }
+        if(errorCount !== 0) {
+            throw(new exception(retCode.errorCode.LINT_RULE_VIOLATION, '[ERROR]: ' + errorCount + ' error(s) found.'));
+        }
+    }
+};
+/**
+ * Helper function to load lint configuration.
+ * Uses the file passed in --config or the closest .ludownrc file found by walking up from the input file or folder
+ * @param {object} program parsed program object from commander
+ * @returns {Object} parsed lint configuration. Empty object if no configuration file is found
+ * @throws {exception} Throws on errors. exception object includes errCode and text.
+ */
+const getLintConfig = function(program) {
+    let configFile = program.config;
+    if(!configFile) {
+        let folder = path.resolve(program.lu_folder ? program.lu_folder : path.dirname(program.in || ''));
+        while(!configFile) {
+            if(fs.existsSync(path.join(folder, LINT_CONFIG_FILE))) {
+                configFile = path.join(folder, LINT_CONFIG_FILE);
+            } else if(path.dirname(folder) === folder) {
+                return {};
+            } else {
+                folder = path.dirname(folder);
+            }
+        }
+    }
+    if(!fs.existsSync(configFile)) {
+        throw(new exception(retCode.errorCode.INVALID_LINT_CONFIG, '[ERROR]: Unable to open lint configuration file ' + configFile));
+    }
+    try {
+        return JSON.parse(fs.readFileSync(configFile, 'utf-8'));
+    } catch (err) {
+        throw(new exception(retCode.errorCode.INVALID_LINT_CONFIG, '[ERROR]: Lint configuration file ' + configFile + ' is not valid JSON. ' + err.message));
+    }
+};
+
+module.exports = lintModule;
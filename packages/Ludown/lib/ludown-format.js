@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const program = require('commander');
+const chalk = require('chalk');
+const format = require('../lib/format');
+const retCode = require('../lib/enums/CLI-errors');
+const diagnostic = require('../lib/classes/diagnostic');
+program.Command.prototype.unknownOption = function () {
+    process.stderr.write(chalk.default.redBright(`\n  Unknown arguments: ${process.argv.slice(2).join(' ')}\n`));
+    program.help();
+};
+program
+    .name("ludown format")
+    .description(`Rewrite .lu file(s) in canonical form. Use --check to only verify that files are formatted`)
+    .usage('--in <luFile> | --lu_folder <inputFolder> [-s] [--check]')
+    .option('--in <luFile>', '.lu file to format')
+    .option('-l, --lu_folder <inputFolder>', '[Optional] Folder with .lu file(s). By default ludown will only look at the current folder. -s to include subfolders')
+    .option('-s, --subfolder', '[Optional] Include sub-folders as well when looking for .lu files')
+    .option('--check', '[Optional] Do not write any files. Exit with a non-zero code if any file is not formatted')
+    .option('--verbose', '[Optional] Get verbose messages from formatter')
+    .parse(process.argv);
+
+if (process.argv.length < 4) {
+    program.help();
+} else {
+    if (!program.in && !program.lu_folder) {
+        process.stderr.write(chalk.default.redBright(`\n  No .lu file or folder specified.\n`));
+        program.help();
+    }
+    format.formatFiles(program)
+        .then(function () {
+            process.exit(retCode.errorCode.SUCCESS);
+        })
+        .catch(function (err) {
+            process.stderr.write(chalk.default.redBright(diagnostic.fromException(err).toString() + '\n'));
+            process.exit(err.errCode);
+        });
+}
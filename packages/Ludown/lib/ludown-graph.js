@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const program = require('commander');
+const chalk = require('chalk');
+const graph = require('../lib/graph');
+const retCode = require('../lib/enums/CLI-errors');
+const conditions = require('../lib/conditions');
+const diagnostic = require('../lib/classes/diagnostic');
+program.Command.prototype.unknownOption = function () {
+    process.stderr.write(chalk.default.redBright(`\n  Unknown arguments: ${process.argv.slice(2).join(' ')}\n`));
+    program.help();
+};
+program
+    .name("ludown graph")
+    .description(`Write out the graph of file and intent references across .lu file(s) as JSON or Graphviz DOT`)
+    .usage('--in <luFile> | --lu_folder <inputFolder> [-s] [-f json|dot]')
+    .option('--in <luFile>', 'Root .lu file')
+    .option('-l, --lu_folder <inputFolder>', '[Optional] Folder with .lu file(s). By default ludown will only look at the current folder. -s to include subfolders')
+    .option('-s, --subfolder', '[Optional] Include sub-folders as well when looking for .lu files')
+    .option('-c, --luis_culture <luis_appCulture>', '[Optional] LUIS app culture. Overrides @app.culture in the .lu file(s). Defaults to en-us')
+    .option('-f, --format <format>', '[Optional] Output format. Supported formats: json, dot', 'json')
+    .option('--out <OutFileName>', '[Optional] Output file name for the graph. By default the graph is written to stdout')
+    .option('--verbose', '[Optional] Get verbose messages from parser. Needs --out')
+    .option('--no-cache', '[Optional] Parse all .lu files again instead of picking up unchanged files from the parse cache')
+    .option('--cache_folder <cacheFolder>', '[Optional] Folder to keep the parse cache in. Defaults to .ludown/cache under the home folder')
+    .option('--ref_mirror <mirrorFolder>', '[Optional] Resolve URL references from this folder instead of the network. See docs/lu-file-format.md')
+    .option('--define <name=value>', '[Optional] Set a variable for > !# @if conditions in .lu files. Repeat to set more than one variable', conditions.collectDefine)
+    .parse(process.argv);
+
+if (process.argv.length < 4) {
+    program.help();
+} else {
+    if (!program.in && !program.lu_folder) {
+        process.stderr.write(chalk.default.redBright(`\n  No .lu file or folder specified.\n`));
+        program.help();
+    }
+    graph.writeGraph(program)
+        .then(function () {
+            process.exit(retCode.errorCode.SUCCESS);
+        })
+        .catch(function (err) {
+            process.stderr.write(chalk.default.redBright(diagnostic.fromException(err).toString() + '\n'));
+            process.exit(err.errCode);
+        });
+}
@@ -7,7 +7,9 @@ const program = require('commander');
 const fParser = require('../lib/parser');
 const chalk = require('chalk');
 const retCode = require('../lib/enums/CLI-errors');
+const conditions = require('../lib/conditions');
 const cmdEnum = require('../lib/enums/parsecommands');
+const diagnostic = require('../lib/classes/diagnostic');
 program.Command.prototype.unknownOption = function () {
     process.stderr.write(chalk.default.redBright(`\n  Unknown arguments: ${process.argv.slice(2).join(' ')}\n`));
     program.help();
@@ -20,13 +22,24 @@ program
     .option('-l, --lu_folder <inputFolder>', '[Optional] Folder that has the .lu file. By default ludown will only look at the current folder. To look at all subfolders, include -s')
     .option('-o, --out_folder <outputFolder>', '[Optional] Output folder for all files the tool will generate')
     .option('-s, --subfolder', '[Optional] Include sub-folders as well when looking for .lu files')
-    .option('-n, --luis_name <luis_appName>', '[Optional] LUIS app name')
-    .option('-d, --luis_desc <luis_appDesc>', '[Optional] LUIS app description')
-    .option('-i, --luis_versionId <luis_versionId>', '[Optional] LUIS app version', '0.1')
-    .option('-c, --luis_culture <luis_appCulture>', '[Optional] LUIS app culture', 'en-us')
+    .option('-n, --luis_name <luis_appName>', '[Optional] LUIS app name. Overrides @app.name in the .lu file(s)')
+    .option('-d, --luis_desc <luis_appDesc>', '[Optional] LUIS app description. Overrides @app.desc in the .lu file(s)')
+    .option('-i, --luis_versionId <luis_versionId>', '[Optional] LUIS app version. Overrides @app.versionId in the .lu file(s). Defaults to 0.1')
+    .option('-c, --luis_culture <luis_appCulture>', '[Optional] LUIS app culture. Overrides @app.culture in the .lu file(s). Defaults to en-us')
     .option('-t, --write_luis_batch_tests', '[Optional] Write out LUIS batch test json file')
     .option('--out <OutFileName>', '[Optional] Output file name for the LUIS model')
     .option('--verbose', '[Optional] Get verbose messages from parser')
+    .option('--diagnostics <format>', '[Optional] Report all errors and warnings found in the .lu file(s) with file:line:col in the requested format. Supported formats: json')
+    .option('--diagnostics_file <diagnosticsFile>', '[Optional] Write the --diagnostics output to this file instead of stderr')
+    .option('-w, --watch', '[Optional] Watch the .lu file(s) and all files they reference and re-generate output files on every change')
+    .option('--no-cache', '[Optional] Parse all .lu files again instead of picking up unchanged files from the parse cache')
+    .option('--cache_folder <cacheFolder>', '[Optional] Folder to keep the parse cache in. Defaults to .ludown/cache under the home folder')
+    .option('--ref_mirror <mirrorFolder>', '[Optional] Resolve URL references from this folder instead of the network. See docs/lu-file-format.md')
+    .option('--max_expansions <maxExpansions>', '[Optional] Maximum number of utterances generated from (a|b) and [optional] expansion syntax for each intent in a .lu file. Defaults to 100')
+    .option('--define <name=value>', '[Optional] Set a variable for > !# @if conditions in .lu files. Repeat to set more than one variable', conditions.collectDefine)
+    .option('--augment <count>', '[Optional] Generate up to <count> utterances for each pattern that only references list entities by filling in list entity values')
+    .option('--test_split <ratio>', '[Optional] Hold out this share (between 0 and 1) of the utterances in each intent from the LUIS model and write them to the LUIS batch test json file')
+    .option('--seed <seed>', '[Optional] Seed for the random choices made by --augment and --test_split. Defaults to a fixed seed so output is the same on every run')
     .parse(process.argv);
 
 if (process.argv.length < 4) {
@@ -36,13 +49,22 @@ if (process.argv.length < 4) {
         process.stderr.write(chalk.default.redBright(`\n  No .lu file or folder specified.\n`));
         program.help();
     }
-    fParser.handleFile(program, cmdEnum.luis)
-        .then(function () {
-            process.exit(retCode.errorCode.SUCCESS);
-        })
-        .catch(function (err) {
-            process.stderr.write(chalk.default.redBright(err.text + '\n'));
-            process.stderr.write(chalk.default.redBright('Stopping further processing. \n'));
-            process.exit(err.errCode);
-        });
+    if (program.watch) {
+        // keep running until stopped. Errors in .lu files are reported by the watcher.
+        fParser.watchFiles(program, cmdEnum.luis)
+            .catch(function (err) {
+                process.stderr.write(chalk.default.redBright(diagnostic.fromException(err).toString() + '\n'));
+                process.exit(err.errCode);
+            });
+    } else {
+        fParser.handleFile(program, cmdEnum.luis)
+            .then(function () {
+                process.exit(retCode.errorCode.SUCCESS);
+            })
+            .catch(function (err) {
+                process.stderr.write(chalk.default.redBright(diagnostic.fromException(err).toString() + '\n'));
+                process.stderr.write(chalk.default.redBright('Stopping further processing. \n'));
+                process.exit(err.errCode);
+            });
+    }
 }
\ No newline at end of file
@@ -7,7 +7,9 @@ const program = require('commander');
 const fParser = require('../lib/parser');
 const chalk = require('chalk');
 const retCode = require('../lib/enums/CLI-errors');
+const conditions = require('../lib/conditions');
 const cmdEnum = require('../lib/enums/parsecommands');
+const diagnostic = require('../lib/classes/diagnostic');
 program.Command.prototype.unknownOption = function () {
     process.stderr.write(chalk.default.redBright(`\n  Unknown arguments: ${process.argv.slice(2).join(' ')}\n`));
     program.help();
@@ -15,31 +17,49 @@ program.Command.prototype.unknownOption = function () {
 program
     .name("ludown parse ToQna")
     .description(`Convert .lu file(s) into QnA Maker JSON file`)
-    .usage('--in <luFile> | --lu_folder <inputFolder> [-s]')
+    .usage('--in <luFile> | --lu_folder <inputFolder> [-s] | --tsv <tsvFile>')
     .option('--in <luFile>', '.lu file to parse')
     .option('-l, --lu_folder <inputFolder>', '[Optional] Folder with .lu file(s). By default ludown will only look at the current folder. -s to include subfolders')
     .option('-o, --out_folder <outputFolder>', '[Optional] Output folder for all files the tool will generate')
     .option('-s, --subfolder', '[Optional] Include sub-folders as well when looking for .lu files')
-    .option('-n, --qna_name <QnA_KB_Name>', '[Optional] QnA KB name')
+    .option('-n, --qna_name <QnA_KB_Name>', '[Optional] QnA KB name. Overrides @kb.name in the .lu file(s)')
     .option('-a, --write_qna_alterations', '[Optional] QnA Maker alterations')
     .option('--out <OutFileName>', '[Optional] Output file name for the LUIS model')
     .option('--verbose', '[Optional] Get verbose messages from parser')
+    .option('--diagnostics <format>', '[Optional] Report all errors and warnings found in the .lu file(s) with file:line:col in the requested format. Supported formats: json')
+    .option('--diagnostics_file <diagnosticsFile>', '[Optional] Write the --diagnostics output to this file instead of stderr')
+    .option('-w, --watch', '[Optional] Watch the .lu file(s) and all files they reference and re-generate output files on every change')
+    .option('--no-cache', '[Optional] Parse all .lu files again instead of picking up unchanged files from the parse cache')
+    .option('--cache_folder <cacheFolder>', '[Optional] Folder to keep the parse cache in. Defaults to .ludown/cache under the home folder')
+    .option('--ref_mirror <mirrorFolder>', '[Optional] Resolve URL references from this folder instead of the network. See docs/lu-file-format.md')
+    .option('--define <name=value>', '[Optional] Set a variable for > !# @if conditions in .lu files. Repeat to set more than one variable', conditions.collectDefine)
+    .option('--tsv <tsvFile>', '[Optional] Tab separated file with QnA pairs to import. The first row names the columns. Question and Answer columns are required. Source, Metadata and Id columns are optional')
+    .option('--question_delimiter <delimiter>', '[Optional] Delimiter between questions in the same row of a QnA table or --tsv file. Defaults to ;')
     .parse(process.argv);
     
 if (process.argv.length < 4) {
     program.help();
 } else {
-    if (!program.in && !program.lu_folder) {
-        process.stderr.write(chalk.default.redBright(`\n  No .lu file or folder specified.\n`));
+    if (!program.in && !program.lu_folder && !program.tsv) {
+        process.stderr.write(chalk.default.redBright(`\n  No .lu file or folder specified. Pass --in, --lu_folder or --tsv.\n`));
         program.help();
     }
-    fParser.handleFile(program, cmdEnum.qna)
-        .then(function () {
-            process.exit(retCode.errorCode.SUCCESS);
-        })
-        .catch(function (err) {
-            process.stderr.write(chalk.default.redBright(err.text + '\n'));
-            process.stderr.write(chalk.default.redBright('Stopping further processing. \n'));
-            process.exit(err.errCode);
-        });
+    if (program.watch) {
+        // keep running until stopped. Errors in .lu files are reported by the watcher.
+        fParser.watchFiles(program, cmdEnum.qna)
+            .catch(function (err) {
+                process.stderr.write(chalk.default.redBright(diagnostic.fromException(err).toString() + '\n'));
+                process.exit(err.errCode);
+            });
+    } else {
+        fParser.handleFile(program, cmdEnum.qna)
+            .then(function () {
+                process.exit(retCode.errorCode.SUCCESS);
+            })
+            .catch(function (err) {
+                process.stderr.write(chalk.default.redBright(diagnostic.fromException(err).toString() + '\n'));
+                process.stderr.write(chalk.default.redBright('Stopping further processing. \n'));
+                process.exit(err.errCode);
+            });
+    }
 }
@@ -22,6 +22,8 @@ program
     .option('-n, --lu_File <LU_File>', '[Optional] Output .lu file name')
     .option('--verbose', '[Optional] Get verbose messages from parser')
     .option('-s, --skip_header', '[Optional] Generate .lu file without the header comment')
+    .option('-l, --lu_folder <inputFolder>', '[Optional] Update the .lu files in this folder in place with changes made to the LUIS app instead of generating a new .lu file. New intents are added to the -n file')
+    .option('--subfolder', '[Optional] Include sub-folders as well when looking for .lu files to update')
     .parse(process.argv);
 
 if (process.argv.length < 4) {
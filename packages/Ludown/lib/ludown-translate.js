@@ -16,8 +16,8 @@ program
     .description(`Translate .lu files from one language to another. Uses the Microsoft translator text API.`)
     .usage('-k <translate_key> --in <luFile> | -k <translate_key> --lu_folder <inputFolder> [-s]')
     .option('--in <luFile>', '.lu file to parse')
-    .option('-t, --to_lang <tgtLang>', 'Target language to translate to. See https://aka.ms/translate-langs for list of supported langauges and codes.')
-    .option('-k, --translate_key <trKey>', 'Your translation key. See https://aka.ms/translate-key to get your key')
+    .option('-t, --to_lang <tgtLang>', 'Target language(s) to translate to, separated by commas, e.g. fr,de,es. See https://aka.ms/translate-langs for list of supported langauges and codes.')
+    .option('-k, --translate_key <trKey>', 'Your translation key. See https://aka.ms/translate-key to get your key. Passed as {key} to the http provider')
     .option('-l, --lu_folder <inputFolder>', '[Optional] Folder that has the .lu file. By default ludown will only look at the current folder. To look at all subfolders, include -s')
     .option('-o, --out_folder <outputFolder>', '[Optional] Output folder for all files the tool will generate')
     .option('-f, --src_lang <srcLang>', '[Optional] Source language. When omitted, source language is automatically detected. See https://aka.ms/translate-langs for list of supported languages and codes')
@@ -25,6 +25,17 @@ program
     .option('-n, --lu_File <LU_File>', '[Optional] Output .lu file name')
     .option('-c, --translate_comments', '[Optional] Translate comments in .lu files')
     .option('-u, --translate_link_text', '[Optional] Translate URL or .lu file reference link text')
+    .option('--provider <provider>', '[Optional] Translation provider. Supported providers: microsoft, http, dictionary. Defaults to microsoft')
+    .option('--provider_config <configFile>', '[Optional] JSON file with the request and response mapping for the http provider or the translations for the dictionary provider')
+    .option('--keep_canonical_forms', '[Optional] Do not translate list entity synonyms that are the canonical form of the list')
+    .option('--bilingual_lists', '[Optional] Keep the original list entity and phrase list synonyms and add the translated synonyms after them')
+    .option('--skip_entities <entityNames>', '[Optional] Comma separated names of list entities and phrase lists whose synonyms are not translated')
+    .option('--question_delimiter <delimiter>', '[Optional] Delimiter between questions in the same row of a QnA table. Defaults to ;')
+    .option('--translation_memory [file]', '[Optional] Read and write a translation memory .json or .tmx file. Text found in the translation memory is not sent to the translation provider. Defaults to translation-memory.json in the output folder if no file is given')
+    .option('--glossary <file>', '[Optional] JSON file with terms that are never translated and terms with a forced translation')
+    .option('--layout <layout>', '[Optional] Output layout. flat writes <out_folder>/<tgtLang>/<file>.lu. locale mirrors the source folder tree under <out_folder>/<locale> and sets @app.culture. Defaults to flat')
+    .option('--concurrency <concurrency>', '[Optional] Maximum number of translation requests in flight. Defaults to 4')
+    .option('--max_retries <maxRetries>', '[Optional] Number of times throttled (429) or failed (5xx) translation requests are retried with backoff. Defaults to 3')
     .option('--verbose', '[Optional] Get verbose messages from parser')
     .parse(process.argv);
 
@@ -32,7 +43,7 @@ if (!program.in && !program.lu_folder) {
     process.stderr.write(chalk.default.redBright(`\n  No .lu file or folder specified.\n`));
     program.help();
 }
-if (!program.translate_key) {
+if (!program.translate_key && (!program.provider || program.provider.toLowerCase() === 'microsoft')) {
     process.stderr.write(chalk.default.redBright(`\n  No translate key provided.\n`));
     program.help();
 }
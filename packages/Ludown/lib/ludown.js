@@ -20,8 +20,14 @@ program
     .alias('d')
     .command('translate', 'Translate .lu files')
     .alias('t')
+    .command('lint', 'Run authoring quality checks on .lu file(s)')
+    .alias('l')
+    .command('graph', 'Write out the graph of file and intent references across .lu file(s)')
+    .alias('g')
+    .command('format', 'Rewrite .lu file(s) in canonical form')
+    .alias('f')
     .parse(process.argv);
-const commands = ['parse', 'p', 'refresh', 'd', 'translate', 't'];
+const commands = ['parse', 'p', 'refresh', 'd', 'translate', 't', 'lint', 'l', 'graph', 'g', 'format', 'f'];
 if (!commands.includes(process.argv[2].toLowerCase())) {
     process.stderr.write(chalk.default.redBright(`\n  Unknown command: ${process.argv.slice(2).join(' ')}\n`));
     program.help();
@@ -0,0 +1,98 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const diagnostic = require('./classes/diagnostic');
+const sourcePositions = require('./source-positions');
+const pjson = require('../package.json');
+// bump this when the shape of parsed content changes so older cache entries are not picked up
+const CACHE_FORMAT_VERSION = '8';
+// the cache is kept per user. A shared folder such as the system temp folder would let other users plant parse results.
+const DEFAULT_CACHE_FOLDER = path.join(os.homedir(), '.ludown', 'cache');
+const parseCache = {
+    /**
+     * Helper function to get the parse cache folder requested in command line args
+     * @param {object} program parsed program object from commander
+     * @returns {string} cache folder. undefined if caching is disabled via --no-cache
+     */
+    getCacheFolder: function(program) {
+        if(program.cache === false) return undefined;
+        return path.resolve(program.cache_folder || DEFAULT_CACHE_FOLDER);
+    },
+    /**
+     * Helper function to compute the cache key for .lu file content
+     * @param {string} fileContent .lu file content
+     * @param {string} luis_culture LUIS language code the content is parsed with
+     * @param {Object} parseOptions [Optional] parse options the content is parsed with
+     * @param {string} resolverId [Optional] cacheId of the resolver URL references in the content are resolved with
+     * @returns {string} cache key
+     */
+    getKey: function(fileContent, luis_culture, parseOptions, resolverId) {
+        return crypto.createHash('sha256')
+            .update([pjson.version, CACHE_FORMAT_VERSION, (luis_culture || '').toLowerCase(), JSON.stringify(parseOptions || {}), resolverId || '', fileContent].join('\n'))
+            .digest('hex');
+    },
+    /**
+     * Helper function to get parsed content from the cache
+     * @param {string} cacheFolder cache folder
+     * @param {string} key cache key from getKey
+     * @param {string} srcFile source file the content was read from
+     * @returns {parserObj} parsed content. undefined if there is no valid cache entry for this key
+     */
+    get: function(cacheFolder, key, srcFile) {
+        let parsedContent;
+        if(!isPrivateFolder(cacheFolder)) return undefined;
+        try {
+            parsedContent = JSON.parse(fs.readFileSync(path.join(cacheFolder, key + '.json'), 'utf-8'));
+        } catch (err) {
+            // missing or unreadable cache entries are treated as a cache miss
+            return undefined;
+        }
+        // identical content can live in more than one file. Diagnostics always point to the file being parsed.
+        parsedContent.diagnostics = (parsedContent.diagnostics || []).map(item => new diagnostic(item.severity, item.errCode, item.text, srcFile, item.line, item.column, item.rule));
+        sourcePositions.restore(parsedContent, parsedContent.sourcePositions, srcFile);
+        delete parsedContent.sourcePositions;
+        return parsedContent;
+    },
+    /**
+     * Helper function to add parsed content to the cache. Failures to write to the cache are ignored.
+     * @param {string} cacheFolder cache folder
+     * @param {string} key cache key from getKey
+     * @param {parserObj} parsedContent parsed content to cache
+     * @returns {void} nothing
+     */
+    set: function(cacheFolder, key, parsedContent) {
+        try {
+            if(!fs.existsSync(cacheFolder)) fs.mkdirSync(cacheFolder, { recursive: true, mode: 0o700 });
+            if(!isPrivateFolder(cacheFolder)) return;
+            // source positions are not part of the parsed JSON. Keep them so errors found when collating cached content have positions.
+            let cacheEntry = Object.assign({}, parsedContent, {sourcePositions: sourcePositions.save(parsedContent)});
+            fs.writeFileSync(path.join(cacheFolder, key + '.json'), JSON.stringify(cacheEntry), {encoding: 'utf-8', mode: 0o600});
+        } catch (err) {
+            // the cache is an optimization only. Parsing continues without it.
+        }
+    }
+};
+/**
+ * Helper function to check that a cache folder can only be written to by the current user.
+ * Cache entries in folders other users can write to are not trusted. Ownership and permissions are only checked on platforms with POSIX user ids.
+ * @param {string} cacheFolder cache folder
+ * @returns {Boolean} true if the folder exists, is owned by the current user and is not writable by group or others
+ */
+const isPrivateFolder = function(cacheFolder) {
+    let stats;
+    try {
+        stats = fs.statSync(cacheFolder);
+    } catch (err) {
+        return false;
+    }
+    if(!stats.isDirectory()) return false;
+    if(typeof process.getuid !== 'function') return true;
+    return stats.uid === process.getuid() && (stats.mode & 0o022) === 0;
+};
+
+module.exports = parseCache;
@@ -17,19 +17,27 @@ const helperClass = require('./classes/hclasses');
 const deepEqual = require('deep-equal');
 const qna = require('./classes/qna');
 const exception = require('./classes/exception');
+const diagnostic = require('./classes/diagnostic');
+const severityEnum = require('./enums/diagnosticseverity');
 const qnaAlterations = require('./classes/qnaAlterations');
 const NEWLINE = require('os').EOL;
-const fetch = require('node-fetch');
+const resolvers = require('./resolvers');
+const expansion = require('./utterance-expansion');
 const qnaFile = require('../lib/classes/qnaFiles');
+const annotationProperties = require('./enums/annotations');
+const conditions = require('./conditions');
+const qnaTable = require('./qna-table');
 const fileToParse = require('../lib/classes/filesToParse');
+const sourcePositions = require('./source-positions');
 const parseFileContentsModule = {
     /**
      * Helper function to validate parsed LUISJsonblob
      * @param {Object} LUISJSONBlob input LUIS Json blob
+     * @param {Boolean} skipCompositeChildCheck if true, composite entity children are not required to be defined in this blob. Use this when validating one of many files that will be collated together.
      * @returns {Boolean} True if validation succeeds.
-     * @throws {exception} Throws on errors. exception object includes errCode and text. 
+     * @throws {exception} Throws on errors. exception object includes errCode, text, file, line and column. 
      */
-    validateLUISBlob : async function(LUISJSONBlob) {
+    validateLUISBlob : async function(LUISJSONBlob, skipCompositeChildCheck) {
         // patterns can have references to any other entity types. 
         // So if there is a pattern.any entity that is also defined as another type, remove the pattern.any entity
         LUISJSONBlob.patternAnyEntities = (LUISJSONBlob.patternAnyEntities || []).filter(entity => {
@@ -37,57 +45,47 @@ const parseFileContentsModule = {
             if(itemExists(LUISJSONBlob.closedLists, entity.name, entity.roles)) return false;
             if(itemExists(LUISJSONBlob.model_features, entity.name, entity.roles)) return false;
             if(itemExists(LUISJSONBlob.prebuiltEntities, entity.name, entity.roles)) return false;
+            if(itemExists(LUISJSONBlob.regex_entities || [], entity.name, entity.roles)) return false;
+            if(itemExists(LUISJSONBlob.composites || [], entity.name, entity.roles)) return false;
             return true;
         });
+        // labelled composite entity spans in utterances are added as simple entities by the parser. 
+        // So if there is a simple entity that is also defined as a composite, remove the simple entity
+        LUISJSONBlob.entities = (LUISJSONBlob.entities || []).filter(entity => !itemExists(LUISJSONBlob.composites || [], entity.name, entity.roles));
         
-        // look for entity name collisions - list, simple, patternAny, phraselist
+        // look for entity name collisions - list, simple, patternAny, phraselist, regex, composite
         // look for list entities labelled
         // look for prebuilt entity labels in utterances
         
         let entitiesList = [];
-        let entityFound = '';
-        if(LUISJSONBlob.entities.length > 0) {
-            LUISJSONBlob.entities.forEach(function(entity) {
-                entitiesList.push(new helperClass.validateLUISBlobEntity(entity.name,['simple']));
-            });
-        }
-        if(LUISJSONBlob.closedLists.length > 0){
-            LUISJSONBlob.closedLists.forEach(function(entity) {
-                entityFound = helpers.filterMatch(entitiesList, 'name', entity.name);
-                if(entityFound.length === 0) {
-                    entitiesList.push(new helperClass.validateLUISBlobEntity(entity.name,['list']));
-                } else {
-                    entityFound[0].type.push('list');
-                }
-            });
-        }
-        if(LUISJSONBlob.patternAnyEntities.length > 0) {
-            LUISJSONBlob.patternAnyEntities.forEach(function(entity) {
-                entityFound = helpers.filterMatch(entitiesList, 'name', entity.name);
-                if(entityFound.length === 0) {
-                    entitiesList.push(new helperClass.validateLUISBlobEntity(entity.name,['patternAny']));
-                } else {
-                    entityFound[0].type.push('patternAny');
-                }
-            });
-        }
-        if(LUISJSONBlob.model_features.length > 0) {
-            LUISJSONBlob.model_features.forEach(function(entity) {
-                entityFound = helpers.filterMatch(entitiesList, 'name', entity.name);
-                if(entityFound.length === 0) {
-                    entitiesList.push(new helperClass.validateLUISBlobEntity(entity.name,['phraseList']));
-                } else {
-                    entityFound[0].type.push('phraseList');
-                }
-            });
-        }
+        LUISJSONBlob.entities.forEach(entity => addEntityDefinition(entitiesList, entity, 'simple'));
+        LUISJSONBlob.closedLists.forEach(entity => addEntityDefinition(entitiesList, entity, 'list'));
+        LUISJSONBlob.patternAnyEntities.forEach(entity => addEntityDefinition(entitiesList, entity, 'patternAny'));
+        LUISJSONBlob.model_features.forEach(entity => addEntityDefinition(entitiesList, entity, 'phraseList'));
+        (LUISJSONBlob.regex_entities || []).forEach(entity => addEntityDefinition(entitiesList, entity, 'regEx'));
+        (LUISJSONBlob.composites || []).forEach(entity => addEntityDefinition(entitiesList, entity, 'composite'));
         // for each entityFound, see if there are duplicate definitions
         entitiesList.forEach(function(entity) {
             if(entity.type.length > 1) {
-                throw(new exception(retCode.errorCode.DUPLICATE_ENTITIES, 'Entity "' + entity.name + '" has duplicate definitions.\r\n\t' + JSON.stringify(entity.type, 2, null)));
+                // report the definition that duplicates the first one
+                throw(new exception(retCode.errorCode.DUPLICATE_ENTITIES, 'Entity "' + entity.name + '" has duplicate definitions.\r\n\t' + JSON.stringify(entity.type, 2, null), sourcePositions.get(entity.definitions[1])));
             }
         });
 
+        // do all composite entities have children that are defined? 
+        if(!skipCompositeChildCheck && LUISJSONBlob.composites && LUISJSONBlob.composites.length > 0) {
+            LUISJSONBlob.composites.forEach(function(composite) {
+                composite.children.forEach(function(child) {
+                    let childInList = helpers.filterMatch(entitiesList, 'name', child);
+                    let childIsPrebuilt = helpers.filterMatch(LUISJSONBlob.prebuiltEntities, 'name', child);
+                    let childIsValid = childInList.length !== 0 && ['simple', 'list', 'regEx'].includes(childInList[0].type[0]);
+                    if(!childIsValid && childIsPrebuilt.length === 0) {
+                        throw(new exception(retCode.errorCode.INVALID_COMPOSITE_ENTITY, 'Composite entity "' + composite.name + '" has child entity "' + child + '" that is not defined.\r\n\t' + 'Composite children must be defined as simple, list, prebuilt or regex entities', sourcePositions.get(composite)));
+                    }
+                });
+            });
+        }
+
         // do we have utterances with labelled list entities or phraselist entities? 
         if(LUISJSONBlob.utterances.length > 0) {
             LUISJSONBlob.utterances.forEach(function(utterance) {
@@ -96,10 +94,10 @@ const parseFileContentsModule = {
                         let entityInList = helpers.filterMatch(entitiesList, 'name', entity.entity);
                         if(entityInList.length > 0) {
                             if(entityInList[0].type.includes('list')) {
-                                throw(new exception(retCode.errorCode.INVALID_INPUT, 'Utterance "' + utterance.text + '", has reference to List entity type. \r\n\t' + 'You cannot have utterances with List entity type references in them'));
+                                throw(new exception(retCode.errorCode.INVALID_INPUT, 'Utterance "' + utterance.text + '", has reference to List entity type. \r\n\t' + 'You cannot have utterances with List entity type references in them', sourcePositions.get(utterance)));
                             }
                             if(entityInList[0].type.includes('phraseList')) {
-                                throw(new exception(retCode.errorCode.INVALID_INPUT, 'Utterance "' + utterance.text + '", has reference to PhraseList. \r\n\t' + 'You cannot have utterances with phraselist references in them'));
+                                throw(new exception(retCode.errorCode.INVALID_INPUT, 'Utterance "' + utterance.text + '", has reference to PhraseList. \r\n\t' + 'You cannot have utterances with phraselist references in them', sourcePositions.get(utterance)));
                             }
                         }
                     });
@@ -112,59 +110,43 @@ const parseFileContentsModule = {
      * Main parser code to parse current file contents into LUIS and QNA sections.
      * @param {string} fileContent current file content
      * @param {boolean} log indicates if we need verbose logging.
-     * @param {string} locale LUIS locale code
-     * @returns {parserObj} Object with that contains list of additional files to parse, parsed LUIS object and parsed QnA object
-     * @throws {exception} Throws on errors. exception object includes errCode and text. 
+     * @param {string} locale LUIS locale code. Defaults to the > !# @app.culture annotation in the file or en-us
+     * @param {string} srcFile [Optional] name of the file being parsed. Used to report the source of errors and warnings
+     * @param {boolean} continueOnError [Optional] if true, all errors found are added to diagnostics instead of throwing on the first error
+     * @param {Object} resolver [Optional] resolver for URL references. See resolvers.js. Defaults to fetching URLs over HTTP
+     * @param {Object} parseOptions [Optional] parse options. maxExpansions is the maximum number of utterances generated from expansion syntax for each intent. Defaults to 100.
+     * defines is a map of variable name to value that > !# @if conditions are evaluated against. questionDelimiter separates questions in the same row of a QnA table. Defaults to ;
+     * @returns {parserObj} Object with that contains list of additional files to parse, parsed LUIS object, parsed QnA object and diagnostics
+     * @throws {exception} Throws on errors. exception object includes errCode, text, file, line and column. 
      */
-    parseFile : async function(fileContent, log, locale) 
+    parseFile : async function(fileContent, log, locale, srcFile, continueOnError, resolver, parseOptions) 
     {
         fileContent = helpers.sanitizeNewLines(fileContent);
         let parsedContent = new parserObj();
-        let splitOnBlankLines = '';
         try {
-            splitOnBlankLines = helpers.splitFileBySections(fileContent.toString(),log);
-        } catch (err) {
-            throw(err);
+            await parseSections(parsedContent, fileContent, locale, srcFile, continueOnError, resolver || resolvers.createHttpResolver(), parseOptions || {});
+        } finally {
+            if(srcFile) sourcePositions.setFile(parsedContent, srcFile);
+            parsedContent.diagnostics.forEach(item => {
+                if(!item.file && srcFile) item.file = srcFile;
+                if(log && item.severity === severityEnum.WARNING) process.stdout.write(chalk.default.yellowBright(item.toString() + '\n'));
+            });
         }
-        // loop through every chunk of information
-        for(let chunkIdx in splitOnBlankLines) {
-            chunk = splitOnBlankLines[chunkIdx];
-            let chunkSplitByLine = chunk.split(NEWLINE);
-            if(chunk.indexOf(PARSERCONSTS.URLORFILEREF) === 0) {
-                try {
-                    await parseURLOrFileRef(parsedContent, chunkSplitByLine)
-                } catch (err) {
-                    throw (err);
-                }
-            } else if(chunk.indexOf(PARSERCONSTS.INTENT) === 0) {
-                try {
-                    parseAndHandleIntent(parsedContent, chunkSplitByLine);
-                } catch (err) {
-                    throw (err);
-                }
-            } else if(chunk.indexOf(PARSERCONSTS.ENTITY) === 0) {
-                try {
-                    parseAndHandleEntity(parsedContent, chunkSplitByLine, locale, log);
-                } catch (err) {
-                    throw (err);
-                }
-            } else if(chunk.indexOf(PARSERCONSTS.QNA) === 0) {
-                parsedContent.qnaJsonStructure.qnaList.push(new qnaListObj(0, chunkSplitByLine[1], 'custom editorial', [chunkSplitByLine[0].replace(PARSERCONSTS.QNA, '').trim()], []));
-            } 
-        };
         return parsedContent;
     },
     /**
-     * Handle collating all QnA sections across all parsed files into one QnA collection
+     * Handle collating all QnA sections across all parsed files into one QnA collection. QnA pair ids must be unique and follow-up prompts are resolved to QnA pair ids
      *
      * @param {qna []} parsedQnAList Array of parsed QnA blobs
      * @returns {qna} Collated qna object
-     * @throws {exception} Throws on errors. exception object includes errCode and text. 
+     * @throws {exception} Throws on errors. exception object includes errCode, text, file, line and column. 
      */
     collateQnAFiles : async function(parsedQnAList) {
         let FinalQnAJSON = new qna();
         parsedQnAList.forEach(function(blob) {
+            let srcFile = blob.srcFile;
             blob = blob.qnaJsonStructure;
+            mergeAnnotatedValues(blob, FinalQnAJSON, 'kb');
             // does this blob have URLs?
             if(blob.urls.length > 0) {
                 // add this url if this does not already exist in finaljson
@@ -187,6 +169,10 @@ const parseFileContentsModule = {
             if(blob.qnaList.length > 0) {
                 // walk through each qnaPair and add it if it does not exist
                 blob.qnaList.forEach(function(newQnAItem) {
+                    // prompt references are reported against the file they are in
+                    if(newQnAItem.context) newQnAItem.context.prompts.forEach(prompt => {
+                        if(prompt.reference) prompt.reference.file = srcFile;
+                    });
                     if(FinalQnAJSON.qnaList.length == 0) {
                         FinalQnAJSON.qnaList.push(newQnAItem);
                     } else {
@@ -203,13 +189,15 @@ const parseFileContentsModule = {
                 });
             }
         });
+        validateQnAIds(FinalQnAJSON);
+        resolvePrompts(FinalQnAJSON);
         return FinalQnAJSON;
     },
     /**
      * Collate LUIS sections across parsed files into one LUIS collection
      * @param {LUIS []} parsedLUISList Contents of all parsed file blobs
      * @returns {LUIS} Collated LUIS json contents
-     * @throws {exception} Throws on errors. exception object includes errCode and text. 
+     * @throws {exception} Throws on errors. exception object includes errCode, text, file, line and column. 
      */
     collateLUISFiles : async function(parsedLUISList) {
         if (parsedLUISList.length === 0) return undefined;
@@ -217,12 +205,15 @@ const parseFileContentsModule = {
         parsedLUISList.splice(0,1);
         parsedLUISList.forEach(function(blob) {
             blob = blob.LUISJsonStructure;
-            mergeResults(blob, FinalLUISJSON, LUISObjNameEnum.INTENT);
+            mergeAnnotatedValues(blob, FinalLUISJSON, 'app');
+            mergeResults_intents(blob, FinalLUISJSON, LUISObjNameEnum.INTENT);
             mergeResults(blob, FinalLUISJSON, LUISObjNameEnum.ENTITIES);
             mergeResults_closedlists(blob, FinalLUISJSON, LUISObjNameEnum.CLOSEDLISTS);
             mergeResults(blob, FinalLUISJSON, LUISObjNameEnum.UTTERANCE);
             mergeResults(blob, FinalLUISJSON, LUISObjNameEnum.PATTERNS);
             mergeResults(blob, FinalLUISJSON, LUISObjNameEnum.PATTERNANYENTITY);
+            mergeResults_regexEntities(blob, FinalLUISJSON, LUISObjNameEnum.REGEX);
+            mergeResults_composites(blob, FinalLUISJSON, LUISObjNameEnum.COMPOSITES);
             // do we have prebuiltEntities here?
             if (blob.prebuiltEntities.length > 0) {
                 blob.prebuiltEntities.forEach(function(prebuiltEntity){
@@ -253,7 +244,7 @@ const parseFileContentsModule = {
                     } else {
                         if(modelFeatureInMaster[0].mode !== modelFeature.mode) {
                             // error.
-                            throw(new exception(retCode.errorCode.INVALID_INPUT, '[ERROR]: Phrase list : "' + modelFeature.name + '" has conflicting definitions. One marked interchangeable and another not interchangeable'));
+                            throw(new exception(retCode.errorCode.INVALID_INPUT, '[ERROR]: Phrase list : "' + modelFeature.name + '" has conflicting definitions. One marked interchangeable and another not interchangeable', sourcePositions.get(modelFeature)));
                         } else {
                             modelFeature.words.split(',').forEach(function(word) {
                                 if(!modelFeatureInMaster[0].words.includes(word)) modelFeatureInMaster[0].words += "," + word;
@@ -284,6 +275,153 @@ const parseFileContentsModule = {
         return finalQnAAlterationsList; 
     }
 };
+/**
+ * Helper function to split file content into sections and parse each section
+ * @param {parserObj} parsedContent parserObj to add parsed content and diagnostics to
+ * @param {string} fileContent current file content
+ * @param {string} locale LUIS locale code
+ * @param {string} srcFile name of the file being parsed
+ * @param {boolean} continueOnError if true, all errors found are added to diagnostics instead of throwing on the first error
+ * @param {Object} resolver resolver for URL references
+ * @param {Object} parseOptions parse options
+ * @returns {void} Nothing
+ * @throws {exception} Throws on errors. exception object includes errCode, text, file, line and column. 
+ */
+const parseSections = async function(parsedContent, fileContent, locale, srcFile, continueOnError, resolver, parseOptions) {
+    let splitOnBlankLines = '';
+    try {
+        // drop content in > !# @if blocks that do not apply to the variables passed with --define
+        let applicableContent = conditions.applyConditions(fileContent.toString(), parseOptions.defines || {});
+        splitOnBlankLines = helpers.splitFileBySections(applicableContent, parsedContent.diagnostics, continueOnError);
+    } catch (err) {
+        throw(helpers.addPositionToError(err, undefined, srcFile));
+    }
+    // prebuilt entities are checked against the > !# @app.culture annotation in the file unless a locale is passed in
+    locale = locale || getAnnotatedCulture(splitOnBlankLines);
+    // utterances with expansion syntax are expanded once all sections are parsed so the cap applies to each intent across sections
+    let expansions = [];
+    // loop through every chunk of information
+    for(let chunkIdx in splitOnBlankLines) {
+        let section = splitOnBlankLines[chunkIdx];
+        let chunk = section.content;
+        let chunkSplitByLine = chunk.split(NEWLINE);
+        let counts = sourcePositions.count(parsedContent);
+        try {
+            if(chunk.indexOf(PARSERCONSTS.URLORFILEREF) === 0) {
+                await parseURLOrFileRef(parsedContent, chunkSplitByLine, resolver);
+            } else if(chunk.indexOf(PARSERCONSTS.COMMENT) === 0) {
+                parseAndHandleAnnotation(parsedContent, chunk, section.positions[0]);
+            } else if(chunk.indexOf(PARSERCONSTS.INTENT) === 0) {
+                parseAndHandleIntent(parsedContent, chunkSplitByLine, section.positions, expansions, section.testOnly, section.annotations);
+            } else if(chunk.indexOf(PARSERCONSTS.ENTITY) === 0) {
+                parseAndHandleEntity(parsedContent, chunkSplitByLine, locale, section.positions);
+            } else if(chunk.indexOf(PARSERCONSTS.QNATABLE) === 0) {
+                qnaTable.parseMarkdownTable(chunkSplitByLine, section.positions, parseOptions.questionDelimiter).forEach(qnaPair => parsedContent.qnaJsonStructure.qnaList.push(qnaPair));
+            } else if(chunk.indexOf(PARSERCONSTS.QNA) === 0) {
+                parsedContent.qnaJsonStructure.qnaList.push(new qnaListObj(0, chunkSplitByLine[1], 'custom editorial', [chunkSplitByLine[0].replace(PARSERCONSTS.QNA, '').trim()], []));
+            }
+        } catch (err) {
+            // errors that are not specific to a line are reported at the start of the section
+            let error = helpers.addPositionToError(err, section.positions[0], srcFile);
+            if(!continueOnError) throw (error);
+            parsedContent.diagnostics.push(diagnostic.fromException(error));
+        }
+        // items that do not have a more specific position are reported at the start of the section
+        sourcePositions.addToNewItems(parsedContent, counts, section.positions[0]);
+    }
+    addExpandedUtterances(parsedContent, expansions, parseOptions.maxExpansions || expansion.DEFAULT_MAX_EXPANSIONS, srcFile, continueOnError);
+}
+/**
+ * Helper function to find the LUIS app culture set with a > !# @app.culture annotation
+ * @param {section []} sections sections in the file
+ * @returns {string} culture in lower case. undefined if the file does not set one
+ */
+const getAnnotatedCulture = function(sections) {
+    let culture;
+    sections.filter(section => section.content.indexOf(PARSERCONSTS.COMMENT) === 0).forEach(section => {
+        let annotation;
+        try {
+            annotation = helpers.parseAnnotation(section.content, section.positions[0], []);
+        } catch (err) {
+            // invalid annotations are reported when the section is parsed
+            return;
+        }
+        if(culture === undefined && annotation && annotation.scope === 'app' && annotation.property === 'culture') culture = annotation.value.toLowerCase();
+    });
+    return culture;
+}
+/**
+ * Helper function to expand utterances with expansion syntax and add them to the parsed content where the utterance was in the file.
+ * If an intent expands to more than maxExpansions utterances, a deterministic sample of maxExpansions utterances is added.
+ * @param {parserObj} parsedContent parserObj containing current parsed content
+ * @param {Object []} expansions utterances to expand in file order with intentName, parts (parsed expansion syntax), count, linePosition, testOnly
+ * and insertAt (number of utterances parsed before this one)
+ * @param {number} maxExpansions maximum number of utterances to generate for each intent
+ * @param {string} srcFile name of the file being parsed
+ * @param {boolean} continueOnError if true, all errors found are added to diagnostics instead of throwing on the first error
+ * @returns {void} Nothing
+ * @throws {exception} Throws on errors. exception object includes errCode, text, file, line and column. 
+ */
+const addExpandedUtterances = function(parsedContent, expansions, maxExpansions, srcFile, continueOnError) {
+    let intentNames = [...new Set(expansions.map(item => item.intentName))];
+    expansions.forEach(item => item.utterances = []);
+    intentNames.forEach(intentName => {
+        let intentExpansions = expansions.filter(item => item.intentName === intentName);
+        let total = intentExpansions.reduce((count, item) => Math.min(count + item.count, expansion.MAX_EXPANSION_COUNT), 0);
+        if(total > maxExpansions) {
+            let totalText = (total === expansion.MAX_EXPANSION_COUNT ? 'at least ' : '') + total;
+            parsedContent.diagnostics.push(new diagnostic(severityEnum.WARNING, retCode.errorCode.TOO_MANY_EXPANSIONS, '[WARN]: Utterances for intent "' + intentName + '" expand to ' + totalText + ' utterances. Only a sample of ' + maxExpansions + ' is used. Use --max_expansions to change this limit.', undefined, intentExpansions[0].linePosition.line, intentExpansions[0].linePosition.column));
+        }
+        let added = new Set();
+        let offset = 0;
+        let itemIdx = 0;
+        expansion.sampleIndices(total, maxExpansions, intentName).forEach(index => {
+            // find the utterance this index falls in
+            while(index >= offset + intentExpansions[itemIdx].count) {
+                offset += intentExpansions[itemIdx].count;
+                itemIdx++;
+            }
+            let item = intentExpansions[itemIdx];
+            let utterance = expansion.getExpansion(item.parts, index - offset);
+            if(utterance === '' || added.has(utterance)) return;
+            added.add(utterance);
+            item.utterances.push(utterance);
+        });
+    });
+    // add the last ones first so insertAt still points to where earlier ones go
+    expansions.slice().reverse().forEach(item => {
+        let utterances = parsedContent.LUISJsonStructure.utterances;
+        let counts = sourcePositions.count(parsedContent);
+        item.utterances.forEach(utterance => {
+            try {
+                addUtterance(parsedContent, utterance, item.intentName, item.linePosition, item.testOnly);
+            } catch (err) {
+                let error = helpers.addPositionToError(err, item.linePosition, srcFile);
+                if(!continueOnError) throw (error);
+                parsedContent.diagnostics.push(diagnostic.fromException(error));
+            }
+        });
+        sourcePositions.addToNewItems(parsedContent, counts, item.linePosition);
+        utterances.splice(item.insertAt, 0, ...utterances.splice(counts.utterances));
+    });
+}
+/**
+ * Helper function to add an entity definition to the list of entities found in a LUIS blob
+ *
+ * @param {helperClass.validateLUISBlobEntity []} entitiesList entities found so far
+ * @param {Object} entity entity definition
+ * @param {string} type entity type
+ * @returns {void} Nothing
+ */
+const addEntityDefinition = function(entitiesList, entity, type) {
+    let entityFound = helpers.filterMatch(entitiesList, 'name', entity.name);
+    if(entityFound.length === 0) {
+        entitiesList.push(new helperClass.validateLUISBlobEntity(entity.name, [type], [entity]));
+    } else {
+        entityFound[0].type.push(type);
+        entityFound[0].definitions.push(entity);
+    }
+};
 /**
  * Helper function to merge item if it does not already exist
  *
@@ -313,6 +451,126 @@ const mergeResults = function(blob, finalCollection, type) {
         });
     }
 };
+/**
+ * Helper function to merge intents by name. Intent descriptions set with @intent.description annotations are merged as well.
+ *
+ * @param {object} blob Contents of all parsed file blobs
+ * @param {object} finalCollection Reference to the final collection of items
+ * @param {LUISObjNameEnum} type Enum type of possible LUIS object types
+ * @returns {void} Nothing
+ * @throws {exception} Throws on errors. exception object includes errCode and text. 
+ */
+const mergeResults_intents = function(blob, finalCollection, type) {
+    blob[type].forEach(function(blobItem) {
+        let intentInFinal = helpers.filterMatch(finalCollection[type], 'name', blobItem.name);
+        if(intentInFinal.length === 0) {
+            finalCollection[type].push(blobItem);
+        } else if(blobItem.description !== undefined) {
+            setAnnotatedValue(intentInFinal[0], 'description', blobItem.description, '@intent.description for intent "' + blobItem.name + '"');
+        }
+    });
+};
+/**
+ * Helper function to merge settings from > !# @app or @kb annotations
+ *
+ * @param {object} blob Contents of a parsed LUIS or QnA blob
+ * @param {object} finalCollection Reference to the final collated LUIS or QnA content
+ * @param {string} scope annotation scope. app or kb
+ * @returns {void} Nothing
+ * @throws {exception} Throws on errors. exception object includes errCode and text. 
+ */
+const mergeAnnotatedValues = function(blob, finalCollection, scope) {
+    annotationProperties[scope].forEach(function(property) {
+        if(blob[property] !== undefined) setAnnotatedValue(finalCollection, property, blob[property], '@' + scope + '.' + property);
+    });
+};
+/**
+ * Helper function to set a value from an annotation. The same setting cannot have conflicting values across annotations.
+ *
+ * @param {object} target object to set the value on
+ * @param {string} property name of the property to set
+ * @param {string} value value to set
+ * @param {string} annotationName annotation name used in the error message
+ * @returns {void} Nothing
+ * @throws {exception} Throws on errors. exception object includes errCode and text. 
+ */
+const setAnnotatedValue = function(target, property, value, annotationName) {
+    if(target[property] !== undefined && target[property] !== value) {
+        throw (new exception(retCode.errorCode.INVALID_ANNOTATION, '[ERROR]: ' + annotationName + ' has conflicting values "' + target[property] + '" and "' + value + '"'));
+    }
+    target[property] = value;
+};
+/**
+ * Helper function to validate that QnA pair ids set with <a id="<id>"></a> are unique across collated QnA content
+ *
+ * @param {qna} FinalQnAJSON collated QnA content
+ * @returns {void} Nothing
+ * @throws {exception} Throws on errors. exception object includes errCode, text, file, line and column. 
+ */
+const validateQnAIds = function(FinalQnAJSON) {
+    let qnaPairsById = new Map();
+    FinalQnAJSON.qnaList.forEach(qnaPair => {
+        if(!qnaPair.id) return;
+        let existingPair = qnaPairsById.get(String(qnaPair.id));
+        if(existingPair !== undefined) {
+            throw(new exception(retCode.errorCode.DUPLICATE_QNA_ID, '[ERROR]: QnA pair id "' + qnaPair.id + '" is used by questions "' + existingPair.questions[0] + '" and "' + qnaPair.questions[0] + '"', sourcePositions.get(qnaPair)));
+        }
+        qnaPairsById.set(String(qnaPair.id), qnaPair);
+    });
+};
+/**
+ * Helper function to resolve follow-up prompt references in collated QnA content to QnA pair ids.
+ * QnA pairs without an id are numbered in the order they are collated when the KB has prompts.
+ *
+ * @param {qna} FinalQnAJSON collated QnA content
+ * @returns {void} Nothing
+ * @throws {exception} Throws on errors. exception object includes errCode, text, file, line and column. 
+ */
+const resolvePrompts = function(FinalQnAJSON) {
+    let prompts = [];
+    FinalQnAJSON.qnaList.forEach(qnaPair => {
+        if(qnaPair.context) qnaPair.context.prompts.forEach(prompt => prompts.push(prompt));
+    });
+    if(prompts.length === 0) return;
+    let nextId = FinalQnAJSON.qnaList.reduce((maxId, qnaPair) => Math.max(maxId, Number(qnaPair.id) || 0), 0) + 1;
+    FinalQnAJSON.qnaList.forEach(qnaPair => {
+        if(!qnaPair.id) qnaPair.id = nextId++;
+    });
+    prompts.forEach(prompt => {
+        let reference = prompt.reference;
+        if(reference === undefined) return;
+        let target = FinalQnAJSON.qnaList.find(qnaPair => {
+            if(reference.id !== undefined) return String(qnaPair.id) === reference.id;
+            return qnaPair.questions.some(question => question.trim().toLowerCase() === reference.question.toLowerCase());
+        });
+        if(target === undefined) {
+            let targetText = reference.id !== undefined ? 'id "' + reference.id + '"' : 'question "' + reference.question + '"';
+            throw(new exception(retCode.errorCode.INVALID_QNA_PROMPT, '[ERROR]: Prompt "' + prompt.displayText + '" refers to QnA pair with ' + targetText + ' that does not exist', reference));
+        }
+        if(reference.contextOnly) {
+            if(!target.context) target.context = {isContextOnly: false, prompts: []};
+            target.context.isContextOnly = true;
+        }
+        prompt.qnaId = target.id;
+        delete prompt.reference;
+    });
+};
+/**
+ * Helper function to parse and handle > !# @app and @kb annotations
+ * @param {parserObj} parsedContent parserObj containing current parsed content
+ * @param {string} chunk annotation line
+ * @param {Object} linePosition line and column of the annotation
+ * @returns {void} Nothing
+ * @throws {exception} Throws on errors. exception object includes errCode, text, line and column. 
+ */
+const parseAndHandleAnnotation = function(parsedContent, chunk, linePosition) {
+    // unknown annotations are reported when the file is split into sections
+    let annotation = helpers.parseAnnotation(chunk, linePosition, []);
+    if(annotation === undefined) return;
+    let value = annotation.property === 'culture' ? annotation.value.toLowerCase() : annotation.value;
+    let target = annotation.scope === 'kb' ? parsedContent.qnaJsonStructure : parsedContent.LUISJsonStructure;
+    setAnnotatedValue(target, annotation.property, value, '@' + annotation.scope + '.' + annotation.property);
+};
 /**
  * Helper function to merge closed list item if it does not already exist
  *
@@ -344,20 +602,67 @@ const mergeResults_closedlists = function(blob, finalCollection, type) {
         });
     }
 };
+/**
+ * Helper function to merge regex entity item if it does not already exist
+ *
+ * @param {object} blob Contents of all parsed file blobs
+ * @param {object} finalCollection Reference to the final collection of items
+ * @param {LUISObjNameEnum} type Enum type of possible LUIS object types
+ * @returns {void} nothing
+ * @throws {exception} Throws on errors. exception object includes errCode and text.
+ */
+const mergeResults_regexEntities = function(blob, finalCollection, type) {
+    if(!blob[type] || blob[type].length === 0) return;
+    if(!finalCollection[type]) finalCollection[type] = [];
+    blob[type].forEach(function(blobItem) {
+        let regExInFinal = helpers.filterMatch(finalCollection[type], 'name', blobItem.name);
+        if(regExInFinal.length === 0) {
+            finalCollection[type].push(blobItem);
+        } else {
+            if(regExInFinal[0].regexPattern !== blobItem.regexPattern) {
+                throw(new exception(retCode.errorCode.INVALID_REGEX_ENTITY, '[ERROR]: RegEx entity : "' + blobItem.name + '" has conflicting definitions. "/' + regExInFinal[0].regexPattern + '/" and "/' + blobItem.regexPattern + '/"'));
+            }
+            mergeRoles(regExInFinal[0].roles, blobItem.roles);
+        }
+    });
+};
+/**
+ * Helper function to merge composite entity item if it does not already exist
+ *
+ * @param {object} blob Contents of all parsed file blobs
+ * @param {object} finalCollection Reference to the final collection of items
+ * @param {LUISObjNameEnum} type Enum type of possible LUIS object types
+ * @returns {void} nothing
+ */
+const mergeResults_composites = function(blob, finalCollection, type) {
+    if(!blob[type] || blob[type].length === 0) return;
+    if(!finalCollection[type]) finalCollection[type] = [];
+    blob[type].forEach(function(blobItem) {
+        let compositeInFinal = helpers.filterMatch(finalCollection[type], 'name', blobItem.name);
+        if(compositeInFinal.length === 0) {
+            finalCollection[type].push(blobItem);
+        } else {
+            blobItem.children.forEach(function(child) {
+                if(!compositeInFinal[0].children.includes(child)) compositeInFinal[0].children.push(child);
+            });
+            mergeRoles(compositeInFinal[0].roles, blobItem.roles);
+        }
+    });
+};
 /**
  * Helper function to parse and handle LUIS entities
  * @param {parserObj} parsedContent parserObj containing current parsed content
  * @param {Array} chunkSplitByLine Array of text lines in the current parsed section
  * @param {string} locale LUIS locale information
- * @param {boolean} log indicates if this function should write verbose messages to process.stdout
+ * @param {Object []} linePositions line and column of each line in the current parsed section
  * @returns {void} Nothing
  * @throws {exception} Throws on errors. exception object includes errCode and text. 
  */
-const parseAndHandleEntity = function(parsedContent, chunkSplitByLine, locale, log) {
+const parseAndHandleEntity = function(parsedContent, chunkSplitByLine, locale, linePositions) {
     // we have an entity definition
-    let entityDef = chunkSplitByLine[0].replace(PARSERCONSTS.ENTITY, '').split(':');
-    let entityName = entityDef[0].trim();
-    let entityType = entityDef[1].trim();
+    let entityDef = chunkSplitByLine[0].replace(PARSERCONSTS.ENTITY, '');
+    let entityName = entityDef.substring(0, entityDef.indexOf(':')).trim();
+    let entityType = entityDef.substring(entityDef.indexOf(':') + 1).trim();
     let entityRoles = [];
     let pEntityName = (entityName === 'PREBUILT')?entityType:entityName;
     // see if we already have this as Pattern.Any entity
@@ -373,21 +678,24 @@ const parseAndHandleEntity = function(parsedContent, chunkSplitByLine, locale, l
         }
     }
     // add this entity to appropriate place
-    // is this a builtin type? 
-    if(builtInTypes.consolidatedList.includes(entityType)) {
+    // is this a regex entity?
+    if(helpers.isRegexEntityDefinition(entityType)) {
+        try {
+            parseAndHandleRegExEntity(parsedContent, entityName, entityType, entityRoles);
+        } catch (err) {
+            throw (err);
+        }
+    } else if(helpers.parseCompositeChildren(entityType) !== undefined) {
+        // is this a composite entity?
+        parseAndHandleCompositeEntity(parsedContent, entityName, helpers.parseCompositeChildren(entityType), entityRoles);
+    } else if(builtInTypes.consolidatedList.includes(entityType)) {
         if(!locale) locale = 'en-us';
         // verify if the requested entityType is available in the requested locale
         let prebuiltCheck = builtInTypes.perLocaleAvailability[locale][entityType];
         if(prebuiltCheck === null) {
-            if(log) {
-                process.stdout.write(chalk.default.yellowBright('[WARN]: Requested PREBUILT entity "' + entityType + ' is not available for the requested locale: ' + locale + '\n'));
-                process.stdout.write(chalk.default.yellowBright('  Skipping this prebuilt entity..\n'));
-            }
+            parsedContent.diagnostics.push(new diagnostic(severityEnum.WARNING, retCode.errorCode.INVALID_INPUT, '[WARN]: Requested PREBUILT entity "' + entityType + ' is not available for the requested locale: ' + locale + '. Skipping this prebuilt entity..', undefined, linePositions[0].line, linePositions[0].column));
         } else if (prebuiltCheck && prebuiltCheck.includes('datetime')) {
-            if(log) {
-                process.stdout.write(chalk.default.yellowBright('[WARN]: PREBUILT entity "' + entityType + ' is not available for the requested locale: ' + locale + '\n'));
-                process.stdout.write(chalk.default.yellowBright('  Switching to ' + builtInTypes.perLocaleAvailability[locale][entityType] + ' instead.\n'));
-            }
+            parsedContent.diagnostics.push(new diagnostic(severityEnum.WARNING, retCode.errorCode.INVALID_INPUT, '[WARN]: PREBUILT entity "' + entityType + ' is not available for the requested locale: ' + locale + '. Switching to ' + builtInTypes.perLocaleAvailability[locale][entityType] + ' instead.', undefined, linePositions[0].line, linePositions[0].column));
             entityType = builtInTypes.perLocaleAvailability[locale][entityType];
             addItemOrRoleIfNotPresent(parsedContent.LUISJsonStructure, LUISObjNameEnum.PREBUILT, entityType, entityRoles);
         } else {
@@ -400,14 +708,14 @@ const parseAndHandleEntity = function(parsedContent, chunkSplitByLine, locale, l
         // is this qna maker alterations list? 
         if(entityType.includes(PARSERCONSTS.QNAALTERATIONS)) {
             try {
-                parseAndHandleQnAAlterations(parsedContent, chunkSplitByLine)
+                parseAndHandleQnAAlterations(parsedContent, chunkSplitByLine, linePositions)
             } catch (err) {
                 throw(err);
             }
         } else {
             // treat this as a LUIS list entity type
             try {
-                parseAndHandleListEntity(parsedContent, chunkSplitByLine, entityRoles);
+                parseAndHandleListEntity(parsedContent, chunkSplitByLine, entityRoles, linePositions);
             } catch (err) {
                 throw (err);
             }
@@ -423,11 +731,11 @@ const parseAndHandleEntity = function(parsedContent, chunkSplitByLine, locale, l
         chunkSplitByLine.splice(0,1);
         let pLValues = new Array();
         let plValuesList = "";
-        chunkSplitByLine.forEach(function(phraseListValues) {
+        chunkSplitByLine.forEach(function(phraseListValues, lineIdx) {
             if((phraseListValues.indexOf('-') !== 0) &&
             (phraseListValues.indexOf('*') !== 0) && 
             (phraseListValues.indexOf('+') !== 0)) {
-                throw(new exception(retCode.errorCode.PHRASELIST_NOT_A_LIST, '[ERROR]: Phrase list value: "' + phraseListValues + '" does not have list decoration. Prefix line with "-" or "+" or "*"'));
+                throw(new exception(retCode.errorCode.PHRASELIST_NOT_A_LIST, '[ERROR]: Phrase list value: "' + phraseListValues + '" does not have list decoration. Prefix line with "-" or "+" or "*"', linePositions[lineIdx + 1]));
             }
             phraseListValues = phraseListValues.slice(1).trim();
             pLValues.push(phraseListValues.split(','));
@@ -466,46 +774,90 @@ const parseAndHandleEntity = function(parsedContent, chunkSplitByLine, locale, l
  * Helper function to parse and handle QnA Maker alterations
  * @param {parserObj} parsedContent parserObj containing current parsed content
  * @param {Array} chunkSplitByLine Array of text lines in the current parsed section
+ * @param {Object []} linePositions line and column of each line in the current parsed section
  * @returns {void} Nothing
  * @throws {exception} Throws on errors. exception object includes errCode and text. 
  */
-const parseAndHandleQnAAlterations = function(parsedContent, chunkSplitByLine) {
+const parseAndHandleQnAAlterations = function(parsedContent, chunkSplitByLine, linePositions) {
     let alterationlist = [chunkSplitByLine[0].replace(PARSERCONSTS.ENTITY, '').split(':')[0].trim()];
     // remove the first entity declaration line
     chunkSplitByLine.splice(0,1);
-    chunkSplitByLine.forEach(function(alterationLine) {
+    chunkSplitByLine.forEach(function(alterationLine, lineIdx) {
         if((alterationLine.indexOf('-') !== 0) &&
         (alterationLine.indexOf('*') !== 0) && 
         (alterationLine.indexOf('+') !== 0)) {
-            throw(new exception(retCode.errorCode.SYNONYMS_NOT_A_LIST, '[ERROR]: QnA alteration list value: "' + alterationLine + '" does not have list decoration. Prefix line with "-" or "+" or "*"'));
+            throw(new exception(retCode.errorCode.SYNONYMS_NOT_A_LIST, '[ERROR]: QnA alteration list value: "' + alterationLine + '" does not have list decoration. Prefix line with "-" or "+" or "*"', linePositions[lineIdx + 1]));
         }
         alterationLine = alterationLine.slice(1).trim();       
         alterationlist.push(alterationLine.trim());
     });
     parsedContent.qnaAlterations.wordAlterations.push(new qnaAlterations.alterations(alterationlist));
 }
+/**
+ * Helper function to parse and handle regex entities
+ * @param {parserObj} parsedContent parserObj containing current parsed content
+ * @param {string} entityName name of the regex entity
+ * @param {string} entityType entity type in /regexPattern/ notation
+ * @param {string []} entityRoles Array of possible roles for this entity.
+ * @returns {void} Nothing
+ * @throws {exception} Throws on errors. exception object includes errCode and text.
+ */
+const parseAndHandleRegExEntity = function(parsedContent, entityName, entityType, entityRoles) {
+    // remove the surrounding '/' from the definition
+    let regexPattern = entityType.trim().slice(1, -1);
+    let regExEntityExists = helpers.filterMatch(parsedContent.LUISJsonStructure.regex_entities, 'name', entityName);
+    if(regExEntityExists.length === 0) {
+        parsedContent.LUISJsonStructure.regex_entities.push(new helperClass.regExEntity(entityName, regexPattern, entityRoles));
+    } else {
+        if(regExEntityExists[0].regexPattern !== regexPattern) {
+            throw(new exception(retCode.errorCode.INVALID_REGEX_ENTITY, '[ERROR]: RegEx entity : "' + entityName + '" has conflicting definitions. "/' + regExEntityExists[0].regexPattern + '/" and "/' + regexPattern + '/"'));
+        }
+        mergeRoles(regExEntityExists[0].roles, entityRoles);
+    }
+}
+/**
+ * Helper function to parse and handle composite entities
+ * @param {parserObj} parsedContent parserObj containing current parsed content
+ * @param {string} entityName name of the composite entity
+ * @param {string []} children list of child entity names
+ * @param {string []} entityRoles Array of possible roles for this entity.
+ * @returns {void} Nothing
+ */
+const parseAndHandleCompositeEntity = function(parsedContent, entityName, children, entityRoles) {
+    let compositeExists = helpers.filterMatch(parsedContent.LUISJsonStructure.composites, 'name', entityName);
+    if(compositeExists.length === 0) {
+        parsedContent.LUISJsonStructure.composites.push(new helperClass.compositeEntity(entityName, children, entityRoles));
+    } else {
+        // composite with this name already exists. Add any new children.
+        children.forEach(function(child) {
+            if(!compositeExists[0].children.includes(child)) compositeExists[0].children.push(child);
+        });
+        mergeRoles(compositeExists[0].roles, entityRoles);
+    }
+}
 /**
  * Helper function to parse and handle list entities
  * @param {parserObj} parsedContent parserObj containing current parsed content
  * @param {Array} chunkSplitByLine Array of text lines in the current parsed section
  * @param {string []} entityRoles Array of possible roles for this entity.
+ * @param {Object []} linePositions line and column of each line in the current parsed section
  * @returns {void} Nothing
  * @throws {exception} Throws on errors. exception object includes errCode and text. 
  */
-const parseAndHandleListEntity = function(parsedContent, chunkSplitByLine, entityRoles) {
-    const [entityName, entityType] = chunkSplitByLine[0].replace(PARSERCONSTS.ENTITY, '').split(':');
+const parseAndHandleListEntity = function(parsedContent, chunkSplitByLine, entityRoles, linePositions) {
+    const [entityName, entityType] = chunkSplitByLine[0].replace(PARSERCONSTS.ENTITY, '').split(':').map(item => item.trim());
     // get normalized value
-    let normalizedValue = entityType.substring(0, entityType.length - 1);
+    let normalizedValue = entityType.substring(0, entityType.length - 1).trim();
     // remove the first entity declaration line
     chunkSplitByLine.splice(0,1);
     let synonymsList = [];
     
     // go through the list chunk and parse. Add these as synonyms
-    chunkSplitByLine.forEach(function(listLine) {
+    chunkSplitByLine.forEach(function(listLine, lineIdx) {
         if((listLine.indexOf('-') !== 0) &&
         (listLine.indexOf('*') !== 0) && 
         (listLine.indexOf('+') !== 0)) {
-            throw(new exception(retCode.errorCode.SYNONYMS_NOT_A_LIST, '[ERROR]: Synonyms list value: "' + listLine + '" does not have list decoration. Prefix line with "-" or "+" or "*"'));
+            throw(new exception(retCode.errorCode.SYNONYMS_NOT_A_LIST, '[ERROR]: Synonyms list value: "' + listLine + '" does not have list decoration. Prefix line with "-" or "+" or "*"', linePositions[lineIdx + 1]));
         }
         listLine = listLine.slice(1).trim();       
         synonymsList.push(listLine.trim());
@@ -532,24 +884,34 @@ const parseAndHandleListEntity = function(parsedContent, chunkSplitByLine, entit
  * Helper function to parse and handle LUIS intents
  * @param {parserObj} parsedContent parserObj containing current parsed content
  * @param {Array} chunkSplitByLine Array of text lines in the current parsed section
+ * @param {Object []} linePositions line and column of each line in the current parsed section
+ * @param {Object []} expansions collection that utterances with expansion syntax are added to
+ * @param {boolean} testOnly if true, utterances in this section are only used as batch tests
+ * @param {Object} annotations [Optional] annotations for this section. description and expansion for intents. id and source for QnA pairs
  * @returns {void} Nothing
  * @throws {exception} Throws on errors. exception object includes errCode and text. 
  */
-const parseAndHandleIntent = function(parsedContent, chunkSplitByLine) {
-    let intentName = chunkSplitByLine[0].substring(chunkSplitByLine[0].indexOf(' ') + 1);
+const parseAndHandleIntent = function(parsedContent, chunkSplitByLine, linePositions, expansions, testOnly, annotations) {
+    let intentName = chunkSplitByLine[0].substring(chunkSplitByLine[0].indexOf(' ') + 1).trim();
     // is this a QnA section? Qna sections have intent names that begin with ?
     if(intentName.trim().indexOf(PARSERCONSTS.QNA) === 0) {
         let questions = [];
         let answer = "";
         let InanswerSection = false;
         let InFiltersSection = false;
+        let InPromptsSection = false;
         let metadata = [];
+        let prompts = [];
         questions.push(intentName.replace('?', '').trim());
         chunkSplitByLine.splice(0,1);
-        chunkSplitByLine.forEach(function(utterance) {
+        chunkSplitByLine.forEach(function(utterance, lineIdx) {
             // do we have a filter section? 
             if(utterance.toLowerCase().indexOf('**filters:**') === 0) {
                 InFiltersSection = true;
+                InPromptsSection = false;
+            } else if(utterance.toLowerCase().indexOf('**prompts:**') === 0) {
+                InPromptsSection = true;
+                InFiltersSection = false;
             } else if(InanswerSection) {
                 // are we already in an answer section? 
                 answer += utterance + NEWLINE;
@@ -558,6 +920,7 @@ const parseAndHandleIntent = function(parsedContent, chunkSplitByLine) {
                 if(utterance.trim().indexOf(PARSERCONSTS.ANSWER) === 0)
                 {
                     InFiltersSection = false;
+                    InPromptsSection = false;
                     if(InanswerSection) {
                         answer += utterance + NEWLINE;
                     } else {
@@ -566,17 +929,19 @@ const parseAndHandleIntent = function(parsedContent, chunkSplitByLine) {
                         InanswerSection = true;
                     }
                 } else {
-                    // do we have another question or Filter? 
-                    if(InFiltersSection) {
+                    // do we have another question, Filter or Prompt? 
+                    if(InPromptsSection) {
+                        prompts.push(parsePrompt(utterance, prompts.length, linePositions[lineIdx + 1]));
+                    } else if(InFiltersSection) {
                         if((utterance.indexOf('-') !== 0) &&
                         (utterance.indexOf('*') !== 0) && 
                         (utterance.indexOf('+') !== 0)) {
-                            throw(new exception(retCode.errorCode.INVALID_QNA_FILTER_DEF, 'Filter: "' + utterance + '" does not have list decoration. Prefix line with "-" or "+" or "*"'));
+                            throw(new exception(retCode.errorCode.INVALID_QNA_FILTER_DEF, 'Filter: "' + utterance + '" does not have list decoration. Prefix line with "-" or "+" or "*"', linePositions[lineIdx + 1]));
                         }
                         utterance = utterance.slice(1).trim();
                         let kp = utterance.split('=');
                         if(kp.length !== 2) {
-                            throw(new exception(retCode.errorCode.INVALID_QNA_FILTER_DEF, 'Filter: "' + utterance + '" does not have a name = value pair.'));
+                            throw(new exception(retCode.errorCode.INVALID_QNA_FILTER_DEF, 'Filter: "' + utterance + '" does not have a name = value pair.', linePositions[lineIdx + 1]));
                         }
                         metadata.push(new qnaMetaDataObj(kp[0].trim(),kp[1].trim()));
                     } else {
@@ -584,7 +949,7 @@ const parseAndHandleIntent = function(parsedContent, chunkSplitByLine) {
                         if((utterance.indexOf('-') !== 0) &&
                         (utterance.indexOf('*') !== 0) && 
                         (utterance.indexOf('+') !== 0)) {
-                            throw(new exception(retCode.errorCode.INVALID_QNA_QUESTION_DEF, 'Question: "' + utterance + '" does not have list decoration. Prefix line with "-" or "+" or "*"'));
+                            throw(new exception(retCode.errorCode.INVALID_QNA_QUESTION_DEF, 'Question: "' + utterance + '" does not have list decoration. Prefix line with "-" or "+" or "*"', linePositions[lineIdx + 1]));
                         }
                         utterance = utterance.slice(1).trim();
                         questions.push(utterance.trim());
@@ -593,136 +958,188 @@ const parseAndHandleIntent = function(parsedContent, chunkSplitByLine) {
             }
         });
         let finalAnswer = answer.substring(0, answer.lastIndexOf(NEWLINE));
-        parsedContent.qnaJsonStructure.qnaList.push(new qnaListObj(0, finalAnswer.substring(0, finalAnswer.lastIndexOf('```')), 'custom editorial', questions, metadata));
+        let context = prompts.length > 0 ? {isContextOnly: false, prompts: prompts} : undefined;
+        annotations = annotations || {};
+        parsedContent.qnaJsonStructure.qnaList.push(new qnaListObj(annotations.id, finalAnswer.substring(0, finalAnswer.lastIndexOf('```')), annotations.source, questions, metadata, context));
     } else {
         // insert only if the intent is not already present.
         addItemIfNotPresent(parsedContent.LUISJsonStructure, LUISObjNameEnum.INTENT, intentName);
+        if(annotations && annotations.description !== undefined) {
+            let intent = helpers.filterMatch(parsedContent.LUISJsonStructure.intents, 'name', intentName)[0];
+            setAnnotatedValue(intent, 'description', annotations.description, '@intent.description for intent "' + intentName + '"');
+        }
+        let expand = expansion.isEnabled(annotations, linePositions[0]);
         // remove first line from chunk
         chunkSplitByLine.splice(0,1);
-        chunkSplitByLine.forEach(function(utterance)
+        chunkSplitByLine.forEach(function(utterance, lineIdx)
         {
+            let linePosition = linePositions[lineIdx + 1];
             // remove the list decoration from line.
             if((utterance.indexOf('-') !== 0) &&
                 (utterance.indexOf('*') !== 0) && 
                 (utterance.indexOf('+') !== 0)) {
-                throw ({
-                    errCode: retCode.errorCode.INVALID_UTTERANCE_DEF,
-                    text: 'Utterance: "' + utterance + '" does not have list decoration. Prefix line with "-" or "+" or "*"'
-                })
+                throw(new exception(retCode.errorCode.INVALID_UTTERANCE_DEF, 'Utterance: "' + utterance + '" does not have list decoration. Prefix line with "-" or "+" or "*"', linePosition));
             }
             utterance = utterance.slice(1).trim();
+            let isDeepReference = false;
             // see if this utterance has a reference to LU section. 
-            // Deep references must have [link name](link-value) notation
+            // Deep references must have [link name](link-value) notation. [optional] expansion syntax is not a reference.
             if (utterance.indexOf('[') == 0) {
-                let linkExp = (utterance || '').trim().match(new RegExp(/\(.*?\)/g));
+                let linkExp = (utterance || '').trim().match(new RegExp(/^\[[^\]]*\]\(.*?\)/g));
                 if(linkExp && linkExp.length !== 0) {
-                    let parsedLinkUriInUtterance = helpers.parseLinkURI(utterance);
+                    let parsedLinkUriInUtterance;
+                    try {
+                        parsedLinkUriInUtterance = helpers.parseLinkURI(utterance);
+                    } catch (err) {
+                        throw (helpers.addPositionToError(err, linePosition));
+                    }
                     // examine and add these to filestoparse list.
                     parsedContent.additionalFilesToParse.push(new fileToParse(parsedLinkUriInUtterance.luFile, false));
+                    isDeepReference = true;
                 }
             }
-            // handle entities in the utterance
-            if(utterance.includes("{")) {
-                let entityRegex = new RegExp(/\{(.*?)\}/g);
-                let entitiesFound = utterance.match(entityRegex);
-                let updatedUtterance = utterance;
-                let entitiesInUtterance = new Array();
-                let havePatternAnyEntitiesInUtterance = false;
-                // treat this as labelled utterance
-                entitiesFound.forEach(function(entity) {
-                    let labelledValue = "";
-                    let srcEntityStructure = entity;
-                    entity = entity.replace("{", "").replace("}", "");
-                    // see if this is a trained simple entity of format {entityName=labelled value}
-                    if(entity.includes("=")) {
-                        let entitySplit = entity.split("=");
-                        if(entitySplit.length > 2) {
-                            throw ({
-                                errCode: retCode.errorCode.INVALID_INPUT, 
-                                text: '[ERROR]: Nested entity references are not supported in utterance: ' + utterance
-                            })
-                        }
-                        entity = entitySplit[0].trim();
-                        labelledValue = entitySplit[1].trim();
-                        if(labelledValue !== "") {
-                            // add this to entities collection unless it already exists
-                            addItemIfNotPresent(parsedContent.LUISJsonStructure, LUISObjNameEnum.ENTITIES, entity);
-                            // clean up uttearnce to only include labelledentityValue and add to utterances collection
-                            let startPos = updatedUtterance.indexOf(srcEntityStructure);
-                            let endPos = startPos + labelledValue.length - 1;
-                            let utteranceLeft = updatedUtterance.substring(0, updatedUtterance.indexOf("{" + entity));
-                            let utteranceRight = updatedUtterance.substring(updatedUtterance.indexOf(labelledValue + "}") + labelledValue.length + 1);
-                            updatedUtterance = utteranceLeft + labelledValue + utteranceRight;
-                            entitiesInUtterance.push({
-                                "type": "simple",
-                                "value": {
-                                    "entity": entity,
-                                    "startPos": startPos,
-                                    "endPos": endPos
-                                }
-                            });
-                        } else {
-                            throw ({
-                                errCode: retCode.errorCode.MISSING_LABELLED_VALUE, 
-                                text: '[ERROR]: No labelled value found for entity: ' + entity + ' in utterance: ' + utterance
-                            })
-                        }
-                    } else {
-                        // push this utterance to patterns
-                        
-                        // if this intent does not have any utterances, push this pattern as an utterance as well. 
-                        let intentInUtterance = helpers.filterMatch(parsedContent.LUISJsonStructure.utterances, 'intent', intentName);
-                        if(intentInUtterance.length === 0) {
-                            parsedContent.LUISJsonStructure.utterances.push(new helperClass.uttereances(utterance, intentName, []));
-                        }
-                        
-                        if(utterance.includes("{")) {
-                            // handle entities
-                            let entityRegex = new RegExp(/\{(.*?)\}/g);
-                            let entitiesFound = utterance.match(entityRegex);
-                            entitiesFound.forEach(function(entity) {
-                                entity = entity.replace("{", "").replace("}", "");
-                                if(entity.includes(':')) {
-                                    // this is an entity with role
-                                    const [entityName, roleName] = entity.split(':');
-                                    havePatternAnyEntitiesInUtterance = true;
-                                    addItemOrRoleIfNotPresent(parsedContent.LUISJsonStructure, LUISObjNameEnum.PATTERNANYENTITY, entityName, [roleName])
-                                } else {
-                                    havePatternAnyEntitiesInUtterance = true;
-                                    addItemIfNotPresent(parsedContent.LUISJsonStructure, LUISObjNameEnum.PATTERNANYENTITY, entity);
-                                }
-                            });
-                        }
-                    }
-                });
-                if(entitiesInUtterance.length !== 0) {
-                    // examine entities and push
-                    let utteranceObject = new helperClass.uttereances(updatedUtterance,intentName,[]);
-                    entitiesInUtterance.forEach(function(lEntity){
-                        utteranceObject.entities.push(lEntity.value);
-                    });
-                    parsedContent.LUISJsonStructure.utterances.push(utteranceObject);
-                }
-
-                if(havePatternAnyEntitiesInUtterance) {
-                    parsedContent.LUISJsonStructure.patterns.push(new helperClass.pattern(utterance, intentName));
+            // expand (a|b) and [optional] syntax in sections that turn it on. Deep references and patterns are left as-is.
+            if (expand && !isDeepReference && expansion.hasExpansionSyntax(utterance) && !isPattern(utterance, linePosition)) {
+                let parts = expansion.parseExpansion(utterance);
+                let count = expansion.countExpansions(parts);
+                if (count > 1) {
+                    // expanded utterances are added where this line is once all sections are parsed
+                    expansions.push({intentName: intentName, parts: parts, count: count, linePosition: linePosition, testOnly: testOnly, insertAt: parsedContent.LUISJsonStructure.utterances.length});
+                    return;
                 }
-                
-            } else {
-                // push this to utterances
-                parsedContent.LUISJsonStructure.utterances.push(new helperClass.uttereances(utterance, intentName, []));
+                utterance = expansion.getExpansion(parts, 0);
             }
+            // items added for this utterance are reported at the utterance line
+            let counts = sourcePositions.count(parsedContent);
+            addUtterance(parsedContent, utterance, intentName, linePosition, testOnly);
+            sourcePositions.addToNewItems(parsedContent, counts, linePosition);
         });
     }
 }
+/**
+ * Helper function to parse a follow-up prompt in the **Prompts:** block of a QnA section.
+ * Prompts follow - [display text](#?question) or - [display text](#id) notation. Add `context-only` to the end of the line if the QnA pair the prompt refers to is only shown as a follow-up.
+ * References are resolved to QnA pair ids when QnA content is collated.
+ * @param {string} line prompt line
+ * @param {number} displayOrder position of the prompt in the **Prompts:** block
+ * @param {Object} linePosition line and column of the prompt
+ * @returns {Object} prompt with displayOrder, qnaId, displayText and the unresolved reference
+ * @throws {exception} Throws on errors. exception object includes errCode, text, line and column. 
+ */
+const parsePrompt = function(line, displayOrder, linePosition) {
+    if((line.indexOf('-') !== 0) &&
+    (line.indexOf('*') !== 0) && 
+    (line.indexOf('+') !== 0)) {
+        throw(new exception(retCode.errorCode.INVALID_QNA_PROMPT, 'Prompt: "' + line + '" does not have list decoration. Prefix line with "-" or "+" or "*"', linePosition));
+    }
+    let prompt = line.slice(1).trim().match(/^\[([^\]]+)\]\(#(.+)\)\s*(`context-only`)?$/i);
+    let target = prompt === null ? '' : prompt[2].trim();
+    if(target === '' || target === '?') {
+        throw(new exception(retCode.errorCode.INVALID_QNA_PROMPT, 'Prompt: "' + line + '" does not follow - [display text](#?question) or - [display text](#id) notation', linePosition));
+    }
+    let reference = target.indexOf('?') === 0 ? {question: target.slice(1).trim()} : {id: target};
+    reference.contextOnly = prompt[3] !== undefined;
+    reference.line = linePosition ? linePosition.line : 0;
+    reference.column = linePosition ? linePosition.column : 0;
+    return {displayOrder: displayOrder, qnaId: 0, displayText: prompt[1].trim(), reference: reference};
+}
+/**
+ * Helper function to add an utterance or pattern to the parsed content
+ * @param {parserObj} parsedContent parserObj containing current parsed content
+ * @param {string} utterance utterance text with entity labels
+ * @param {string} intentName name of the intent
+ * @param {Object} linePosition line and column of the utterance
+ * @param {boolean} testOnly if true, the utterance is marked as test-only. Patterns cannot be test-only and are skipped.
+ * @returns {void} Nothing
+ * @throws {exception} Throws on errors. exception object includes errCode, text, line and column. 
+ */
+const addUtterance = function(parsedContent, utterance, intentName, linePosition, testOnly) {
+    // handle entities in the utterance
+    if(utterance.includes("{")) {
+        // labelled entities can be nested. e.g. {outer={inner=value}}
+        let parsedUtterance;
+        try {
+            parsedUtterance = helpers.parseLabelledUtterance(utterance);
+        } catch (err) {
+            throw (helpers.addPositionToError(err, linePosition));
+        }
+        if(testOnly && parsedUtterance.patternEntities.length !== 0) {
+            parsedContent.diagnostics.push(new diagnostic(severityEnum.WARNING, retCode.errorCode.INVALID_UTTERANCE_DEF, '[WARN]: Patterns cannot be used as batch tests. Skipping pattern "' + utterance + '" in test-only section.', undefined, linePosition.line, linePosition.column));
+            return;
+        }
+        if(parsedUtterance.patternEntities.length !== 0) {
+            // push this utterance to patterns
+            
+            // if this intent does not have any utterances, push this pattern as an utterance as well. 
+            let intentInUtterance = helpers.filterMatch(parsedContent.LUISJsonStructure.utterances, 'intent', intentName).filter(item => !item.testOnly);
+            if(intentInUtterance.length === 0) {
+                parsedContent.LUISJsonStructure.utterances.push(new helperClass.uttereances(utterance, intentName, []));
+            }
+            parsedUtterance.patternEntities.forEach(function(entity) {
+                if(entity.includes(':')) {
+                    // this is an entity with role
+                    const [entityName, roleName] = entity.split(':');
+                    addItemOrRoleIfNotPresent(parsedContent.LUISJsonStructure, LUISObjNameEnum.PATTERNANYENTITY, entityName, [roleName])
+                } else {
+                    addItemIfNotPresent(parsedContent.LUISJsonStructure, LUISObjNameEnum.PATTERNANYENTITY, entity);
+                }
+            });
+        }
+        if(parsedUtterance.entities.length !== 0) {
+            // add labelled entities at every level to entities collection unless they already exist
+            parsedUtterance.entities.forEach(function(lEntity) {
+                addItemIfNotPresent(parsedContent.LUISJsonStructure, LUISObjNameEnum.ENTITIES, lEntity.entity);
+            });
+            // clean up uttearnce to only include labelled entity values and add to utterances collection
+            parsedContent.LUISJsonStructure.utterances.push(createUtterance(parsedUtterance.text, intentName, parsedUtterance.entities, testOnly));
+        }
+
+        if(parsedUtterance.patternEntities.length !== 0) {
+            parsedContent.LUISJsonStructure.patterns.push(new helperClass.pattern(utterance, intentName));
+        }
+        
+    } else {
+        // push this to utterances
+        parsedContent.LUISJsonStructure.utterances.push(createUtterance(utterance, intentName, [], testOnly));
+    }
+}
+/**
+ * Helper function to create an utterance
+ * @param {string} text utterance text without entity labels
+ * @param {string} intentName name of the intent
+ * @param {Object []} entities labelled entities
+ * @param {boolean} testOnly if true, the utterance is only used as a batch test and is removed from the LUIS model when content is collated
+ * @returns {Object} utterance
+ */
+const createUtterance = function(text, intentName, entities, testOnly) {
+    let utterance = new helperClass.uttereances(text, intentName, entities);
+    if(testOnly) utterance.testOnly = true;
+    return utterance;
+}
+/**
+ * Helper function to see if an utterance is a pattern. Patterns have {entityName} references.
+ * @param {string} utterance utterance text
+ * @param {Object} linePosition line and column of the utterance
+ * @returns {boolean} true if the utterance is a pattern
+ * @throws {exception} Throws on errors. exception object includes errCode, text, line and column. 
+ */
+const isPattern = function(utterance, linePosition) {
+    if(!utterance.includes('{')) return false;
+    try {
+        return helpers.parseLabelledUtterance(utterance).patternEntities.length !== 0;
+    } catch (err) {
+        throw (helpers.addPositionToError(err, linePosition));
+    }
+}
 /**
  * Helper function to parse and handle URL or file references in lu files
  * @param {parserObj} parsedContent parserObj containing current parsed content
  * @param {Array} chunkSplitByLine Array of text lines in the current parsed section
+ * @param {Object} resolver resolver for URL references
  * @returns {void} Nothing
  * @throws {exception} Throws on errors. exception object includes errCode and text. 
  */
-const parseURLOrFileRef = async function(parsedContent, chunkSplitByLine) {
+const parseURLOrFileRef = async function(parsedContent, chunkSplitByLine, resolver) {
     let linkValueRegEx = new RegExp(/\(.*?\)/g);
     let linkValueList = chunkSplitByLine[0].trim().match(linkValueRegEx);
     let linkValueText = chunkSplitByLine[0].trim().split(linkValueRegEx)[0].replace('[', '').replace(']', '');
@@ -730,19 +1147,21 @@ const parseURLOrFileRef = async function(parsedContent, chunkSplitByLine) {
     if (linkValue === '') {
         throw (new exception(retCode.errorCode.INVALID_LU_FILE_REF, '[ERROR]: Invalid LU File Ref: ' + chunkSplitByLine[0]));
     }
-    let parseUrl = url.parse(linkValue);
-    if (parseUrl.host || parseUrl.hostname) {
-        let options = { method: 'HEAD'};
-        let response;
+    if (resolvers.isURI(linkValue)) {
+        // .lu files referenced by URL are imported the same way as local .lu files
+        if ((url.parse(linkValue).pathname || '').toLowerCase().endsWith('.lu')) {
+            parsedContent.additionalFilesToParse.push(new fileToParse(linkValue));
+            return;
+        }
+        let contentType;
         try {
-            response = await fetch(linkValue, options);
+            contentType = await resolver.getContentType(linkValue);
         } catch (err) {
-            // throw, invalid URI
-            throw(new exception(retCode.errorCode.INVALID_URI, 'URI: "' + linkValue + '" appears to be invalid. Please double check the URI or re-try this parse when you are connected to the internet.'));
+            // custom resolvers can throw any error
+            if(err.errCode) throw (err);
+            throw(new exception(retCode.errorCode.INVALID_URI, 'URI: "' + linkValue + '" could not be resolved. ' + (err.message || err)));
         }
-        if(!response.ok) throw(new exception(retCode.errorCode.INVALID_URI, 'URI: "' + linkValue + '" appears to be invalid. Please double check the URI or re-try this parse when you are connected to the internet.'));
-        let contentType = response.headers.get('content-type');
-        if(!contentType.includes('text/html')) {
+        if(!(contentType || '').includes('text/html')) {
             parsedContent.qnaJsonStructure.files.push(new qnaFile(linkValue, linkValueText));
         } else {
             parsedContent.qnaJsonStructure.urls.push(linkValue);
@@ -9,14 +9,34 @@ const path = require('path');
 const chalk = require('chalk');
 const txtfile = require('read-text-file');
 const LUISObjNameEnum = require('./enums/luisobjenum');
+const PARSERCONSTS = require('./enums/parserconsts');
 const parseFileContents = require('./parseFileContents');
 const retCode = require('./enums/CLI-errors');
 const helpers = require('./helpers');
 const cmdEnum = require('./enums/parsecommands');
 const exception = require('./classes/exception');
+const diagnostic = require('./classes/diagnostic');
+const severityEnum = require('./enums/diagnosticseverity');
 const filesToParseClass = require('./classes/filesToParse');
 const parserObject = require('./classes/parserObject');
 const hClasses = require('./classes/hclasses');
+const parseCache = require('./parse-cache');
+const resolvers = require('./resolvers');
+const augment = require('./augment');
+const batchTests = require('./batch-tests');
+const expansion = require('./utterance-expansion');
+const conditions = require('./conditions');
+const qnaTable = require('./qna-table');
+const url = require('url');
+const WATCH_DEBOUNCE_MS = 200;
+// LUIS app culture used when neither --luis_culture nor @app.culture is set
+const DEFAULT_CULTURE = 'en-us';
+// reads .lu files from disk. parseContents swaps this for a reader over the in-memory file map
+const diskFileReader = {
+    exists: file => fs.existsSync(path.resolve(file)),
+    read: file => txtfile.readSync(file),
+    findLUFiles: (folder, getSubFolders) => helpers.findLUFiles(folder, getSubFolders)
+};
 const parser = {
     /**
      * Handle parsing the root file that was passed in command line args
@@ -27,38 +47,425 @@ const parser = {
      * @throws {exception} Throws on errors. exception object includes errCode and text. 
      */
     handleFile: async function(program, cmd) {
+        // with --diagnostics, report all problems found instead of stopping at the first error
+        let continueOnError = program.diagnostics !== undefined;
+        if(continueOnError && program.diagnostics.toLowerCase() !== 'json') {
+            throw(new exception(retCode.errorCode.INVALID_INPUT, '[ERROR]: Unsupported diagnostics format "' + program.diagnostics + '". Supported formats: json'));
+        }
+        let diagnostics = [];
+        let parsedFiles;
+        try {
+            parsedFiles = await parseAndCollateFiles(program, diagnostics, continueOnError);
+        } catch (err) {
+            throw (err);
+        }
+        if(continueOnError) {
+            try {
+                writeDiagnostics(program, diagnostics);
+            } catch (err) {
+                throw (err);
+            }
+        }
+        try {
+            writeOutFiles(program, parsedFiles.finalLUISJSON, parsedFiles.finalQnAJSON, parsedFiles.finalQnAAlterations, parsedFiles.rootFile, cmd, parsedFiles.luisBatchTests); 
+        } catch (err) {
+            throw(err);
+        }
+    },
+    /**
+     * Parse the root file that was passed in command line args and re-generate output files every time
+     * the root file or any file it references changes. Errors are reported without stopping the watch.
+     *
+     * @param {object} program Content flushed out by commander
+     * @param {cmdEnum} cmd Parse to either LUIS or QnA 
+     * @returns {Object} Watcher with files being watched. Call close() on it to stop watching
+     * @throws {exception} Throws on errors. exception object includes errCode and text. 
+     */
+    watchFiles: async function(program, cmd) {
+        if(program.diagnostics !== undefined && program.diagnostics.toLowerCase() !== 'json') {
+            throw(new exception(retCode.errorCode.INVALID_INPUT, '[ERROR]: Unsupported diagnostics format "' + program.diagnostics + '". Supported formats: json'));
+        }
+        let watcher = {
+            files: [],
+            folders: new Map(),
+            running: false,
+            pending: false,
+            timer: undefined,
+            closed: false,
+            close: function() {
+                watcher.closed = true;
+                clearTimeout(watcher.timer);
+                watcher.folders.forEach(folderWatcher => folderWatcher.close());
+                watcher.folders.clear();
+            }
+        };
+        if(program.in) watcher.files.push(path.resolve(program.in));
+        await runWatchedParse(program, cmd, watcher);
+        return watcher;
+    },
+    /**
+     * Parse and collate .lu content without reading or writing any files. References across files are resolved against the files passed in.
+     *
+     * @param {Object} options Object with files (map of .lu file name to content), culture (LUIS app culture. Overrides @app.culture annotations, defaults to en-us)
+     * root (file name or list of file names to start parsing from, defaults to all files), resolver (resolves URL references, see resolvers.js. URL references are not resolved unless a resolver is passed in)
+     * maxExpansions (maximum number of utterances generated from expansion syntax for each intent, defaults to 100),
+     * defines (map of variable name to value that > !# @if conditions are evaluated against) and questionDelimiter (separates questions in the same row of a QnA table, defaults to ;)
+     * @returns {Object} Object with collated LUISJsonStructure, qnaJsonStructure and qnaAlterations, luisBatchTests (utterances in > @test sections in the LUIS batch testing format)
+     * along with diagnostics that has all errors and warnings found. LUISJsonStructure is undefined if there is no LUIS content
+     * @throws {exception} Throws on invalid options. exception object includes errCode and text. 
+     */
+    parseContents: async function(options) {
+        options = options || {};
+        if(!options.files || typeof options.files !== 'object' || Object.keys(options.files).length === 0) {
+            throw(new exception(retCode.errorCode.INVALID_INPUT, '[ERROR]: No .lu content found. Pass .lu content as a map of file name to content in files'));
+        }
+        let culture = options.culture ? options.culture.toLowerCase() : undefined;
+        let parseOptions = getParseOptions({
+            max_expansions: options.maxExpansions,
+            define: options.defines ? Object.keys(options.defines).map(name => name + '=' + options.defines[name]) : undefined,
+            question_delimiter: options.questionDelimiter
+        });
+        let fileReader = createVirtualFileReader(options.files);
+        let rootFiles = (options.root === undefined ? Object.keys(options.files) : [].concat(options.root)).map(fileReader.toPath);
+        let diagnostics = [];
+        let allParsedContent;
+        try {
+            // unlike parseFile, parseContents never accesses the network on its own
+            allParsedContent = await parseAllFiles(rootFiles, false, culture, diagnostics, true, undefined, undefined, fileReader, options.resolver || resolvers.createOfflineResolver(), parseOptions);
+            await resolveReferencesInUtterances(allParsedContent, diagnostics, true);
+        } catch (err) {
+            diagnostics.push(diagnostic.fromException(err));
+        }
+        let collatedContent = allParsedContent ? await collateParsedContent(allParsedContent, diagnostics, true) : {};
+        // report file names as they were passed in
+        diagnostics.forEach(item => {
+            if(item.file) item.file = fileReader.toName(item.file);
+        });
+        let name = path.basename(rootFiles[0], path.extname(rootFiles[0])).split('.')[0];
+        let finalLUISJSON = haveLUISContent(collatedContent.finalLUISJSON) ? collatedContent.finalLUISJSON : undefined;
+        // culture passed in options takes precedence over > !# @app annotations
+        if(finalLUISJSON) {
+            finalLUISJSON.luis_schema_version = '3.0.0';
+            finalLUISJSON.versionId = finalLUISJSON.versionId || '0.1';
+            finalLUISJSON.name = finalLUISJSON.name || name;
+            finalLUISJSON.desc = finalLUISJSON.desc || '';
+            finalLUISJSON.culture = culture || finalLUISJSON.culture || DEFAULT_CULTURE;
+        }
+        if(collatedContent.finalQnAJSON) collatedContent.finalQnAJSON.name = collatedContent.finalQnAJSON.name || name;
+        return {
+            LUISJsonStructure: finalLUISJSON,
+            qnaJsonStructure: collatedContent.finalQnAJSON,
+            qnaAlterations: collatedContent.finalQnAAlterations,
+            luisBatchTests: batchTests.toBatchTests(finalLUISJSON ? collatedContent.luisTestUtterances : []),
+            diagnostics: diagnostics
+        };
+    },
+    /**
+     * Write diagnostics as JSON to the file passed with --diagnostics_file, or to stderr
+     *
+     * @param {object} program Parsed program object from commander
+     * @param {diagnostic []} diagnostics list of errors and warnings found
+     * @returns {void} Nothing
+     * @throws {exception} Throws if the diagnostics file cannot be written. exception object includes errCode and text. 
+     */
+    outputDiagnostics: function(program, diagnostics) {
+        outputDiagnostics(program, diagnostics);
+    },
+    /**
+     * Parse all .lu files passed in command line args and resolve references across them. Content is not collated.
+     *
+     * @param {object} program Content flushed out by commander
+     * @param {diagnostic []} diagnostics collection that errors and warnings found in all files are added to
+     * @param {boolean} continueOnError if true, errors are added to diagnostics instead of throwing on the first error
+     * @param {referenceGraph} graph [Optional] collection that file and intent references found across files are added to
+     * @returns {object} Object with rootFile, parsedFiles that lists all files read and allParsedContent that contains arrays of parsed LUIS, QnA and QnA alterations content per file
+     * @throws {exception} Throws on errors. exception object includes errCode, text, file, line and column. 
+     */
+    parseFiles: async function(program, diagnostics, continueOnError, graph) {
         let filesToParse;
+        let parseOptions;
         try {
             filesToParse = await getFilesToParse(program);
+            parseOptions = getParseOptions(program);
         } catch (err) {
             throw (err);
         }
         let rootFile = filesToParse[0];
         let allParsedContent = '';
         try {
-            allParsedContent = await parseAllFiles(filesToParse, program.verbose, program.luis_culture);
+            allParsedContent = await parseAllFiles(filesToParse, program.verbose, program.luis_culture, diagnostics, continueOnError, parseCache.getCacheFolder(program), graph, undefined, resolvers.getResolver(program), parseOptions);
         } catch (err) {
             throw (err);
         }
-        // resolve uttereance deep references
-        await resolveReferencesInUtterances(allParsedContent);
-        let finalLUISJSON, finalQnAJSON, finalQnAAlterations; 
         try {
-            // pass only files that need to be collated.
-            finalLUISJSON = await parseFileContents.collateLUISFiles(allParsedContent.LUISContent.filter(item => item.includeInCollate));
-            if(haveLUISContent(finalLUISJSON)) await parseFileContents.validateLUISBlob(finalLUISJSON);
-            finalQnAJSON = await parseFileContents.collateQnAFiles(allParsedContent.QnAContent.filter(item => item.includeInCollate));
-            finalQnAAlterations = await parseFileContents.collateQnAAlterations(allParsedContent.QnAAlterations.filter(item => item.includeInCollate));
+            // resolve uttereance deep references
+            await resolveReferencesInUtterances(allParsedContent, diagnostics, continueOnError, graph);
         } catch (err) {
-            throw (err);
+            if(!continueOnError) throw (err);
+            diagnostics.push(diagnostic.fromException(err));
+        }
+        return {
+            rootFile: rootFile,
+            parsedFiles: allParsedContent.parsedFiles,
+            allParsedContent: allParsedContent
+        };
+    }
+};
+/**
+ * Helper function to parse all .lu files passed in command line args and collate their content
+ * @param {object} program Content flushed out by commander
+ * @param {diagnostic []} diagnostics collection that errors and warnings found in all files are added to
+ * @param {boolean} continueOnError if true, errors are added to diagnostics instead of throwing on the first error
+ * @returns {object} Object with rootFile, parsedFiles, collated finalLUISJSON, finalQnAJSON and finalQnAAlterations and luisBatchTests.
+ * luisBatchTests is undefined unless there are test-only utterances or --test_split was requested
+ * @throws {exception} Throws on errors. exception object includes errCode, text, file, line and column. 
+ */
+const parseAndCollateFiles = async function(program, diagnostics, continueOnError) {
+    let parsedFiles;
+    let augmentOptions;
+    let testSplit;
+    try {
+        augmentOptions = augment.getAugmentOptions(program);
+        testSplit = batchTests.getTestSplit(program);
+        parsedFiles = await parser.parseFiles(program, diagnostics, continueOnError);
+        if(program.tsv) await addTSVContent(program, parsedFiles, diagnostics, continueOnError);
+    } catch (err) {
+        throw (err);
+    }
+    let collatedContent;
+    try {
+        collatedContent = await collateParsedContent(parsedFiles.allParsedContent, diagnostics, continueOnError);
+    } catch (err) {
+        throw (err);
+    }
+    let luisBatchTests;
+    if(haveLUISContent(collatedContent.finalLUISJSON) && (testSplit !== undefined || collatedContent.luisTestUtterances.length !== 0)) {
+        // held out utterances are picked before augmenting so generated utterances are never used as tests
+        let heldOut = testSplit !== undefined ? batchTests.holdOutUtterances(collatedContent.finalLUISJSON, testSplit, program.seed !== undefined ? String(program.seed) : expansion.DEFAULT_SEED) : [];
+        luisBatchTests = heldOut.concat(collatedContent.luisTestUtterances);
+    }
+    if(augmentOptions && haveLUISContent(collatedContent.finalLUISJSON)) {
+        let generated = augment.augmentUtterances(collatedContent.finalLUISJSON, augmentOptions);
+        if(program.verbose) process.stdout.write(chalk.default.whiteBright('Generated ' + generated + ' utterance(s) from patterns with list entities\n'));
+    }
+    return {
+        rootFile: parsedFiles.rootFile,
+        parsedFiles: parsedFiles.parsedFiles,
+        finalLUISJSON: collatedContent.finalLUISJSON,
+        finalQnAJSON: collatedContent.finalQnAJSON,
+        finalQnAAlterations: collatedContent.finalQnAAlterations,
+        luisBatchTests: luisBatchTests
+    };
+}
+/**
+ * Helper function to import QnA pairs from the tab separated file passed with --tsv and add them to the parsed QnA content
+ * @param {object} program Content flushed out by commander
+ * @param {object} parsedFiles parsed files from parseFiles. The TSV file is added to the list of files read and is the root file if no .lu files were passed
+ * @param {diagnostic []} diagnostics collection that errors found in the file are added to
+ * @param {boolean} continueOnError if true, errors are added to diagnostics instead of throwing
+ * @returns {void} Nothing
+ * @throws {exception} Throws on errors. exception object includes errCode, text, file, line and column. 
+ */
+const addTSVContent = async function(program, parsedFiles, diagnostics, continueOnError) {
+    let tsvFile = path.resolve(program.tsv);
+    if(!fs.existsSync(tsvFile)) {
+        throw(new exception(retCode.errorCode.FILE_OPEN_ERROR, 'Sorry unable to open [' + program.tsv + ']'));
+    }
+    parsedFiles.rootFile = parsedFiles.rootFile || program.tsv;
+    parsedFiles.parsedFiles.push(tsvFile);
+    let qnaContent = new parserObject();
+    qnaContent.srcFile = tsvFile;
+    try {
+        qnaContent.qnaJsonStructure.qnaList = qnaTable.parseTSV(txtfile.readSync(tsvFile), tsvFile, getParseOptions(program).questionDelimiter);
+    } catch (err) {
+        if(!continueOnError) throw (err);
+        diagnostics.push(diagnostic.fromException(err));
+    }
+    parsedFiles.allParsedContent.QnAContent.push(qnaContent);
+}
+/**
+ * Helper function to collate LUIS, QnA and QnA alterations content from all files that need to be collated.
+ * Test-only utterances are removed from the collated LUIS content.
+ * @param {Object} allParsedContent Object with arrays of parsed LUIS, QnA and QnA alterations content per file
+ * @param {diagnostic []} diagnostics collection that errors found while collating are added to
+ * @param {boolean} continueOnError if true, errors are added to diagnostics instead of throwing
+ * @returns {object} Object with collated finalLUISJSON, finalQnAJSON, finalQnAAlterations and luisTestUtterances
+ * @throws {exception} Throws on errors. exception object includes errCode and text. 
+ */
+const collateParsedContent = async function(allParsedContent, diagnostics, continueOnError) {
+    let finalLUISJSON, finalQnAJSON, finalQnAAlterations; 
+    let luisTestUtterances = [];
+    try {
+        // pass only files that need to be collated.
+        finalLUISJSON = await parseFileContents.collateLUISFiles(allParsedContent.LUISContent.filter(item => item.includeInCollate));
+        if(haveLUISContent(finalLUISJSON)) await parseFileContents.validateLUISBlob(finalLUISJSON);
+        if(finalLUISJSON) luisTestUtterances = batchTests.removeTestOnlyUtterances(finalLUISJSON);
+        finalQnAJSON = await parseFileContents.collateQnAFiles(allParsedContent.QnAContent.filter(item => item.includeInCollate));
+        finalQnAAlterations = await parseFileContents.collateQnAAlterations(allParsedContent.QnAAlterations.filter(item => item.includeInCollate));
+    } catch (err) {
+        if(!continueOnError) throw (err);
+        diagnostics.push(diagnostic.fromException(err));
+    }
+    return {
+        finalLUISJSON: finalLUISJSON,
+        finalQnAJSON: finalQnAJSON,
+        finalQnAAlterations: finalQnAAlterations,
+        luisTestUtterances: luisTestUtterances
+    };
+}
+/**
+ * Helper function to create a file reader over an in-memory map of .lu file name to content.
+ * File names are mapped to absolute paths under the file system root so references between them resolve like files on disk.
+ * @param {Object} files map of .lu file name to content
+ * @returns {Object} file reader with exists, read, findLUFiles and toPath and toName to map between file names and paths
+ */
+const createVirtualFileReader = function(files) {
+    let root = path.resolve(path.sep);
+    let contents = new Map(Object.keys(files).map(name => [path.resolve(root, name), files[name]]));
+    return {
+        exists: file => contents.has(path.resolve(root, file)),
+        read: file => contents.get(path.resolve(root, file)),
+        findLUFiles: (folder, getSubFolders) => Array.from(contents.keys()).filter(file => {
+            if(path.extname(file) !== '.lu') return false;
+            let relativePath = path.relative(path.resolve(root, folder), file);
+            if(relativePath.startsWith('..') || path.isAbsolute(relativePath)) return false;
+            return getSubFolders || path.dirname(relativePath) === '.';
+        }),
+        toPath: name => path.resolve(root, name),
+        toName: file => resolvers.isURI(file) ? file : path.relative(root, file).split(path.sep).join('/')
+    };
+}
+/**
+ * Helper function to parse files for watch mode, report all problems found and write out files if there are no errors.
+ * Runs requested while a parse is in progress are queued up and run once it completes.
+ * @param {object} program Content flushed out by commander
+ * @param {cmdEnum} cmd Parse to either LUIS or QnA 
+ * @param {Object} watcher Watcher state from watchFiles
+ * @returns {void} Nothing
+ */
+const runWatchedParse = async function(program, cmd, watcher) {
+    if(watcher.running) {
+        watcher.pending = true;
+        return;
+    }
+    watcher.running = true;
+    try {
+        let diagnostics = [];
+        let parsedFiles;
+        try {
+            parsedFiles = await parseAndCollateFiles(program, diagnostics, true);
+        } catch (err) {
+            // errors that stop parsing altogether e.g. no .lu files found in the folder
+            diagnostics.push(diagnostic.fromException(err));
+        }
+        let errorCount = diagnostics.filter(item => item.severity === severityEnum.ERROR).length;
+        if(parsedFiles && errorCount === 0) {
+            try {
+                writeOutFiles(program, parsedFiles.finalLUISJSON, parsedFiles.finalQnAJSON, parsedFiles.finalQnAAlterations, parsedFiles.rootFile, cmd, parsedFiles.luisBatchTests);
+            } catch (err) {
+                diagnostics.push(diagnostic.fromException(err));
+                errorCount++;
+            }
+        }
+        if(program.diagnostics !== undefined) {
+            try {
+                outputDiagnostics(program, diagnostics);
+            } catch (err) {
+                process.stderr.write(chalk.default.redBright(diagnostic.fromException(err).toString() + '\n'));
+            }
+        } else {
+            diagnostics.forEach(item => {
+                let color = item.severity === severityEnum.ERROR ? chalk.default.redBright : chalk.default.yellowBright;
+                process.stdout.write(color(item.toString() + '\n'));
+            });
         }
+        // keep watching the files from the last run if this run did not get far enough to find them
+        // files imported by URL cannot be watched
+        if(parsedFiles) watcher.files = parsedFiles.parsedFiles.filter(file => !resolvers.isURI(file)).map(file => path.resolve(file));
+        updateWatchedFolders(program, cmd, watcher);
+        let summary = '[' + new Date().toLocaleTimeString() + '] ' + errorCount + ' error(s), ' + (diagnostics.length - errorCount) + ' warning(s).';
+        if(errorCount !== 0) summary += ' Output files were not updated.';
+        process.stdout.write(chalk.default.whiteBright(summary + ' Watching ' + watcher.files.length + ' file(s) for changes...\n'));
+    } finally {
+        // a failed run must not stop later changes from being picked up
+        watcher.running = false;
+    }
+    if(watcher.pending) {
+        watcher.pending = false;
+        await runWatchedParse(program, cmd, watcher);
+    }
+}
+/**
+ * Helper function to watch folders that have the files being watched and stop watching folders that are no longer needed.
+ * Folders are watched instead of files so editors that save by replacing the file are picked up
+ * and new .lu files in these folders are picked up by folder and wildcard references.
+ * @param {object} program Content flushed out by commander
+ * @param {cmdEnum} cmd Parse to either LUIS or QnA 
+ * @param {Object} watcher Watcher state from watchFiles
+ * @returns {void} Nothing
+ */
+const updateWatchedFolders = function(program, cmd, watcher) {
+    if(watcher.closed) return;
+    let folders = new Set(watcher.files.map(file => path.dirname(file)));
+    if(program.lu_folder) folders.add(path.resolve(program.lu_folder));
+    watcher.folders.forEach((folderWatcher, folder) => {
+        if(folders.has(folder)) return;
+        folderWatcher.close();
+        watcher.folders.delete(folder);
+    });
+    folders.forEach(folder => {
+        if(watcher.folders.has(folder)) return;
         try {
-            writeOutFiles(program,finalLUISJSON,finalQnAJSON, finalQnAAlterations, rootFile, cmd); 
+            watcher.folders.set(folder, fs.watch(folder, (eventType, fileName) => {
+                let file = fileName ? path.join(folder, fileName.toString()) : undefined;
+                if(file && !watcher.files.includes(file) && !file.endsWith('.lu')) return;
+                // editors often write a file more than once on save. Wait for changes to settle before parsing again.
+                clearTimeout(watcher.timer);
+                watcher.timer = setTimeout(() => {
+                    runWatchedParse(program, cmd, watcher).catch(err => {
+                        process.stderr.write(chalk.default.redBright(diagnostic.fromException(err).toString() + '\n'));
+                    });
+                }, WATCH_DEBOUNCE_MS);
+            }));
         } catch (err) {
-            throw(err);
+            // folder does not exist (yet). It will be picked up on the next run that finds files in it.
         }
+    });
+}
+/**
+ * Helper function to write out all diagnostics found while parsing as JSON
+ * @param {object} program Parsed program object from commander
+ * @param {diagnostic []} diagnostics list of errors and warnings found
+ * @returns {void} Nothing
+ * @throws {exception} Throws if any errors were found. exception object includes errCode and text. 
+ */
+const writeDiagnostics = function(program, diagnostics) {
+    outputDiagnostics(program, diagnostics);
+    let errors = diagnostics.filter(item => item.severity === severityEnum.ERROR);
+    if(errors.length !== 0) {
+        throw(new exception(errors[0].errCode, '[ERROR]: ' + errors.length + ' error(s) found.'));
     }
-};
+}
+/**
+ * Helper function to write diagnostics as JSON to the file passed with --diagnostics_file, or to stderr.
+ * stdout has --verbose logs and --stdout output so diagnostics are never written there.
+ * @param {object} program Parsed program object from commander
+ * @param {diagnostic []} diagnostics list of errors and warnings found
+ * @returns {void} Nothing
+ * @throws {exception} Throws if the diagnostics file cannot be written. exception object includes errCode and text. 
+ */
+const outputDiagnostics = function(program, diagnostics) {
+    let content = JSON.stringify(diagnostics, null, 2) + '\n';
+    if(!program.diagnostics_file) {
+        process.stderr.write(content);
+        return;
+    }
+    try {
+        fs.writeFileSync(path.resolve(program.diagnostics_file), content, 'utf-8');
+    } catch (err) {
+        throw(new exception(retCode.errorCode.UNABLE_TO_WRITE_FILE, 'Unable to write diagnostics file - ' + program.diagnostics_file));
+    }
+}
 /**
  * Helper function to write out contents to disk
  * @param {object} program Parsed program object from commander
@@ -67,33 +474,27 @@ const parser = {
  * @param {qnaAlterations} finalQnAAlterations Collated final QnA Alterations JSON structure to write out to disk\
  * @param {string} rootFile Root file name and path
  * @param {cmdEnum} cmd Command to instruct if LUIS or QnA content should be written out to disk
+ * @param {Object []} luisBatchTests [Optional] held out and test-only utterances to write to the LUIS batch test file. If undefined, the batch test file has all utterances in the LUIS model
  * @returns {void} Nothing
  * @throws {exception} Throws on errors. exception object includes errCode and text. 
  */
-const writeOutFiles = function(program,finalLUISJSON,finalQnAJSON, finalQnAAlterations, rootFile, cmd) {
+const writeOutFiles = function(program,finalLUISJSON,finalQnAJSON, finalQnAAlterations, rootFile, cmd, luisBatchTests) {
     let outFolder;
     try {
         outFolder = getOutputFolder(program)
     } catch (err) {
         throw (err);
     }
-    if(!program.luis_versionId) program.luis_versionId = "0.1";
-    if(!program.luis_schema_version) program.luis_schema_version = "3.0.0";
-    if(!program.luis_name) program.luis_name = path.basename(rootFile, path.extname(rootFile));
-    if(!program.luis_desc) program.luis_desc = "";
-    if(!program.luis_culture) program.luis_culture = "en-us";   
-    if(!program.qna_name) program.qna_name = path.basename(rootFile, path.extname(rootFile));
-    if(program.luis_culture) program.luis_culture = program.luis_culture.toLowerCase();
-
+    // app settings passed on the command line take precedence over > !# @app and @kb annotations in .lu files
     if(finalLUISJSON) {
-        finalLUISJSON.luis_schema_version = program.luis_schema_version;
-        finalLUISJSON.versionId = program.luis_versionId;
-        finalLUISJSON.name = program.luis_name.split('.')[0],
-        finalLUISJSON.desc = program.luis_desc;
-        finalLUISJSON.culture = program.luis_culture;
+        finalLUISJSON.luis_schema_version = program.luis_schema_version || "3.0.0";
+        finalLUISJSON.versionId = program.luis_versionId || finalLUISJSON.versionId || "0.1";
+        finalLUISJSON.name = (program.luis_name || finalLUISJSON.name || path.basename(rootFile, path.extname(rootFile))).split('.')[0];
+        finalLUISJSON.desc = program.luis_desc || finalLUISJSON.desc || "";
+        finalLUISJSON.culture = (program.luis_culture || finalLUISJSON.culture || DEFAULT_CULTURE).toLowerCase();
     }
 
-    if (finalQnAJSON) finalQnAJSON.name = program.qna_name.split('.')[0];
+    if (finalQnAJSON) finalQnAJSON.name = (program.qna_name || finalQnAJSON.name || path.basename(rootFile, path.extname(rootFile))).split('.')[0];
 
     var writeQnAFile = (finalQnAJSON.qnaList.length > 0) || 
                         (finalQnAJSON.urls.length > 0) || 
@@ -122,22 +523,17 @@ const writeOutFiles = function(program,finalLUISJSON,finalQnAJSON, finalQnAAlter
         if (program.out) {
             program.lOutFile = program.out.includes('.') ? program.out : program.out + ".json"
         } else {
-            if (!program.luis_name) {
-                program.lOutFile = path.basename(rootFile, path.extname(rootFile)) + "_LUISApp.json";  
-            } else {
-                program.lOutFile = program.luis_name.includes('.') ? program.luis_name : program.luis_name + ".json";
-            }
+            // output file is named after the root file unless --luis_name is passed. @app.name annotations do not change the file name.
+            let luisName = program.luis_name || path.basename(rootFile, path.extname(rootFile));
+            program.lOutFile = luisName.includes('.') ? luisName : luisName + ".json";
         }
     }
     if (!program.qOutFile) {
         if (program.out) {
             program.qOutFile = program.out.includes('.') ? program.out : program.out + ".json"
         } else {
-            if (!program.qna_name) {
-                program.qOutFile = path.basename(rootFile, path.extname(rootFile)) + "_qnaKB.json";
-            } else {
-                program.qOutFile = program.qna_name.includes('.') ? program.qna_name : program.qna_name + ".json";
-            }
+            let qnaName = program.qna_name || path.basename(rootFile, path.extname(rootFile));
+            program.qOutFile = qnaName.includes('.') ? qnaName : qnaName + ".json";
         }
     }
     if((cmd == cmdEnum.luis) && writeLUISFile) {
@@ -163,8 +559,9 @@ const writeOutFiles = function(program,finalLUISJSON,finalQnAJSON, finalQnAAlter
         if(program.verbose) process.stdout.write(chalk.default.italic('Successfully wrote QnA KB to ' + path.join(outFolder, program.qOutFile) + '\n'));
     }
     // write luis batch test file if requested
-    if((cmd == cmdEnum.luis) && program.write_luis_batch_tests) {
-        let lBatchFile = JSON.stringify(finalLUISJSON.utterances, null, 2);
+    if((cmd == cmdEnum.luis) && writeLUISFile && (program.write_luis_batch_tests || program.test_split !== undefined)) {
+        // utterances generated with --augment are not test data
+        let lBatchFile = JSON.stringify(luisBatchTests ? batchTests.toBatchTests(luisBatchTests) : finalLUISJSON.utterances.filter(utterance => !utterance.generated), null, 2);
         let LUISBatchFileName = program.lOutFile.endsWith('.json')?program.lOutFile.replace('.json','_LUISBatchTest.json'):program.lOutFile + '_LUISBatchTest.json';
         let lBFileName = path.join(outFolder, LUISBatchFileName);
         // write out the final LUIS Json
@@ -247,58 +644,110 @@ const getFilesToParse = async function(program) {
  * Helper function to loop through and parse all files
  * @param {Array} filesToParse List of input .lu files to parse
  * @param {boolean} log If true, write verbose log messages to stdout
- * @param {string} luis_culture LUIS language code
- * @returns {object} Object cotaining arrays of all parsed LUIS and QnA content found in the files
- * @throws {exception} Throws on errors. exception object includes errCode and text. 
+ * @param {string} luis_culture LUIS language code. If not set, files are parsed with the first > !# @app.culture annotation found
+ * @param {diagnostic []} diagnostics collection that errors and warnings found in all files are added to
+ * @param {boolean} continueOnError if true, errors are added to diagnostics and parsing continues with the next section or file
+ * @param {string} cacheFolder [Optional] Parse cache folder. Files whose content has not changed since they were last parsed are picked up from the cache
+ * @param {referenceGraph} graph [Optional] collection that references to other files are added to
+ * @param {Object} fileReader [Optional] Reads .lu files. Defaults to reading .lu files from disk
+ * @param {Object} resolver [Optional] Resolves URL references. See resolvers.js. Defaults to fetching URLs over HTTP
+ * @param {Object} parseOptions [Optional] parse options from getParseOptions
+ * @returns {object} Object cotaining arrays of all parsed LUIS and QnA content found in the files and the list of files read
+ * @throws {exception} Throws on errors. exception object includes errCode, text, file, line and column. 
  */
-const parseAllFiles = async function(filesToParse, log, luis_culture) {
+const parseAllFiles = async function(filesToParse, log, luis_culture, diagnostics, continueOnError, cacheFolder, graph, fileReader, resolver, parseOptions) {
+    fileReader = fileReader || diskFileReader;
+    resolver = resolver || resolvers.createHttpResolver();
     let parsedContent = '';
     let allParsedLUISContent = [];
     let allParsedQnAContent = [];
     let allParsedAlterationsContent = [];
+    let rootFiles = filesToParse;
     filesToParse = filesToParseClass.stringArrayToFileToParseList(filesToParse);
     let parsedFiles = [];
+    // prebuilt entities are checked against the app culture. Without --luis_culture, that is the first @app.culture annotation found
+    let culture = luis_culture;
+    let parsedWithOtherCulture = false;
+    let diagnosticsCount = diagnostics.length;
+    let referencesCount = graph ? graph.references.length : 0;
     while (filesToParse.length > 0) {
         let file = filesToParse[0].filePath;
         // skip this file if we have parsed it already
-        if (parsedFiles.includes(file)) {
+        if (isParsed(parsedFiles, file)) {
             filesToParse.splice(0,1)
             continue;
         }
-        if(!fs.existsSync(path.resolve(file))) {
-            throw(new exception(retCode.errorCode.FILE_OPEN_ERROR, 'Sorry unable to open [' + file + ']'));     
-        }
-        let fileContent = txtfile.readSync(file);
-        if (!fileContent) {
-            throw(new exception(retCode.errorCode.FILE_OPEN_ERROR,'Sorry, error reading file:' + file));
-        }
-        if(log) process.stdout.write(chalk.default.whiteBright('Parsing file: ' + file + '\n'));
+        let fileContent;
         try {
-            parsedContent = await parseFileContents.parseFile(fileContent, log, luis_culture);
+            if(resolvers.isURI(file)) {
+                fileContent = await readLUFileFromURI(resolver, file);
+            } else if(!fileReader.exists(file)) {
+                throw(new exception(retCode.errorCode.FILE_OPEN_ERROR, 'Sorry unable to open [' + file + ']'));     
+            } else {
+                fileContent = fileReader.read(file);
+            }
+            if (!fileContent) {
+                throw(new exception(retCode.errorCode.FILE_OPEN_ERROR,'Sorry, error reading file:' + file));
+            }
         } catch (err) {
-            throw(err);
+            if(!continueOnError) throw (err);
+            diagnostics.push(diagnostic.fromException(err, file));
+            parsedFiles.push(file);
+            filesToParse.splice(0,1);
+            continue;
+        }
+        // content types of URL references depend on the resolver. Results from custom resolvers that cannot be told apart are not cached.
+        let useCache = cacheFolder !== undefined && resolver.cacheId !== undefined;
+        let cacheKey = useCache ? parseCache.getKey(fileContent, culture, parseOptions, resolver.cacheId) : undefined;
+        parsedContent = useCache ? parseCache.get(cacheFolder, cacheKey, file) : undefined;
+        if (parsedContent) {
+            if(log) {
+                process.stdout.write(chalk.default.whiteBright('Using cached parse result for file: ' + file + '\n'));
+                parsedContent.diagnostics.filter(item => item.severity === severityEnum.WARNING).forEach(item => process.stdout.write(chalk.default.yellowBright(item.toString() + '\n')));
+            }
+        } else {
+            if(log) process.stdout.write(chalk.default.whiteBright('Parsing file: ' + file + '\n'));
+            try {
+                parsedContent = await parseFileContents.parseFile(fileContent, log, culture, file, continueOnError, resolver, parseOptions);
+            } catch (err) {
+                throw(err);
+            }
+            if (!parsedContent) {
+                throw(new exception(retCode.errorCode.INVALID_INPUT_FILE, 'Sorry, file ' + file + 'had invalid content'));
+            } 
+            // cache the result before references in it are resolved against this file's location.
+            // Files with errors are not cached so they are reported again on the next run.
+            if(useCache && !parsedContent.diagnostics.some(item => item.severity === severityEnum.ERROR)) parseCache.set(cacheFolder, cacheKey, parsedContent);
         }
-        if (!parsedContent) {
-            throw(new exception(retCode.errorCode.INVALID_INPUT_FILE, 'Sorry, file ' + file + 'had invalid content'));
-        } 
+        parsedContent.diagnostics.forEach(item => diagnostics.push(item));
         parsedFiles.push(file);
+        if(culture === undefined) {
+            if(parsedContent.LUISJsonStructure.culture) {
+                culture = parsedContent.LUISJsonStructure.culture;
+            } else if(haveLUISContent(parsedContent.LUISJsonStructure)) {
+                parsedWithOtherCulture = true;
+            }
+        }
         try {
-            if (haveLUISContent(parsedContent.LUISJsonStructure) && await parseFileContents.validateLUISBlob(parsedContent.LUISJsonStructure)) allParsedLUISContent.push(parserObject.create(parsedContent.LUISJsonStructure, undefined, undefined, file, filesToParse[0].includeInCollate));
+            if (haveLUISContent(parsedContent.LUISJsonStructure) && await parseFileContents.validateLUISBlob(parsedContent.LUISJsonStructure, true)) allParsedLUISContent.push(parserObject.create(parsedContent.LUISJsonStructure, undefined, undefined, file, filesToParse[0].includeInCollate));
         } catch (err) {
-            throw (err);
+            let error = helpers.addPositionToError(err, undefined, file);
+            if(!continueOnError) throw (error);
+            diagnostics.push(diagnostic.fromException(error, file));
         }
         allParsedQnAContent.push(parserObject.create(undefined, parsedContent.qnaJsonStructure, undefined, file, filesToParse[0].includeInCollate));
         allParsedAlterationsContent.push(parserObject.create(undefined, undefined, parsedContent.qnaAlterations, file, filesToParse[0].includeInCollate));
         // remove this file from the list
         let parentFile = filesToParse.splice(0,1);
-        let parentFilePath = path.parse(path.resolve(parentFile[0].filePath)).dir;
+        // references in .lu files imported by URL are relative to that URL
+        let parentFilePath = resolvers.isURI(parentFile[0].filePath) ? parentFile[0].filePath : path.parse(path.resolve(parentFile[0].filePath)).dir;
         // add additional files to parse to the list
         if(parsedContent.additionalFilesToParse.length > 0) {
             parsedContent.additionalFilesToParse.forEach(function(file) {
                 // Support wild cards at the end of a relative .LU file path. 
                 // './bar/*' should look for all .lu files under the specified folder.
                 // './bar/**' should recursively look for .lu files under sub-folders as well.
-                if(file.filePath.endsWith('*')) {
+                if(file.filePath.endsWith('*') && !resolvers.isURI(parentFilePath)) {
                     const isRecursive = file.filePath.endsWith('**');
                     const rootFolder = file.filePath.replace(/\*/g, '');
                     let rootPath = rootFolder;
@@ -306,15 +755,25 @@ const parseAllFiles = async function(filesToParse, log, luis_culture) {
                         rootPath = path.resolve(parentFilePath, rootFolder);
                     } 
                     // Get LU files in this location
-                    const luFilesToAdd = helpers.findLUFiles(rootPath, isRecursive);
+                    const luFilesToAdd = fileReader.findLUFiles(rootPath, isRecursive);
+                    if(graph && file.includeInCollate) {
+                        if(luFilesToAdd.length === 0) graph.addReference(parentFile[0].filePath, path.join(rootPath, isRecursive ? '**' : '*'));
+                        luFilesToAdd.forEach(addFile => graph.addReference(parentFile[0].filePath, addFile));
+                    }
                     if(luFilesToAdd.length !== 0) {
                         // add these to filesToParse
                         luFilesToAdd.forEach(addFile => filesToParse.push(new filesToParseClass(addFile, file.includeInCollate)));
                     }
                 } else {
-                    if(!path.isAbsolute(file.filePath)) file.filePath = path.resolve(parentFilePath, file.filePath);
+                    if(resolvers.isURI(parentFilePath) && !resolvers.isURI(file.filePath)) {
+                        file.filePath = url.resolve(parentFilePath, file.filePath);
+                    } else if(!path.isAbsolute(file.filePath) && !resolvers.isURI(file.filePath)) {
+                        file.filePath = path.resolve(parentFilePath, file.filePath);
+                    }
+                    // references to intents in other files are added to the graph when they are resolved
+                    if(graph && file.includeInCollate) graph.addReference(parentFile[0].filePath, file.filePath);
                     // avoid parsing files that have been parsed already
-                    if(parsedFiles.includes(file.filePath)) {
+                    if(isParsed(parsedFiles, file.filePath)) {
                         // find matching parsed files and ensure includeInCollate is updated if needed.
                         updateParsedFiles(allParsedLUISContent, allParsedQnAContent, allParsedAlterationsContent, file);
                     } else {
@@ -324,19 +783,91 @@ const parseAllFiles = async function(filesToParse, log, luis_culture) {
             });
         }
     }
+    if(parsedWithOtherCulture && culture !== undefined && culture !== DEFAULT_CULTURE) {
+        // files parsed before the @app.culture annotation was found were checked against en-us. Parse everything again with the annotated culture.
+        diagnostics.splice(diagnosticsCount);
+        if(graph) graph.references.splice(referencesCount);
+        return parseAllFiles(rootFiles, log, culture, diagnostics, continueOnError, cacheFolder, graph, fileReader, resolver, parseOptions);
+    }
     return {
         LUISContent: allParsedLUISContent,
         QnAContent: allParsedQnAContent,
-        QnAAlterations: allParsedAlterationsContent
+        QnAAlterations: allParsedAlterationsContent,
+        parsedFiles: parsedFiles
     };
 }
+/**
+ * Helper function to see if a file has been parsed already. The root file can be referenced by a relative path
+ * on the command line and by an absolute path from other files.
+ * @param {string []} parsedFiles files parsed so far
+ * @param {string} file file to look for
+ * @returns {boolean} true if the file has been parsed already
+ */
+const isParsed = function(parsedFiles, file) {
+    return parsedFiles.some(item => normalizeFilePath(item) === normalizeFilePath(file));
+}
+/**
+ * Helper function to get parse options requested in command line args
+ * @param {object} program parsed program object from commander
+ * @returns {Object} parse options with maxExpansions, defines (map of variable name to value from --define) and questionDelimiter
+ * @throws {exception} Throws on errors. exception object includes errCode and text.
+ */
+const getParseOptions = function(program) {
+    let parseOptions = {};
+    if(program.max_expansions !== undefined) {
+        parseOptions.maxExpansions = Number(program.max_expansions);
+        if(!Number.isInteger(parseOptions.maxExpansions) || parseOptions.maxExpansions < 1) {
+            throw(new exception(retCode.errorCode.INVALID_INPUT, '[ERROR]: Invalid max expansions "' + program.max_expansions + '". Max expansions must be a positive integer'));
+        }
+    }
+    if(program.define !== undefined) parseOptions.defines = conditions.parseDefines([].concat(program.define));
+    if(program.question_delimiter !== undefined) {
+        parseOptions.questionDelimiter = String(program.question_delimiter);
+        if(parseOptions.questionDelimiter.trim() === '' || parseOptions.questionDelimiter.includes(PARSERCONSTS.QNATABLE)) {
+            throw(new exception(retCode.errorCode.INVALID_INPUT, '[ERROR]: Invalid question delimiter "' + program.question_delimiter + '". Question delimiters cannot be blank or have "|"'));
+        }
+    }
+    return parseOptions;
+}
+/**
+ * Helper function to get the absolute path of a .lu file. Files imported by URL are left as-is.
+ * @param {string} file file path or URL
+ * @returns {string} absolute file path or URL
+ */
+const normalizeFilePath = function(file) {
+    return resolvers.isURI(file) ? file : path.resolve(file);
+}
+/**
+ * Helper function to read a .lu file imported by URL
+ * @param {Object} resolver resolver for URL references
+ * @param {string} uri URL of the .lu file
+ * @returns {string} .lu file content
+ * @throws {exception} Throws on errors. exception object includes errCode and text. 
+ */
+const readLUFileFromURI = async function(resolver, uri) {
+    try {
+        return await resolver.readLUFile(uri);
+    } catch (err) {
+        // custom resolvers can throw any error
+        if(err.errCode) throw (err);
+        throw(new exception(retCode.errorCode.FILE_OPEN_ERROR, 'Sorry unable to open [' + uri + ']. ' + (err.message || err)));
+    }
+}
 /**
  * Helper function to resolve lu file references in utterances
  * @param {Object} allParsedContent 
+ * @param {diagnostic []} diagnostics collection that errors are added to
+ * @param {boolean} continueOnError if true, errors are added to diagnostics and the next reference is resolved
+ * @param {referenceGraph} graph [Optional] collection that references to intents and QnA pairs in other files are added to
  * @returns {void} Nothing
  * @throws {exception} Throws on errors. exception object includes errCode and text. 
  */
-const resolveReferencesInUtterances = async function(allParsedContent) {
+const resolveReferencesInUtterances = async function(allParsedContent, diagnostics, continueOnError, graph) {
+    // report the reference and move on to the next one when continuing on errors
+    const unresolvedReference = function(err) {
+        if(!continueOnError) throw (err);
+        diagnostics.push(diagnostic.fromException(err));
+    };
     // find LUIS utterances that have references
     (allParsedContent.LUISContent || []).forEach(luisModel => {
         if (!luisModel.includeInCollate) return;
@@ -350,17 +881,22 @@ const resolveReferencesInUtterances = async function(allParsedContent) {
             if (linkExp && linkExp.length !== 0) {
                 // we have stuff to parse and resolve
                 let parsedUtterance = helpers.parseLinkURI(utterance.text);
-                if (!path.isAbsolute(parsedUtterance.luFile)) parsedUtterance.luFile = path.resolve(path.dirname(luisModel.srcFile), parsedUtterance.luFile);
+                if (resolvers.isURI(luisModel.srcFile) && !resolvers.isURI(parsedUtterance.luFile)) {
+                    parsedUtterance.luFile = url.resolve(luisModel.srcFile, parsedUtterance.luFile);
+                } else if (!path.isAbsolute(parsedUtterance.luFile) && !resolvers.isURI(parsedUtterance.luFile)) {
+                    parsedUtterance.luFile = path.resolve(path.dirname(luisModel.srcFile), parsedUtterance.luFile);
+                }
+                if (graph) graph.addReference(luisModel.srcFile, parsedUtterance.luFile, utterance.intent, parsedUtterance.ref.endsWith('?') ? '?' : parsedUtterance.ref.replace(/-/g, ' ').trim());
                 // see if we are in need to pull LUIS or QnA utterances
                 if (parsedUtterance.ref.endsWith('?')) {
                     if( parsedUtterance.luFile.endsWith('*')) {
                     let parsedQnABlobs = (allParsedContent.QnAContent || []).filter(item => item.srcFile.includes(parsedUtterance.luFile.replace(/\*/g, '')));
-                    if(parsedQnABlobs === undefined) throw (new exception(retCode.errorCode.INVALID_INPUT,`[ERROR] Unable to parse ${utterance.text} in file: ${luisModel.srcFile}`));
+                    if(parsedQnABlobs === undefined) return unresolvedReference(new exception(retCode.errorCode.INVALID_INPUT,`[ERROR] Unable to parse ${utterance.text} in file: ${luisModel.srcFile}`, {file: luisModel.srcFile}));
                     parsedQnABlobs.forEach(blob => blob.qnaJsonStructure.qnaList.forEach(item => item.questions.forEach(question => newUtterancesToAdd.push(new hClasses.uttereances(question, utterance.intent)))));
                     } else {
                         // look for QnA
                         let parsedQnABlob = (allParsedContent.QnAContent || []).find(item => item.srcFile == parsedUtterance.luFile);
-                        if(parsedQnABlob === undefined) throw (new exception(retCode.errorCode.INVALID_INPUT,`[ERROR] Unable to parse ${utterance.text} in file: ${luisModel.srcFile}`));
+                        if(parsedQnABlob === undefined) return unresolvedReference(new exception(retCode.errorCode.INVALID_INPUT,`[ERROR] Unable to parse ${utterance.text} in file: ${luisModel.srcFile}`, {file: luisModel.srcFile}));
                         // get questions list from .lu file and update list
                         parsedQnABlob.qnaJsonStructure.qnaList.forEach(item => item.questions.forEach(question => newUtterancesToAdd.push(new hClasses.uttereances(question, utterance.intent))));
                     }
@@ -368,7 +904,7 @@ const resolveReferencesInUtterances = async function(allParsedContent) {
                 } else {
                     // find the parsed file
                     let parsedLUISBlob = (allParsedContent.LUISContent || []).find(item => item.srcFile == parsedUtterance.luFile);
-                    if(parsedLUISBlob === undefined) throw (new exception(retCode.errorCode.INVALID_INPUT,`[ERROR] Unable to parse ${utterance.text} in file: ${luisModel.srcFile}`));
+                    if(parsedLUISBlob === undefined) return unresolvedReference(new exception(retCode.errorCode.INVALID_INPUT,`[ERROR] Unable to parse ${utterance.text} in file: ${luisModel.srcFile}`, {file: luisModel.srcFile}));
                     // get utterance list from reference intent and update list
                     let referenceIntent = parsedUtterance.ref.replace(/-/g, ' ').trim();
                     let utterances = parsedLUISBlob.LUISJsonStructure.utterances.filter(item => item.intent == referenceIntent);
@@ -393,11 +929,11 @@ const resolveReferencesInUtterances = async function(allParsedContent) {
  */
 const updateParsedFiles = function(allParsedLUISContent, allParsedQnAContent, allParsedAlterationsContent, file) {
     // find the instance and ensure includeInCollate property is set correctly 
-    let matchInLUIS = allParsedLUISContent.find(item => item.srcFile == file.filePath);
+    let matchInLUIS = allParsedLUISContent.find(item => normalizeFilePath(item.srcFile) == file.filePath);
     if(matchInLUIS && (matchInLUIS.includeInCollate === false && file.includeInCollate === true)) matchInLUIS.includeInCollate = true;
-    let matchInQnA = allParsedQnAContent.find(item => item.srcFile == file.filePath);
+    let matchInQnA = allParsedQnAContent.find(item => normalizeFilePath(item.srcFile) == file.filePath);
     if(matchInQnA && (matchInQnA.includeInCollate === false && file.includeInCollate === true)) matchInQnA.includeInCollate = true;
-    let matchInAlterations = allParsedAlterationsContent.find(item => item.srcFile == file.filePath);
+    let matchInAlterations = allParsedAlterationsContent.find(item => normalizeFilePath(item.srcFile) == file.filePath);
     if(matchInAlterations && (matchInAlterations.includeInCollate === false && file.includeInCollate === true)) matchInAlterations.includeInCollate = true;
 }
 /**
@@ -414,7 +950,9 @@ const haveLUISContent = function(blob) {
     (blob.patterns.length > 0) ||
     (blob[LUISObjNameEnum.UTTERANCE].length > 0) ||
     (blob.prebuiltEntities.length > 0) ||
-    (blob.model_features.length > 0));
+    (blob.model_features.length > 0) ||
+    ((blob[LUISObjNameEnum.REGEX] || []).length > 0) ||
+    ((blob[LUISObjNameEnum.COMPOSITES] || []).length > 0));
 };
 
 module.exports = parser;
@@ -0,0 +1,237 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const retCode = require('./enums/CLI-errors');
+const exception = require('./classes/exception');
+const qnaListObj = require('./classes/qnaList');
+const qnaMetaDataObj = require('./classes/qnaMetaData');
+const PARSERCONSTS = require('./enums/parserconsts');
+const sourcePositions = require('./source-positions');
+// delimiter between questions in the same row when --question_delimiter is not passed
+const DEFAULT_QUESTION_DELIMITER = ';';
+// column names, by the QnA pair property they map to. Column names are not case sensitive and spaces are ignored
+const COLUMNS = {
+    questions: ['question', 'questions'],
+    answer: ['answer'],
+    source: ['source'],
+    metadata: ['metadata', 'filters'],
+    id: ['id', 'qnaid']
+};
+/**
+ * QnA pairs can be described in tables with a header row that names the columns -
+ *   | Question | Answer | Source | Metadata |
+ *   |----------|--------|--------|----------|
+ *   | hi; hello | Hello! | faq | category = greeting |
+ * Question and Answer columns are required. Other columns are ignored.
+ * Each row is one QnA pair. Rows with the same id and answer are merged into one QnA pair.
+ */
+const qnaTable = {
+    DEFAULT_QUESTION_DELIMITER: DEFAULT_QUESTION_DELIMITER,
+    /**
+     * Helper function to parse a pipe-delimited Markdown table in a .lu file into QnA pairs
+     * @param {string []} linesInTable lines in the table. The first line is the header row and the second line separates it from the rows
+     * @param {Object []} linePositions line and column of each line in the table
+     * @param {string} questionDelimiter [Optional] delimiter between questions in the same row. Defaults to ;
+     * @returns {qnaListObj []} QnA pairs
+     * @throws {exception} Throws on errors. exception object includes errCode, text, line and column.
+     */
+    parseMarkdownTable: function(linesInTable, linePositions, questionDelimiter) {
+        let rows = linesInTable.map((line, lineIdx) => {
+            if(line.indexOf(PARSERCONSTS.QNATABLE) !== 0) {
+                throw(new exception(retCode.errorCode.INVALID_QNA_TABLE, '[ERROR]: QnA table row "' + line + '" does not start with "|"', linePositions[lineIdx]));
+            }
+            return {cells: splitMarkdownRow(line), position: linePositions[lineIdx]};
+        });
+        if(rows.length < 2 || !rows[1].cells.every(cell => /^:?-+:?$/.test(cell))) {
+            throw(new exception(retCode.errorCode.INVALID_QNA_TABLE, '[ERROR]: QnA table does not have a header row followed by a |---|---| separator row', linePositions[0]));
+        }
+        return toQnAPairs(rows[0], rows.slice(2), questionDelimiter || DEFAULT_QUESTION_DELIMITER);
+    },
+    /**
+     * Helper function to split a Markdown table row into cells, e.g. to rewrite a row one cell at a time. \| is a literal | in a cell.
+     * @param {string} line table row
+     * @returns {string []} trimmed cell values
+     */
+    splitMarkdownRow: function(line) {
+        return splitMarkdownRow(line);
+    },
+    /**
+     * Helper function to write cells out as a Markdown table row. | in a cell is written out as \|
+     * @param {string []} cells cell values
+     * @returns {string} table row
+     */
+    joinMarkdownRow: function(cells) {
+        return '| ' + cells.map(cell => cell.replace(/\|/g, '\\|')).join(' | ') + ' |';
+    },
+    /**
+     * Helper function to map the columns in a header row to QnA pair properties
+     * @param {string []} cells header row cells
+     * @param {Object} position line and column of the header row
+     * @returns {Object} map of QnA pair property (questions, answer, source, metadata, id) to column index
+     * @throws {exception} Throws on errors. exception object includes errCode, text, line and column.
+     */
+    getColumns: function(cells, position) {
+        return getColumns({cells: cells, position: position});
+    },
+    /**
+     * Helper function to parse a tab separated file, e.g. a spreadsheet saved as tab delimited text, into QnA pairs.
+     * Values in double quotes can have tabs, new lines and "" for a double quote.
+     * @param {string} fileContent file content. The first row is the header row
+     * @param {string} srcFile name of the file. Used to report the source of errors
+     * @param {string} questionDelimiter [Optional] delimiter between questions in the same row. Defaults to ;
+     * @returns {qnaListObj []} QnA pairs
+     * @throws {exception} Throws on errors. exception object includes errCode, text, file, line and column.
+     */
+    parseTSV: function(fileContent, srcFile, questionDelimiter) {
+        let rows = splitTSVRows(fileContent.replace(/^\uFEFF/, ''), srcFile);
+        if(rows.length === 0) {
+            throw(new exception(retCode.errorCode.INVALID_QNA_TABLE, '[ERROR]: No QnA pairs found. The first row must name the Question and Answer columns', {file: srcFile, line: 1, column: 1}));
+        }
+        return toQnAPairs(rows[0], rows.slice(1), questionDelimiter || DEFAULT_QUESTION_DELIMITER);
+    }
+};
+/**
+ * Helper function to split a Markdown table row into cells. \| is a literal | in a cell.
+ * @param {string} line table row
+ * @returns {string []} trimmed cell values
+ */
+const splitMarkdownRow = function(line) {
+    let cells = [];
+    let cell = '';
+    for(let idx = 0; idx < line.length; idx++) {
+        if(line[idx] === '\\' && line[idx + 1] === '|') {
+            cell += '|';
+            idx++;
+        } else if(line[idx] === '|') {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += line[idx];
+        }
+    }
+    // the closing | is optional
+    if(cell.trim() !== '') cells.push(cell.trim());
+    // drop the empty cell before the opening |
+    return cells.slice(1);
+};
+/**
+ * Helper function to split tab separated content into rows of cells. Blank rows are skipped.
+ * @param {string} content tab separated content
+ * @param {string} srcFile name of the file
+ * @returns {Object []} rows with cells and the position of the row
+ */
+const splitTSVRows = function(content, srcFile) {
+    let rows = [];
+    let cells = [];
+    let cell = '';
+    let line = 1;
+    let rowLine = 1;
+    let inQuotes = false;
+    const endRow = function() {
+        cells.push(cell);
+        if(cells.some(value => value.trim() !== '')) rows.push({cells: cells.map(value => value.trim()), position: {file: srcFile, line: rowLine, column: 1}});
+        cells = [];
+        cell = '';
+    };
+    for(let idx = 0; idx < content.length; idx++) {
+        let char = content[idx];
+        if(char === '\n' || (char === '\r' && content[idx + 1] !== '\n')) line++;
+        if(inQuotes) {
+            if(char === '"' && content[idx + 1] === '"') {
+                cell += '"';
+                idx++;
+            } else if(char === '"') {
+                inQuotes = false;
+            } else if(char !== '\r' || content[idx + 1] !== '\n') {
+                cell += char;
+            }
+        } else if(char === '"' && cell === '') {
+            inQuotes = true;
+        } else if(char === '\t') {
+            cells.push(cell);
+            cell = '';
+        } else if(char === '\n' || char === '\r') {
+            if(char === '\r' && content[idx + 1] === '\n') continue;
+            endRow();
+            rowLine = line;
+        } else {
+            cell += char;
+        }
+    }
+    endRow();
+    return rows;
+};
+/**
+ * Helper function to map the columns in a header row to QnA pair properties
+ * @param {Object} headerRow header row with cells and position
+ * @returns {Object} map of QnA pair property to column index
+ * @throws {exception} Throws on errors. exception object includes errCode, text, line and column.
+ */
+const getColumns = function(headerRow) {
+    let columns = {};
+    headerRow.cells.forEach((cell, cellIdx) => {
+        let name = cell.replace(/\s+/g, '').toLowerCase();
+        let property = Object.keys(COLUMNS).find(key => COLUMNS[key].includes(name));
+        if(property !== undefined && columns[property] === undefined) columns[property] = cellIdx;
+    });
+    if(columns.questions === undefined || columns.answer === undefined) {
+        throw(new exception(retCode.errorCode.INVALID_QNA_TABLE, '[ERROR]: QnA table header "' + headerRow.cells.join(' | ') + '" must have Question and Answer columns', headerRow.position));
+    }
+    return columns;
+};
+/**
+ * Helper function to convert table rows into QnA pairs
+ * @param {Object} headerRow header row with cells and position
+ * @param {Object []} rows rows with cells and position
+ * @param {string} questionDelimiter delimiter between questions in the same row
+ * @returns {qnaListObj []} QnA pairs
+ * @throws {exception} Throws on errors. exception object includes errCode, text, line and column.
+ */
+const toQnAPairs = function(headerRow, rows, questionDelimiter) {
+    let columns = getColumns(headerRow);
+    let qnaPairs = [];
+    rows.forEach(row => {
+        let cell = property => columns[property] === undefined ? '' : (row.cells[columns[property]] || '');
+        let questions = cell('questions').split(questionDelimiter).map(question => question.trim()).filter(question => question !== '');
+        if(questions.length === 0 || cell('answer') === '') {
+            throw(new exception(retCode.errorCode.INVALID_QNA_TABLE, '[ERROR]: QnA table row "' + row.cells.join(' | ') + '" must have a question and an answer', row.position));
+        }
+        let id = 0;
+        if(cell('id') !== '') {
+            id = Number(cell('id'));
+            if(!Number.isInteger(id) || id < 1) {
+                throw(new exception(retCode.errorCode.INVALID_QNA_ID, '[ERROR]: Invalid QnA pair id "' + cell('id') + '". Ids are numbers greater than 0', row.position));
+            }
+        }
+        let existingPair = id ? qnaPairs.find(qnaPair => qnaPair.id === id && qnaPair.answer === cell('answer')) : undefined;
+        if(existingPair !== undefined) {
+            questions.forEach(question => {
+                if(!existingPair.questions.includes(question)) existingPair.questions.push(question);
+            });
+            return;
+        }
+        let qnaPair = new qnaListObj(id, cell('answer'), cell('source'), questions, parseMetadata(cell('metadata'), row.position));
+        sourcePositions.set(qnaPair, row.position);
+        qnaPairs.push(qnaPair);
+    });
+    return qnaPairs;
+};
+/**
+ * Helper function to parse metadata in a table cell. Metadata are name = value or name:value pairs separated by , or |
+ * @param {string} value cell value
+ * @param {Object} position position of the row
+ * @returns {qnaMetaDataObj []} metadata
+ * @throws {exception} Throws on errors. exception object includes errCode, text, line and column.
+ */
+const parseMetadata = function(value, position) {
+    return value.split(/[,|]/).filter(item => item.trim() !== '').map(item => {
+        let kp = item.split(/[=:]/);
+        if(kp.length !== 2 || kp[0].trim() === '') {
+            throw(new exception(retCode.errorCode.INVALID_QNA_FILTER_DEF, '[ERROR]: Metadata: "' + item.trim() + '" does not have a name = value pair.', position));
+        }
+        return new qnaMetaDataObj(kp[0].trim(), kp[1].trim());
+    });
+};
+
+module.exports = qnaTable;
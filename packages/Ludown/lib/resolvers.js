@@ -0,0 +1,147 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
+const fetch = require('node-fetch');
+const retCode = require('./enums/CLI-errors');
+const exception = require('./classes/exception');
+// file in the root of a mirror folder that declares the content type of each QnA Maker source URL
+const CONTENT_TYPES_FILE = 'content-types.json';
+/**
+ * Resolvers satisfy URL references in .lu files. A resolver is an object with two async functions -
+ *   getContentType(uri) returns the content type of a QnA Maker source URL. text/html is added as a QnA Maker URL, anything else as a QnA Maker file.
+ *   readLUFile(uri) returns the content of a .lu file referenced by URL.
+ * Resolvers created here also have a cacheId that tells them apart in parse cache keys, since content types found for the same URL depend on the resolver.
+ */
+const resolvers = {
+    /**
+     * Create a resolver that does not resolve any URL reference. Used by parseContents unless a resolver is passed in so it never accesses the network on its own.
+     * @returns {Object} resolver
+     */
+    createOfflineResolver: function() {
+        return {
+            cacheId: 'offline',
+            getContentType: async function(uri) {
+                throw(offlineError(uri));
+            },
+            readLUFile: async function(uri) {
+                throw(offlineError(uri));
+            }
+        };
+    },
+    /**
+     * Create a resolver that fetches references over HTTP. Content types are found with a HEAD request
+     * @returns {Object} resolver
+     */
+    createHttpResolver: function() {
+        return {
+            cacheId: 'http',
+            getContentType: async function(uri) {
+                let response;
+                try {
+                    response = await fetch(uri, { method: 'HEAD'});
+                } catch (err) {
+                    // throw, invalid URI
+                    throw(invalidURIError(uri));
+                }
+                if(!response.ok) throw(invalidURIError(uri));
+                return response.headers.get('content-type') || '';
+            },
+            readLUFile: async function(uri) {
+                let response;
+                try {
+                    response = await fetch(uri);
+                } catch (err) {
+                    throw(invalidURIError(uri));
+                }
+                if(!response.ok) throw(new exception(retCode.errorCode.FILE_OPEN_ERROR, 'Sorry unable to open [' + uri + ']. Server responded with ' + response.status));
+                return await response.text();
+            }
+        };
+    },
+    /**
+     * Create a resolver that reads references from a local mirror folder without any network access.
+     * https://host/path/file.lu is read from <mirrorFolder>/host/path/file.lu.
+     * Content types of QnA Maker source URLs are declared in <mirrorFolder>/content-types.json as a map of URL to content type.
+     * @param {string} mirrorFolder mirror folder
+     * @returns {Object} resolver
+     */
+    createMirrorResolver: function(mirrorFolder) {
+        let contentTypes;
+        let contentTypesFile = path.join(mirrorFolder, CONTENT_TYPES_FILE);
+        return {
+            // declared content types are part of the id so changes to them are picked up
+            cacheId: 'mirror\n' + mirrorFolder + '\n' + (fs.existsSync(contentTypesFile) ? fs.readFileSync(contentTypesFile, 'utf-8') : ''),
+            getContentType: async function(uri) {
+                if(contentTypes === undefined) contentTypes = readContentTypes(mirrorFolder);
+                if(contentTypes[uri] === undefined) {
+                    throw(new exception(retCode.errorCode.INVALID_URI, 'URI: "' + uri + '" does not have a content type declared in ' + path.join(mirrorFolder, CONTENT_TYPES_FILE)));
+                }
+                return contentTypes[uri];
+            },
+            readLUFile: async function(uri) {
+                let parsedUri = url.parse(uri);
+                let file = path.join(mirrorFolder, parsedUri.hostname, decodeURIComponent(parsedUri.pathname || ''));
+                if(!fs.existsSync(file)) {
+                    throw(new exception(retCode.errorCode.FILE_OPEN_ERROR, 'Sorry unable to open [' + uri + ']. ' + file + ' was not found in the mirror folder'));
+                }
+                return fs.readFileSync(file, 'utf-8');
+            }
+        };
+    },
+    /**
+     * Helper function to get the resolver requested in command line args or passed in through the library
+     * @param {object} program parsed program object from commander
+     * @returns {Object} resolver. Defaults to the HTTP resolver
+     */
+    getResolver: function(program) {
+        if(program.resolver) return program.resolver;
+        if(program.ref_mirror) return resolvers.createMirrorResolver(path.resolve(program.ref_mirror));
+        return resolvers.createHttpResolver();
+    },
+    /**
+     * Helper function to see if a reference is a URL
+     * @param {string} reference link value of the reference
+     * @returns {boolean} true if the reference is a URL
+     */
+    isURI: function(reference) {
+        let parsedUri = url.parse(reference || '');
+        return (parsedUri.host || parsedUri.hostname) ? true : false;
+    }
+};
+/**
+ * Helper function to create the error for URLs that could not be reached
+ * @param {string} uri URL
+ * @returns {exception} exception with INVALID_URI error code
+ */
+const invalidURIError = function(uri) {
+    return new exception(retCode.errorCode.INVALID_URI, 'URI: "' + uri + '" appears to be invalid. Please double check the URI or re-try this parse when you are connected to the internet.');
+};
+/**
+ * Helper function to create the error for URLs referenced while no resolver was passed in
+ * @param {string} uri URL
+ * @returns {exception} exception with INVALID_URI error code
+ */
+const offlineError = function(uri) {
+    return new exception(retCode.errorCode.INVALID_URI, 'URI: "' + uri + '" cannot be resolved without network access. Pass resolvers.createHttpResolver() or another resolver to resolve URL references.');
+};
+/**
+ * Helper function to read declared content types from a mirror folder
+ * @param {string} mirrorFolder mirror folder
+ * @returns {Object} map of URL to content type. Empty if there is no content types file
+ * @throws {exception} Throws on errors. exception object includes errCode and text.
+ */
+const readContentTypes = function(mirrorFolder) {
+    let contentTypesFile = path.join(mirrorFolder, CONTENT_TYPES_FILE);
+    if(!fs.existsSync(contentTypesFile)) return {};
+    try {
+        return JSON.parse(fs.readFileSync(contentTypesFile, 'utf-8'));
+    } catch (err) {
+        throw(new exception(retCode.errorCode.INVALID_INPUT_FILE, 'Sorry, ' + contentTypesFile + ' is not valid JSON. ' + err.message));
+    }
+};
+
+module.exports = resolvers;
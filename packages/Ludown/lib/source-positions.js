@@ -0,0 +1,113 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+// collections in parsed content whose items carry the position they were defined at
+const LUIS_COLLECTIONS = ['intents', 'entities', 'closedLists', 'patternAnyEntities', 'model_features', 'regex_entities', 'composites', 'prebuiltEntities', 'utterances', 'patterns'];
+// source positions are not enumerable so they are not written to the generated LUIS and QnA JSON and do not affect item comparisons
+const POSITION_PROPERTY = 'sourcePosition';
+const sourcePositions = {
+    /**
+     * Helper function to record the source position an item was defined at. Items keep the first position recorded for them.
+     * @param {Object} item parsed LUIS or QnA item
+     * @param {Object} position source position. Object includes file, line and column
+     * @returns {void} nothing
+     */
+    set: function(item, position) {
+        if(!item || item !== Object(item) || !position || item[POSITION_PROPERTY] !== undefined) return;
+        Object.defineProperty(item, POSITION_PROPERTY, {
+            value: {file: position.file, line: position.line, column: position.column},
+            enumerable: false,
+            configurable: true,
+            writable: true
+        });
+    },
+    /**
+     * Helper function to get the source position an item was defined at
+     * @param {Object} item parsed LUIS or QnA item
+     * @returns {Object} source position with file, line and column. undefined if no position was recorded for the item
+     */
+    get: function(item) {
+        return item ? item[POSITION_PROPERTY] : undefined;
+    },
+    /**
+     * Helper function to count items in each collection of parsed content. Used with addToNewItems to find items added since.
+     * @param {parserObj} parsedContent parsed content
+     * @returns {Object} number of items by collection name
+     */
+    count: function(parsedContent) {
+        let counts = {};
+        forEachCollection(parsedContent, (collection, name) => counts[name] = collection.length);
+        return counts;
+    },
+    /**
+     * Helper function to record a source position on items added to parsed content since counts were taken.
+     * Items that already have a position keep it.
+     * @param {parserObj} parsedContent parsed content
+     * @param {Object} counts item counts from count
+     * @param {Object} position source position. Object includes file, line and column
+     * @returns {void} nothing
+     */
+    addToNewItems: function(parsedContent, counts, position) {
+        forEachCollection(parsedContent, (collection, name) => {
+            collection.slice(counts[name] || 0).forEach(item => sourcePositions.set(item, position));
+        });
+    },
+    /**
+     * Helper function to set the source file on all recorded positions that do not have one
+     * @param {parserObj} parsedContent parsed content
+     * @param {string} srcFile source file
+     * @returns {void} nothing
+     */
+    setFile: function(parsedContent, srcFile) {
+        forEachCollection(parsedContent, collection => collection.forEach(item => {
+            let position = sourcePositions.get(item);
+            if(position && !position.file) position.file = srcFile;
+        }));
+    },
+    /**
+     * Helper function to get the recorded positions of parsed content in a form that can be written as JSON
+     * @param {parserObj} parsedContent parsed content
+     * @returns {Object} line and column of items by collection name and item index
+     */
+    save: function(parsedContent) {
+        let saved = {};
+        forEachCollection(parsedContent, (collection, name) => {
+            saved[name] = collection.map(item => {
+                let position = sourcePositions.get(item);
+                return position ? [position.line, position.column] : null;
+            });
+        });
+        return saved;
+    },
+    /**
+     * Helper function to record positions returned by save on parsed content read back from JSON
+     * @param {parserObj} parsedContent parsed content
+     * @param {Object} saved positions from save
+     * @param {string} srcFile source file the content was read from
+     * @returns {void} nothing
+     */
+    restore: function(parsedContent, saved, srcFile) {
+        if(!saved) return;
+        forEachCollection(parsedContent, (collection, name) => {
+            (saved[name] || []).forEach((position, idx) => {
+                if(position) sourcePositions.set(collection[idx], {file: srcFile, line: position[0], column: position[1]});
+            });
+        });
+    }
+};
+/**
+ * Helper function to call a function for each item collection in parsed content
+ * @param {parserObj} parsedContent parsed content
+ * @param {Function} fn function called with the collection and its name
+ * @returns {void} nothing
+ */
+const forEachCollection = function(parsedContent, fn) {
+    let luisContent = parsedContent.LUISJsonStructure || {};
+    LUIS_COLLECTIONS.forEach(name => {
+        if(Array.isArray(luisContent[name])) fn(luisContent[name], name);
+    });
+    if(parsedContent.qnaJsonStructure && Array.isArray(parsedContent.qnaJsonStructure.qnaList)) fn(parsedContent.qnaJsonStructure.qnaList, 'qnaList');
+};
+
+module.exports = sourcePositions;
@@ -3,23 +3,33 @@
  * Copyright (c) Microsoft Corporation. All rights reserved.
  * Licensed under the MIT License.
  */
+const path = require('path');
 const helperClasses = require('./classes/hclasses');
 const helpers = require('./helpers');
+const expansion = require('./utterance-expansion');
+const exception = require('./classes/exception');
+const retCode = require('./enums/CLI-errors');
+const annotationProperties = require('./enums/annotations');
 const NEWLINE = require('os').EOL;
+// source of QnA pairs that are added in .lu files
+const DEFAULT_QNA_SOURCE = 'custom editorial';
 const toLUHelpers = {
     /**
      * Construct lu file content from LUIS JSON object
      * @param {object} LUISJSON LUIS JSON object
+     * @param {string} appName [Optional] app name the generated lu content gets by default when parsed. @app.name is only written out if the LUIS app name is different
      * @returns {String} Generated lu content 
      */
-    constructMdFromLUISJSON : async function(LUISJSON) {
+    constructMdFromLUISJSON : async function(LUISJSON, appName) {
         let fileContent = '';
+        let appAnnotations = constructAppAnnotations(LUISJSON, appName);
+        if(appAnnotations) fileContent += NEWLINE + appAnnotations;
         let luisObj = new helperClasses.rLuisObj();
         (LUISJSON.intents || []).forEach(function(intent) {
             luisObj.intents.push(new helperClasses.intent(intent, []));
         });
-        // add utterances to luisObj
-        updateUtterancesList(LUISJSON.utterances, luisObj.intents, 'text');
+        // add utterances to luisObj. Utterances generated with --augment are generated again on the next parse.
+        updateUtterancesList((LUISJSON.utterances || []).filter(utterance => !utterance.generated), luisObj.intents, 'text');
         // add patterns to luisObj
         updateUtterancesList(LUISJSON.patterns, luisObj.intents, 'pattern');
         if(luisObj.intents.length >= 0) {
@@ -27,23 +37,10 @@ const toLUHelpers = {
             fileContent += '> # Intent definitions' + NEWLINE + NEWLINE;
             // write out intents and utterances..
             luisObj.intents.forEach(function(intent) {
+                if(intent.intent.description) fileContent += '> !# @intent.description = ' + toAnnotationValue(intent.intent.description) + NEWLINE;
                 fileContent += '## ' + intent.intent.name + NEWLINE;
                 intent.utterances.forEach(function(utterance) {
-                    let updatedText = utterance.text;
-                    if(utterance.entities.length >= 0) {
-                        // update utterance for each entity
-                        let text = utterance.text;
-                        let offSet = 0;
-                        let sortedEntitiesList = objectSortByStartPos(utterance.entities);
-                        sortedEntitiesList.forEach(function(entity) {
-                            let label = text.substring(entity.startPos, entity.endPos + 1);
-                            let entityWithLabel = '{' + entity.entity + '=' + label + '}';
-                            let leftText = updatedText.substring(0, entity.startPos + offSet);
-                            let rightText = updatedText.substring(entity.endPos + 1 + offSet);
-                            updatedText = leftText + entityWithLabel + rightText;
-                            offSet += entityWithLabel.length - label.length;
-                        })
-                    }
+                    let updatedText = toLUHelpers.constructUtterance(utterance);
                     if(updatedText) fileContent += '- ' + updatedText + NEWLINE;
                 });
                 fileContent += NEWLINE + NEWLINE;
@@ -74,6 +71,20 @@ const toLUHelpers = {
             });
             fileContent += NEWLINE;
         }
+        if(LUISJSON.composites && LUISJSON.composites.length > 0) {
+            fileContent += '> # Composite entities' + NEWLINE + NEWLINE;
+            LUISJSON.composites.forEach(function(composite) {
+                fileContent += '$' + composite.name + ':[' + composite.children.join(', ') + ']' + NEWLINE;
+            });
+            fileContent += NEWLINE;
+        }
+        if(LUISJSON.regex_entities && LUISJSON.regex_entities.length > 0) {
+            fileContent += '> # RegEx entities' + NEWLINE + NEWLINE;
+            LUISJSON.regex_entities.forEach(function(regExEntity) {
+                fileContent += '$' + regExEntity.name + ':/' + regExEntity.regexPattern + '/' + NEWLINE;
+            });
+            fileContent += NEWLINE;
+        }
         if(LUISJSON.closedLists && LUISJSON.closedLists.length >= 0){
             fileContent += '> # List entities' + NEWLINE + NEWLINE;
             LUISJSON.closedLists.forEach(function(ListItem) {
@@ -89,6 +100,21 @@ const toLUHelpers = {
         }
         return fileContent;
     },
+    /**
+     * Construct the .lu text of an utterance or pattern, without the list decoration
+     * @param {object} utterance LUIS utterance with text and entities
+     * @param {boolean} escapeExpansion [Optional] if true, characters that would be read back as expansion syntax are escaped. Use for intent sections with > !# @intent.expansion = true
+     * @returns {String} utterance text with entity labels
+     * @throws {exception} Throws when entity labels partially overlap. exception object includes errCode and text.
+     */
+    constructUtterance: function(utterance, escapeExpansion) {
+        let updatedText = utterance.text;
+        if(utterance.entities.length >= 0) {
+            // update utterance for each entity. Overlapping entities are written out as nested labels.
+            updatedText = addLabelsToUtterance(utterance.text, utterance.entities);
+        }
+        return updatedText && escapeExpansion ? escapeUtterance(updatedText) : updatedText;
+    },
     /**
      * Construct lu file content from QnA Alteration JSON object
      * @param {object} QnAAltJSON QnA Alteration JSON object
@@ -111,10 +137,13 @@ const toLUHelpers = {
     /**
      * Construct lu file content from QnA JSON object
      * @param {object} QnAJSON QnA JSON object
+     * @param {string} kbName [Optional] KB name the generated lu content gets by default when parsed. @kb.name is only written out if the KB name is different
      * @returns {String} Generated lu content 
      */
-    constructMdFromQnAJSON: function(QnAJSON) {
-        let fileContent = '> # QnA pairs' + NEWLINE + NEWLINE;
+    constructMdFromQnAJSON: function(QnAJSON, kbName) {
+        let fileContent = '';
+        if(QnAJSON.name && QnAJSON.name !== kbName) fileContent += '> !# @kb.name = ' + toAnnotationValue(QnAJSON.name) + NEWLINE + NEWLINE;
+        fileContent += '> # QnA pairs' + NEWLINE + NEWLINE;
         let root = null;
         if(QnAJSON.qnaDocuments) {
             root = QnAJSON.qnaDocuments;
@@ -122,8 +151,17 @@ const toLUHelpers = {
             root = QnAJSON.qnaList;
         }
         if(root.length > 0) {
+            // prompts refer to other QnA pairs by their first question
+            let promptTargets = new Map(root.map(qnaItem => [String(qnaItem.id), qnaItem]));
+            let firstQuestions = new Map(root.map(qnaItem => [qnaItem, qnaItem.questions[0]]));
             root.forEach(function(qnaItem) {
-                fileContent += '> Source: ' + qnaItem.source + NEWLINE;
+                // sources other than the default are written out as annotations so they are kept when the .lu file is parsed
+                if(qnaItem.source && qnaItem.source !== DEFAULT_QNA_SOURCE) {
+                    fileContent += '> !# @qna.source = ' + toAnnotationValue(qnaItem.source) + NEWLINE;
+                } else {
+                    fileContent += '> Source: ' + qnaItem.source + NEWLINE;
+                }
+                if(qnaItem.id) fileContent += '<a id="' + qnaItem.id + '"></a>' + NEWLINE;
                 fileContent += '## ? ' + qnaItem.questions[0] + NEWLINE;
                 qnaItem.questions.splice(0,1);
                 qnaItem.questions.forEach(function(question) {
@@ -137,6 +175,13 @@ const toLUHelpers = {
                     });
                     fileContent += NEWLINE;
                 }
+                if(qnaItem.context && qnaItem.context.prompts && qnaItem.context.prompts.length > 0) {
+                    fileContent += '**Prompts:**' + NEWLINE;
+                    qnaItem.context.prompts.slice().sort((a, b) => a.displayOrder - b.displayOrder).forEach(function(prompt) {
+                        fileContent += '- ' + constructPrompt(prompt, promptTargets, firstQuestions) + NEWLINE;
+                    });
+                    fileContent += NEWLINE;
+                }
                 fileContent += '```markdown' + NEWLINE;
                 fileContent += qnaItem.answer + NEWLINE;
                 fileContent += '```' + NEWLINE + NEWLINE;
@@ -154,16 +199,19 @@ const toLUHelpers = {
      * @param {String} luisFile input LUIS JSON file name
      * @param {String} QnAFile input QnA TSV file name
      * @param {boolean} skip_header If true, header information in the generated output text will be skipped. 
+     * @param {string} luFileName [Optional] name of the generated .lu file. LUIS app and QnA KB names that match it are not written out as annotations
      * @returns {String} Generated Markdown file content to flush to disk
      * @throws {exception} Throws on errors. exception object includes errCode and text. 
      */
-    constructMdFileHelper : async function(LUISJSON, QnAJSONFromTSV, QnAAltJSON, luisFile, QnAFile, skip_header) {
+    constructMdFileHelper : async function(LUISJSON, QnAJSONFromTSV, QnAAltJSON, luisFile, QnAFile, skip_header, luFileName) {
         let fileContent = '';
+        // parsing the generated .lu file names the app and KB after the file
+        let defaultName = luFileName ? path.basename(luFileName, path.extname(luFileName)).split('.')[0] : undefined;
         if(LUISJSON.sourceFile) {
-            fileContent += await toLUHelpers.constructMdFromLUISJSON(LUISJSON.model);
+            fileContent += await toLUHelpers.constructMdFromLUISJSON(LUISJSON.model, defaultName);
         }
         if(QnAJSONFromTSV.sourceFile) {
-            fileContent += await toLUHelpers.constructMdFromQnAJSON(QnAJSONFromTSV.model)
+            fileContent += await toLUHelpers.constructMdFromQnAJSON(QnAJSONFromTSV.model, defaultName)
         }
         if(QnAAltJSON.sourceFile) {
             fileContent += await toLUHelpers.constructMdFromQnAAlterationJSON(QnAAltJSON.model)
@@ -182,17 +230,110 @@ const toLUHelpers = {
     }
 };
 /**
- * helper function sort entities list by starting position
+ * Helper function to construct a follow-up prompt line in a **Prompts:** block
+ * @param {object} prompt prompt from a QnA pair's context
+ * @param {Map} promptTargets map of QnA pair id to QnA pair
+ * @param {Map} firstQuestions map of QnA pair to its first question
+ * @returns {string} prompt in [display text](#?question) notation. Prompts to QnA pairs that are not in the KB refer to the id instead
+ */
+const constructPrompt = function(prompt, promptTargets, firstQuestions) {
+    let target = promptTargets.get(String(prompt.qnaId));
+    let reference = '#' + prompt.qnaId;
+    if(target !== undefined) {
+        reference = '#?' + firstQuestions.get(target);
+    } else if(prompt.qna && prompt.qna.questions && prompt.qna.questions.length > 0) {
+        target = prompt.qna;
+        reference = '#?' + prompt.qna.questions[0];
+    }
+    let contextOnly = target && target.context && target.context.isContextOnly ? ' `context-only`' : '';
+    return '[' + prompt.displayText + '](' + reference + ')' + contextOnly;
+};
+/**
+ * Helper function to construct > !# @app annotations for LUIS app settings that are different from the ones ludown uses by default
+ * @param {object} LUISJSON LUIS JSON object
+ * @param {string} appName [Optional] app name the generated lu content gets by default when parsed
+ * @returns {string} annotation lines. Empty if all settings match the defaults
+ */
+const constructAppAnnotations = function(LUISJSON, appName) {
+    let defaults = {name: appName, versionId: '0.1', desc: '', culture: 'en-us'};
+    let fileContent = '';
+    annotationProperties.app.forEach(function(property) {
+        let value = LUISJSON[property];
+        if(value === undefined || value === null || value === '') return;
+        value = property === 'culture' ? String(value).toLowerCase() : String(value);
+        if(value === defaults[property]) return;
+        fileContent += '> !# @app.' + property + ' = ' + toAnnotationValue(value) + NEWLINE;
+    });
+    return fileContent;
+};
+/**
+ * Helper function to write a value out on a single annotation line
+ * @param {string} value annotation value
+ * @returns {string} value with new lines replaced by spaces
+ */
+const toAnnotationValue = function(value) {
+    return String(value).replace(/\r?\n/g, ' ').trim();
+};
+/**
+ * helper function sort entities list by starting position. Outer entities come before entities nested in them.
  * @param {object} objectArray array of entity objects
  * @returns {object} sorted entities array by start position
  */
 const objectSortByStartPos = function (objectArray) {
     let ObjectByStartPos = objectArray.slice(0);
     ObjectByStartPos.sort(function(a,b) {
-        return a.startPos - b.startPos;
+        return (a.startPos - b.startPos) || (b.endPos - a.endPos);
     });
     return ObjectByStartPos;
 };
+/**
+ * helper function to add {entity=label} notation to utterance text. Entities that fall within another entity's span are written out as nested labels.
+ * Entities that partially overlap an outer entity cannot be expressed as nested labels.
+ * @param {string} text utterance text
+ * @param {object []} entities labelled entities with startPos and endPos
+ * @returns {string} utterance text with entity labels
+ * @throws {exception} Throws when entity labels partially overlap. exception object includes errCode and text.
+ */
+const addLabelsToUtterance = function (text, entities) {
+    let sortedEntitiesList = objectSortByStartPos(entities);
+    let openEntities = [];
+    let labelledEntities = [];
+    sortedEntitiesList.forEach(function(entity) {
+        // close entities that end before this one starts
+        while(openEntities.length !== 0 && openEntities[openEntities.length - 1].endPos < entity.startPos) openEntities.pop();
+        // entities that cross the boundary of an enclosing entity cannot be written out without losing the label
+        let enclosingEntity = openEntities[openEntities.length - 1];
+        if(enclosingEntity !== undefined && enclosingEntity.endPos < entity.endPos) {
+            throw(new exception(retCode.errorCode.INVALID_INPUT_FILE, 'Sorry, entity labels "' + enclosingEntity.entity + '" and "' + entity.entity + '" partially overlap in utterance "' + text + '". Cannot convert to .lu file.'));
+        }
+        openEntities.push(entity);
+        labelledEntities.push(entity);
+    });
+    let updatedText = '';
+    for(let idx = 0; idx <= text.length; idx++) {
+        // close labels that end here. Inner labels end first.
+        labelledEntities.filter(entity => entity.endPos + 1 === idx).reverse().forEach(() => updatedText += '}');
+        // open labels that start here. Outer labels start first.
+        labelledEntities.filter(entity => entity.startPos === idx).forEach(entity => updatedText += '{' + entity.entity + '=');
+        updatedText += text.charAt(idx);
+    }
+    return updatedText;
+};
+/**
+ * helper function to escape (a|b) and [optional] expansion syntax in an utterance. Patterns are left as-is since LUIS patterns use the same syntax.
+ * @param {string} text utterance text with entity labels
+ * @returns {string} escaped utterance text
+ */
+const escapeUtterance = function (text) {
+    if(text.includes('{')) {
+        try {
+            if(helpers.parseLabelledUtterance(text).patternEntities.length !== 0) return text;
+        } catch (err) {
+            return text;
+        }
+    }
+    return expansion.escapeExpansionSyntax(text);
+};
 /**
  * helper function to add utterances to collection if it does not exist
  * @param {object[]} tgtCollection target collection of utterance objects
@@ -0,0 +1,317 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const path = require('path');
+const PARSERCONSTS = require('./enums/parserconsts');
+const exception = require('./classes/exception');
+const helpers = require('./helpers');
+const conditions = require('./conditions');
+const parseFileContents = require('./parseFileContents');
+const toLUHelpers = require('./toLU-helpers');
+const expansion = require('./utterance-expansion');
+const parser = require('./parser');
+const retCode = require('./enums/CLI-errors');
+const diagnostic = require('./classes/diagnostic');
+const severityEnum = require('./enums/diagnosticseverity');
+const sourcePositions = require('./source-positions');
+const INTENT_ANNOTATION = /^>\s*!#\s*@intent\./i;
+// entity and phrase list definitions that are compared with the LUIS app, by LUIS JSON collection
+const DEFINITIONS = [
+    {collection: 'entities', kind: 'Entity', toValue: () => ''},
+    {collection: 'prebuiltEntities', kind: 'Prebuilt entity', toValue: () => ''},
+    {collection: 'patternAnyEntities', kind: 'Pattern.any entity', toValue: () => ''},
+    {collection: 'closedLists', kind: 'List entity', toValue: list => (list.subLists || []).map(subList => subList.canonicalForm + '=' + (subList.list || []).slice().sort().join(',')).sort().join(';')},
+    {collection: 'regex_entities', kind: 'Regex entity', toValue: entity => entity.regexPattern},
+    {collection: 'composites', kind: 'Composite entity', toValue: composite => (composite.children || []).map(child => typeof child === 'string' ? child : child.name).sort().join(',')},
+    {collection: 'model_features', kind: 'Phrase list', toValue: phraseList => String(phraseList.words || '').split(',').map(word => word.trim()).sort().join(',') + ';' + !!phraseList.mode}
+];
+/**
+ * Changes made to a LUIS app, e.g. in the LUIS portal, are applied to the .lu files the app was built from -
+ *   Utterances and patterns that are no longer in the app are removed. Utterances whose entity labels changed are rewritten.
+ *   New utterances are added to the end of the last section for their intent. Intents that are not in any file are added to a designated file.
+ *   Utterances written to sections with > !# @intent.expansion = true have expansion syntax escaped.
+ *   Intents that are no longer in the app are removed with their utterances.
+ * All other lines, including comments, references, entity definitions and QnA content, are left as-is.
+ * Test-only sections and content in > !# @if blocks are never changed.
+ * Files with intents but no utterances or patterns that are in the app, e.g. files for another app in the same folder, are not changed.
+ * Entity and phrase list definitions that differ between the app and the .lu files are reported as warnings.
+ */
+const toLUUpdate = {
+    /**
+     * Helper function to update .lu files with the intents, utterances and patterns in a LUIS app
+     * @param {Object} LUISJSON LUIS app JSON
+     * @param {Object []} luFiles .lu files, each with path and content
+     * @param {string} newIntentsFile path of the .lu file new intents are added to. The file is created if it is not in luFiles
+     * @param {diagnostic []} diagnostics [Optional] collection that files that were left as-is and changes that could not be applied are added to as warnings
+     * @returns {Object} map of file path to updated content for files that changed
+     * @throws {exception} Throws on errors. exception object includes errCode, text, file, line and column.
+     */
+    updateLUFiles: async function(LUISJSON, luFiles, newIntentsFile, diagnostics) {
+        diagnostics = diagnostics || [];
+        let appContent = getAppContent(LUISJSON);
+        let intentSections = {};
+        let editsByFile = {};
+        for(let luFile of luFiles) {
+            let fileMatch = await matchFile(luFile, appContent);
+            if(!fileMatch.inApp) {
+                diagnostics.push(new diagnostic(severityEnum.WARNING, retCode.errorCode.INVALID_INTENT, '[WARN]: File was not updated because none of its utterances or patterns are in the LUIS app', luFile.path));
+                continue;
+            }
+            editsByFile[luFile.path] = fileMatch.edits;
+            Object.assign(intentSections, fileMatch.intentSections);
+        }
+        // add new utterances to the last section of their intent
+        Object.keys(appContent).forEach(intentName => {
+            let intentSection = intentSections[intentName];
+            if(intentSection === undefined) return;
+            let newLines = appContent[intentName].items.filter(item => !item.matched).map(item => '- ' + toLUHelpers.constructUtterance(item, intentSection.expand));
+            if(newLines.length === 0) return;
+            let insertions = editsByFile[intentSection.file].insertions;
+            insertions[intentSection.lastLine] = (insertions[intentSection.lastLine] || []).concat(newLines.map(line => intentSection.indent + line));
+        });
+        let updatedFiles = {};
+        luFiles.filter(luFile => editsByFile[luFile.path] !== undefined).forEach(luFile => {
+            let updatedContent = applyEdits(luFile.content, editsByFile[luFile.path]);
+            if(updatedContent !== luFile.content) updatedFiles[luFile.path] = updatedContent;
+        });
+        // add intents that are not in any file to the designated file
+        let newIntents = Object.keys(appContent).filter(intentName => intentSections[intentName] === undefined);
+        if(newIntents.length !== 0) {
+            let existingFile = luFiles.find(luFile => luFile.path === newIntentsFile);
+            let content = updatedFiles[newIntentsFile] !== undefined ? updatedFiles[newIntentsFile] : (existingFile ? existingFile.content : '');
+            updatedFiles[newIntentsFile] = appendIntents(content, newIntents.map(intentName => appContent[intentName]));
+        }
+        let appFiles = {};
+        luFiles.filter(luFile => editsByFile[luFile.path] !== undefined).forEach(luFile => appFiles[luFile.path] = luFile.content);
+        Object.keys(updatedFiles).forEach(file => appFiles[file] = updatedFiles[file]);
+        await reportDefinitionChanges(LUISJSON, appFiles, diagnostics);
+        return updatedFiles;
+    }
+};
+/**
+ * Helper function to collect the intents, utterances and patterns in a LUIS app by intent name
+ * @param {Object} LUISJSON LUIS app JSON
+ * @returns {Object} map of intent name to intent with items. Each item has text and entities and is matched to lines in .lu files
+ */
+const getAppContent = function(LUISJSON) {
+    let appContent = {};
+    (LUISJSON.intents || []).forEach(intent => appContent[intent.name] = {intent: intent, items: []});
+    // utterances generated with --augment are generated again on the next parse
+    (LUISJSON.utterances || []).filter(utterance => !utterance.generated).forEach(utterance => {
+        if(appContent[utterance.intent]) appContent[utterance.intent].items.push({isPattern: false, text: utterance.text, entities: utterance.entities || []});
+    });
+    (LUISJSON.patterns || []).forEach(pattern => {
+        if(appContent[pattern.intent]) appContent[pattern.intent].items.push({isPattern: true, text: pattern.pattern, entities: []});
+    });
+    return appContent;
+};
+/**
+ * Helper function to match utterance lines in a .lu file to the LUIS app and find the lines to remove or rewrite
+ * @param {Object} luFile .lu file with path and content
+ * @param {Object} appContent intents in the LUIS app by intent name. Items found in the file are marked as matched
+ * @returns {Object} inApp is false if the file has intents but none of its utterances or patterns are in the app.
+ * edits for the file. deletions is a set of line indexes, replacements and insertions map line indexes to new lines.
+ * intentSections is a map of intent name to the file, last line, indentation and expansion setting of the last section for that intent in this file
+ * @throws {exception} Throws on errors. exception object includes errCode, text, file, line and column.
+ */
+const matchFile = async function(luFile, appContent) {
+    let linesInFile = luFile.content.split(/\r\n|\r|\n/);
+    let edits = {deletions: new Set(), replacements: {}, insertions: {}};
+    let intentSections = {};
+    let hasIntents = false;
+    let hasMatches = false;
+    let inConditionalBlock = getConditionalLines(linesInFile);
+    let sections;
+    try {
+        // directives are blanked out the same way conditional content is applied when parsing, so line numbers stay the same
+        sections = helpers.splitFileBySections(linesInFile.map((line, lineIdx) => inConditionalBlock[lineIdx] && conditions.getDirective(line) ? '' : line).join('\n'));
+    } catch (err) {
+        throw(new exception(err.errCode, err.text, {file: luFile.path, line: err.line, column: err.column}));
+    }
+    for(let section of sections) {
+        let sectionLines = section.content.split(/\r\n|\r|\n/);
+        if(sectionLines[0].indexOf(PARSERCONSTS.INTENT) !== 0 || section.testOnly) continue;
+        if(sectionLines[0].indexOf(PARSERCONSTS.FILEREF) === 0 || sectionLines[0].indexOf(PARSERCONSTS.URLREF) === 0) continue;
+        let intentName = sectionLines[0].substring(sectionLines[0].indexOf(' ') + 1).trim();
+        if(intentName.indexOf(PARSERCONSTS.QNA) === 0) continue;
+        hasIntents = true;
+        let lineIndexes = section.positions.map(position => position.line - 1);
+        let expand;
+        try {
+            expand = expansion.isEnabled(section.annotations, section.positions[0]);
+        } catch (err) {
+            throw(new exception(err.errCode, err.text, {file: luFile.path, line: err.line, column: err.column}));
+        }
+        let intent = appContent[intentName];
+        if(intent === undefined) {
+            // the intent was deleted. Remove the section unless some of it is conditional content
+            if(lineIndexes.some(lineIdx => inConditionalBlock[lineIdx])) continue;
+            lineIndexes.forEach(lineIdx => edits.deletions.add(lineIdx));
+            let firstLine = lineIndexes[0];
+            for(; firstLine > 0 && INTENT_ANNOTATION.test(linesInFile[firstLine - 1].trim()); firstLine--) edits.deletions.add(firstLine - 1);
+            // remove the blank lines after the section as well if it follows a blank line
+            if(firstLine === 0 || linesInFile[firstLine - 1].trim() === '') {
+                for(let lineIdx = lineIndexes[lineIndexes.length - 1] + 1; lineIdx < linesInFile.length - 1 && linesInFile[lineIdx].trim() === ''; lineIdx++) edits.deletions.add(lineIdx);
+            }
+            continue;
+        }
+        for(let idx = 1; idx < sectionLines.length; idx++) {
+            let lineIdx = lineIndexes[idx];
+            if(!isUtteranceLine(sectionLines[idx])) continue;
+            let parsedItems = await parseUtteranceLine(intentName, sectionLines[idx], expand, luFile.path, section.positions[idx]);
+            let matches = parsedItems.map(parsedItem => {
+                let match = intent.items.find(item => item.isPattern === parsedItem.isPattern && item.text.toLowerCase() === parsedItem.text.toLowerCase());
+                if(match !== undefined) {
+                    match.matched = true;
+                    hasMatches = true;
+                }
+                return match;
+            });
+            if(inConditionalBlock[lineIdx] || parsedItems.length === 0) continue;
+            let indent = linesInFile[lineIdx].match(/^\s*/)[0];
+            if(matches.every(match => match === undefined)) {
+                edits.deletions.add(lineIdx);
+            } else if(parsedItems.length === 1 && !parsedItems[0].isPattern && !isSameLabelling(parsedItems[0].entities, matches[0].entities)) {
+                edits.replacements[lineIdx] = indent + '- ' + toLUHelpers.constructUtterance(matches[0], expand);
+            }
+        }
+        // new utterances go after the last line that is kept. They are never added to conditional content
+        let lastLine = lineIndexes.filter(lineIdx => !inConditionalBlock[lineIdx] && !edits.deletions.has(lineIdx)).pop();
+        if(lastLine === undefined) continue;
+        intentSections[intentName] = {file: luFile.path, lastLine: lastLine, indent: linesInFile[lastLine].match(/^\s*/)[0], expand: expand};
+    }
+    return {inApp: hasMatches || !hasIntents, edits: edits, intentSections: intentSections};
+};
+/**
+ * Helper function to report entity and phrase list definitions that were added, removed or changed in the LUIS app.
+ * Definitions are not updated in .lu files so they are reported as warnings
+ * @param {Object} LUISJSON LUIS app JSON
+ * @param {Object} files map of file path to content of the .lu files of the app
+ * @param {diagnostic []} diagnostics collection that warnings are added to
+ * @returns {void} nothing
+ */
+const reportDefinitionChanges = async function(LUISJSON, files, diagnostics) {
+    if(Object.keys(files).length === 0) return;
+    let parsedContent = await parser.parseContents({files: files});
+    let fileContent = parsedContent.LUISJsonStructure;
+    // definitions cannot be compared with files that do not parse
+    if(fileContent === undefined || parsedContent.diagnostics.some(item => item.severity === severityEnum.ERROR)) return;
+    // positions are recorded against file names resolved from the root of the file system
+    const toFile = position => Object.keys(files).find(file => path.resolve(path.sep, file) === position.file);
+    const warn = (text, position) => diagnostics.push(new diagnostic(severityEnum.WARNING, retCode.errorCode.INVALID_INPUT, '[WARN]: ' + text, position ? toFile(position) : undefined, position ? position.line : 0, position ? position.column : 0));
+    DEFINITIONS.forEach(definition => {
+        const toValue = item => definition.toValue(item) + '|' + (item.roles || []).slice().sort().join(',');
+        let appItems = LUISJSON[definition.collection] || [];
+        let fileItems = fileContent[definition.collection] || [];
+        appItems.forEach(appItem => {
+            let fileItem = fileItems.find(item => item.name === appItem.name);
+            if(fileItem === undefined) {
+                warn(definition.kind + ' "' + appItem.name + '" is in the LUIS app but is not defined in the .lu files. Add its definition by hand');
+            } else if(toValue(fileItem) !== toValue(appItem)) {
+                warn(definition.kind + ' "' + appItem.name + '" was changed in the LUIS app. Update its definition by hand', sourcePositions.get(fileItem));
+            }
+        });
+        fileItems.filter(fileItem => !appItems.some(item => item.name === fileItem.name)).forEach(fileItem => {
+            warn(definition.kind + ' "' + fileItem.name + '" is not in the LUIS app. Remove its definition by hand', sourcePositions.get(fileItem));
+        });
+    });
+};
+/**
+ * Helper function to find lines inside > !# @if blocks
+ * @param {string []} linesInFile lines in the file
+ * @returns {boolean []} true for lines inside a conditional block, including the directives
+ */
+const getConditionalLines = function(linesInFile) {
+    let depth = 0;
+    let inQnAAnswer = false;
+    return linesInFile.map(line => {
+        if(line.trim().indexOf(PARSERCONSTS.ANSWER) === 0) inQnAAnswer = !inQnAAnswer;
+        let directive = inQnAAnswer ? undefined : conditions.getDirective(line);
+        if(directive === 'if') depth++;
+        let inBlock = depth > 0;
+        if(directive === 'endif' && depth > 0) depth--;
+        return inBlock;
+    });
+};
+/**
+ * Helper function to see if a line in an intent section is an utterance or pattern. References to other files are not.
+ * @param {string} line trimmed line
+ * @returns {boolean} true if the line is an utterance or pattern
+ */
+const isUtteranceLine = function(line) {
+    if(!/^[-*+]/.test(line)) return false;
+    return !/^\[[^\]]*\]\(.*\)$/.test(line.slice(1).trim());
+};
+/**
+ * Helper function to parse an utterance line into the utterances and patterns it adds to an intent
+ * @param {string} intentName name of the intent
+ * @param {string} line utterance line
+ * @param {boolean} expand if true, expansion syntax in the line is expanded
+ * @param {string} srcFile name of the file
+ * @param {Object} position line and column of the line
+ * @returns {Object []} utterances and patterns with isPattern, text and entities
+ * @throws {exception} Throws on errors. exception object includes errCode, text, file, line and column.
+ */
+const parseUtteranceLine = async function(intentName, line, expand, srcFile, position) {
+    let parsedContent;
+    let content = (expand ? '> !# @intent.expansion = true\n' : '') + PARSERCONSTS.INTENT + ' ' + intentName + '\n' + line;
+    try {
+        parsedContent = await parseFileContents.parseFile(content, false, undefined, srcFile);
+    } catch (err) {
+        throw(new exception(err.errCode, err.text, {file: srcFile, line: position.line, column: position.column}));
+    }
+    let LUISJSON = parsedContent.LUISJsonStructure;
+    return LUISJSON.utterances.map(utterance => ({isPattern: false, text: utterance.text, entities: utterance.entities}))
+        .concat(LUISJSON.patterns.map(pattern => ({isPattern: true, text: pattern.pattern, entities: []})));
+};
+/**
+ * Helper function to compare entity labels in two utterances
+ * @param {Object []} entities entities labelled in the .lu file
+ * @param {Object []} otherEntities entities labelled in the LUIS app
+ * @returns {boolean} true if both utterances label the same entities and roles at the same positions
+ */
+const isSameLabelling = function(entities, otherEntities) {
+    const toKey = list => list.map(entity => [entity.entity, entity.role || '', entity.startPos, entity.endPos].join('|')).sort().join(',');
+    return toKey(entities) === toKey(otherEntities);
+};
+/**
+ * Helper function to apply edits to file content. Line endings in the file are kept.
+ * @param {string} content file content
+ * @param {Object} edits deletions, replacements and insertions by line index
+ * @returns {string} updated content
+ */
+const applyEdits = function(content, edits) {
+    let newLine = content.includes('\r\n') ? '\r\n' : '\n';
+    let updatedLines = [];
+    content.split(/\r\n|\r|\n/).forEach((line, lineIdx) => {
+        if(edits.replacements[lineIdx] !== undefined) {
+            updatedLines.push(edits.replacements[lineIdx]);
+        } else if(!edits.deletions.has(lineIdx)) {
+            updatedLines.push(line);
+        }
+        (edits.insertions[lineIdx] || []).forEach(insertedLine => updatedLines.push(insertedLine));
+    });
+    return updatedLines.join(newLine);
+};
+/**
+ * Helper function to add intent sections to the end of file content
+ * @param {string} content file content
+ * @param {Object []} intents intents with items to add
+ * @returns {string} updated content
+ */
+const appendIntents = function(content, intents) {
+    let newLine = content.includes('\r\n') ? '\r\n' : '\n';
+    let lines = [];
+    intents.forEach(intent => {
+        lines.push('');
+        if(intent.intent.description) lines.push('> !# @intent.description = ' + String(intent.intent.description).replace(/\r?\n/g, ' ').trim());
+        lines.push(PARSERCONSTS.INTENT + ' ' + intent.intent.name);
+        intent.items.forEach(item => lines.push('- ' + toLUHelpers.constructUtterance(item)));
+    });
+    let trimmedContent = content.replace(/\s+$/, '');
+    if(trimmedContent === '') lines.shift();
+    return trimmedContent + (trimmedContent === '' ? '' : newLine) + lines.join(newLine) + newLine;
+};
+
+module.exports = toLUUpdate;
@@ -9,6 +9,8 @@ const path = require('path');
 const retCode = require('./enums/CLI-errors');
 const txtfile = require('read-text-file');
 const toLUHelpers = require('./toLU-helpers');
+const toLUUpdate = require('./toLU-update');
+const helpers = require('./helpers');
 const helperClasses = require('./classes/hclasses');
 const exception = require('./classes/exception');
 const toLUModules = {
@@ -44,6 +46,14 @@ const toLUModules = {
             }
             LUISJSON.sourceFile = program.LUIS_File;
         }
+        // update existing .lu files in place instead of generating a new .lu file
+        if(program.lu_folder) {
+            if(!program.LUIS_File || program.QNA_FILE || program.QNA_ALTERATION_FILE) {
+                throw(new exception(retCode.errorCode.INVALID_INPUT, 'Sorry, --lu_folder can only be used to refresh .lu files from a LUIS JSON file. Pass -i and leave out -q and -a.'));
+            }
+            await updateLUFolder(program, LUISJSON.model);
+            return;
+        }
 
         //do we have a QnA JSON file? If so, get that and load into memory
         if(program.QNA_FILE) {
@@ -64,12 +74,6 @@ const toLUModules = {
             }
             QnAAltJSON.sourceFile = program.QNA_ALTERATION_FILE;
         }
-        // construct the markdown file content
-        outFileContent = await toLUHelpers.constructMdFileHelper(LUISJSON, QnAJSON, QnAAltJSON, program.LUIS_File, program.QNA_FILE, program.skip_header)
-        if(!outFileContent) {
-            throw(new exception(retCode.errorCode.UNKNOWN_ERROR,'Sorry, Unable to generate .lu file content!'));
-        }
-        // write out the file
         if(!program.lu_File) {
             if(LUISJSON.sourceFile) {
                 outFileName += path.basename(LUISJSON.sourceFile, path.extname(LUISJSON.sourceFile));
@@ -83,6 +87,12 @@ const toLUModules = {
                 program.lu_File += '.lu';
             }
         }
+        // construct the markdown file content
+        outFileContent = await toLUHelpers.constructMdFileHelper(LUISJSON, QnAJSON, QnAAltJSON, program.LUIS_File, program.QNA_FILE, program.skip_header, program.lu_File)
+        if(!outFileContent) {
+            throw(new exception(retCode.errorCode.UNKNOWN_ERROR,'Sorry, Unable to generate .lu file content!'));
+        }
+        // write out the file
         outFileName = path.join(outFolder, program.lu_File);
         try {
             fs.writeFileSync(outFileName, outFileContent, 'utf-8');
@@ -92,6 +102,38 @@ const toLUModules = {
         if(program.verbose) process.stdout.write(chalk.default.italic('Successfully wrote to ' + path.join(outFolder, program.lu_File)));
     }
 };
+/**
+ * Helper function to update .lu files in a folder with changes made to a LUIS app
+ * @param {object} program parsed commander program object
+ * @param {object} LUISJSON LUIS JSON object
+ * @returns {void} nothing
+ * @throws {exception} Throws on errors. exception object includes errCode and text.
+ */
+const updateLUFolder = async function(program, LUISJSON) {
+    let luFolder = path.resolve(program.lu_folder);
+    if(!fs.existsSync(luFolder) || !fs.statSync(luFolder).isDirectory()) {
+        throw(new exception(retCode.errorCode.OUTPUT_FOLDER_INVALID, 'Sorry, ' + program.lu_folder + ' is not a folder or does not exist'));
+    }
+    let luFiles = [];
+    for(let file of helpers.findLUFiles(luFolder, program.subfolder).sort()) {
+        luFiles.push({path: file, content: txtfile.readSync(file)});
+    }
+    // new intents go to -n or a file named after the LUIS JSON file
+    let newIntentsFile = program.lu_File || path.basename(program.LUIS_File, path.extname(program.LUIS_File));
+    if(newIntentsFile.lastIndexOf('.lu') === -1) newIntentsFile += '.lu';
+    newIntentsFile = path.resolve(luFolder, newIntentsFile);
+    let diagnostics = [];
+    let updatedFiles = await toLUUpdate.updateLUFiles(LUISJSON, luFiles, newIntentsFile, diagnostics);
+    diagnostics.forEach(item => process.stderr.write(chalk.default.yellowBright(item.toString() + '\n')));
+    Object.keys(updatedFiles).forEach(file => {
+        try {
+            fs.writeFileSync(file, updatedFiles[file], 'utf-8');
+        } catch (err) {
+            throw(new exception(retCode.errorCode.UNABLE_TO_WRITE_FILE, 'Unable to write LU file - ' + file));
+        }
+        if(program.verbose) process.stdout.write(chalk.default.italic('Successfully updated ' + file + '\n'));
+    });
+};
 /**
  * Helper function to read a file and return file content
  * @param {string} file Input file name
@@ -127,15 +169,12 @@ const parseLUISFile = async function(file) {
         throw (new exception(retCode.errorCode.INVALID_INPUT_FILE, 'Sorry, error parsing file as LUIS JSON: ' + file));
     }
 
-    if(LUISJSON.composites && LUISJSON.composites.length !== 0) {
-        throw(new exception(retCode.errorCode.INVALID_INPUT_FILE, 'Sorry, input LUIS JSON file has references to composite entities. Cannot convert to .lu file.'));
-    }
-    if(LUISJSON.regex_entities && LUISJSON.regex_entities.length !== 0) {
-        throw(new exception(retCode.errorCode.INVALID_INPUT_FILE, 'Sorry, input LUIS JSON file has references to regular expression entities. Cannot convert to .lu file.'));
-    }
     if(LUISJSON.regex_features && LUISJSON.regex_features.length !== 0) {
         throw(new exception(retCode.errorCode.INVALID_INPUT_FILE, 'Sorry, input LUIS JSON file has references to regex_features. Cannot convert to .lu file.'));
     }
+    if((LUISJSON.regex_entities || []).some(entity => typeof entity.name !== 'string' || typeof entity.regexPattern !== 'string')) {
+        throw(new exception(retCode.errorCode.INVALID_INPUT_FILE, 'Sorry, input LUIS JSON file has regular expression entities without a name or regexPattern. Cannot convert to .lu file.'));
+    }
     return LUISJSON;
 };
 /**
@@ -9,76 +9,135 @@ const retCode = require('./enums/CLI-errors');
 const chalk = require('chalk');
 const helperClasses = require('./classes/hclasses');
 const exception = require('./classes/exception');
+const diagnostic = require('./classes/diagnostic');
+const severityEnum = require('./enums/diagnosticseverity');
 const helpers = require('./helpers');
+const qnaTable = require('./qna-table');
 const NEWLINE = require('os').EOL;
+// Microsoft Translator text API v3 request limits
+const MT_MAX_BATCH_SIZE = 100;
+const MT_MAX_BATCH_CHARACTERS = 5000;
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 1000;
+const FILTERS = '**filters:**';
+const PROMPTS = '**prompts:**';
 const translateHelpers = {
     /**
      * Helper function to parseAndTranslate lu file content
      * @param {string} fileContent file content
-     * @param {string} subscriptionKey translate text API key
+     * @param {string|Object} translator translate text API key for the Microsoft Translator or a translator. See translators.js
      * @param {string} to_lang language code to translate content to
      * @param {string} src_lang language code for source content
      * @param {boolean} translate_comments translate comments in .lu files if this is set to true
      * @param {boolean} translate_link_text translate URL or LU reference link text in .lu files if this is set to true
      * @param {boolean} log indicates if this function should write verbose messages to process.stdout
+     * @param {Object} options [Optional] memory is a translation memory that is consulted before calling the translation service and remembers new translations. See translation-memory.js.
+     * glossary has terms that are never translated or have a forced translation. See glossary.js.
+     * concurrency is the maximum number of translator requests in flight. Defaults to 4.
+     * keepCanonicalForms keeps list entity synonyms that are the canonical form untranslated. List entity canonical forms in $name:canonicalForm= lines are never translated.
+     * bilingualLists keeps the original list entity and phrase list synonyms and adds the translated synonyms after them.
+     * skipEntities is a list of list entity and phrase list names whose synonyms are not translated
+     * questionDelimiter separates questions in the same row of a QnA table. Defaults to ;
+     * diagnostics is a collection that warnings are added to, e.g. for glossary terms that could not be applied because the translation service did not return an alignment
      * @returns {string} Localized file content
      * @throws {exception} Throws on errors. exception object includes errCode and text. 
      */
-    parseAndTranslate : async function(fileContent, subscriptionKey, to_lang, src_lang, translate_comments, translate_link_text, log) {
+    parseAndTranslate : async function(fileContent, translator, to_lang, src_lang, translate_comments, translate_link_text, log, options) {
         fileContent = helpers.sanitizeNewLines(fileContent);
+        if(typeof translator !== 'object' || translator === null) translator = translateHelpers.createMicrosoftTranslator(translator);
         let linesInFile = fileContent.split(NEWLINE);
-        let localizedContent = '';
+        // localized lines are either final text or the texts to translate with a function that writes out the line from their translations
+        let localizedLines = [];
+        const translateLine = (text, render) => {
+            let line = {texts: [].concat(text), render: render};
+            localizedLines.push(line);
+            return line;
+        };
         let currentSectionType = '';
-        let data = '';
-        let lText = '';
+        // **Filters:** or **Prompts:** block the current QnA section is in
+        let currentQnABlock;
+        // questions in QnA sections, for prompts that refer to them
+        let questions = [];
+        // columns and number of rows read so far of the QnA table the current line is in
+        let currentTable;
+        // list entity or phrase list the current entity section defines
+        let currentList;
+        let listOptions = getListOptions(options || {});
         for(let lineIndex in linesInFile) {
             let currentLine = linesInFile[lineIndex].trim();
+            if(currentLine.indexOf(PARSERCONSTS.QNATABLE) !== 0) currentTable = undefined;
             // is current line a comment? 
             if(currentLine.indexOf(PARSERCONSTS.COMMENT) === 0) {
-                if(translate_comments) {
-                    try {
-                        data = await translateHelpers.translateText(currentLine, subscriptionKey, to_lang, src_lang);
-                    } catch (err) {
-                        throw(err);
-                    }
-                    localizedContent += data[0].translations[0].text + NEWLINE;
-                    if(log) process.stdout.write(chalk.default.gray(data[0].translations[0].text + NEWLINE));
+                // > !# annotations and directives are never translated
+                let isAnnotation = currentLine.slice(1).trim().indexOf(PARSERCONSTS.ANNOTATION) === 0;
+                if(translate_comments && !isAnnotation) {
+                    translateLine(currentLine, data => data.text);
+                } else {
+                    localizedLines.push(currentLine);
+                }
+            } else if(currentLine.indexOf(PARSERCONSTS.QNATABLE) === 0) {
+                let cells = qnaTable.splitMarkdownRow(currentLine);
+                if(currentTable === undefined) {
+                    // column names in the header row are part of the .lu file format
+                    currentTable = {columns: qnaTable.getColumns(cells, {line: Number(lineIndex) + 1, column: 1}), rows: 0};
+                    localizedLines.push(currentLine);
+                } else if(currentTable.rows++ === 0) {
+                    // |---|---| separator row
+                    localizedLines.push(currentLine);
                 } else {
-                    localizedContent += currentLine + NEWLINE;
-                    if(log) process.stdout.write(chalk.default.gray(currentLine + NEWLINE));
+                    translateTableRow(currentLine, cells, currentTable.columns, (options || {}).questionDelimiter || qnaTable.DEFAULT_QUESTION_DELIMITER, translateLine, localizedLines, questions);
                 }
+            } else if(currentLine.indexOf(PARSERCONSTS.QNAID) === 0) {
+                // <a id="N"></a> QnA pair ids are never translated
+                localizedLines.push(currentLine);
             } else if (currentLine.indexOf(PARSERCONSTS.INTENT) === 0) {
+                currentQnABlock = undefined;
                 let intentName = currentLine.substring(currentLine.indexOf(' ') + 1).trim();
                 //is this a QnA? 
                 if(intentName.indexOf(PARSERCONSTS.QNA) === 0) {
                     let beforeQuestion = currentLine.substring(0, currentLine.indexOf(' ') + 1);
                     let question = intentName.slice(1).trim();
-                    try {
-                        data = await translateHelpers.translateText(question, subscriptionKey, to_lang, src_lang);
-                    } catch (err) {
-                        throw(err);
-                    }
-                    lText = data[0].translations[0].text;
-                    localizedContent += beforeQuestion + '? ' + lText + NEWLINE;
-                    if(log) process.stdout.write(chalk.default.gray(beforeQuestion + '? ' + lText + NEWLINE));
+                    questions.push(question);
+                    translateLine(question, data => beforeQuestion + '? ' + data.text);
                     currentSectionType = PARSERCONSTS.QNA;
                 } else {
                     // we would not localize intent name but remember we are under intent section
                     currentSectionType = PARSERCONSTS.INTENT;
-                    localizedContent += currentLine + NEWLINE;
-                    if(log) process.stdout.write(chalk.default.gray(currentLine + NEWLINE));
+                    localizedLines.push(currentLine);
                 }
                 
+            } else if(getQnABlock(currentLine) !== undefined) {
+                // **Filters:** and **Prompts:** are part of the .lu file format and are never translated
+                currentQnABlock = getQnABlock(currentLine);
+                localizedLines.push(currentLine);
             } else if(currentLine.indexOf('-') === 0 || 
                     currentLine.indexOf('*') === 0 || 
                     currentLine.indexOf('+') === 0 ) {
-                let listSeparator = '';
-                let content = '';
+                // strip line of the list separator
+                let listSeparator = currentLine.charAt(0);
+                let content = currentLine.slice(1).trim();
+                if(currentQnABlock === FILTERS) {
+                    // filter names and values are matched by the bot and are kept as is
+                    localizedLines.push(currentLine);
+                    continue;
+                }
+                if(currentQnABlock === PROMPTS) {
+                    translatePrompt(currentLine, translateLine, localizedLines);
+                    continue;
+                }
+                // references to utterances or questions in other files
+                let reference = content.match(/^\[([^\]]*)\](\(.*\))$/);
+                if(reference) {
+                    if(translate_link_text) {
+                        translateLine(reference[1], data => listSeparator + ' [' + data.text + ']' + reference[2]);
+                    } else {
+                        localizedLines.push(currentLine);
+                    }
+                    continue;
+                }
                 switch (currentSectionType) {
                 case PARSERCONSTS.INTENT: {
-                    // strip line of the list separator
-                    listSeparator = currentLine.charAt(0);
-                    content = currentLine.slice(1).trim();
                     let entitiesList = [];
 
                     // strip line off labelled entity values,mark pattern any entities as not to localize
@@ -113,19 +172,11 @@ const translateHelpers = {
                             }
                         });
                     }
-                    try {
-                        data = await translateHelpers.translateText(content, subscriptionKey, to_lang, src_lang);
-                    } catch (err) {
-                        throw (err);
-                    }
-                    if (entitiesList.length === 0) {
-                        localizedContent += listSeparator + ' ' + data[0].translations[0].text + NEWLINE;
-                        if (log) process.stdout.write(chalk.default.gray(listSeparator + ' ' + data[0].translations[0].text + NEWLINE));
-                    } else {
+                    translateLine(content, data => {
                         // handle alignment
-                        lText = data[0].translations[0].text;
-                        if (data[0].translations[0].alignment) {
-                            let alData = data[0].translations[0].alignment.proj.split(' ');
+                        let lText = data.text;
+                        if (entitiesList.length !== 0 && data.alignment) {
+                            let alData = data.alignment.split(' ');
                             entitiesList.forEach(function (entity) {
                                 let testIndex = entity.start + ':' + entity.end;
                                 let alDataMap = alData.filter(val => {
@@ -145,47 +196,31 @@ const translateHelpers = {
                                     }
                                 }
                             });
-                        } else {
-                            try {
-                                data = await translateHelpers.translateText(content, subscriptionKey, to_lang, src_lang);
-                            } catch (err) {
-                                throw (err);
-                            }
-                            lText = data[0].translations[0].text;
                         }
-
-                        localizedContent += listSeparator + ' ' + lText + NEWLINE;
-                        if (log) process.stdout.write(chalk.default.gray(listSeparator + ' ' + lText + NEWLINE));
-
-                    }
+                        return listSeparator + ' ' + lText;
+                    });
                     break;
                 }
                 case PARSERCONSTS.ENTITY:
-                    // strip line of the list separator
-                    listSeparator = currentLine.charAt(0);
-                    content = currentLine.slice(1).trim();
-                    try {
-                        data = await translateHelpers.translateText(content, subscriptionKey, to_lang, src_lang);
-                    } catch (err) {
-                        throw (err);
+                    if(currentList === undefined) {
+                        translateLine(content, data => listSeparator + ' ' + data.text);
+                    } else if(listOptions.skipEntities.includes(currentList.name.toLowerCase()) ||
+                        (listOptions.keepCanonicalForms && content.toLowerCase() === currentList.canonicalForm)) {
+                        localizedLines.push(currentLine);
+                    } else if(listOptions.bilingualLists) {
+                        // translated synonyms are added after the original ones. Synonyms that translate to themselves are only kept once
+                        localizedLines.push(currentLine);
+                        translateLine(content, data => data.text.trim().toLowerCase() === content.toLowerCase() ? undefined : listSeparator + ' ' + data.text);
+                    } else {
+                        translateLine(content, data => listSeparator + ' ' + data.text);
                     }
-                    lText = data[0].translations[0].text;
-                    localizedContent += listSeparator + ' ' + lText + NEWLINE;
-                    if (log) process.stdout.write(chalk.default.gray(listSeparator + ' ' + lText + NEWLINE));
                     break;
                 case PARSERCONSTS.QNA:
+                    questions.push(content);
+                    translateLine(content, data => listSeparator + ' ' + data.text);
+                    break;
                 default:
-                    // strip line of the list separator
-                    listSeparator = currentLine.charAt(0);
-                    content = currentLine.slice(1).trim();
-                    try {
-                        data = await translateHelpers.translateText(content, subscriptionKey, to_lang, src_lang);
-                    } catch (err) {
-                        throw (err);
-                    }
-                    lText = data[0].translations[0].text;
-                    localizedContent += listSeparator + ' ' + lText + NEWLINE;
-                    if (log) process.stdout.write(chalk.default.gray(listSeparator + ' ' + lText + NEWLINE));
+                    translateLine(content, data => listSeparator + ' ' + data.text);
                     break;
                 }
             } else if(currentLine.indexOf(PARSERCONSTS.ENTITY) === 0) {
@@ -193,26 +228,18 @@ const translateHelpers = {
                 let entityDef = currentLine.replace(PARSERCONSTS.ENTITY, '').split(':');
                 let entityName = entityDef[0];
                 let entityType = entityDef[1];
+                currentList = getList(entityName, entityType);
                 if(entityType.includes(PARSERCONSTS.QNAALTERATIONS)) {
                     // localize entityName
-                    try {
-                        data = await translateHelpers.translateText(entityName.trim(), subscriptionKey, to_lang, src_lang);
-                    } catch (err) {
-                        throw(err);
-                    }
-                    lText = data[0].translations[0].text;
-                    localizedContent += '$' + lText + ' : ' + PARSERCONSTS.QNAALTERATIONS + ' = ' + NEWLINE;
-                    currentSectionType = PARSERCONSTS.ENTITY;
-                    if(log) process.stdout.write(chalk.default.gray('$' + lText + ' : ' + PARSERCONSTS.QNAALTERATIONS + ' = ' + NEWLINE));
+                    translateLine(entityName.trim(), data => '$' + data.text + ' : ' + PARSERCONSTS.QNAALTERATIONS + ' = ');
                 } else {
                     // we would not localize entity line but remember we are under entity section for list entities
-                    currentSectionType = PARSERCONSTS.ENTITY;
-                    localizedContent += currentLine + NEWLINE;
-                    if(log) process.stdout.write(chalk.default.gray(currentLine + NEWLINE));
+                    localizedLines.push(currentLine);
                 }
+                currentSectionType = PARSERCONSTS.ENTITY;
             } else if(currentLine.indexOf(PARSERCONSTS.ANSWER) === 0) {
-                localizedContent += currentLine + NEWLINE;
-                if(log) process.stdout.write(chalk.default.gray(currentLine + NEWLINE));
+                currentQnABlock = undefined;
+                localizedLines.push(currentLine);
                 currentSectionType = PARSERCONSTS.ANSWER;
             } else if (currentLine.indexOf(PARSERCONSTS.URLORFILEREF) ===0) {
                 currentSectionType = PARSERCONSTS.URLORFILEREF;
@@ -223,68 +250,318 @@ const translateHelpers = {
                     const linkTextRegEx = new RegExp(/\[.*\]/g);
                     let linkTextList = currentLine.trim().match(linkTextRegEx);
                     let linkTextValue = linkTextList[0].replace('[','').replace(']','');
-                    try {
-                        data = await translateHelpers.translateText(linkTextValue, subscriptionKey, to_lang, src_lang);
-                    } catch (err) {
-                        throw(err);
-                    }
-                    lText = data[0].translations[0].text;
-                    localizedContent += '[' + lText + ']' + '(' + linkValue + ')' + NEWLINE;
-                    if(log) process.stdout.write(chalk.default.gray('[' + lText + ']' + '(' + linkValue + ')' + NEWLINE));
+                    translateLine(linkTextValue, data => '[' + data.text + ']' + '(' + linkValue + ')');
                 } else {
-                    localizedContent += currentLine + NEWLINE;
-                    if(log) process.stdout.write(chalk.default.gray(currentLine + NEWLINE));
+                    localizedLines.push(currentLine);
                 }
             } else if(currentLine === '') {
-                localizedContent += NEWLINE;
-                if(log) process.stdout.write(chalk.default.gray(NEWLINE));
+                localizedLines.push(currentLine);
             } else {
                 if(currentSectionType === PARSERCONSTS.ANSWER) {
-                    try {
-                        data = await translateHelpers.translateText(currentLine, subscriptionKey, to_lang, src_lang);
-                    } catch (err) {
-                        throw(err);
-                    }
-                    lText = data[0].translations[0].text;
-                    localizedContent += lText + NEWLINE;
-                    if(log) process.stdout.write(chalk.default.gray(lText + NEWLINE));
+                    translateLine(currentLine, data => data.text);
                 } else {
                     throw(new exception(retCode.errorCode.INVALID_INPUT_FILE, 'Error: Unexpected line encountered when parsing \n' + '[' + lineIndex + ']:' + currentLine));
                 }
             }
         }
+        // prompts refer to questions ignoring case. Use the question text so both get the same translation
+        localizedLines.filter(line => line.promptQuestion).forEach(line => {
+            let question = questions.find(item => item.toLowerCase() === line.texts[1].toLowerCase());
+            if(question !== undefined) line.texts[1] = question;
+        });
+        let textsToTranslate = [];
+        localizedLines.filter(line => typeof line !== 'string').forEach(line => textsToTranslate.push(...line.texts));
+        let translations = await translateTexts(textsToTranslate, translator, to_lang, src_lang, options || {});
+        let localizedContent = '';
+        localizedLines.forEach(line => {
+            let lText = typeof line === 'string' ? line : line.render(...line.texts.map(text => translations.get(text)));
+            if(lText === undefined) return;
+            localizedContent += lText + NEWLINE;
+            if(log) process.stdout.write(chalk.default.gray(lText + NEWLINE));
+        });
         return localizedContent;
     },
+    /**
+     * Create a translator that calls the Microsoft Translator text API v3. Texts are translated in batches of up to 100 texts and 5000 characters per request
+     * @param {string} subscriptionKey Translator text API key
+     * @param {Object} retryOptions [Optional] maxRetries and retryDelay for throttled or failed requests. See fetchWithRetry
+     * @returns {Object} translator
+     */
+    createMicrosoftTranslator: function(subscriptionKey, retryOptions) {
+        let translator = {
+            maxBatchSize: MT_MAX_BATCH_SIZE,
+            maxBatchCharacters: MT_MAX_BATCH_CHARACTERS,
+            translate: async function(text, toLang, fromLang) {
+                let translations = await translator.translateBatch([text], toLang, fromLang);
+                return translations[0];
+            },
+            translateBatch: async function(texts, toLang, fromLang) {
+                let data = await translateHelpers.translateText(texts, subscriptionKey, toLang, fromLang, retryOptions);
+                return data.map(item => {
+                    let translation = item.translations[0];
+                    return {text: translation.text, alignment: translation.alignment ? translation.alignment.proj : undefined};
+                });
+            }
+        };
+        return translator;
+    },
     /**
      * Helper function to call MT rest API to translate content
-     * @param {string} text Text to translate
+     * @param {string|string []} text Text to translate or a list of texts to translate in one request
      * @param {string} subscriptionKey user provided subscription to text translation API
      * @param {string} to_lang target language to localize to
      * @param {string} from_lang source language of text
-     * @returns {object} response from MT call.
+     * @param {Object} retryOptions [Optional] maxRetries and retryDelay for throttled or failed requests. See fetchWithRetry
+     * @returns {object} response from MT call. Has one item for each text, in the same order.
      * @throws {exception} Throws on errors. exception object includes errCode and text. 
      */
-    translateText: async function(text, subscriptionKey, to_lang, from_lang) {
+    translateText: async function(text, subscriptionKey, to_lang, from_lang, retryOptions) {
         let tUri = 'https://api.cognitive.microsofttranslator.com/translate?api-version=3.0&to=' + to_lang + '&includeAlignment=true';
         if(from_lang) tUri += '&from=' + from_lang;
         const options = {
             method: 'POST',
-            body: JSON.stringify ([{'Text' : text}]),
+            body: JSON.stringify ([].concat(text).map(item => ({'Text' : item}))),
             headers: {
                 'Content-Type': 'application/json',
                 'Ocp-Apim-Subscription-Key' : subscriptionKey,
                 'X-ClientTraceId' : get_guid (),
             }
         };
-        const res = await fetch(tUri, options);
+        const res = await translateHelpers.fetchWithRetry(tUri, options, retryOptions);
         if (!res.ok) {
             throw(new exception(retCode.errorCode.TRANSLATE_SERVICE_FAIL,'Text translator service call failed with [' + res.status + '] : ' + res.statusText + '.\nPlease check key & language code validity'));
         }
-        let data = await res.json();
-        return data;
+        try {
+            return await res.json();
+        } catch (err) {
+            throw(new exception(retCode.errorCode.TRANSLATE_SERVICE_FAIL, 'Text translator service response is not valid JSON. ' + err.message));
+        }
+    },
+    /**
+     * Helper function to call a translation service. Throttled (429) and failed (5xx) requests and network errors are retried with exponential backoff.
+     * A Retry-After header in seconds on the response is used as the delay instead.
+     * @param {string} uri service URI
+     * @param {Object} options fetch options
+     * @param {Object} retryOptions [Optional] maxRetries is the number of retries, defaults to 3. retryDelay is the delay before the first retry in milliseconds, defaults to 1000. The delay doubles with every retry
+     * @returns {Object} fetch response. The response of the last retry is returned if all retries fail
+     */
+    fetchWithRetry: async function(uri, options, retryOptions) {
+        let maxRetries = retryOptions && retryOptions.maxRetries !== undefined ? retryOptions.maxRetries : DEFAULT_MAX_RETRIES;
+        let retryDelay = retryOptions && retryOptions.retryDelay !== undefined ? retryOptions.retryDelay : DEFAULT_RETRY_DELAY;
+        for(let attempt = 0; ; attempt++) {
+            let res;
+            try {
+                res = await fetch(uri, options);
+            } catch (err) {
+                if(attempt >= maxRetries) throw(err);
+            }
+            if(res && (attempt >= maxRetries || (res.status !== 429 && res.status < 500))) return res;
+            let retryAfter = res ? parseInt(res.headers.get('Retry-After')) : NaN;
+            await wait(Number.isInteger(retryAfter) ? retryAfter * 1000 : retryDelay * Math.pow(2, attempt));
+        }
     }
 }
 
+/**
+ * Helper function to get the QnA block a line starts
+ * @param {string} line trimmed line
+ * @returns {string} FILTERS or PROMPTS. undefined if the line does not start a block
+ */
+const getQnABlock = function(line) {
+    let lowerCaseLine = line.toLowerCase();
+    return [FILTERS, PROMPTS].find(block => lowerCaseLine.indexOf(block) === 0);
+};
+/**
+ * Helper function to translate a follow-up prompt. The display text is translated.
+ * Questions the prompt refers to are translated the same way as the question in the QnA section they refer to so the prompt still resolves. Ids are kept as is
+ * @param {string} line trimmed prompt line
+ * @param {Function} translateLine adds a line to translate and returns it
+ * @param {Array} localizedLines localized lines. Lines that do not follow prompt notation are added as is
+ * @returns {void} nothing
+ */
+const translatePrompt = function(line, translateLine, localizedLines) {
+    let listSeparator = line.charAt(0);
+    let prompt = line.slice(1).trim().match(/^\[([^\]]+)\]\(#(.+)\)(\s*`context-only`)?$/i);
+    if(prompt === null) {
+        localizedLines.push(line);
+        return;
+    }
+    let displayText = prompt[1].trim();
+    let target = prompt[2].trim();
+    let contextOnly = prompt[3] || '';
+    if(target.indexOf(PARSERCONSTS.QNA) !== 0) {
+        translateLine(displayText, data => listSeparator + ' [' + data.text + '](#' + target + ')' + contextOnly);
+        return;
+    }
+    let promptLine = translateLine([displayText, target.slice(1).trim()], (data, question) => listSeparator + ' [' + data.text + '](#?' + question.text + ')' + contextOnly);
+    promptLine.promptQuestion = true;
+};
+/**
+ * Helper function to translate a QnA table row. Questions and the answer are translated. Source, metadata, id and other cells are kept as is
+ * @param {string} line trimmed table row
+ * @param {string []} cells cells in the row
+ * @param {Object} columns map of QnA pair property to column index. See qnaTable.getColumns
+ * @param {string} questionDelimiter delimiter between questions in the same row
+ * @param {Function} translateLine adds a line to translate and returns it
+ * @param {Array} localizedLines localized lines. Rows without a question or an answer are added as is
+ * @param {string []} questions questions in QnA sections. Questions in the row are added, for prompts that refer to them
+ * @returns {void} nothing
+ */
+const translateTableRow = function(line, cells, columns, questionDelimiter, translateLine, localizedLines, questions) {
+    let rowQuestions = (cells[columns.questions] || '').split(questionDelimiter).map(question => question.trim()).filter(question => question !== '');
+    let answer = cells[columns.answer] || '';
+    let texts = answer === '' ? rowQuestions : rowQuestions.concat(answer);
+    if(texts.length === 0) {
+        localizedLines.push(line);
+        return;
+    }
+    rowQuestions.forEach(question => questions.push(question));
+    translateLine(texts, (...translations) => {
+        let localizedCells = cells.slice();
+        // punctuation delimiters are written like punctuation, e.g. "hi; hello". Other delimiters get a space on both sides, e.g. "hi / hello"
+        let separator = /^[;,]$/.test(questionDelimiter) ? questionDelimiter + ' ' : ' ' + questionDelimiter + ' ';
+        if(rowQuestions.length !== 0) localizedCells[columns.questions] = translations.slice(0, rowQuestions.length).map(data => data.text).join(separator);
+        if(answer !== '') localizedCells[columns.answer] = translations[rowQuestions.length].text;
+        return qnaTable.joinMarkdownRow(localizedCells);
+    });
+};
+/**
+ * Helper function to get list entity and phrase list translation options
+ * @param {Object} options keepCanonicalForms, bilingualLists and skipEntities. See parseAndTranslate
+ * @returns {Object} options with defaults and lower case entity names to skip
+ */
+const getListOptions = function(options) {
+    return {
+        keepCanonicalForms: !!options.keepCanonicalForms,
+        bilingualLists: !!options.bilingualLists,
+        skipEntities: (options.skipEntities || []).map(name => name.trim().toLowerCase())
+    };
+};
+/**
+ * Helper function to get the list entity or phrase list an entity definition line starts
+ * @param {string} entityName entity name
+ * @param {string} entityType entity type, e.g. canonicalForm= for list entities or PhraseList
+ * @returns {Object} list with name and lower case canonicalForm. undefined for other entity types
+ */
+const getList = function(entityName, entityType) {
+    let type = (entityType || '').trim();
+    if(type.toLowerCase().indexOf('phraselist') === 0) return {name: entityName.trim()};
+    if(type.endsWith('=') && !type.includes(PARSERCONSTS.QNAALTERATIONS)) return {name: entityName.trim(), canonicalForm: type.slice(0, -1).trim().toLowerCase()};
+    return undefined;
+};
+/**
+ * Helper function to translate texts. Texts in the glossary or the translation memory are not sent to the translator.
+ * The rest are sent in batches if the translator has translateBatch, with up to concurrency requests in flight
+ * @param {string []} texts texts to translate. Texts are translated once even if they are in the list more than once
+ * @param {Object} translator translator
+ * @param {string} toLang target language
+ * @param {string} fromLang source language
+ * @param {Object} options memory, glossary, concurrency and diagnostics. See parseAndTranslate
+ * @returns {Map} translation for each text
+ * @throws {exception} Throws on errors. exception object includes errCode and text.
+ */
+const translateTexts = async function(texts, translator, toLang, fromLang, options) {
+    let translations = new Map();
+    let pending = new Set();
+    texts.forEach(text => {
+        if(translations.has(text)) return;
+        let term = options.glossary ? options.glossary.lookup(text, toLang) : undefined;
+        let remembered = options.memory ? options.memory.lookup(text, toLang, fromLang) : undefined;
+        if(term !== undefined) {
+            // the whole text is aligned with the term so entity labels are kept
+            translations.set(text, {text: term, alignment: '0:' + (text.length - 1) + '-0:' + (term.length - 1)});
+        } else if(remembered !== undefined) {
+            translations.set(text, applyGlossary(text, remembered, toLang, options));
+        } else {
+            pending.add(text);
+        }
+    });
+    let tasks = toBatches(Array.from(pending), translator).map(batch => async function() {
+        let batchTranslations = translator.translateBatch ? await translator.translateBatch(batch, toLang, fromLang) : [await translator.translate(batch[0], toLang, fromLang)];
+        batch.forEach((text, idx) => {
+            let translation = batchTranslations[idx];
+            // the translation memory keeps the translation as is so glossary changes apply to remembered translations too
+            if(options.memory) options.memory.add(text, toLang, translation, fromLang);
+            translations.set(text, applyGlossary(text, translation, toLang, options));
+        });
+    });
+    await runWithConcurrency(tasks, options.concurrency || DEFAULT_CONCURRENCY);
+    return translations;
+};
+/**
+ * Helper function to apply glossary terms inside a translated text. Terms that could not be applied are reported once for the text
+ * @param {string} text source text
+ * @param {Object} translation translation with text and alignment
+ * @param {string} toLang target language
+ * @param {Object} options glossary and diagnostics. See parseAndTranslate
+ * @returns {Object} translation with glossary terms applied
+ */
+const applyGlossary = function(text, translation, toLang, options) {
+    if(!options.glossary) return translation;
+    let skippedTerms = [];
+    translation = options.glossary.apply(text, translation, toLang, skippedTerms);
+    if(skippedTerms.length !== 0 && options.diagnostics) {
+        options.diagnostics.push(new diagnostic(severityEnum.WARNING, retCode.errorCode.TRANSLATE_SERVICE_FAIL, '[WARN]: Glossary term(s) "' + skippedTerms.join('", "') + '" were not applied to the translation of "' + text + '". The translation service did not return an alignment for them.'));
+    }
+    return translation;
+};
+/**
+ * Helper function to split texts into batches within the batch limits of a translator.
+ * Translators without translateBatch get one text per batch
+ * @param {string []} texts texts to translate
+ * @param {Object} translator translator with optional maxBatchSize and maxBatchCharacters
+ * @returns {string [][]} batches
+ */
+const toBatches = function(texts, translator) {
+    let maxBatchSize = translator.translateBatch ? (translator.maxBatchSize || MT_MAX_BATCH_SIZE) : 1;
+    let maxBatchCharacters = translator.maxBatchCharacters || Infinity;
+    let batches = [];
+    let batch = [];
+    let characters = 0;
+    texts.forEach(text => {
+        if(batch.length !== 0 && (batch.length === maxBatchSize || characters + text.length > maxBatchCharacters)) {
+            batches.push(batch);
+            batch = [];
+            characters = 0;
+        }
+        batch.push(text);
+        characters += text.length;
+    });
+    if(batch.length !== 0) batches.push(batch);
+    return batches;
+};
+/**
+ * Helper function to run async tasks with a bounded number of tasks in flight. No new tasks are started once a task fails
+ * @param {Function []} tasks async functions
+ * @param {number} concurrency maximum number of tasks in flight
+ * @returns {void} nothing
+ * @throws {exception} Throws the error of the first task that fails
+ */
+const runWithConcurrency = async function(tasks, concurrency) {
+    let nextTask = 0;
+    let failed = false;
+    const worker = async function() {
+        while(!failed && nextTask < tasks.length) {
+            try {
+                await tasks[nextTask++]();
+            } catch (err) {
+                failed = true;
+                throw(err);
+            }
+        }
+    };
+    let workers = [];
+    for(let idx = 0; idx < Math.min(concurrency, tasks.length); idx++) workers.push(worker());
+    await Promise.all(workers);
+};
+/**
+ * Helper function to wait
+ * @param {number} milliseconds time to wait
+ * @returns {void} nothing
+ */
+const wait = function(milliseconds) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+};
 /**
  * Helper function to create a random guid
   * @returns {string} GUID
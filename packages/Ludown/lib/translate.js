@@ -10,7 +10,21 @@ const retCode = require('./enums/CLI-errors');
 const txtfile = require('read-text-file');
 const helpers = require('./helpers');
 const translateHelpers = require('./translate-helpers');
+const translators = require('./translators');
+const translationMemory = require('./translation-memory');
+const glossary = require('./glossary');
+const LUIS_CULTURES = require('./enums/luiscultures');
+const PARSERCONSTS = require('./enums/parserconsts');
+const NEWLINE = require('os').EOL;
+// ludown translate --layout values
+const LAYOUTS = ['flat', 'locale'];
+// [link text](link) reference at the start of a line or of a list item
+const REFERENCE_REGEX = /^(\s*(?:[-*+]\s*)?\[[^\]]*\]\()([^)#]+)((?:#[^)]*)?\))/;
+// > !# @app.culture = <culture> annotation
+const CULTURE_ANNOTATION_REGEX = /^(\s*>\s*!#\s*@app\.culture\s*=\s*)(.*)$/;
 const exception = require('./classes/exception');
+const diagnostic = require('./classes/diagnostic');
+const severityEnum = require('./enums/diagnosticseverity');
 const translateModule = {
     /**
      * Helper function to parse, translate and write out localized lu files
@@ -56,33 +70,174 @@ const translateModule = {
                 throw(new exception(retCode.errorCode.OUTPUT_FOLDER_INVALID, 'Output folder ' + outFolder + ' does not exist'));
             }
         }
-        while(filesToParse.length > 0) {
-            let file = filesToParse[0];
-            try {
-                await parseFile(file, outFolder, program.translate_key, program.to_lang, program.src_lang, program.translate_comments, program.translate_link_text, program.verbose);
-            } catch (err) {
-                throw(err);
+        let targets = getTargets(program.to_lang);
+        let layout = (program.layout || 'flat').toLowerCase();
+        if(!LAYOUTS.includes(layout)) {
+            throw(new exception(retCode.errorCode.INVALID_INPUT, 'Sorry, "' + program.layout + '" is not an output layout. Supported layouts: ' + LAYOUTS.join(', ')));
+        }
+        // the locale layout mirrors the folder tree under the source folder
+        let sourceRoot = program.lu_folder ? path.resolve(program.lu_folder) : path.dirname(path.resolve(program.in));
+        let translator = translators.getTranslator(program);
+        let options = {};
+        if(program.concurrency !== undefined) {
+            options.concurrency = Number(program.concurrency);
+            if(!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+                throw(new exception(retCode.errorCode.INVALID_INPUT, 'Sorry, "' + program.concurrency + '" is not a valid concurrency. Concurrency must be a positive integer'));
+            }
+        }
+        options.keepCanonicalForms = !!program.keep_canonical_forms;
+        options.bilingualLists = !!program.bilingual_lists;
+        if(program.skip_entities) options.skipEntities = String(program.skip_entities).split(',').filter(name => name.trim() !== '');
+        if(program.question_delimiter !== undefined) {
+            options.questionDelimiter = String(program.question_delimiter);
+            if(options.questionDelimiter.trim() === '' || options.questionDelimiter.includes(PARSERCONSTS.QNATABLE)) {
+                throw(new exception(retCode.errorCode.INVALID_INPUT, 'Sorry, "' + program.question_delimiter + '" is not a valid question delimiter. Question delimiters cannot be blank or have "|"'));
+            }
+        }
+        if(program.glossary) options.glossary = glossary.readGlossary(path.resolve(program.glossary));
+        let memoryFile = getTranslationMemoryFile(program.translation_memory, outFolder);
+        if(memoryFile) options.memory = translationMemory.readTranslationMemory(memoryFile);
+        try {
+            for(let target of targets) {
+                let outputLayout = getOutputLayout(filesToParse, sourceRoot, outFolder, target, layout);
+                for(let file of filesToParse) {
+                    await parseFile(file, outputLayout, translator, target, program.src_lang, program.translate_comments, program.translate_link_text, program.verbose, options);
+                }
             }
-            filesToParse.splice(0,1);
-         }
+        } finally {
+            // keep translations that were paid for even if a later file fails
+            if(options.memory && options.memory.modified) {
+                translationMemory.writeTranslationMemory(memoryFile, options.memory);
+                if(program.verbose) process.stdout.write(chalk.default.italic('Successfully wrote to ' + memoryFile + '\n\n'));
+            }
+        }
     }
 }
 
+/**
+ * Helper function to get the translation memory file for a translate run. Translation memories are only read and written when one is requested
+ * @param {string|boolean} translation_memory translation memory file name. true (--translation_memory without a file name) uses translation-memory.json in the output folder. Not set turns the translation memory off
+ * @param {string} outFolder output folder path
+ * @returns {string} translation memory file path. undefined if there is no translation memory
+ */
+const getTranslationMemoryFile = function(translation_memory, outFolder) {
+    if(!translation_memory) return undefined;
+    if(translation_memory === true) return path.join(outFolder, 'translation-memory.json');
+    return path.resolve(translation_memory);
+};
+
+/**
+ * Helper function to get the target languages requested with --to_lang
+ * @param {string} to_lang comma separated language codes. A code can be followed by =<locale> to set the locale for the locale layout, e.g. fr=fr-ca
+ * @returns {Object []} targets with lang, the language code for the translator, and locale, the LUIS culture
+ * @throws {exception} Throws on errors. exception object includes errCode and text.
+ */
+const getTargets = function(to_lang) {
+    let targets = String(to_lang || '').split(',').filter(item => item.trim() !== '').map(item => {
+        let [lang, locale] = item.split('=').map(part => part.trim());
+        return {lang: lang, locale: (locale || LUIS_CULTURES[lang.toLowerCase()] || lang).toLowerCase()};
+    });
+    if(targets.length === 0 || targets.some(target => target.lang === '' || target.locale === '')) {
+        throw(new exception(retCode.errorCode.INVALID_INPUT, 'Sorry, "' + to_lang + '" is not a valid list of target languages'));
+    }
+    return targets;
+};
+/**
+ * Helper function to get where translated files are written for a target language.
+ * The flat layout writes all files to <outFolder>/<lang>. The locale layout mirrors the source folder tree under <outFolder>/<locale>.
+ * @param {string []} files source files
+ * @param {string} sourceRoot source folder
+ * @param {string} outFolder output folder path
+ * @param {Object} target target language with lang and locale
+ * @param {string} layout flat or locale
+ * @returns {Object} output layout with getOutputFile(file), mapReference(referencePath) and setsCulture.
+ * mapReference returns the paths a reference points to from translated files, or undefined if the reference cannot be mapped
+ */
+const getOutputLayout = function(files, sourceRoot, outFolder, target, layout) {
+    let isLocaleLayout = layout === 'locale';
+    let root = path.join(outFolder, isLocaleLayout ? target.locale : target.lang);
+    let outputFiles = new Map(files.map(file => {
+        file = path.resolve(file);
+        return [file, path.join(root, isLocaleLayout ? path.relative(sourceRoot, file) : path.basename(file))];
+    }));
+    return {
+        setsCulture: isLocaleLayout,
+        getOutputFile: file => outputFiles.get(path.resolve(file)),
+        mapReference: function(referencePath) {
+            if(outputFiles.has(referencePath)) return [outputFiles.get(referencePath)];
+            let pattern = path.basename(referencePath);
+            let folder = path.dirname(referencePath);
+            if(!pattern.includes('*') || !fs.existsSync(folder) || !fs.statSync(folder).isDirectory()) return [referencePath];
+            // folder references point back to the source folder unless they pick up translated files, and then they have to pick up translated files only
+            let sourceFiles = helpers.findLUFiles(folder, pattern.includes('**'));
+            let translatedFiles = sourceFiles.filter(file => outputFiles.has(file));
+            if(translatedFiles.length === 0) return [referencePath];
+            if(translatedFiles.length !== sourceFiles.length) return undefined;
+            // the flat layout has no folders, so the reference is replaced with a reference to each translated file
+            return isLocaleLayout ? [path.join(root, path.relative(sourceRoot, folder), pattern)] : translatedFiles.map(file => outputFiles.get(file));
+        }
+    };
+};
+/**
+ * Helper function to rewrite relative [link text](link) references in translated content so they resolve from the output file.
+ * References to translated files point to the translated file, other references point back to the source file or folder.
+ * Folder references that pick up both translated and untranslated files are left as they are
+ * @param {string} content translated content
+ * @param {string} file source file
+ * @param {string} outFileName output file
+ * @param {Object} outputLayout output layout. See getOutputLayout
+ * @param {diagnostic []} diagnostics collection that references that could not be rewritten are added to
+ * @returns {string} content with rewritten references
+ */
+const rewriteReferences = function(content, file, outFileName, outputLayout, diagnostics) {
+    return content.split(NEWLINE).map(line => line.replace(REFERENCE_REGEX, (match, before, link, after) => {
+        // URLs and absolute paths resolve the same from anywhere
+        if(/^([a-z][a-z0-9+.-]*:|['"])/i.test(link.trim()) || path.isAbsolute(link.trim())) return match;
+        let targets = outputLayout.mapReference(path.resolve(path.dirname(file), link.trim()));
+        if(targets === undefined) {
+            diagnostics.push(new diagnostic(severityEnum.WARNING, retCode.errorCode.INVALID_LU_FILE_REF, '[WARN]: Reference to "' + link.trim() + '" was not rewritten. It picks up .lu files that were not translated in this run.'));
+            return match;
+        }
+        if(targets.length === 1 && path.resolve(path.dirname(outFileName), link.trim()) === targets[0]) return match;
+        return targets.map(target => {
+            let newLink = path.relative(path.dirname(outFileName), target).split(path.sep).join('/');
+            if(!newLink.startsWith('../')) newLink = './' + newLink;
+            return before + newLink + after;
+        }).join(NEWLINE);
+    })).join(NEWLINE);
+};
+/**
+ * Helper function to set the LUIS app culture of translated content. Existing > !# @app.culture annotations are updated.
+ * @param {string} content translated content
+ * @param {string} locale LUIS app culture
+ * @param {boolean} addIfMissing add the annotation to content with intents that does not have one
+ * @returns {string} content with the culture annotation
+ */
+const setCulture = function(content, locale, addIfMissing) {
+    let found = false;
+    let lines = content.split(NEWLINE).map(line => line.replace(CULTURE_ANNOTATION_REGEX, (match, before) => {
+        found = true;
+        return before + locale;
+    }));
+    let hasIntents = lines.some(line => /^\s*#\s*[^?\s]/.test(line));
+    if(!found && addIfMissing && hasIntents) lines.unshift('> !# @app.culture = ' + locale);
+    return lines.join(NEWLINE);
+};
 /**
  * Helper function to parse, translate and write out localized lu files
  * @param {string} file file name
- * @param {string} outFolder output folder path
- * @param {string} translate_key translate text API key
- * @param {string} to_lang language code to translate content to
+ * @param {Object} outputLayout where translated files are written. See getOutputLayout
+ * @param {Object} translator translator to translate content with. See translators.js
+ * @param {Object} target language code to translate content to and locale
  * @param {string} src_lang language code for source content
  * @param {boolean} translate_comments translate comments in .lu files if this is set to true
  * @param {boolean} translate_link_text translate URL or LU reference link text in .lu files if this is set to true
  * @param {boolean} log indicates if this function should write verbose messages to process.stdout
+ * @param {Object} options translation memory and glossary. See translateHelpers.parseAndTranslate
  * @returns {void} nothing
  * @throws {exception} Throws on errors. exception object includes errCode and text. 
  */
-async function parseFile(file, outFolder, translate_key, to_lang, src_lang, translate_comments, translate_link_text, log) {
-    let fileName = path.basename(file);
+async function parseFile(file, outputLayout, translator, target, src_lang, translate_comments, translate_link_text, log, options) {
     if(!fs.existsSync(path.resolve(file))) {
         throw(new exception(retCode.errorCode.FILE_OPEN_ERROR, 'Sorry unable to open [' + file + ']'));
     }
@@ -92,8 +247,9 @@ async function parseFile(file, outFolder, translate_key, to_lang, src_lang, tran
     }
     if(log) process.stdout.write(chalk.default.whiteBright('Parsing file: ' + file + '\n'));
     let parsedLocContent = '';
+    let diagnostics = [];
     try {
-        parsedLocContent = await translateHelpers.parseAndTranslate(fileContent, translate_key, to_lang, src_lang, translate_comments, translate_link_text, log)
+        parsedLocContent = await translateHelpers.parseAndTranslate(fileContent, translator, target.lang, src_lang, translate_comments, translate_link_text, log, Object.assign({}, options, {diagnostics: diagnostics}))
     } catch (err) {
         throw(err);
     }
@@ -101,16 +257,19 @@ async function parseFile(file, outFolder, translate_key, to_lang, src_lang, tran
         throw(new exception(retCode.errorCode.INVALID_INPUT_FILE, 'Sorry, file : ' + file + 'had invalid content'));
     } else {
         // write out file
-        outFolder = path.join(outFolder, to_lang);
+        let outFileName = outputLayout.getOutputFile(file);
+        parsedLocContent = rewriteReferences(parsedLocContent, file, outFileName, outputLayout, diagnostics);
+        parsedLocContent = setCulture(parsedLocContent, target.locale, outputLayout.setsCulture);
+        diagnostics.forEach(item => {
+            item.file = file;
+            process.stderr.write(chalk.default.yellowBright(item.toString() + '\n'));
+        });
         try
         {
-            fs.mkdirSync(outFolder);
-        } catch(exception) {
-            if(exception.code != 'EEXIST') {
-                throw(new exception(retCode.errorCode.UNABLE_TO_WRITE_FILE, 'Unable to create folder - ' + exception));
-            }
+            fs.mkdirSync(path.dirname(outFileName), { recursive: true });
+        } catch(err) {
+            throw(new exception(retCode.errorCode.UNABLE_TO_WRITE_FILE, 'Unable to create folder - ' + err));
         }
-        let outFileName = path.join(outFolder, fileName);
         try {
             fs.writeFileSync(outFileName, parsedLocContent, 'utf-8');
         } catch (err) {
@@ -120,4 +279,4 @@ async function parseFile(file, outFolder, translate_key, to_lang, src_lang, tran
     }
 }
 
-module.exports = translateModule; 
\ No newline at end of file
+module.exports = translateModule;
@@ -0,0 +1,166 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const fs = require('fs');
+const path = require('path');
+const txtfile = require('read-text-file');
+const retCode = require('./enums/CLI-errors');
+const exception = require('./classes/exception');
+// TMX property that keeps the alignment of a translation
+const TMX_ALIGNMENT_PROP = 'x-ludown-alignment';
+// language of source text when the source language was detected by the translation service
+const UNKNOWN_LANGUAGE = 'und';
+/**
+ * A translation memory remembers the translation of source text from a source language to a target language, so text is only sent to the translation service once.
+ * Translations are kept as the translation service returned them. Glossaries are applied when a translation is used.
+ * Translation memories are saved as JSON, or as TMX 1.4 if the file name ends with .tmx.
+ * Entries are written out sorted by target language and source text so the file only changes where translations change.
+ */
+const translationMemory = {
+    /**
+     * Create a translation memory
+     * @param {Object []} entries [Optional] entries with source, to, text and optional from and alignment
+     * @returns {Object} translation memory with lookup(text, toLang, fromLang), add(text, toLang, translation, fromLang) and getEntries() functions. modified is true once a translation is added.
+     * Text translated from a detected source language is only found when no source language is passed to lookup
+     */
+    createTranslationMemory: function(entries) {
+        let entriesByKey = new Map();
+        const toKey = (text, toLang, fromLang) => String(toLang).toLowerCase() + '\u0000' + String(fromLang || UNKNOWN_LANGUAGE).toLowerCase() + '\u0000' + text;
+        (entries || []).forEach(entry => entriesByKey.set(toKey(entry.source, entry.to, entry.from), entry));
+        let memory = {
+            modified: false,
+            lookup: function(text, toLang, fromLang) {
+                let entry = entriesByKey.get(toKey(text, toLang, fromLang));
+                return entry === undefined ? undefined : {text: entry.text, alignment: entry.alignment};
+            },
+            add: function(text, toLang, translation, fromLang) {
+                let entry = {source: text, from: fromLang || UNKNOWN_LANGUAGE, to: toLang, text: translation.text};
+                if(translation.alignment) entry.alignment = translation.alignment;
+                entriesByKey.set(toKey(text, toLang, fromLang), entry);
+                memory.modified = true;
+            },
+            getEntries: function() {
+                return Array.from(entriesByKey.values()).sort((a, b) => compare(a.to.toLowerCase(), b.to.toLowerCase()) || compare(a.source, b.source) || compare((a.from || UNKNOWN_LANGUAGE).toLowerCase(), (b.from || UNKNOWN_LANGUAGE).toLowerCase()));
+            }
+        };
+        return memory;
+    },
+    /**
+     * Helper function to read a translation memory file
+     * @param {string} file .json or .tmx file. A file that does not exist yet is read as an empty translation memory
+     * @returns {Object} translation memory
+     * @throws {exception} Throws on errors. exception object includes errCode and text.
+     */
+    readTranslationMemory: function(file) {
+        if(!fs.existsSync(file)) return translationMemory.createTranslationMemory();
+        let content = txtfile.readSync(file);
+        if(isTMXFile(file)) return translationMemory.createTranslationMemory(parseTMX(content));
+        try {
+            return translationMemory.createTranslationMemory(JSON.parse(content).entries);
+        } catch (err) {
+            throw(new exception(retCode.errorCode.INVALID_INPUT_FILE, 'Sorry, ' + file + ' is not a valid translation memory. ' + err.message));
+        }
+    },
+    /**
+     * Helper function to write a translation memory file
+     * @param {string} file .json or .tmx file
+     * @param {Object} memory translation memory
+     * @returns {void} nothing
+     * @throws {exception} Throws on errors. exception object includes errCode and text.
+     */
+    writeTranslationMemory: function(file, memory) {
+        let content = isTMXFile(file) ? toTMX(memory.getEntries()) : JSON.stringify({entries: memory.getEntries()}, null, 2) + '\n';
+        try {
+            fs.writeFileSync(file, content, 'utf-8');
+        } catch (err) {
+            throw(new exception(retCode.errorCode.UNABLE_TO_WRITE_FILE, 'Unable to write translation memory - ' + file));
+        }
+    }
+};
+/**
+ * Helper function to compare strings for sorting without depending on the locale
+ * @param {string} a first string
+ * @param {string} b second string
+ * @returns {number} negative if a comes first, positive if b comes first, 0 if they are the same
+ */
+const compare = function(a, b) {
+    return a < b ? -1 : (a > b ? 1 : 0);
+};
+/**
+ * Helper function to see if a translation memory file is a TMX file
+ * @param {string} file file name
+ * @returns {boolean} true for .tmx files
+ */
+const isTMXFile = function(file) {
+    return path.extname(file).toLowerCase() === '.tmx';
+};
+/**
+ * Helper function to escape text for XML
+ * @param {string} text text
+ * @returns {string} escaped text
+ */
+const escapeXML = function(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+};
+/**
+ * Helper function to read text in an XML element. Inline elements are dropped
+ * @param {string} xml element content
+ * @returns {string} text
+ */
+const unescapeXML = function(xml) {
+    return xml.replace(/<[^>]*>/g, '')
+        .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, '\'').replace(/&amp;/g, '&');
+};
+/**
+ * Helper function to write translation memory entries as TMX. Each entry is one translation unit
+ * @param {Object []} entries translation memory entries
+ * @returns {string} TMX content
+ */
+const toTMX = function(entries) {
+    let lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<tmx version="1.4">',
+        '  <header creationtool="ludown" creationtoolversion="1" datatype="plaintext" segtype="sentence" adminlang="en" srclang="*all*" o-tmf="ludown"/>',
+        '  <body>'
+    ];
+    entries.forEach(entry => {
+        lines.push('    <tu>');
+        if(entry.alignment) lines.push('      <prop type="' + TMX_ALIGNMENT_PROP + '">' + escapeXML(entry.alignment) + '</prop>');
+        lines.push('      <tuv xml:lang="' + escapeXML(entry.from || UNKNOWN_LANGUAGE) + '"><seg>' + escapeXML(entry.source) + '</seg></tuv>');
+        lines.push('      <tuv xml:lang="' + escapeXML(entry.to) + '"><seg>' + escapeXML(entry.text) + '</seg></tuv>');
+        lines.push('    </tu>');
+    });
+    lines.push('  </body>', '</tmx>');
+    return lines.join('\n') + '\n';
+};
+/**
+ * Helper function to read translation memory entries from TMX.
+ * The source of a translation unit is the variant in the header srclang, or the first variant. Every other variant is a translation of it.
+ * @param {string} content TMX content
+ * @returns {Object []} translation memory entries
+ */
+const parseTMX = function(content) {
+    let header = content.match(/<header\b[^>]*\bsrclang="([^"]*)"/i);
+    let srcLang = header ? header[1].toLowerCase() : '*all*';
+    let entries = [];
+    (content.match(/<tu\b[\s\S]*?<\/tu>/gi) || []).forEach(tu => {
+        let variants = [];
+        let tuvRegEx = /<tuv\b[^>]*\b(?:xml:)?lang="([^"]*)"[^>]*>[\s\S]*?<seg>([\s\S]*?)<\/seg>[\s\S]*?<\/tuv>/gi;
+        let tuv;
+        while((tuv = tuvRegEx.exec(tu)) !== null) variants.push({lang: tuv[1], text: unescapeXML(tuv[2])});
+        if(variants.length < 2) return;
+        let source = variants.find(variant => variant.lang.toLowerCase() === srcLang) || variants[0];
+        let alignment = tu.match(new RegExp('<prop\\s+type="' + TMX_ALIGNMENT_PROP + '">([^<]*)</prop>'));
+        variants.filter(variant => variant !== source).forEach(variant => {
+            let entry = {source: source.text, from: source.lang, to: variant.lang, text: variant.text};
+            if(alignment && variants.length === 2) entry.alignment = unescapeXML(alignment[1]);
+            entries.push(entry);
+        });
+    });
+    return entries;
+};
+
+module.exports = translationMemory;
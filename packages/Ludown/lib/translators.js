@@ -0,0 +1,168 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const fs = require('fs');
+const path = require('path');
+const txtfile = require('read-text-file');
+const retCode = require('./enums/CLI-errors');
+const exception = require('./classes/exception');
+const translateHelpers = require('./translate-helpers');
+// providers that can be picked with ludown translate --provider
+const PROVIDERS = ['microsoft', 'http', 'dictionary'];
+/**
+ * Translators translate text for ludown translate. A translator is an object with an async function -
+ *   translate(text, toLang, fromLang) returns an object with the translated text and an optional alignment.
+ *   Translators can also have translateBatch(texts, toLang, fromLang) that returns the translations of a list of texts in one request, in the same order.
+ *   maxBatchSize and maxBatchCharacters limit the number of texts and characters in a batch.
+ *   The alignment is a space separated list of srcStart:srcEnd-tgtStart:tgtEnd character ranges, the same as the proj alignment from the Microsoft Translator.
+ *   Labelled entity values in utterances are only kept in the translated utterance if the translator returns an alignment.
+ */
+const translators = {
+    /**
+     * Create a translator that calls the Microsoft Translator text API v3. Texts are translated in batches of up to 100 texts and 5000 characters per request
+     * @param {string} subscriptionKey Translator text API key
+     * @param {Object} retryOptions [Optional] maxRetries and retryDelay for throttled or failed requests. See translateHelpers.fetchWithRetry
+     * @returns {Object} translator
+     */
+    createMicrosoftTranslator: translateHelpers.createMicrosoftTranslator,
+    /**
+     * Create a translator that calls an HTTP service with JSON request and response bodies, e.g. an in-house MT server.
+     * {text}, {to}, {from} and {key} in the url, header values and body string values are replaced with the text to translate, the target and source language and the key.
+     * @param {Object} config service configuration -
+     *   url - URL of the service.
+     *   method - [Optional] HTTP method. Defaults to POST.
+     *   headers - [Optional] map of header name to value.
+     *   body - [Optional] JSON request body. Defaults to {"text": "{text}", "to": "{to}", "from": "{from}"}.
+     *   response - [Optional] dot separated paths to the translated text and the alignment in the JSON response, e.g. {"text": "translations.0.text"}. Defaults to {"text": "text", "alignment": "alignment"}.
+     * @param {string} key [Optional] key passed with {key}
+     * @param {Object} retryOptions [Optional] maxRetries and retryDelay for throttled or failed requests. See translateHelpers.fetchWithRetry
+     * @returns {Object} translator
+     * @throws {exception} Throws on errors. exception object includes errCode and text.
+     */
+    createHttpTranslator: function(config, key, retryOptions) {
+        if(!config || typeof config.url !== 'string') {
+            throw(new exception(retCode.errorCode.INVALID_INPUT, 'Sorry, the HTTP translation provider configuration must have a url'));
+        }
+        let response = Object.assign({text: 'text', alignment: 'alignment'}, config.response);
+        return {
+            translate: async function(text, toLang, fromLang) {
+                let values = {text: text, to: toLang, from: fromLang || '', key: key || ''};
+                let method = (config.method || 'POST').toUpperCase();
+                let options = {
+                    method: method,
+                    headers: Object.assign({'Content-Type': 'application/json'}, fillTemplate(config.headers || {}, values))
+                };
+                if(method !== 'GET') options.body = JSON.stringify(fillTemplate(config.body || {text: '{text}', to: '{to}', from: '{from}'}, values));
+                let uri = config.url.replace(/\{(text|to|from|key)\}/g, (match, name) => encodeURIComponent(values[name]));
+                let res;
+                try {
+                    res = await translateHelpers.fetchWithRetry(uri, options, retryOptions);
+                } catch (err) {
+                    throw(new exception(retCode.errorCode.TRANSLATE_SERVICE_FAIL, 'Translation service call to ' + uri + ' failed. ' + err.message));
+                }
+                if(!res.ok) {
+                    throw(new exception(retCode.errorCode.TRANSLATE_SERVICE_FAIL, 'Translation service call failed with [' + res.status + '] : ' + res.statusText + '.'));
+                }
+                let data;
+                try {
+                    data = await res.json();
+                } catch (err) {
+                    throw(new exception(retCode.errorCode.TRANSLATE_SERVICE_FAIL, 'Translation service response is not valid JSON. ' + err.message));
+                }
+                let translatedText = getValue(data, response.text);
+                if(typeof translatedText !== 'string') {
+                    throw(new exception(retCode.errorCode.TRANSLATE_SERVICE_FAIL, 'Translation service response does not have translated text at "' + response.text + '"'));
+                }
+                let alignment = response.alignment ? getValue(data, response.alignment) : undefined;
+                return {text: translatedText, alignment: typeof alignment === 'string' ? alignment : undefined};
+            }
+        };
+    },
+    /**
+     * Create a translator that looks up translations in a dictionary, e.g. to translate without network access in tests.
+     * The dictionary maps target language to a map of source text to translation. A translation is either the translated text or an object with text and alignment.
+     * @param {Object} dictionary translations by target language
+     * @returns {Object} translator
+     */
+    createDictionaryTranslator: function(dictionary) {
+        return {
+            translate: async function(text, toLang) {
+                let translation = (dictionary[toLang] || {})[text];
+                if(translation === undefined) {
+                    throw(new exception(retCode.errorCode.TRANSLATE_SERVICE_FAIL, 'No translation to "' + toLang + '" found in the dictionary for "' + text + '"'));
+                }
+                return typeof translation === 'string' ? {text: translation} : {text: translation.text, alignment: translation.alignment};
+            }
+        };
+    },
+    /**
+     * Helper function to get the translator requested in command line args or passed in through the library
+     * @param {object} program parsed program object from commander
+     * @returns {Object} translator. Defaults to the Microsoft Translator
+     * @throws {exception} Throws on errors. exception object includes errCode and text.
+     */
+    getTranslator: function(program) {
+        if(program.translator) return program.translator;
+        let provider = (program.provider || 'microsoft').toLowerCase();
+        if(!PROVIDERS.includes(provider)) {
+            throw(new exception(retCode.errorCode.INVALID_INPUT, 'Sorry, "' + program.provider + '" is not a translation provider. Supported providers: ' + PROVIDERS.join(', ')));
+        }
+        let retryOptions;
+        if(program.max_retries !== undefined) {
+            retryOptions = {maxRetries: Number(program.max_retries)};
+            if(!Number.isInteger(retryOptions.maxRetries) || retryOptions.maxRetries < 0) {
+                throw(new exception(retCode.errorCode.INVALID_INPUT, 'Sorry, "' + program.max_retries + '" is not a valid number of retries. Max retries must be 0 or a positive integer'));
+            }
+        }
+        if(provider === 'microsoft') return translators.createMicrosoftTranslator(program.translate_key, retryOptions);
+        if(!program.provider_config) {
+            throw(new exception(retCode.errorCode.INVALID_INPUT, 'Sorry, the ' + provider + ' translation provider needs a --provider_config file'));
+        }
+        let config = readConfigFile(path.resolve(program.provider_config));
+        return provider === 'http' ? translators.createHttpTranslator(config, program.translate_key, retryOptions) : translators.createDictionaryTranslator(config);
+    }
+};
+/**
+ * Helper function to replace {text}, {to}, {from} and {key} in string values
+ * @param {Object} template object, array or string with placeholders
+ * @param {Object} values map of placeholder name to value
+ * @returns {Object} copy of the template with placeholders replaced
+ */
+const fillTemplate = function(template, values) {
+    if(typeof template === 'string') return template.replace(/\{(text|to|from|key)\}/g, (match, name) => values[name]);
+    if(Array.isArray(template)) return template.map(item => fillTemplate(item, values));
+    if(template !== null && typeof template === 'object') {
+        let filled = {};
+        Object.keys(template).forEach(name => filled[name] = fillTemplate(template[name], values));
+        return filled;
+    }
+    return template;
+};
+/**
+ * Helper function to get a value in a JSON object by dot separated path. Array items are addressed by index
+ * @param {Object} data JSON object
+ * @param {string} valuePath dot separated path, e.g. translations.0.text
+ * @returns {any} value. undefined if the path does not exist
+ */
+const getValue = function(data, valuePath) {
+    return valuePath.split('.').reduce((value, name) => (value === undefined || value === null) ? undefined : value[name], data);
+};
+/**
+ * Helper function to read a translation provider configuration or dictionary file
+ * @param {string} file JSON file
+ * @returns {Object} file content
+ * @throws {exception} Throws on errors. exception object includes errCode and text.
+ */
+const readConfigFile = function(file) {
+    if(!fs.existsSync(file)) {
+        throw(new exception(retCode.errorCode.FILE_OPEN_ERROR, 'Sorry unable to open [' + file + ']'));
+    }
+    try {
+        return JSON.parse(txtfile.readSync(file));
+    } catch (err) {
+        throw(new exception(retCode.errorCode.INVALID_INPUT_FILE, 'Sorry, ' + file + ' is not valid JSON. ' + err.message));
+    }
+};
+
+module.exports = translators;
@@ -0,0 +1,255 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const crypto = require('crypto');
+const retCode = require('./enums/CLI-errors');
+const exception = require('./classes/exception');
+// maximum number of utterances generated from expansion syntax for each intent in a .lu file
+const DEFAULT_MAX_EXPANSIONS = 100;
+// seed used for random choices when --seed is not passed so output is the same on every run
+const DEFAULT_SEED = 'ludown';
+const ESCAPABLE_CHARS = '()[]|';
+// counts stay below 2^53 so index arithmetic on them is exact
+const MAX_EXPANSION_COUNT = Number.MAX_SAFE_INTEGER;
+/**
+ * Utterances in intent sections that follow a > !# @intent.expansion = true annotation can use expansion syntax to generate concrete utterances -
+ *   (a|b) expands to one of the alternatives. Parentheses without a | are kept as-is.
+ *   [a] expands to a or nothing. [a|b] expands to a, b or nothing.
+ *   \( \) \[ \] \| are literal characters.
+ * A parsed utterance is a sequence of parts. Each part is either literal text or a group with a list of alternatives (sequences) and optional flag.
+ */
+const expansion = {
+    DEFAULT_MAX_EXPANSIONS: DEFAULT_MAX_EXPANSIONS,
+    DEFAULT_SEED: DEFAULT_SEED,
+    MAX_EXPANSION_COUNT: MAX_EXPANSION_COUNT,
+    /**
+     * Helper function to see if expansion syntax is turned on for an intent section
+     * @param {Object} annotations [Optional] annotations for the section
+     * @param {Object} position [Optional] line and column of the section, used in errors
+     * @returns {boolean} true if the section has a > !# @intent.expansion = true annotation
+     * @throws {exception} Throws on annotation values other than true or false. exception object includes errCode, text, line and column.
+     */
+    isEnabled: function(annotations, position) {
+        let value = annotations ? annotations.expansion : undefined;
+        if(value === undefined) return false;
+        if(value.toLowerCase() === 'true') return true;
+        if(value.toLowerCase() === 'false') return false;
+        throw(new exception(retCode.errorCode.INVALID_ANNOTATION, '[ERROR]: Invalid @intent.expansion value "' + value + '". Use true or false', position));
+    },
+    /**
+     * Helper function to parse expansion syntax in an utterance
+     * @param {string} utterance utterance text
+     * @returns {Array} sequence of parts. Literal text parts are strings
+     */
+    parseExpansion: function(utterance) {
+        let parts = [];
+        let text = '';
+        let idx = 0;
+        while(idx < utterance.length) {
+            let char = utterance[idx];
+            if(char === '\\' && ESCAPABLE_CHARS.includes(utterance[idx + 1] || '')) {
+                text += utterance[idx + 1];
+                idx += 2;
+                continue;
+            }
+            let closeIdx = (char === '[' || char === '(') ? findClosingBracket(utterance, idx) : -1;
+            if(closeIdx === -1) {
+                // unmatched brackets are literal text
+                text += char;
+                idx++;
+                continue;
+            }
+            let alternatives = splitAlternatives(utterance.substring(idx + 1, closeIdx)).map(expansion.parseExpansion);
+            if(char === '(' && alternatives.length === 1) {
+                // (a) without alternatives is literal text. Groups inside it still expand.
+                alternatives[0].unshift('(');
+                alternatives[0].push(')');
+                alternatives[0].forEach(part => {
+                    if(typeof part === 'string') {
+                        text += part;
+                    } else {
+                        if(text) parts.push(text);
+                        text = '';
+                        parts.push(part);
+                    }
+                });
+            } else {
+                if(text) parts.push(text);
+                text = '';
+                parts.push({alternatives: alternatives, optional: char === '['});
+            }
+            idx = closeIdx + 1;
+        }
+        if(text || parts.length === 0) parts.push(text);
+        return parts;
+    },
+    /**
+     * Helper function to see if an utterance has expansion syntax or escaped characters
+     * @param {string} utterance utterance text
+     * @returns {boolean} true if parsing expansion syntax changes the utterance
+     */
+    hasExpansionSyntax: function(utterance) {
+        let parts = expansion.parseExpansion(utterance);
+        return parts.length !== 1 || parts[0] !== utterance;
+    },
+    /**
+     * Helper function to count the number of utterances a parsed utterance expands to
+     * @param {Array} parts parsed utterance from parseExpansion
+     * @returns {number} number of expansions. Capped at MAX_EXPANSION_COUNT
+     */
+    countExpansions: function(parts) {
+        return parts.reduce((count, part) => Math.min(count * countPart(part), MAX_EXPANSION_COUNT), 1);
+    },
+    /**
+     * Helper function to get one expansion of a parsed utterance.
+     * Expansions are ordered by the first group in the utterance, then the next and so on. Leaving out an optional group comes first.
+     * @param {Array} parts parsed utterance from parseExpansion
+     * @param {number} index index of the expansion. 0 to countExpansions(parts) - 1. Expansions past MAX_EXPANSION_COUNT cannot be reached
+     * @returns {string} expanded utterance
+     */
+    getExpansion: function(parts, index) {
+        return getSequence(parts, index).replace(/\s+/g, ' ').trim();
+    },
+    /**
+     * Helper function to escape expansion syntax so an utterance is parsed as-is
+     * @param {string} utterance utterance text
+     * @returns {string} utterance with expansion syntax escaped. Utterances without expansion syntax are returned unchanged
+     */
+    escapeExpansionSyntax: function(utterance) {
+        if(!expansion.hasExpansionSyntax(utterance)) return utterance;
+        return utterance.replace(/[()[\]|]/g, '\\$&');
+    },
+    /**
+     * Helper function to pick a deterministic sample of indices
+     * @param {number} total number of items to sample from
+     * @param {number} sampleSize number of items to pick
+     * @param {string} seed seed for the random number generator. The same seed always picks the same sample
+     * @returns {number []} sorted list of sampleSize unique indices between 0 and total - 1
+     */
+    sampleIndices: function(total, sampleSize, seed) {
+        if(sampleSize >= total) return Array.from({length: total}, (item, idx) => idx);
+        let random = expansion.createRandom(seed);
+        // Floyd's algorithm picks a uniform sample without generating all indices
+        let sample = new Set();
+        for(let idx = total - sampleSize; idx < total; idx++) {
+            let pick = Math.floor(random() * (idx + 1));
+            sample.add(sample.has(pick) ? idx : pick);
+        }
+        return Array.from(sample).sort((a, b) => a - b);
+    },
+    /**
+     * Helper function to create a seeded random number generator
+     * @param {string} seed seed. The same seed always generates the same sequence
+     * @returns {Function} function that returns a random number between 0 (inclusive) and 1 (exclusive)
+     */
+    createRandom: function(seed) {
+        // mulberry32
+        let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+        return function() {
+            state = (state + 0x6D2B79F5) | 0;
+            let value = Math.imul(state ^ (state >>> 15), 1 | state);
+            value = (value + Math.imul(value ^ (value >>> 7), 61 | value)) ^ value;
+            return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+};
+/**
+ * Helper function to find the bracket that closes the bracket at a position
+ * @param {string} text text to search
+ * @param {number} openIdx position of the opening bracket
+ * @returns {number} position of the closing bracket. -1 if there is none
+ */
+const findClosingBracket = function(text, openIdx) {
+    let open = text[openIdx];
+    let close = open === '[' ? ']' : ')';
+    let depth = 0;
+    for(let idx = openIdx; idx < text.length; idx++) {
+        if(text[idx] === '\\') {
+            idx++;
+        } else if(text[idx] === open) {
+            depth++;
+        } else if(text[idx] === close) {
+            depth--;
+            if(depth === 0) return idx;
+        }
+    }
+    return -1;
+};
+/**
+ * Helper function to split the content of a group on | that are not nested in other groups
+ * @param {string} text content of the group
+ * @returns {string []} alternatives
+ */
+const splitAlternatives = function(text) {
+    let alternatives = [];
+    let start = 0;
+    let idx = 0;
+    while(idx < text.length) {
+        let char = text[idx];
+        if(char === '\\') {
+            idx += 2;
+            continue;
+        }
+        if(char === '[' || char === '(') {
+            let closeIdx = findClosingBracket(text, idx);
+            if(closeIdx !== -1) {
+                idx = closeIdx + 1;
+                continue;
+            }
+        }
+        if(char === '|') {
+            alternatives.push(text.substring(start, idx));
+            start = idx + 1;
+        }
+        idx++;
+    }
+    alternatives.push(text.substring(start));
+    return alternatives;
+};
+/**
+ * Helper function to count the number of expansions of one part of a parsed utterance
+ * @param {string|Object} part literal text or group
+ * @returns {number} number of expansions. Capped at MAX_EXPANSION_COUNT
+ */
+const countPart = function(part) {
+    if(typeof part === 'string') return 1;
+    return part.alternatives.reduce((count, alternative) => Math.min(count + expansion.countExpansions(alternative), MAX_EXPANSION_COUNT), part.optional ? 1 : 0);
+};
+/**
+ * Helper function to get one expansion of a sequence of parts without normalizing white space
+ * @param {Array} parts sequence of parts
+ * @param {number} index index of the expansion
+ * @returns {string} expanded text
+ */
+const getSequence = function(parts, index) {
+    let text = '';
+    // the last part changes fastest
+    for(let idx = parts.length - 1; idx >= 0; idx--) {
+        let count = countPart(parts[idx]);
+        text = getPart(parts[idx], index % count) + text;
+        index = Math.floor(index / count);
+    }
+    return text;
+};
+/**
+ * Helper function to get one expansion of a part
+ * @param {string|Object} part literal text or group
+ * @param {number} index index of the expansion
+ * @returns {string} expanded text
+ */
+const getPart = function(part, index) {
+    if(typeof part === 'string') return part;
+    if(part.optional) {
+        if(index === 0) return '';
+        index--;
+    }
+    for(let alternative of part.alternatives) {
+        let count = expansion.countExpansions(alternative);
+        if(index < count) return getSequence(alternative, index);
+        index -= count;
+    }
+    return '';
+};
+
+module.exports = expansion;
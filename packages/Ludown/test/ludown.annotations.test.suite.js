@@ -0,0 +1,149 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const chai = require('chai');
+const assert = chai.assert;
+const fs = require('fs');
+const path = require('path');
+const { exec } = require('child_process');
+const parser = require('../lib/parser');
+const toLU = require('../lib/toLU-helpers');
+const retCode = require('../lib/enums/CLI-errors');
+const severityEnum = require('../lib/enums/diagnosticseverity');
+const testFolders = require('./utils/testFolders');
+const ludown = require.resolve('../bin/ludown');
+const luContent = fs.readFileSync(testFolders.fixture('annotations/main.lu'), 'utf-8');
+
+describe('Annotations in .lu files', function() {
+    const folders = testFolders.use('annotations');
+    it('sets app, KB and intent settings', function(done) {
+        parser.parseContents({files: {'main.lu': luContent}})
+            .then(res => {
+                let LUISJSON = res.LUISJsonStructure;
+                assert.equal(LUISJSON.name, 'MyApp');
+                assert.equal(LUISJSON.culture, 'fr-fr');
+                assert.equal(LUISJSON.versionId, '1.2');
+                assert.equal(LUISJSON.desc, 'Sample app');
+                assert.deepEqual(LUISJSON.intents, [{name: 'Greeting', description: 'Greet the user'}, {name: 'Help'}]);
+                assert.equal(res.qnaJsonStructure.name, 'MyKB');
+                assert.equal(res.diagnostics.length, 0);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('reports unknown annotations as warnings and invalid annotations as errors', function(done) {
+        parser.parseContents({files: {'main.lu': `> !# @app.color = blue
+> !# app.name MyApp
+
+# Greeting
+- hi`}})
+            .then(res => {
+                assert.equal(res.diagnostics.length, 2);
+                assert.equal(res.diagnostics[0].severity, severityEnum.WARNING);
+                assert.include(res.diagnostics[0].text, 'Unknown annotation "@app.color"');
+                assert.equal(res.diagnostics[1].errCode, retCode.errorCode.INVALID_ANNOTATION);
+                assert.equal(res.diagnostics[1].line, 2);
+                assert.equal(res.LUISJsonStructure.name, 'main');
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('merges annotations across files and rejects conflicting values', function(done) {
+        parser.parseContents({files: {
+            'main.lu': '> !# @app.name = MyApp\n\n# Greeting\n- hi\n\n[help](./help.lu)',
+            'help.lu': '> !# @app.versionId = 2.0\n> !# @intent.description = Get help\n# Help\n- help'
+        }, root: 'main.lu'})
+            .then(res => {
+                assert.equal(res.LUISJsonStructure.name, 'MyApp');
+                assert.equal(res.LUISJsonStructure.versionId, '2.0');
+                assert.deepEqual(res.LUISJsonStructure.intents.find(intent => intent.name === 'Help'), {name: 'Help', description: 'Get help'});
+                return parser.parseContents({files: {
+                    'main.lu': '> !# @app.name = MyApp\n\n# Greeting\n- hi\n\n[help](./help.lu)',
+                    'help.lu': '> !# @app.name = OtherApp\n# Help\n- help'
+                }, root: 'main.lu'});
+            })
+            .then(res => {
+                assert.equal(res.diagnostics.length, 1);
+                assert.equal(res.diagnostics[0].errCode, retCode.errorCode.INVALID_ANNOTATION);
+                assert.include(res.diagnostics[0].text, 'conflicting values');
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('round-trips annotations through refresh', function(done) {
+        let LUISJSON;
+        parser.parseContents({files: {'main.lu': luContent}})
+            .then(res => {
+                LUISJSON = res.LUISJsonStructure;
+                return toLU.constructMdFromLUISJSON(LUISJSON);
+            })
+            .then(content => {
+                assert.include(content, '> !# @app.name = MyApp');
+                assert.include(content, '> !# @intent.description = Greet the user');
+                return parser.parseContents({files: {'refreshed.lu': content}});
+            })
+            .then(res => {
+                ['name', 'versionId', 'desc', 'culture', 'intents'].forEach(property => assert.deepEqual(res.LUISJsonStructure[property], LUISJSON[property]));
+                return toLU.constructMdFromLUISJSON(res.LUISJsonStructure, 'MyApp');
+            })
+            .then(content => {
+                assert.notInclude(content, '@app.name');
+                assert.include(content, '> !# @app.culture = fr-fr');
+                assert.include(toLU.constructMdFromQnAJSON({name: 'MyKB', qnaList: []}), '> !# @kb.name = MyKB');
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('uses annotations when writing out files and lets command line options take precedence', function(done) {
+        let folder = folders.create();
+        let luFile = testFolders.fixture('annotations/main.lu');
+        exec(`node ${ludown} parse toluis --in ${luFile} -o ${folder} -i 3.0 --no-cache`, (error) => {
+            try {
+                assert.isNull(error);
+                let LUISJSON = JSON.parse(fs.readFileSync(path.join(folder, 'main.json'), 'utf-8'));
+                assert.equal(LUISJSON.name, 'MyApp');
+                assert.equal(LUISJSON.culture, 'fr-fr');
+                assert.equal(LUISJSON.versionId, '3.0');
+                done();
+            } catch (err) {
+                done(err);
+            }
+        });
+    });
+
+    it('checks prebuilt entities against the annotated culture unless --luis_culture is passed', function(done) {
+        let rootFile = testFolders.fixture('annotations/culture/root.lu');
+        let prebuiltWarnings = diagnostics => diagnostics.filter(item => item.text.includes('not available for the requested locale')).map(item => item.text);
+        let diagnostics = [];
+        parser.parseFiles({in: rootFile, cache: false}, diagnostics, true)
+            .then(res => {
+                assert.deepEqual(res.allParsedContent.LUISContent.map(item => item.LUISJsonStructure.prebuiltEntities), [[], []]);
+                assert.equal(prebuiltWarnings(diagnostics).length, 2);
+                prebuiltWarnings(diagnostics).forEach(text => assert.include(text, 'fr-fr'));
+                diagnostics = [];
+                return parser.parseFiles({in: rootFile, luis_culture: 'en-us', cache: false}, diagnostics, true);
+            })
+            .then(res => {
+                assert.deepEqual(res.allParsedContent.LUISContent.map(item => item.LUISJsonStructure.prebuiltEntities.map(entity => entity.name)), [['email'], ['url']]);
+                assert.equal(prebuiltWarnings(diagnostics).length, 0);
+                // the annotation is in a file that is parsed after the prebuilt entity definition
+                return parser.parseContents({root: 'main.lu', files: {
+                    'main.lu': '$PREBUILT:email\n\n[child](./child.lu)',
+                    'child.lu': '> !# @app.culture = fr-fr\n\n# Greeting\n- hi'
+                }});
+            })
+            .then(res => {
+                assert.equal(res.LUISJsonStructure.culture, 'fr-fr');
+                assert.deepEqual(res.LUISJsonStructure.prebuiltEntities, []);
+                assert.equal(prebuiltWarnings(res.diagnostics).length, 1);
+                assert.include(prebuiltWarnings(res.diagnostics)[0], 'fr-fr');
+                done();
+            })
+            .catch(err => done(err));
+    });
+});
@@ -0,0 +1,137 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const chai = require('chai');
+const assert = chai.assert;
+const fs = require('fs');
+const path = require('path');
+const { exec } = require('child_process');
+const augment = require('../lib/augment');
+const parser = require('../lib/parser');
+const toLU = require('../lib/toLU-helpers');
+const retCode = require('../lib/enums/CLI-errors');
+const testFolders = require('./utils/testFolders');
+const ludown = require.resolve('../bin/ludown');
+const luContent = fs.readFileSync(testFolders.fixture('augment/flights.lu'), 'utf-8');
+
+/**
+ * Helper function to parse .lu content into collated LUIS JSON
+ * @returns {LUIS} collated LUIS JSON
+ */
+const getLUISJSON = async function() {
+    let res = await parser.parseContents({files: {'flights.lu': luContent}});
+    return res.LUISJsonStructure;
+};
+
+describe('Augmenting utterances from list entities', function() {
+    const folders = testFolders.use('augment');
+    it('fills in list entity values for patterns that only reference list entities', function(done) {
+        getLUISJSON()
+            .then(LUISJSON => {
+                let existing = LUISJSON.utterances.length;
+                let generated = augment.augmentUtterances(LUISJSON, {count: 3, seed: 'test'});
+                let utterances = LUISJSON.utterances.slice(existing);
+                assert.equal(generated, 6);
+                assert.equal(utterances.length, 6);
+                utterances.forEach(utterance => {
+                    assert.equal(utterance.generated, true);
+                    assert.equal(utterance.intent, 'BookFlight');
+                    assert.notInclude(utterance.text, '{');
+                    assert.match(utterance.text, /^(book a flight to|fly me from|take me from) /);
+                });
+                assert.isFalse(utterances.some(utterance => utterance.text.includes('book item')));
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('generates the same utterances for the same seed', function(done) {
+        let first, second, other;
+        getLUISJSON()
+            .then(LUISJSON => {
+                augment.augmentUtterances(LUISJSON, {count: 3, seed: 'test'});
+                first = LUISJSON.utterances.map(utterance => utterance.text);
+                return getLUISJSON();
+            })
+            .then(LUISJSON => {
+                augment.augmentUtterances(LUISJSON, {count: 3, seed: 'test'});
+                second = LUISJSON.utterances.map(utterance => utterance.text);
+                return getLUISJSON();
+            })
+            .then(LUISJSON => {
+                augment.augmentUtterances(LUISJSON, {count: 3, seed: 'another seed'});
+                other = LUISJSON.utterances.map(utterance => utterance.text);
+                assert.deepEqual(first, second);
+                assert.notDeepEqual(first, other);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('stops when there are no more unique utterances to generate', function(done) {
+        getLUISJSON()
+            .then(LUISJSON => {
+                LUISJSON.patterns = LUISJSON.patterns.slice(0, 1);
+                // book a flight to {city} has 5 values to fill in. The pattern itself is already an utterance.
+                assert.equal(augment.augmentUtterances(LUISJSON, {count: 20, seed: 'test'}), 5);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('leaves generated utterances out of refreshed .lu content', function(done) {
+        getLUISJSON()
+            .then(LUISJSON => {
+                augment.augmentUtterances(LUISJSON, {count: 3, seed: 'test'});
+                return toLU.constructMdFromLUISJSON(LUISJSON);
+            })
+            .then(content => {
+                assert.notInclude(content, '- book a flight to Paris');
+                assert.notInclude(content, '- book a flight to CDG');
+                assert.include(content, '- book a flight to {city}');
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('rejects invalid augment counts', function() {
+        try {
+            augment.getAugmentOptions({augment: 'many'});
+            assert.fail('Did not throw when expected');
+        } catch (err) {
+            assert.equal(err.errCode, retCode.errorCode.INVALID_INPUT);
+        }
+        assert.equal(augment.getAugmentOptions({}), undefined);
+        assert.deepEqual(augment.getAugmentOptions({augment: '2', seed: 42}), {count: 2, seed: '42'});
+    });
+
+    it('adds generated utterances with --augment and leaves them out of batch tests', function(done) {
+        let folder = folders.create();
+        let luFile = testFolders.fixture('augment/flights.lu');
+        exec(`node ${ludown} parse toluis --in ${luFile} -o ${folder} --out flights.json -t --augment 2 --seed 7 --no-cache`, (error) => {
+            try {
+                assert.isNull(error);
+                let LUISJSON = JSON.parse(fs.readFileSync(path.join(folder, 'flights.json'), 'utf-8'));
+                let batchTests = JSON.parse(fs.readFileSync(path.join(folder, 'flights_LUISBatchTest.json'), 'utf-8'));
+                assert.equal(LUISJSON.utterances.filter(utterance => utterance.generated).length, 4);
+                assert.deepEqual(batchTests.map(utterance => utterance.text), LUISJSON.utterances.filter(utterance => !utterance.generated).map(utterance => utterance.text));
+                done();
+            } catch (err) {
+                done(err);
+            }
+        });
+    });
+
+    it('reports invalid augment counts from the command line', function(done) {
+        exec(`node ${ludown} parse toluis --in ${path.join(__dirname, 'testcases/graph/root.lu')} --augment 0 --no-cache`, (error, stdout, stderr) => {
+            try {
+                assert.equal(error.code, retCode.errorCode.INVALID_INPUT);
+                assert.include(stderr, 'Augment count must be a positive integer');
+                done();
+            } catch (err) {
+                done(err);
+            }
+        });
+    });
+});
@@ -0,0 +1,127 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const chai = require('chai');
+const assert = chai.assert;
+const fs = require('fs');
+const path = require('path');
+const { exec } = require('child_process');
+const batchTests = require('../lib/batch-tests');
+const parser = require('../lib/parser');
+const retCode = require('../lib/enums/CLI-errors');
+const testFolders = require('./utils/testFolders');
+const ludown = require.resolve('../bin/ludown');
+const luContent = fs.readFileSync(testFolders.fixture('batchtests/restaurant.lu'), 'utf-8');
+
+/**
+ * Helper function to parse .lu content into collated LUIS JSON
+ * @returns {Object} parseContents result
+ */
+const parseContent = async function() {
+    return await parser.parseContents({files: {'restaurant.lu': luContent}});
+};
+
+describe('LUIS batch tests', function() {
+    const folders = testFolders.use('batchtests');
+    it('leaves utterances in > @test sections out of the LUIS model', function(done) {
+        parseContent()
+            .then(res => {
+                let utterances = res.LUISJsonStructure.utterances.map(utterance => utterance.text);
+                assert.notInclude(utterances, 'reserve a 4 person table');
+                assert.include(utterances, 'book a table');
+                assert.deepEqual(res.luisBatchTests, [{
+                    text: 'reserve a 4 person table',
+                    intent: 'BookTable',
+                    entities: [{entity: 'partySize', startPos: 10, endPos: 10}]
+                }]);
+                assert.equal(res.diagnostics.length, 1);
+                assert.include(res.diagnostics[0].text, 'Patterns cannot be used as batch tests');
+                assert.deepEqual(res.LUISJsonStructure.patterns.map(pattern => pattern.pattern), ['delete the {partySize} table']);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('holds out the same utterances in every intent for the same seed', function(done) {
+        let first;
+        parseContent()
+            .then(res => {
+                first = batchTests.holdOutUtterances(res.LUISJsonStructure, 0.5, 'seed');
+                assert.equal(first.filter(utterance => utterance.intent === 'Greeting').length, 3);
+                assert.equal(first.filter(utterance => utterance.intent === 'BookTable').length, 2);
+                first.forEach(utterance => assert.notInclude(res.LUISJsonStructure.utterances, utterance));
+                return parseContent();
+            })
+            .then(res => {
+                let second = batchTests.holdOutUtterances(res.LUISJsonStructure, 0.5, 'seed');
+                assert.deepEqual(second.map(utterance => utterance.text), first.map(utterance => utterance.text));
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('keeps at least one utterance in every intent and never holds out pattern copies', function() {
+        let LUISJSON = {
+            utterances: [
+                {text: 'hi', intent: 'Greeting', entities: []},
+                {text: 'hello', intent: 'Greeting', entities: []},
+                {text: 'help', intent: 'Help', entities: []},
+                {text: 'delete the {alarmTime} alarm', intent: 'DeleteAlarm', entities: []}
+            ],
+            patterns: [{pattern: 'delete the {alarmTime} alarm', intent: 'DeleteAlarm'}]
+        };
+        let heldOut = batchTests.holdOutUtterances(LUISJSON, 0.9, 'seed');
+        assert.equal(heldOut.length, 1);
+        assert.equal(heldOut[0].intent, 'Greeting');
+        assert.deepEqual(LUISJSON.utterances.map(utterance => utterance.intent), ['Greeting', 'Help', 'DeleteAlarm']);
+    });
+
+    it('rejects invalid test split ratios', function() {
+        ['0', '1', '-0.5', 'half'].forEach(ratio => {
+            try {
+                batchTests.getTestSplit({test_split: ratio});
+                assert.fail('Did not throw when expected');
+            } catch (err) {
+                assert.equal(err.errCode, retCode.errorCode.INVALID_INPUT);
+            }
+        });
+        assert.equal(batchTests.getTestSplit({}), undefined);
+        assert.equal(batchTests.getTestSplit({test_split: '0.25'}), 0.25);
+    });
+
+    it('writes held out and test-only utterances to the batch test file with --test_split', function(done) {
+        let folder = folders.create();
+        let luFile = testFolders.fixture('batchtests/restaurant.lu');
+        exec(`node ${ludown} parse toluis --in ${luFile} -o ${folder} --out restaurant.json --test_split 0.4 --no-cache`, (error) => {
+            try {
+                assert.isNull(error);
+                let LUISJSON = JSON.parse(fs.readFileSync(path.join(folder, 'restaurant.json'), 'utf-8'));
+                let tests = JSON.parse(fs.readFileSync(path.join(folder, 'restaurant_LUISBatchTest.json'), 'utf-8'));
+                let trained = LUISJSON.utterances.map(utterance => utterance.text);
+                assert.equal(tests.length, 4);
+                assert.equal(LUISJSON.utterances.length, 5);
+                tests.forEach(test => {
+                    assert.notInclude(trained, test.text);
+                    assert.hasAllKeys(test, ['text', 'intent', 'entities']);
+                });
+                assert.include(tests.map(test => test.text), 'reserve a 4 person table');
+                done();
+            } catch (err) {
+                done(err);
+            }
+        });
+    });
+
+    it('reports invalid test split ratios from the command line', function(done) {
+        exec(`node ${ludown} parse toluis --in ${path.join(__dirname, 'testcases/graph/root.lu')} --test_split 2 --no-cache`, (error, stdout, stderr) => {
+            try {
+                assert.equal(error.code, retCode.errorCode.INVALID_INPUT);
+                assert.include(stderr, 'Test split must be a number between 0 and 1');
+                done();
+            } catch (err) {
+                done(err);
+            }
+        });
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const chai = require('chai');
+const assert = chai.assert;
+const parser = require('../lib/parseFileContents');
+const toLUHelpers = require('../lib/toLU-helpers');
+const retCode = require('../lib/enums/CLI-errors');
+describe('Composite entities in LU files', function() {
+    it('Correctly parses composite entity definitions', function(done) {
+        let fileContent = `$Address:[Street, City, Zip]
+        $Street:simple
+        $City:simple
+        $Zip:/[0-9]{5}/`;
+        parser.parseFile(fileContent, false, null)
+            .then(res => parser.validateLUISBlob(res.LUISJsonStructure).then(() => res))
+            .then(res => {
+                assert.deepEqual(res.LUISJsonStructure.composites, [{name: 'Address', children: ['Street', 'City', 'Zip'], roles: []}]);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('Correctly parses labelled composite spans in utterances', function(done) {
+        let fileContent = `# setAddress
+        - I live at {Address=1 Main Street}
+        
+        $Address:[Street, number]
+        $Street:simple
+        $PREBUILT:number`;
+        parser.parseFile(fileContent, false, null)
+            .then(res => parser.validateLUISBlob(res.LUISJsonStructure).then(() => res))
+            .then(res => {
+                assert.equal(res.LUISJsonStructure.entities.length, 1);
+                assert.equal(res.LUISJsonStructure.entities[0].name, 'Street');
+                assert.deepEqual(res.LUISJsonStructure.utterances[0].entities, [{entity: 'Address', startPos: 10, endPos: 22}]);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('Throws on invalid composite entity definition', function(done) {
+        let fileContent = `$Address:[Street, City`;
+        parser.parseFile(fileContent, false, null)
+            .then(() => done('Test fail! Did not throw when expected'))
+            .catch(err => {
+                assert.equal(err.errCode, retCode.errorCode.INVALID_COMPOSITE_ENTITY);
+                done();
+            });
+    });
+
+    it('validateLUISBlob throws when a composite child is not defined', function(done) {
+        let fileContent = `$Address:[Street, City]
+        $Street:simple`;
+        parser.parseFile(fileContent, false, null)
+            .then(res => parser.validateLUISBlob(res.LUISJsonStructure))
+            .then(() => done('Test fail! Did not throw when expected'))
+            .catch(err => {
+                assert.equal(err.errCode, retCode.errorCode.INVALID_COMPOSITE_ENTITY);
+                done();
+            });
+    });
+
+    it('validateLUISBlob can skip composite child check for partial models', function(done) {
+        let fileContent = `$Address:[Street, City]`;
+        parser.parseFile(fileContent, false, null)
+            .then(res => parser.validateLUISBlob(res.LUISJsonStructure, true))
+            .then(() => done())
+            .catch(err => done(err));
+    });
+
+    it('Correctly collates composite entities across files', function(done) {
+        let file1 = `$Address:[Street, City]
+        $Street:simple
+        $City:simple`;
+        let file2 = `$Address:[City, Zip]
+        $Zip:simple
+        # test
+        - {Address:home}`;
+        Promise.all([parser.parseFile(file1, false, null), parser.parseFile(file2, false, null)])
+            .then(res => Promise.all(res.map(item => parser.validateLUISBlob(item.LUISJsonStructure, true))).then(() => parser.collateLUISFiles(res)))
+            .then(res => parser.validateLUISBlob(res).then(() => res))
+            .then(res => {
+                assert.deepEqual(res.composites, [{name: 'Address', children: ['Street', 'City', 'Zip'], roles: ['home']}]);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('Composite entities round trip through refresh', function(done) {
+        let fileContent = `# bookTable
+        - book a table for {partySize=2} in {requestedLocation=seattle}
+        
+        $partySize:[number]
+        $requestedLocation:[cafeLocation, datetimeV2]
+        $PREBUILT:number
+        $PREBUILT:datetimeV2
+        $cafeLocation:seattle=
+        - seattle`;
+        parser.parseFile(fileContent, false, 'en-us')
+            .then(res => parser.validateLUISBlob(res.LUISJsonStructure).then(() => res.LUISJsonStructure))
+            .then(LUISJSON => toLUHelpers.constructMdFromLUISJSON(JSON.parse(JSON.stringify(LUISJSON))).then(luContent => [LUISJSON, luContent]))
+            .then(([LUISJSON, luContent]) => parser.parseFile(luContent, false, 'en-us').then(res => [LUISJSON, res]))
+            .then(([LUISJSON, res]) => parser.validateLUISBlob(res.LUISJsonStructure).then(() => [LUISJSON, res]))
+            .then(([LUISJSON, res]) => {
+                assert.deepEqual(res.LUISJsonStructure.composites, LUISJSON.composites);
+                assert.deepEqual(res.LUISJsonStructure.utterances, LUISJSON.utterances);
+                done();
+            })
+            .catch(err => done(err));
+    });
+});
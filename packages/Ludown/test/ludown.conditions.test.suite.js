@@ -0,0 +1,123 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const chai = require('chai');
+const assert = chai.assert;
+const fs = require('fs');
+const path = require('path');
+const { exec } = require('child_process');
+const parser = require('../lib/parser');
+const conditions = require('../lib/conditions');
+const retCode = require('../lib/enums/CLI-errors');
+const testFolders = require('./utils/testFolders');
+const ludown = require.resolve('../bin/ludown');
+const luContent = fs.readFileSync(testFolders.fixture('conditions/main.lu'), 'utf-8');
+
+/**
+ * Helper function to parse the test content with a set of variables
+ * @param {Object} defines map of variable name to value
+ * @returns {Object} parseContents result
+ */
+const parseWith = async function(defines) {
+    return await parser.parseContents({files: {'main.lu': luContent}, defines: defines});
+};
+
+describe('Conditional content in .lu files', function() {
+    const folders = testFolders.use('conditions');
+    it('includes content in blocks whose condition is met', function(done) {
+        parseWith({market: 'uk'})
+            .then(res => {
+                assert.equal(res.diagnostics.length, 0);
+                assert.deepEqual(res.LUISJsonStructure.utterances.map(item => item.text), ['hi', 'hiya']);
+                assert.deepEqual(res.qnaJsonStructure.qnaList.map(item => item.answer), ['9am to 5pm\n']);
+                assert.deepEqual(res.LUISJsonStructure.closedLists[0].subLists[0].list, ['LON', 'Greater London']);
+                return parseWith({market: 'us', beta: 'true'});
+            })
+            .then(res => {
+                assert.deepEqual(res.LUISJsonStructure.utterances.map(item => item.text), ['hi']);
+                assert.deepEqual(res.qnaJsonStructure.qnaList.map(item => item.answer), ['Open 24/7\n']);
+                assert.deepEqual(res.LUISJsonStructure.closedLists[0].subLists[0].list, ['LON']);
+                return parseWith();
+            })
+            .then(res => {
+                assert.deepEqual(res.qnaJsonStructure.qnaList.map(item => item.answer), ['9am to 6pm\n']);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('keeps line numbers and supports nested blocks', function() {
+        let content = [
+            '> !# @if a',
+            '> !# @if b == "x y"',
+            'both',
+            '> !# @else',
+            'only a',
+            '> !# @endif',
+            '> !# @endif',
+            'always'
+        ].join('\n');
+        let lines = conditions.applyConditions(content, {a: 'true', b: 'x y'}).split(/\r?\n/);
+        assert.deepEqual(lines, ['', '', 'both', '', '', '', '', 'always']);
+        lines = conditions.applyConditions(content, {b: 'x y'}).split(/\r?\n/);
+        assert.deepEqual(lines, ['', '', '', '', '', '', '', 'always']);
+    });
+
+    it('reports unbalanced blocks and invalid conditions with their line', function(done) {
+        parser.parseContents({files: {'main.lu': '# Greeting\n- hi\n> !# @if market = uk\n- hiya\n> !# @endif'}})
+            .then(res => {
+                assert.equal(res.diagnostics.length, 1);
+                assert.equal(res.diagnostics[0].errCode, retCode.errorCode.INVALID_CONDITION);
+                assert.equal(res.diagnostics[0].line, 3);
+                return parser.parseContents({files: {'main.lu': '> !# @if market == uk\n# Greeting\n- hi'}});
+            })
+            .then(res => {
+                assert.equal(res.diagnostics.length, 1);
+                assert.include(res.diagnostics[0].text, 'does not have a matching > !# @endif');
+                assert.equal(res.diagnostics[0].line, 1);
+                return parser.parseContents({files: {'main.lu': '# Greeting\n- hi\n> !# @else'}});
+            })
+            .then(res => {
+                assert.equal(res.diagnostics.length, 1);
+                assert.include(res.diagnostics[0].text, 'does not have a matching > !# @if');
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('parses --define values', function() {
+        assert.deepEqual(conditions.parseDefines(['market=uk', ' env = prod ', 'beta']), {market: 'uk', env: 'prod', beta: 'true'});
+        try {
+            conditions.parseDefines(['=uk']);
+            assert.fail('Did not throw when expected');
+        } catch (err) {
+            assert.equal(err.errCode, retCode.errorCode.INVALID_INPUT);
+        }
+    });
+
+    it('produces a model per set of variables from the command line', function(done) {
+        let folder = folders.create();
+        let luFile = testFolders.fixture('conditions/main.lu');
+        exec(`node ${ludown} parse toluis --in ${luFile} -o ${folder} --out uk.json --define market=uk --define beta --no-cache`, (error) => {
+            try {
+                assert.isNull(error);
+                let LUISJSON = JSON.parse(fs.readFileSync(path.join(folder, 'uk.json'), 'utf-8'));
+                assert.deepEqual(LUISJSON.utterances.map(item => item.text), ['hi', 'hiya']);
+                assert.deepEqual(LUISJSON.closedLists[0].subLists[0].list, ['LON']);
+            } catch (err) {
+                return done(err);
+            }
+            exec(`node ${ludown} parse toqna --in ${luFile} -o ${folder} --out us.json --define market=us --no-cache`, (error) => {
+                try {
+                    assert.isNull(error);
+                    let qnaJSON = JSON.parse(fs.readFileSync(path.join(folder, 'us.json'), 'utf-8'));
+                    assert.deepEqual(qnaJSON.qnaList.map(item => item.answer), ['Open 24/7\n']);
+                    done();
+                } catch (err) {
+                    done(err);
+                }
+            });
+        });
+    });
+});
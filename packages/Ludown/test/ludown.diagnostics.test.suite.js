@@ -0,0 +1,174 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const chai = require('chai');
+const assert = chai.assert;
+const fs = require('fs');
+const path = require('path');
+const { exec } = require('child_process');
+const parser = require('../lib/parseFileContents');
+const ludownParser = require('../lib/parser');
+const retCode = require('../lib/enums/CLI-errors');
+const diagnostic = require('../lib/classes/diagnostic');
+const ludown = require.resolve('../bin/ludown');
+const testFolders = require('./utils/testFolders');
+const multipleErrorsLu = path.join(__dirname, 'testcases/multiple-errors.lu');
+const collateErrorsLu = path.join(__dirname, 'testcases/collate-errors/root.lu');
+describe('Diagnostics with file, line and column', function() {
+    const folders = testFolders.use('diagnostics');
+    it('parseFile reports line and column for an invalid utterance', function(done) {
+        let fileContent = `> comment
+# Greeting
+- hi
+   hello there`;
+        parser.parseFile(fileContent, false, null, 'test.lu')
+            .then(res => done(res))
+            .catch(err => {
+                assert.equal(err.errCode, retCode.errorCode.INVALID_UTTERANCE_DEF);
+                assert.equal(err.file, 'test.lu');
+                assert.equal(err.line, 4);
+                assert.equal(err.column, 4);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('parseFile reports line and column for an invalid synonyms list', function(done) {
+        let fileContent = `$TestList:one=
+- one
+
+- 1
+two`;
+        parser.parseFile(fileContent, false, null)
+            .then(res => done(res))
+            .catch(err => {
+                assert.equal(err.errCode, retCode.errorCode.SYNONYMS_NOT_A_LIST);
+                assert.equal(err.line, 5);
+                assert.equal(err.column, 1);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('parseFile reports line and column for errors found while splitting the file into sections', function(done) {
+        let fileContent = `# Greeting
+- hi
+
+$foo:bar`;
+        parser.parseFile(fileContent, false, null, 'test.lu')
+            .then(res => done(res))
+            .catch(err => {
+                assert.equal(err.errCode, retCode.errorCode.INVALID_INPUT);
+                assert.equal(diagnostic.fromException(err).location(), 'test.lu:4:1');
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('parseFile reports warnings with line and column', function(done) {
+        let fileContent = `# Greeting
+- hi
+
+# None`;
+        parser.parseFile(fileContent, false, null, 'test.lu')
+            .then(res => {
+                assert.equal(res.diagnostics.length, 1);
+                assert.equal(res.diagnostics[0].severity, 'warning');
+                assert.equal(res.diagnostics[0].toString().indexOf('test.lu:4:1 - '), 0);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('parseFile reports all errors when continueOnError is set', function(done) {
+        let fileContent = require('fs').readFileSync(multipleErrorsLu, 'utf-8');
+        parser.parseFile(fileContent, false, null, 'multiple-errors.lu', true)
+            .then(res => {
+                let errors = res.diagnostics.filter(item => item.severity === 'error');
+                assert.deepEqual(errors.map(item => item.location()), ['multiple-errors.lu:4:3', 'multiple-errors.lu:7:1', 'multiple-errors.lu:10:1']);
+                assert.deepEqual(errors.map(item => item.errCode), [retCode.errorCode.INVALID_UTTERANCE_DEF, retCode.errorCode.SYNONYMS_NOT_A_LIST, retCode.errorCode.INVALID_INPUT]);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('ludown parse toluis --diagnostics json writes out all errors as JSON', function(done) {
+        let diagnosticsFile = path.join(folders.create(), 'diagnostics.json');
+        exec(`node ${ludown} parse toluis --in ${multipleErrorsLu} --diagnostics json --diagnostics_file ${diagnosticsFile} --verbose --no-cache`, (error, stdout) => {
+            try {
+                assert.isFalse(stdout.includes('"severity"'), stdout);
+                let diagnostics = JSON.parse(fs.readFileSync(diagnosticsFile, 'utf-8'));
+                assert.equal(diagnostics.length, 3);
+                assert.equal(diagnostics[0].file, multipleErrorsLu);
+                assert.equal(diagnostics[0].line, 4);
+                assert.equal(diagnostics[0].column, 3);
+                done();
+            } catch (err) {
+                done(err);
+            }
+        });
+    });
+
+    it('ludown parse toluis --diagnostics json writes to stderr instead of stdout', function(done) {
+        exec(`node ${ludown} parse toluis --in ${multipleErrorsLu} --diagnostics json --verbose --no-cache`, (error, stdout, stderr) => {
+            try {
+                assert.isFalse(stdout.includes('"severity"'), stdout);
+                assert.isTrue(stderr.includes('"line": 4'), stderr);
+                done();
+            } catch (err) {
+                done(err);
+            }
+        });
+    });
+
+    it('errors found when collating files point to the definition that caused them', function(done) {
+        ludownParser.parseContents({
+            files: {
+                'root.lu': fs.readFileSync(collateErrorsLu, 'utf-8'),
+                'lists.lu': fs.readFileSync(path.join(path.dirname(collateErrorsLu), 'lists.lu'), 'utf-8')
+            },
+            root: 'root.lu'
+        })
+            .then(res => {
+                assert.deepEqual(res.diagnostics.map(item => [item.errCode, item.location()]), [[retCode.errorCode.DUPLICATE_ENTITIES, 'lists.lu:2:1']]);
+                return ludownParser.parseContents({files: {
+                    'a.lu': '<a id="1"></a>\n# ? hi\n```markdown\nhello\n```\n',
+                    'b.lu': '> bye\n\n<a id="1"></a>\n# ? bye\n```markdown\nbye\n```\n'
+                }});
+            })
+            .then(res => {
+                assert.deepEqual(res.diagnostics.map(item => [item.errCode, item.location()]), [[retCode.errorCode.DUPLICATE_QNA_ID, 'b.lu:4:1']]);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('errors found when collating cached files keep their position', function(done) {
+        let outFolder = folders.create();
+        let cacheFolder = path.join(outFolder, 'cache');
+        let parse = `node ${ludown} parse toluis --in ${collateErrorsLu} -o ${outFolder} --cache_folder ${cacheFolder}`;
+        exec(parse, () => {
+            exec(parse + ' --verbose', (error, stdout, stderr) => {
+                try {
+                    assert.isTrue(stdout.includes('Using cached parse result for file: ' + collateErrorsLu), stdout);
+                    assert.isTrue(stderr.includes(path.join(path.dirname(collateErrorsLu), 'lists.lu') + ':2:1 - '), stderr);
+                    done();
+                } catch (err) {
+                    done(err);
+                }
+            });
+        });
+    });
+
+    it('ludown parse toluis reports the first error with file:line:col', function(done) {
+        exec(`node ${ludown} parse toluis --in ${multipleErrorsLu}`, (error, stdout, stderr) => {
+            try {
+                assert.equal(stderr.includes(multipleErrorsLu + ':4:3 - '), true, stderr);
+                done();
+            } catch (err) {
+                done(err);
+            }
+        });
+    });
+});
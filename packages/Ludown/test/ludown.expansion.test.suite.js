@@ -0,0 +1,211 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const chai = require('chai');
+const assert = chai.assert;
+const parseFile = require('../lib/parseFileContents').parseFile;
+const parser = require('../lib/parser');
+const toLU = require('../lib/toLU-helpers');
+const toLUUpdate = require('../lib/toLU-update');
+const expansion = require('../lib/utterance-expansion');
+const retCode = require('../lib/enums/CLI-errors');
+
+describe('Utterance expansion', function() {
+    it('leaves utterances as-is unless expansion is turned on for the intent', function(done) {
+        parseFile(`# Misc
+- [foo]
+- (a|b) and \\(c\\|d\\)`, false, 'en-us')
+            .then(res => {
+                assert.deepEqual(res.LUISJsonStructure.utterances.map(item => item.text), ['[foo]', '(a|b) and \\(c\\|d\\)']);
+                assert.equal(res.diagnostics.length, 0);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('expands alternations and optional groups', function(done) {
+        parseFile(`> !# @intent.expansion = true
+# BookTable
+- (book|reserve) a table [for tonight]`, false, 'en-us')
+            .then(res => {
+                assert.deepEqual(res.LUISJsonStructure.utterances.map(item => item.text), ['book a table', 'book a table for tonight', 'reserve a table', 'reserve a table for tonight']);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('expands nested groups and labelled entity values', function(done) {
+        parseFile(`> !# @intent.expansion = true
+# Order
+- [please] get me {food=(pizza|pasta [salad])}`, false, 'en-us')
+            .then(res => {
+                let utterances = res.LUISJsonStructure.utterances;
+                assert.deepEqual(utterances.map(item => item.text), ['get me pizza', 'get me pasta', 'get me pasta salad', 'please get me pizza', 'please get me pasta', 'please get me pasta salad']);
+                assert.deepEqual(utterances[2].entities, [{entity: 'food', startPos: 7, endPos: 17}]);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('keeps parentheses without alternatives, escaped characters and patterns as-is', function(done) {
+        parseFile(`> !# @intent.expansion = true
+# Misc
+- what is (this)
+- call \\(a\\|b\\) now
+- (book|reserve) {item} [tonight]`, false, 'en-us')
+            .then(res => {
+                assert.deepEqual(res.LUISJsonStructure.utterances.map(item => item.text), ['what is (this)', 'call (a|b) now']);
+                assert.deepEqual(res.LUISJsonStructure.patterns.map(item => item.pattern), ['(book|reserve) {item} [tonight]']);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('caps the number of expanded utterances for each intent with a deterministic sample', function(done) {
+        let luContent = `> !# @intent.expansion = true
+# Greeting
+- (hi|hello|hey) (there|friend|bot) [please]
+
+> !# @intent.expansion = true
+# Greeting
+- (good|great) (morning|evening)`;
+        let first;
+        parseFile(luContent, false, 'en-us', undefined, false, undefined, {maxExpansions: 5})
+            .then(res => {
+                first = res.LUISJsonStructure.utterances.map(item => item.text);
+                assert.equal(first.length, 5);
+                assert.equal(res.diagnostics.length, 1);
+                assert.equal(res.diagnostics[0].errCode, retCode.errorCode.TOO_MANY_EXPANSIONS);
+                assert.include(res.diagnostics[0].text, 'expand to 22 utterances');
+                return parseFile(luContent, false, 'en-us', undefined, false, undefined, {maxExpansions: 5});
+            })
+            .then(res => {
+                assert.deepEqual(res.LUISJsonStructure.utterances.map(item => item.text), first);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('passes maxExpansions through parseContents and rejects invalid values', function(done) {
+        parser.parseContents({files: {'main.lu': `> !# @intent.expansion = true
+# Greeting
+- (hi|hello) [there]`}, maxExpansions: 2})
+            .then(res => {
+                assert.equal(res.LUISJsonStructure.utterances.length, 2);
+                return parser.parseContents({files: {'main.lu': '# Greeting\n- hi'}, maxExpansions: 0});
+            })
+            .then(() => done('Test fail! Did not throw when expected'))
+            .catch(err => {
+                try {
+                    assert.equal(err.errCode, retCode.errorCode.INVALID_INPUT);
+                    done();
+                } catch (assertErr) {
+                    done(assertErr);
+                }
+            });
+    });
+
+    it('keeps expanded utterances where they are in the file', function(done) {
+        parseFile(`> !# @intent.expansion = true
+# Greeting
+- hi
+- (hello|hey) there
+- good morning
+
+# Help
+- help
+
+> !# @intent.expansion = true
+# Greeting
+- [good] evening`, false, 'en-us')
+            .then(res => {
+                assert.deepEqual(res.LUISJsonStructure.utterances.map(item => item.text), ['hi', 'hello there', 'hey there', 'good morning', 'help', 'evening', 'good evening']);
+                assert.deepEqual(res.LUISJsonStructure.utterances.map(item => item.intent), ['Greeting', 'Greeting', 'Greeting', 'Greeting', 'Help', 'Greeting', 'Greeting']);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('rejects @intent.expansion values other than true or false', function(done) {
+        parseFile(`> !# @intent.expansion = yes
+# Greeting
+- (hi|hello)`, false, 'en-us')
+            .then(() => done('Test fail! Did not throw when expected'))
+            .catch(err => {
+                try {
+                    assert.equal(err.errCode, retCode.errorCode.INVALID_ANNOTATION);
+                    assert.equal(err.line, 2);
+                    done();
+                } catch (assertErr) {
+                    done(assertErr);
+                }
+            });
+    });
+
+    it('caps expansion counts below 2^53', function(done) {
+        let group = '(' + Array.from({length: 10}, (item, idx) => 'w' + idx).join('|') + ')';
+        let utterance = Array.from({length: 20}, () => group).join(' ');
+        let parts = expansion.parseExpansion(utterance);
+        assert.equal(expansion.countExpansions(parts), expansion.MAX_EXPANSION_COUNT);
+        assert.isTrue(expansion.MAX_EXPANSION_COUNT < Math.pow(2, 53));
+        parseFile('> !# @intent.expansion = true\n# Words\n- ' + utterance, false, 'en-us', undefined, false, undefined, {maxExpansions: 3})
+            .then(res => {
+                let utterances = res.LUISJsonStructure.utterances.map(item => item.text);
+                assert.equal(utterances.length, 3);
+                utterances.forEach(text => assert.match(text, /^(w\d )+w\d$/));
+                assert.include(res.diagnostics[0].text, 'expand to at least ' + expansion.MAX_EXPANSION_COUNT + ' utterances');
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('refresh writes utterances out as-is and escapes expansion syntax only in sections that turn it on', function(done) {
+        parseFile(`> !# @intent.expansion = true
+# BookTable
+- (book|reserve) a table
+- call \\(a\\|b\\) now
+- {item} [tonight]`, false, 'en-us')
+            .then(res => toLU.constructMdFromLUISJSON(res.LUISJsonStructure))
+            .then(luContent => {
+                assert.include(luContent, '- book a table');
+                assert.include(luContent, '- reserve a table');
+                assert.include(luContent, '- call (a|b) now');
+                assert.include(luContent, '- {item} [tonight]');
+                return parseFile(luContent, false, 'en-us');
+            })
+            .then(res => {
+                assert.include(res.LUISJsonStructure.utterances.map(item => item.text), 'call (a|b) now');
+                let app = {
+                    intents: [{name: 'BookTable'}, {name: 'Help'}],
+                    utterances: [{text: 'book a table', intent: 'BookTable', entities: []}, {text: 'call (a|b) now', intent: 'BookTable', entities: []}, {text: 'help (me)', intent: 'Help', entities: []}],
+                    patterns: []
+                };
+                return toLUUpdate.updateLUFiles(app, [{path: 'main.lu', content: `> !# @intent.expansion = true
+# BookTable
+- book a table
+
+# Help
+- help
+`}], 'main.lu');
+            })
+            .then(updatedFiles => {
+                assert.equal(updatedFiles['main.lu'], `> !# @intent.expansion = true
+# BookTable
+- book a table
+- call \\(a\\|b\\) now
+
+# Help
+- help (me)
+`);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('picks the same sample for the same seed', function() {
+        assert.deepEqual(expansion.sampleIndices(1000, 10, 'seed'), expansion.sampleIndices(1000, 10, 'seed'));
+        assert.notDeepEqual(expansion.sampleIndices(1000, 10, 'seed'), expansion.sampleIndices(1000, 10, 'other seed'));
+        assert.deepEqual(expansion.sampleIndices(3, 10, 'seed'), [0, 1, 2]);
+    });
+});
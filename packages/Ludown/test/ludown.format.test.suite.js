@@ -0,0 +1,81 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const chai = require('chai');
+const assert = chai.assert;
+const fs = require('fs');
+const path = require('path');
+const { exec } = require('child_process');
+const format = require('../lib/format');
+const retCode = require('../lib/enums/CLI-errors');
+const testFolders = require('./utils/testFolders');
+const ludown = require.resolve('../bin/ludown');
+const luContent = fs.readFileSync(testFolders.fixture('format/main.lu'), 'utf-8');
+const formattedContent = fs.readFileSync(testFolders.fixture('format/formatted.lu'), 'utf-8');
+
+describe('Format .lu files', function() {
+    const folders = testFolders.use('format');
+    it('rewrites content in canonical form', function(done) {
+        format.formatContent(luContent)
+            .then(res => {
+                assert.equal(res, formattedContent);
+                return format.formatContent(res);
+            })
+            .then(res => {
+                assert.equal(res, formattedContent);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('keeps \\r\\n line endings', function(done) {
+        format.formatContent('# Greeting\r\n-   hi\r\n\r\n\r\n# Help\r\n- help')
+            .then(res => {
+                assert.equal(res, '# Greeting\r\n- hi\r\n\r\n# Help\r\n- help\r\n');
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('does not format content with errors', function(done) {
+        format.formatContent('# Greeting\n- hi\n$city:Seattle=\nsea', 'main.lu')
+            .then(() => done('Did not throw when expected'))
+            .catch(err => {
+                assert.equal(err.errCode, retCode.errorCode.SYNONYMS_NOT_A_LIST);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('checks and formats files from the command line', function(done) {
+        let folder = folders.copy('format');
+        let luFile = path.join(folder, 'main.lu');
+        exec(`node ${ludown} format --lu_folder ${folder} --check`, (error, stdout) => {
+            try {
+                assert.equal(error.code, retCode.errorCode.NOT_FORMATTED);
+                assert.include(stdout, 'main.lu is not formatted');
+                assert.notInclude(stdout, 'formatted.lu is not formatted');
+                assert.equal(fs.readFileSync(luFile, 'utf-8'), luContent);
+            } catch (err) {
+                return done(err);
+            }
+            exec(`node ${ludown} format --in ${luFile}`, (error) => {
+                try {
+                    assert.isNull(error);
+                    assert.equal(fs.readFileSync(luFile, 'utf-8'), formattedContent);
+                } catch (err) {
+                    return done(err);
+                }
+                exec(`node ${ludown} format --lu_folder ${folder} --check`, (error) => {
+                    try {
+                        assert.isNull(error);
+                        done();
+                    } catch (err) {
+                        done(err);
+                    }
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,108 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const chai = require('chai');
+const assert = chai.assert;
+const path = require('path');
+const { exec } = require('child_process');
+const graph = require('../lib/graph');
+const parser = require('../lib/parser');
+const retCode = require('../lib/enums/CLI-errors');
+const ludown = require.resolve('../bin/ludown');
+const rootLu = path.join(__dirname, 'testcases/graph/root.lu');
+
+describe('The ludown graph command', function() {
+    it('lists all parsed files with their intents and flags files excluded from collation', function(done) {
+        graph.getGraph({in: rootLu, cache: false}, [])
+            .then(res => {
+                assert.deepEqual(res.files.map(item => item.file), ['root.lu', 'shared.lu', 'greetings.lu', 'faq.lu']);
+                assert.deepEqual(res.files[0].intents, ['Greeting', 'FAQ']);
+                assert.deepEqual(res.excludedFromCollate, ['greetings.lu', 'faq.lu']);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('includes file, intent and QnA references', function(done) {
+        graph.getGraph({in: rootLu, cache: false}, [])
+            .then(res => {
+                assert.deepEqual(res.references.map(item => item.type), ['file', 'file', 'intent', 'intent', 'qna']);
+                assert.deepEqual(res.references[2], {from: 'root.lu', to: 'greetings.lu', fromIntent: 'Greeting', toIntent: 'Hello', type: 'intent', resolved: true});
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('flags cycles and unresolved intent references', function(done) {
+        graph.getGraph({in: rootLu, cache: false}, [])
+            .then(res => {
+                assert.deepEqual(res.cycles, [['root.lu', 'shared.lu']]);
+                assert.equal(res.unresolved.length, 1);
+                assert.equal(res.unresolved[0].toIntent, 'Good Bye');
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('flags references to files that do not exist', function(done) {
+        let luFile = path.join(__dirname, 'testcases/graph-missing/root.lu');
+        let diagnostics = [];
+        graph.getGraph({in: luFile, cache: false}, diagnostics)
+            .then(res => {
+                assert.deepEqual(res.unresolved.map(item => item.to), ['missing.lu']);
+                assert.notEqual(diagnostics.length, 0);
+                assert.include(graph.toDOT(res), '"missing.lu" [color=red, fontcolor=red];');
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('does not parse the root file again when another file references it', function(done) {
+        parser.parseFiles({in: path.relative(process.cwd(), rootLu), cache: false}, [], true)
+            .then(res => {
+                assert.equal(res.parsedFiles.length, 4);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('writes out the graph in DOT notation', function(done) {
+        exec(`node ${ludown} graph --in ${rootLu} -f dot --no-cache`, (error, stdout) => {
+            try {
+                assert.equal(stdout.indexOf('digraph ludown {'), 0);
+                assert.include(stdout, '"greetings.lu" [style=dashed, label="greetings.lu\\n(not collated)"];');
+                assert.include(stdout, '"root.lu" -> "shared.lu" [color=orange];');
+                assert.include(stdout, '"root.lu" -> "greetings.lu" [label="Greeting -> Good Bye", color=red, style=dashed];');
+                done();
+            } catch (err) {
+                done(err);
+            }
+        });
+    });
+
+    it('writes out the graph as JSON by default', function(done) {
+        exec(`node ${ludown} graph --in ${rootLu} --no-cache`, (error, stdout) => {
+            try {
+                let res = JSON.parse(stdout);
+                assert.deepEqual(res.cycles, [['root.lu', 'shared.lu']]);
+                done();
+            } catch (err) {
+                done(err);
+            }
+        });
+    });
+
+    it('does not mix verbose logs into the graph written to stdout', function(done) {
+        exec(`node ${ludown} graph --in ${rootLu} --verbose --no-cache`, (error, stdout, stderr) => {
+            try {
+                assert.equal(stdout, '');
+                assert.include(stderr, '--verbose needs --out');
+                assert.equal(error.code, retCode.errorCode.INVALID_INPUT);
+                done();
+            } catch (err) {
+                done(err);
+            }
+        });
+    });
+});
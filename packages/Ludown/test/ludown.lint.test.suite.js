@@ -0,0 +1,201 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const chai = require('chai');
+const assert = chai.assert;
+const path = require('path');
+const fs = require('fs');
+const { exec } = require('child_process');
+const parseFileContents = require('../lib/parseFileContents');
+const lintHelpers = require('../lib/lint-helpers');
+const parserObject = require('../lib/classes/parserObject');
+const retCode = require('../lib/enums/CLI-errors');
+const testFolders = require('./utils/testFolders');
+const ludown = require.resolve('../bin/ludown');
+const lintLu = path.join(__dirname, 'testcases/lint/lint.lu');
+
+/**
+ * Helper function to parse .lu content and run lint rules on it
+ * @param {string} luContent .lu file content
+ * @param {Object} config lint configuration
+ * @returns {diagnostic []} problems found
+ */
+const lintContent = async function(luContent, config) {
+    let parsedContent = await parseFileContents.parseFile(luContent, false, 'en-us');
+    let allParsedContent = {
+        LUISContent: [parserObject.create(parsedContent.LUISJsonStructure, undefined, undefined, 'test.lu')],
+        QnAContent: [parserObject.create(undefined, parsedContent.qnaJsonStructure, undefined, 'test.lu')]
+    };
+    return lintHelpers.lintParsedContent(allParsedContent, lintHelpers.getRulesConfig(config));
+};
+
+describe('The ludown lint command', function() {
+    const folders = testFolders.use('lint');
+
+    it('reports intents with fewer utterances than configured', function(done) {
+        lintContent(`# Greeting
+- hi
+- hello`, {rules: {'min-utterances': ['error', {min: 3}]}})
+            .then(res => {
+                assert.equal(res.length, 1);
+                assert.equal(res[0].rule, 'min-utterances');
+                assert.equal(res[0].severity, 'error');
+                assert.equal(res[0].file, 'test.lu');
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('reports identical utterances under two intents', function(done) {
+        lintContent(`# Greeting
+- Hi
+
+# None
+- hi`, {rules: {'min-utterances': 'off'}})
+            .then(res => {
+                assert.equal(res.length, 1);
+                assert.equal(res[0].rule, 'duplicate-utterance');
+                assert.equal(res[0].severity, 'error');
+                assert.equal(res[0].location(), 'test.lu:5:1');
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('reports entities that are declared but never labelled', function(done) {
+        lintContent(`$city:simple
+$userName:simple
+# Greeting
+- my name is {userName=vishwac}`, {rules: {'min-utterances': 'off'}})
+            .then(res => {
+                assert.deepEqual(res.map(item => item.rule), ['unused-entity']);
+                assert.include(res[0].text, '"city"');
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('does not report entities that are used in patterns', function(done) {
+        lintContent(`$city:simple
+# BookFlight
+- book a flight to {city}`, {rules: {'min-utterances': 'off'}})
+            .then(res => {
+                assert.equal(res.length, 0);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('reports pattern.any entities that shadow simple entities', function(done) {
+        lintContent(`# BookFlight
+- book a flight to {toCity=seattle}
+- fly to {tocity}`, {rules: {'min-utterances': 'off'}})
+            .then(res => {
+                assert.deepEqual(res.map(item => item.rule), ['pattern-any-shadows-simple-entity']);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('reports phrase lists with duplicate words', function(done) {
+        lintContent(`$cities:phraseList
+- seattle, portland, Seattle`, {})
+            .then(res => {
+                assert.deepEqual(res.map(item => item.rule), ['duplicate-phraselist-word']);
+                assert.equal(res[0].severity, 'warning');
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('reports QnA pairs with duplicate questions', function(done) {
+        lintContent(`# ? hours of operation
+- what are your hours
+\`\`\`markdown
+9 to 5
+\`\`\`
+
+# ? when are you open
+- what are your hours
+\`\`\`markdown
+9 to 5 every day
+\`\`\``, {})
+            .then(res => {
+                assert.deepEqual(res.map(item => item.rule), ['duplicate-qna-question']);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('throws on unknown rules or severities in configuration', function() {
+        assert.throws(() => lintHelpers.getRulesConfig({rules: {'no-such-rule': 'error'}}));
+        try {
+            lintHelpers.getRulesConfig({rules: {'duplicate-utterance': 'fatal'}});
+            assert.fail('expected an exception');
+        } catch (err) {
+            assert.equal(err.errCode, retCode.errorCode.INVALID_LINT_CONFIG);
+        }
+    });
+
+    it('uses rules from the closest .ludownrc and exits with an error code when errors are found', function(done) {
+        exec(`node ${ludown} lint --in ${lintLu}`, (error, stdout) => {
+            try {
+                assert.equal(error.code, retCode.errorCode.LINT_RULE_VIOLATION);
+                // unused-entity is configured as an error and duplicate-qna-question as a warning in .ludownrc
+                assert.include(stdout, lintLu + ':11:1 - [error] Entity "city" is declared but never labelled in an utterance or used in a pattern. (unused-entity)');
+                assert.include(stdout, '[warning] Question "What are your hours" is defined more than once. (duplicate-qna-question)');
+                assert.include(stdout, '[warning] Intent "None" has 2 utterance(s). Add at least 3 utterances per intent. (min-utterances)');
+                done();
+            } catch (err) {
+                done(err);
+            }
+        });
+    });
+
+    it('writes out all problems as JSON with --diagnostics json', function(done) {
+        exec(`node ${ludown} lint --in ${lintLu} --diagnostics json`, (error, stdout, stderr) => {
+            try {
+                assert.equal(stdout, '');
+                // the command still fails on errors after the JSON is written
+                assert.include(stderr, '[ERROR]: 3 error(s) found.');
+                let diagnostics = JSON.parse(stderr.slice(0, stderr.indexOf('[ERROR]')));
+                assert.deepEqual(diagnostics.map(item => item.rule), ['min-utterances', 'min-utterances', 'duplicate-utterance', 'unused-entity', 'pattern-any-shadows-simple-entity', 'duplicate-phraselist-word', 'duplicate-qna-question']);
+                assert.equal(diagnostics[0].file, lintLu);
+                assert.deepEqual(diagnostics.map(item => item.line + ':' + item.column), ['7:1', '13:1', '8:1', '11:1', '14:1', '17:1', '26:1']);
+                done();
+            } catch (err) {
+                done(err);
+            }
+        });
+    });
+
+    it('writes out all problems to the file passed with --diagnostics_file', function(done) {
+        let diagnosticsFile = path.join(folders.create(), 'diagnostics.json');
+        exec(`node ${ludown} lint --in ${lintLu} --diagnostics json --diagnostics_file ${diagnosticsFile}`, (error, stdout, stderr) => {
+            try {
+                assert.equal(stdout, '');
+                assert.isFalse(stderr.includes('"severity"'), stderr);
+                let diagnostics = JSON.parse(fs.readFileSync(diagnosticsFile, 'utf-8'));
+                assert.equal(diagnostics.length, 7);
+                assert.equal(diagnostics[0].file, lintLu);
+                done();
+            } catch (err) {
+                done(err);
+            }
+        });
+    });
+
+    it('does not fail when only warnings are found', function(done) {
+        let configFile = path.join(__dirname, 'testcases/lint/warnings-only.ludownrc');
+        exec(`node ${ludown} lint --in ${lintLu} --config ${configFile}`, (error, stdout) => {
+            try {
+                assert.equal(error, null);
+                assert.include(stdout, '(0 error(s), 7 warning(s))');
+                done();
+            } catch (err) {
+                done(err);
+            }
+        });
+    });
+});
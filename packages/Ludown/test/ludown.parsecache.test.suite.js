@@ -0,0 +1,195 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const chai = require('chai');
+const assert = chai.assert;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const parser = require('../lib/parser');
+const parseCache = require('../lib/parse-cache');
+const resolvers = require('../lib/resolvers');
+const testFolders = require('./utils/testFolders');
+
+describe('The parse cache', function() {
+    const folders = testFolders.use('parsecache');
+    /**
+     * Helper function to copy .lu files under test/testcases/parsecache and set up an empty cache folder to test with
+     * @param {string} fixture name of the folder under test/testcases/parsecache
+     * @returns {Object} Object with luFolder and cacheFolder
+     */
+    const createTestFolders = function(fixture) {
+        return {
+            luFolder: folders.copy(path.join('parsecache', fixture)),
+            cacheFolder: path.join(folders.create(), 'cache')
+        };
+    };
+
+    it('writes one cache entry per parsed file and reuses it on the next run', function(done) {
+        let setup = createTestFolders('references');
+        let program = {in: path.join(setup.luFolder, 'root.lu'), cache_folder: setup.cacheFolder};
+        parser.parseFiles(program, [], false)
+            .then(res => {
+                assert.equal(fs.readdirSync(setup.cacheFolder).length, 2);
+                assert.deepEqual(res.allParsedContent.LUISContent[0].LUISJsonStructure.utterances.map(item => item.text), ['hi', 'hello there']);
+                // update the cached entry for child.lu so we can tell it was picked up instead of the file
+                let cacheFile = path.join(setup.cacheFolder, parseCache.getKey(fs.readFileSync(path.join(setup.luFolder, 'child.lu'), 'utf-8'), undefined, undefined, resolvers.createHttpResolver().cacheId) + '.json');
+                fs.writeFileSync(cacheFile, fs.readFileSync(cacheFile, 'utf-8').replace('hello there', 'hello from cache'), 'utf-8');
+                return parser.parseFiles(program, [], false);
+            })
+            .then(res => {
+                assert.equal(fs.readdirSync(setup.cacheFolder).length, 2);
+                assert.deepEqual(res.allParsedContent.LUISContent[0].LUISJsonStructure.utterances.map(item => item.text), ['hi', 'hello from cache']);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('re-parses changed files and resolves references from their dependents again', function(done) {
+        let setup = createTestFolders('references');
+        let program = {in: path.join(setup.luFolder, 'root.lu'), cache_folder: setup.cacheFolder};
+        parser.parseFiles(program, [], false)
+            .then(() => {
+                fs.appendFileSync(path.join(setup.luFolder, 'child.lu'), '- howdy\n', 'utf-8');
+                return parser.parseFiles(program, [], false);
+            })
+            .then(res => {
+                assert.equal(fs.readdirSync(setup.cacheFolder).length, 3);
+                assert.deepEqual(res.allParsedContent.LUISContent[0].LUISJsonStructure.utterances.map(item => item.text), ['hi', 'hello there', 'howdy']);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('keeps warnings for cached files', function(done) {
+        let setup = createTestFolders('warnings');
+        let program = {in: path.join(setup.luFolder, 'root.lu'), cache_folder: setup.cacheFolder};
+        parser.parseFiles(program, [], false)
+            .then(() => {
+                let diagnostics = [];
+                return parser.parseFiles(program, diagnostics, false).then(() => diagnostics);
+            })
+            .then(diagnostics => {
+                assert.equal(diagnostics.length, 1);
+                assert.equal(diagnostics[0].location(), program.in + ':4:1');
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('does not cache files with errors', function(done) {
+        let setup = createTestFolders('errors');
+        let program = {in: path.join(setup.luFolder, 'root.lu'), cache_folder: setup.cacheFolder};
+        parser.parseFiles(program, [], true)
+            .then(() => {
+                assert.equal(fs.existsSync(setup.cacheFolder), false);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('is bypassed with --no-cache', function(done) {
+        let setup = createTestFolders('greeting');
+        let program = {in: path.join(setup.luFolder, 'root.lu'), cache_folder: setup.cacheFolder, cache: false};
+        assert.equal(parseCache.getCacheFolder(program), undefined);
+        parser.parseFiles(program, [], false)
+            .then(() => {
+                assert.equal(fs.existsSync(setup.cacheFolder), false);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('treats invalid cache entries as a cache miss', function(done) {
+        let setup = createTestFolders('greeting');
+        let content = fs.readFileSync(path.join(setup.luFolder, 'root.lu'), 'utf-8');
+        fs.mkdirSync(setup.cacheFolder);
+        fs.writeFileSync(path.join(setup.cacheFolder, parseCache.getKey(content, undefined, undefined, resolvers.createHttpResolver().cacheId) + '.json'), '{ not json', 'utf-8');
+        let program = {in: path.join(setup.luFolder, 'root.lu'), cache_folder: setup.cacheFolder};
+        parser.parseFiles(program, [], false)
+            .then(res => {
+                assert.equal(res.allParsedContent.LUISContent[0].LUISJsonStructure.utterances.length, 1);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('keeps the cache in a folder only the current user can access', function(done) {
+        if(typeof process.getuid !== 'function') this.skip();
+        assert.equal(parseCache.getCacheFolder({}), path.join(os.homedir(), '.ludown', 'cache'));
+        let setup = createTestFolders('greeting');
+        let program = {in: path.join(setup.luFolder, 'root.lu'), cache_folder: setup.cacheFolder};
+        parser.parseFiles(program, [], false)
+            .then(() => {
+                assert.equal(fs.statSync(setup.cacheFolder).mode & 0o777, 0o700);
+                assert.equal(fs.statSync(path.join(setup.cacheFolder, fs.readdirSync(setup.cacheFolder)[0])).mode & 0o777, 0o600);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('does not read or write the cache in a folder other users can write to', function(done) {
+        if(typeof process.getuid !== 'function') this.skip();
+        let setup = createTestFolders('greeting');
+        let sharedFolder = path.join(path.dirname(setup.cacheFolder), 'shared');
+        let program = {in: path.join(setup.luFolder, 'root.lu'), cache_folder: setup.cacheFolder};
+        parser.parseFiles(program, [], false)
+            .then(() => {
+                // plant a changed cache entry in a folder anyone can write to
+                let entryName = fs.readdirSync(setup.cacheFolder)[0];
+                fs.mkdirSync(sharedFolder);
+                fs.chmodSync(sharedFolder, 0o777);
+                fs.writeFileSync(path.join(sharedFolder, entryName), fs.readFileSync(path.join(setup.cacheFolder, entryName), 'utf-8').replace('"hi"', '"planted"'), 'utf-8');
+                return parser.parseFiles({in: program.in, cache_folder: sharedFolder}, [], false);
+            })
+            .then(res => {
+                assert.deepEqual(res.allParsedContent.LUISContent[0].LUISJsonStructure.utterances.map(item => item.text), ['hi']);
+                assert.equal(fs.readdirSync(sharedFolder).length, 1);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('uses a different cache entry for each LUIS culture', function() {
+        assert.notEqual(parseCache.getKey('# Greeting', 'en-us'), parseCache.getKey('# Greeting', 'fr-fr'));
+        assert.equal(parseCache.getKey('# Greeting', 'en-us'), parseCache.getKey('# Greeting', 'EN-US'));
+    });
+
+    it('uses a different cache entry for each resolver and for each set of declared content types', function(done) {
+        let setup = createTestFolders('urls');
+        let mirrorFolder = path.join(setup.luFolder, 'mirror');
+        let contentTypesFile = path.join(mirrorFolder, 'content-types.json');
+        let program = {in: path.join(setup.luFolder, 'root.lu'), cache_folder: setup.cacheFolder, ref_mirror: mirrorFolder};
+        parser.parseFiles(program, [], false)
+            .then(res => {
+                assert.deepEqual(res.allParsedContent.QnAContent[0].qnaJsonStructure.urls, ['https://contoso.com/faq']);
+                fs.writeFileSync(contentTypesFile, JSON.stringify({'https://contoso.com/faq': 'application/pdf'}), 'utf-8');
+                return parser.parseFiles(program, [], false);
+            })
+            .then(res => {
+                assert.deepEqual(res.allParsedContent.QnAContent[0].qnaJsonStructure.urls, []);
+                assert.equal(res.allParsedContent.QnAContent[0].qnaJsonStructure.files[0].fileUri, 'https://contoso.com/faq');
+                assert.equal(fs.readdirSync(setup.cacheFolder).length, 2);
+                let content = fs.readFileSync(program.in, 'utf-8');
+                assert.notEqual(parseCache.getKey(content, undefined, undefined, resolvers.createHttpResolver().cacheId), parseCache.getKey(content, undefined, undefined, resolvers.createMirrorResolver(mirrorFolder).cacheId));
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('does not cache results from resolvers without a cacheId', function(done) {
+        let setup = createTestFolders('urls');
+        let resolver = {
+            getContentType: async () => 'text/html',
+            readLUFile: async () => ''
+        };
+        parser.parseFiles({in: path.join(setup.luFolder, 'root.lu'), cache_folder: setup.cacheFolder, resolver: resolver}, [], false)
+            .then(res => {
+                assert.deepEqual(res.allParsedContent.QnAContent[0].qnaJsonStructure.urls, ['https://contoso.com/faq']);
+                assert.equal(fs.existsSync(setup.cacheFolder), false);
+                done();
+            })
+            .catch(err => done(err));
+    });
+});
@@ -0,0 +1,148 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const chai = require('chai');
+const assert = chai.assert;
+const fs = require('fs');
+const parser = require('../lib/parser');
+const retCode = require('../lib/enums/CLI-errors');
+
+/**
+ * Helper function to run parseContents and fail on any file system access or writes to stdout
+ * @param {Object} options options for parseContents
+ * @returns {Object} result from parseContents
+ */
+const parseContentsInMemory = async function(options) {
+    let fsMethods = ['existsSync', 'readFileSync', 'readdirSync', 'statSync', 'writeFileSync'];
+    let originalMethods = fsMethods.map(method => fs[method]);
+    let stdoutWrite = process.stdout.write;
+    let accessed = [];
+    fsMethods.forEach(method => {
+        fs[method] = function() {
+            accessed.push(method);
+            throw new Error('Unexpected call to fs.' + method);
+        };
+    });
+    process.stdout.write = function(text) {
+        accessed.push('stdout: ' + text);
+        return true;
+    };
+    try {
+        let result = await parser.parseContents(options);
+        assert.deepEqual(accessed, []);
+        return result;
+    } finally {
+        fsMethods.forEach((method, idx) => fs[method] = originalMethods[idx]);
+        process.stdout.write = stdoutWrite;
+    }
+};
+
+describe('Parsing .lu content from memory', function() {
+    it('resolves references against the file map and collates LUIS content', function(done) {
+        parseContentsInMemory({
+            files: {
+                'root.lu': `# Greeting
+- hi
+- [hello](./dialogs/greetings.lu#Hello)
+[shared](./dialogs/shared.lu)`,
+                'dialogs/greetings.lu': `# Hello
+- hello there`,
+                'dialogs/shared.lu': `# Cancel
+- cancel`
+            },
+            culture: 'EN-US',
+            root: 'root.lu'
+        })
+            .then(res => {
+                assert.deepEqual(res.diagnostics, []);
+                assert.equal(res.LUISJsonStructure.culture, 'en-us');
+                assert.equal(res.LUISJsonStructure.name, 'root');
+                assert.deepEqual(res.LUISJsonStructure.intents.map(item => item.name), ['Greeting', 'Cancel']);
+                assert.deepEqual(res.LUISJsonStructure.utterances.map(item => item.text), ['hi', 'hello there', 'cancel']);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('collates QnA content and alterations and resolves wildcard QnA references', function(done) {
+        parseContentsInMemory({
+            files: {
+                'root.lu': `# FAQ
+- [questions](./qna/*#?)`,
+                'qna/hours.lu': `# ? what are your hours
+\`\`\`markdown
+9 to 5
+\`\`\`
+
+$hours : qna-alterations=
+- hours
+- timings`
+            },
+            root: 'root.lu'
+        })
+            .then(res => {
+                assert.deepEqual(res.LUISJsonStructure.utterances.map(item => item.text), ['what are your hours']);
+                // qna/hours.lu is only used to resolve the reference and is not collated
+                assert.equal(res.qnaJsonStructure.qnaList.length, 0);
+                assert.equal(res.qnaAlterations.wordAlterations.length, 0);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('parses every file as a root file when no root is specified', function(done) {
+        parseContentsInMemory({
+            files: {
+                'hours.lu': `# ? what are your hours
+\`\`\`markdown
+9 to 5
+\`\`\`
+
+$hours : qna-alterations=
+- hours
+- timings`,
+                'greeting.lu': `# Greeting
+- hi`
+            }
+        })
+            .then(res => {
+                assert.equal(res.qnaJsonStructure.qnaList.length, 1);
+                assert.equal(res.qnaAlterations.wordAlterations.length, 1);
+                assert.equal(res.LUISJsonStructure.utterances.length, 1);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('returns all errors with the file names passed in', function(done) {
+        parseContentsInMemory({
+            files: {
+                'root.lu': `# Greeting
+- hi
+- [hello](./missing.lu#Hello)
+[child](./child.lu)`,
+                'child.lu': `# Hello
+   hello there`
+            },
+            root: 'root.lu'
+        })
+            .then(res => {
+                let errors = res.diagnostics.filter(item => item.severity === 'error');
+                assert.deepEqual(errors.map(item => item.file), ['missing.lu', 'child.lu', 'root.lu']);
+                assert.equal(errors[1].location(), 'child.lu:2:4');
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('throws when no files are passed in', function(done) {
+        parser.parseContents({files: {}})
+            .then(res => done(res))
+            .catch(err => {
+                assert.equal(err.errCode, retCode.errorCode.INVALID_INPUT);
+                done();
+            })
+            .catch(err => done(err));
+    });
+});
@@ -2,6 +2,8 @@
  * Copyright (c) Microsoft Corporation. All rights reserved.
  * Licensed under the MIT License.
  */
+const chai = require('chai');
+const assert = chai.assert;
 const parseFile = require('../lib/parseFileContents');
 
 describe('With helper functions', function() {
@@ -30,12 +32,56 @@ $commPreference:phraseList
             .catch(() => done())
     });
 
-    it('parseFile throws on nested entity refs', function(done) {
+    it('parseFile correctly parses nested entity refs', function(done) {
         let luFile = `# Greeting
 - hi {userName=foo {lastName=bar}}
 `;
         parseFile.parseFile(luFile, false, 'en-us')
-            .then(() => done('Test fail. validateLUISBlob did not throw when expected!'))
+            .then(res => {
+                assert.equal(res.LUISJsonStructure.utterances[0].text, 'hi foo bar');
+                assert.deepEqual(res.LUISJsonStructure.utterances[0].entities, [
+                    {entity: 'userName', startPos: 3, endPos: 9},
+                    {entity: 'lastName', startPos: 7, endPos: 9}
+                ]);
+                assert.deepEqual(res.LUISJsonStructure.entities.map(item => item.name), ['userName', 'lastName']);
+                done();
+            })
+            .catch(err => done(err))
+    });
+
+    it('parseFile correctly parses multiple levels of nested entity refs', function(done) {
+        let luFile = `# setAddress
+- ship to {Address={Street=1 {StreetName=Main} St}, {City=Seattle}} please
+`;
+        parseFile.parseFile(luFile, false, 'en-us')
+            .then(res => {
+                assert.equal(res.LUISJsonStructure.utterances[0].text, 'ship to 1 Main St, Seattle please');
+                assert.deepEqual(res.LUISJsonStructure.utterances[0].entities, [
+                    {entity: 'Address', startPos: 8, endPos: 25},
+                    {entity: 'Street', startPos: 8, endPos: 16},
+                    {entity: 'StreetName', startPos: 10, endPos: 13},
+                    {entity: 'City', startPos: 19, endPos: 25}
+                ]);
+                done();
+            })
+            .catch(err => done(err))
+    });
+
+    it('parseFile throws on unbalanced entity refs', function(done) {
+        let luFile = `# Greeting
+- hi {userName=foo {lastName=bar}
+`;
+        parseFile.parseFile(luFile, false, 'en-us')
+            .then(() => done('Test fail. parseFile did not throw when expected!'))
+            .catch(() => done())
+    });
+
+    it('parseFile throws on labelled entity nested in a pattern entity', function(done) {
+        let luFile = `# Greeting
+- hi {userName {lastName=bar}}
+`;
+        parseFile.parseFile(luFile, false, 'en-us')
+            .then(() => done('Test fail. parseFile did not throw when expected!'))
             .catch(() => done())
     });
 
@@ -0,0 +1,142 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const chai = require('chai');
+const assert = chai.assert;
+const fs = require('fs');
+const path = require('path');
+const { exec } = require('child_process');
+const parser = require('../lib/parser');
+const toLU = require('../lib/toLU-helpers');
+const translateHelpers = require('../lib/translate-helpers');
+const translators = require('../lib/translators');
+const retCode = require('../lib/enums/CLI-errors');
+const testFolders = require('./utils/testFolders');
+const ludown = require.resolve('../bin/ludown');
+const luContent = fs.readFileSync(testFolders.fixture('prompts/main.lu'), 'utf-8');
+
+describe('Multi-turn QnA prompts in .lu files', function() {
+    const folders = testFolders.use('prompts');
+    it('resolves prompts to QnA pair ids', function(done) {
+        parser.parseContents({files: {'main.lu': luContent}})
+            .then(res => {
+                let qnaList = res.qnaJsonStructure.qnaList;
+                assert.equal(res.diagnostics.length, 0);
+                assert.deepEqual(qnaList.map(item => item.id), [1, 2, 3]);
+                assert.deepEqual(qnaList[0].context, {
+                    isContextOnly: false,
+                    prompts: [
+                        {displayOrder: 0, qnaId: 2, displayText: 'Reset my password'},
+                        {displayOrder: 1, qnaId: 3, displayText: 'Talk to an agent'}
+                    ]
+                });
+                assert.notProperty(qnaList[1], 'context');
+                assert.deepEqual(qnaList[2].context, {isContextOnly: true, prompts: [{displayOrder: 0, qnaId: 1, displayText: 'Start over'}]});
+                assert.equal(qnaList[2].answer, 'Connecting you\n');
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('resolves prompts to QnA pairs in other files', function(done) {
+        parser.parseContents({files: {
+            'main.lu': '# ? I need help\n**Prompts:**\n- [Store hours](#?when are you open)\n```markdown\nSure\n```\n\n[hours](./hours.lu)',
+            'hours.lu': '# ? when are you open\n```markdown\n9 to 5\n```'
+        }, root: 'main.lu'})
+            .then(res => {
+                assert.equal(res.diagnostics.length, 0);
+                assert.equal(res.qnaJsonStructure.qnaList[0].context.prompts[0].qnaId, res.qnaJsonStructure.qnaList[1].id);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('reports dangling and invalid prompt references', function(done) {
+        parser.parseContents({files: {'main.lu': '# ? I need help\n**Prompts:**\n- [Store hours](#?when are you open)\n```markdown\nSure\n```'}})
+            .then(res => {
+                assert.equal(res.diagnostics.length, 1);
+                assert.equal(res.diagnostics[0].errCode, retCode.errorCode.INVALID_QNA_PROMPT);
+                assert.include(res.diagnostics[0].text, 'question "when are you open" that does not exist');
+                assert.equal(res.diagnostics[0].line, 3);
+                assert.equal(res.diagnostics[0].file, 'main.lu');
+                return parser.parseContents({files: {'main.lu': '# ? I need help\n**Prompts:**\n- Store hours\n```markdown\nSure\n```'}});
+            })
+            .then(res => {
+                assert.equal(res.diagnostics.length, 1);
+                assert.equal(res.diagnostics[0].errCode, retCode.errorCode.INVALID_QNA_PROMPT);
+                assert.equal(res.diagnostics[0].line, 3);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('round-trips prompts through refresh', function(done) {
+        let qnaList;
+        parser.parseContents({files: {'main.lu': luContent}})
+            .then(res => {
+                qnaList = JSON.parse(JSON.stringify(res.qnaJsonStructure.qnaList));
+                let content = toLU.constructMdFromQnAJSON(res.qnaJsonStructure, 'main');
+                assert.include(content, '- [Talk to an agent](#?talk to agent) `context-only`');
+                assert.include(content, '- [Start over](#?I need help)');
+                return parser.parseContents({files: {'refreshed.lu': content}});
+            })
+            .then(res => {
+                assert.deepEqual(res.qnaJsonStructure.qnaList.map(item => item.context), qnaList.map(item => item.context));
+                let qnaJSON = {qnaList: [{id: 5, answer: 'a', source: 'editorial', questions: ['q'], metadata: [], context: {isContextOnly: false, prompts: [{displayOrder: 0, qnaId: 7, displayText: 'More'}]}}]};
+                assert.include(toLU.constructMdFromQnAJSON(qnaJSON), '- [More](#7)');
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('translates prompts so they resolve to the translated questions', function(done) {
+        let translator = translators.createDictionaryTranslator({fr: {
+            'I need help': "J'ai besoin d'aide",
+            'help me': 'aidez-moi',
+            'Reset my password': 'Réinitialiser mon mot de passe',
+            'how do I reset my password': 'comment réinitialiser mon mot de passe',
+            'Talk to an agent': 'Parler à un agent',
+            'talk to agent': 'parler à un agent',
+            'Start over': 'Recommencer',
+            'What do you need help with?': "De quoi avez-vous besoin ?",
+            'Go to settings': 'Allez dans les paramètres',
+            'Connecting you': 'Connexion en cours',
+            'store hours': 'horaires',
+            '9 to 5': '9h à 17h'
+        }});
+        let content = luContent + '\n\n# ? store hours\n**Filters:**\n- location = Seattle\n\n```markdown\n9 to 5\n```';
+        translateHelpers.parseAndTranslate(content, translator, 'fr', 'en', false, false, false)
+            .then(res => {
+                assert.include(res, '**Prompts:**');
+                assert.include(res, '- [Réinitialiser mon mot de passe](#?comment réinitialiser mon mot de passe)');
+                assert.include(res, '- [Parler à un agent](#?parler à un agent) `context-only`');
+                assert.include(res, '- [Recommencer](#1)');
+                assert.include(res, '**Filters:**');
+                assert.include(res, '- location = Seattle');
+                return parser.parseContents({files: {'main.lu': res}});
+            })
+            .then(res => {
+                assert.deepEqual(res.diagnostics, []);
+                assert.deepEqual(res.qnaJsonStructure.qnaList[0].context.prompts.map(prompt => prompt.qnaId), [2, 3]);
+                assert.deepEqual(res.qnaJsonStructure.qnaList[3].metadata, [{name: 'location', value: 'Seattle'}]);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('writes prompts to the QnA JSON file', function(done) {
+        let folder = folders.create();
+        let luFile = testFolders.fixture('prompts/main.lu');
+        exec(`node ${ludown} parse toqna --in ${luFile} -o ${folder} --out main.json --no-cache`, (error) => {
+            try {
+                assert.isNull(error);
+                let qnaJSON = JSON.parse(fs.readFileSync(path.join(folder, 'main.json'), 'utf-8'));
+                assert.deepEqual(qnaJSON.qnaList[0].context.prompts.map(prompt => prompt.qnaId), [2, 3]);
+                done();
+            } catch (err) {
+                done(err);
+            }
+        });
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const chai = require('chai');
+const assert = chai.assert;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { exec } = require('child_process');
+const parser = require('../lib/parser');
+const toLU = require('../lib/toLU-helpers');
+const translateHelpers = require('../lib/translate-helpers');
+const translators = require('../lib/translators');
+const retCode = require('../lib/enums/CLI-errors');
+const testFolders = require('./utils/testFolders');
+const ludown = require.resolve('../bin/ludown');
+const luContent = `> !# @qna.source = https://contoso.com/faq
+<a id="42"></a>
+# ? who is your ceo
+- get me your ceo info
+\`\`\`markdown
+Vishwac
+\`\`\`
+
+<a id = '7'></a>
+# ? what can you do
+\`\`\`markdown
+Lots of things
+\`\`\`
+
+# ? where are you
+\`\`\`markdown
+Redmond
+\`\`\`
+`;
+
+describe('QnA pair ids and sources', function() {
+    const folders = testFolders.use('qnaids');
+    it('sets QnA pair ids and sources from .lu content', function(done) {
+        parser.parseContents({files: {'main.lu': luContent}})
+            .then(res => {
+                assert.equal(res.diagnostics.length, 0);
+                assert.deepEqual(res.qnaJsonStructure.qnaList.map(item => item.id), [42, 7, 0]);
+                assert.deepEqual(res.qnaJsonStructure.qnaList.map(item => item.source), ['https://contoso.com/faq', 'custom editorial', 'custom editorial']);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('reports invalid and duplicate ids', function(done) {
+        parser.parseContents({files: {'main.lu': '<a id="one"></a>\n# ? hi\n```markdown\nhello\n```'}})
+            .then(res => {
+                assert.equal(res.diagnostics.length, 1);
+                assert.equal(res.diagnostics[0].errCode, retCode.errorCode.INVALID_QNA_ID);
+                assert.equal(res.diagnostics[0].line, 1);
+                return parser.parseContents({files: {
+                    'main.lu': '<a id="42"></a>\n# ? hi\n```markdown\nhello\n```\n\n[faq](./faq.lu)',
+                    'faq.lu': '<a id="42"></a>\n# ? bye\n```markdown\ngoodbye\n```'
+                }, root: 'main.lu'});
+            })
+            .then(res => {
+                assert.equal(res.diagnostics.length, 1);
+                assert.equal(res.diagnostics[0].errCode, retCode.errorCode.DUPLICATE_QNA_ID);
+                assert.include(res.diagnostics[0].text, 'QnA pair id "42" is used by questions "hi" and "bye"');
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('keeps the same QnA pair when it is collated from more than one file', function(done) {
+        parser.parseContents({files: {
+            'main.lu': '<a id="42"></a>\n# ? hi\n```markdown\nhello\n```\n\n[faq](./faq.lu)',
+            'faq.lu': '<a id="42"></a>\n# ? hi\n```markdown\nhello\n```'
+        }, root: 'main.lu'})
+            .then(res => {
+                assert.equal(res.diagnostics.length, 0);
+                assert.equal(res.qnaJsonStructure.qnaList.length, 1);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('keeps ids and sources when .lu content is translated', function(done) {
+        let translator = translators.createDictionaryTranslator({de: {
+            'who is your ceo': 'wer ist Ihr CEO',
+            'get me your ceo info': 'Infos zu Ihrem CEO',
+            'Vishwac': 'Vishwac',
+            'what can you do': 'was können Sie',
+            'Lots of things': 'Viele Dinge',
+            'where are you': 'wo sind Sie',
+            'Redmond': 'Redmond'
+        }});
+        translateHelpers.parseAndTranslate(luContent, translator, 'de', 'en', false, false, false)
+            .then(res => {
+                assert.include(res, '<a id="42"></a>' + os.EOL + '# ? wer ist Ihr CEO');
+                assert.include(res, "<a id = '7'></a>" + os.EOL + '# ? was können Sie');
+                return parser.parseContents({files: {'main.lu': res}});
+            })
+            .then(res => {
+                assert.equal(res.diagnostics.length, 0);
+                assert.deepEqual(res.qnaJsonStructure.qnaList.map(item => [item.id, item.source]), [[42, 'https://contoso.com/faq'], [7, 'custom editorial'], [0, 'custom editorial']]);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('round-trips ids and sources through refresh', function(done) {
+        let folder = folders.create();
+        let qnaFile = testFolders.fixture('qnaids/kb.json');
+        exec(`node ${ludown} refresh -q ${qnaFile} -o ${folder} -n kb --skip_header`, (error) => {
+            try {
+                assert.isNull(error);
+                let content = fs.readFileSync(path.join(folder, 'kb.lu'), 'utf-8');
+                assert.include(content, '> !# @qna.source = https://contoso.com/faq' + os.EOL + '<a id="12"></a>' + os.EOL + '## ? who is your ceo');
+                assert.include(content, '> Source: custom editorial' + os.EOL + '<a id="13"></a>');
+                parser.parseContents({files: {'kb.lu': content}})
+                    .then(res => {
+                        assert.deepEqual(res.qnaJsonStructure.qnaList.map(item => [item.id, item.source]), [[12, 'https://contoso.com/faq'], [13, 'custom editorial']]);
+                        assert.notInclude(toLU.constructMdFromQnAJSON({qnaList: [{id: 0, answer: 'a', source: 'custom editorial', questions: ['q'], metadata: []}]}), '<a id');
+                        done();
+                    })
+                    .catch(err => done(err));
+            } catch (err) {
+                done(err);
+            }
+        });
+    });
+});
@@ -0,0 +1,155 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const chai = require('chai');
+const assert = chai.assert;
+const fs = require('fs');
+const path = require('path');
+const { exec } = require('child_process');
+const parser = require('../lib/parser');
+const qnaTable = require('../lib/qna-table');
+const translateHelpers = require('../lib/translate-helpers');
+const translators = require('../lib/translators');
+const retCode = require('../lib/enums/CLI-errors');
+const testFolders = require('./utils/testFolders');
+const ludown = require.resolve('../bin/ludown');
+const luContent = fs.readFileSync(testFolders.fixture('qnatable/main.lu'), 'utf-8');
+
+describe('QnA tables', function() {
+    const folders = testFolders.use('qnatable');
+    it('parses Markdown tables in .lu files into QnA pairs', function(done) {
+        parser.parseContents({files: {'main.lu': luContent}})
+            .then(res => {
+                let qnaList = res.qnaJsonStructure.qnaList;
+                assert.equal(res.diagnostics.length, 0);
+                assert.equal(qnaList.length, 3);
+                assert.deepEqual(qnaList[0].questions, ['Where can I get coffee?', 'I need coffee']);
+                assert.equal(qnaList[0].answer, 'You can get coffee in our Seattle store');
+                assert.equal(qnaList[0].source, 'custom editorial');
+                assert.deepEqual(qnaList[0].metadata, [{name: 'location', value: 'seattle'}, {name: 'type', value: 'store'}]);
+                assert.deepEqual(qnaList[1].questions, ['What does a | do?']);
+                assert.deepEqual(qnaList[1].metadata, []);
+                assert.deepEqual(res.LUISJsonStructure.utterances.map(item => item.text), ['hi']);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('uses the question delimiter that is passed in', function(done) {
+        parser.parseContents({files: {'main.lu': '| Question | Answer |\n|---|---|\n| hi / hello | Hello! |'}, questionDelimiter: '/'})
+            .then(res => {
+                assert.deepEqual(res.qnaJsonStructure.qnaList[0].questions, ['hi', 'hello']);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('reports invalid tables with their line', function(done) {
+        parser.parseContents({files: {'main.lu': '| Question | Reply |\n|---|---|\n| hi | Hello! |'}})
+            .then(res => {
+                assert.equal(res.diagnostics.length, 1);
+                assert.equal(res.diagnostics[0].errCode, retCode.errorCode.INVALID_QNA_TABLE);
+                assert.include(res.diagnostics[0].text, 'must have Question and Answer columns');
+                return parser.parseContents({files: {'main.lu': '\n| Question | Answer |\n|---|---|\n| hi | Hello! |\n| bye | |'}});
+            })
+            .then(res => {
+                assert.equal(res.diagnostics.length, 1);
+                assert.include(res.diagnostics[0].text, 'must have a question and an answer');
+                assert.equal(res.diagnostics[0].line, 5);
+                return parser.parseContents({files: {'main.lu': '| Question | Answer |\n| hi | Hello! |'}});
+            })
+            .then(res => {
+                assert.equal(res.diagnostics.length, 1);
+                assert.include(res.diagnostics[0].text, 'separator row');
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('translates questions and answers in tables', function(done) {
+        let translator = translators.createDictionaryTranslator({fr: {
+            'Where can I get coffee?': 'Où puis-je trouver du café ?',
+            'I need coffee': "J'ai besoin de café",
+            'You can get coffee in our Seattle store': 'Vous trouverez du café dans notre magasin de Seattle',
+            'What does a | do?': 'À quoi sert un | ?',
+            'It separates cells': 'Il sépare les cellules',
+            'who is your ceo': 'qui est votre PDG',
+            'Vishwac': 'Vishwac',
+            'hi': 'salut',
+            'hello': 'bonjour',
+            'Hello!': 'Bonjour !'
+        }});
+        translateHelpers.parseAndTranslate(luContent, translator, 'fr', 'en', false, false, false)
+            .then(res => {
+                assert.include(res, '| Question | Answer | Metadata | Notes |');
+                assert.include(res, '|:---------|--------|----------|-------|');
+                assert.include(res, "| Où puis-je trouver du café ?; J'ai besoin de café | Vous trouverez du café dans notre magasin de Seattle | location = seattle, type:store | internal |");
+                assert.include(res, '| À quoi sert un \\| ? | Il sépare les cellules |  |  |');
+                return parser.parseContents({files: {'main.lu': res}});
+            })
+            .then(res => {
+                let qnaList = res.qnaJsonStructure.qnaList;
+                assert.equal(res.diagnostics.length, 0);
+                assert.deepEqual(qnaList[0].questions, ['Où puis-je trouver du café ?', "J'ai besoin de café"]);
+                assert.deepEqual(qnaList[0].metadata, [{name: 'location', value: 'seattle'}, {name: 'type', value: 'store'}]);
+                assert.deepEqual(qnaList[1].questions, ['À quoi sert un | ?']);
+                return translateHelpers.parseAndTranslate('| Question | Answer |\n|---|---|\n| hi / hello | Hello! |', translator, 'fr', 'en', false, false, false, {questionDelimiter: '/'});
+            })
+            .then(res => {
+                assert.include(res, '| salut / bonjour | Bonjour ! |');
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('parses tab separated files with quoted values', function() {
+        let content = '\uFEFFQuestion\tAnswer\tSource\tMetadata\tQnaId\r\n' +
+            'hi;hello\t"Hello!\r\nSay ""hi"""\tfaq\tcategory:greeting|tone:casual\t3\r\n' +
+            '\r\n' +
+            'hey\tHello there\tfaq\t\t4\r\n' +
+            'sup\t"Hello!\r\nSay ""hi"""\tfaq\t\t3\r\n';
+        let qnaList = qnaTable.parseTSV(content, 'faq.tsv');
+        assert.equal(qnaList.length, 2);
+        assert.deepEqual(qnaList[0], {
+            id: 3,
+            answer: 'Hello!\nSay "hi"',
+            source: 'faq',
+            questions: ['hi', 'hello', 'sup'],
+            metadata: [{name: 'category', value: 'greeting'}, {name: 'tone', value: 'casual'}]
+        });
+        assert.deepEqual(qnaList[1].questions, ['hey']);
+        try {
+            qnaTable.parseTSV(content.replace('Hello there', ''), 'faq.tsv');
+            assert.fail('Did not throw when expected');
+        } catch (err) {
+            assert.equal(err.errCode, retCode.errorCode.INVALID_QNA_TABLE);
+            assert.equal(err.line, 5);
+            assert.equal(err.file, 'faq.tsv');
+        }
+    });
+
+    it('imports tab separated files with parse toqna --tsv', function(done) {
+        let folder = folders.create();
+        let luFile = testFolders.fixture('qnatable/main.lu');
+        exec(`node ${ludown} parse toqna --tsv ${testFolders.fixture('qnatable/faq-pipe.tsv')} -o ${folder} --question_delimiter "|" --no-cache`, (error, stdout, stderr) => {
+            try {
+                assert.equal(error.code, retCode.errorCode.INVALID_INPUT);
+                assert.include(stderr, 'Invalid question delimiter');
+            } catch (err) {
+                return done(err);
+            }
+            exec(`node ${ludown} parse toqna --tsv ${testFolders.fixture('qnatable/faq.tsv')} --in ${luFile} -o ${folder} --out faq.json --question_delimiter , --no-cache`, (error) => {
+                try {
+                    assert.isNull(error);
+                    let qnaJSON = JSON.parse(fs.readFileSync(path.join(folder, 'faq.json'), 'utf-8'));
+                    assert.equal(qnaJSON.qnaList.length, 4);
+                    assert.deepEqual(qnaJSON.qnaList[3].questions, ['hi', 'hello']);
+                    done();
+                } catch (err) {
+                    done(err);
+                }
+            });
+        });
+    });
+});
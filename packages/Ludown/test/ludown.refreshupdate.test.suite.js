@@ -0,0 +1,101 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const chai = require('chai');
+const assert = chai.assert;
+const fs = require('fs');
+const path = require('path');
+const { exec } = require('child_process');
+const parser = require('../lib/parser');
+const toLUUpdate = require('../lib/toLU-update');
+const testFolders = require('./utils/testFolders');
+const ludown = require.resolve('../bin/ludown');
+const greetingContent = fs.readFileSync(testFolders.fixture('refreshupdate/greeting.lu'), 'utf-8');
+const helpContent = fs.readFileSync(testFolders.fixture('refreshupdate/help.lu'), 'utf-8');
+const LUISJSON = JSON.parse(fs.readFileSync(testFolders.fixture('refreshupdate/app.json'), 'utf-8'));
+
+describe('Refresh existing .lu files', function() {
+    const folders = testFolders.use('refreshupdate');
+    it('updates utterances in place and adds new intents to the designated file', function(done) {
+        toLUUpdate.updateLUFiles(LUISJSON, [{path: 'greeting.lu', content: greetingContent}, {path: 'help.lu', content: helpContent}], 'new.lu')
+            .then(res => {
+                assert.deepEqual(Object.keys(res), ['greeting.lu', 'new.lu']);
+                assert.equal(res['greeting.lu'], `> Greetings used in every dialog
+# Greeting
+- hi
+  - hello {userName={firstName=Bob}}
+  - howdy
+
+> !# @if market == uk
+- hiya
+> !# @endif
+
+> @test
+# Greeting
+- hey there
+
+$city:Seattle=
+- sea
+`);
+                assert.equal(res['new.lu'], `> !# @intent.description = Weather forecast
+# Weather
+- weather in Seattle
+- what is the weather in {city}
+`);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('leaves files for other apps as-is and reports definitions it cannot update', function(done) {
+        let appJSON = JSON.parse(JSON.stringify(LUISJSON));
+        appJSON.closedLists[0].subLists[0].list.push('emerald city');
+        appJSON.regex_entities = [{name: 'zipCode', regexPattern: '[0-9]{5}', roles: []}];
+        let otherContent = fs.readFileSync(testFolders.fixture('refreshupdate/other.lu'), 'utf-8');
+        let diagnostics = [];
+        toLUUpdate.updateLUFiles(appJSON, [{path: 'greeting.lu', content: greetingContent}, {path: 'other.lu', content: otherContent}], 'new.lu', diagnostics)
+            .then(res => {
+                assert.deepEqual(Object.keys(res), ['greeting.lu', 'new.lu']);
+                assert.notInclude(res['greeting.lu'], '# Bye');
+                assert.deepEqual(diagnostics.map(item => item.severity + ' ' + item.toString()), [
+                    'warning other.lu - [WARN]: File was not updated because none of its utterances or patterns are in the LUIS app',
+                    'warning greeting.lu:15:1 - [WARN]: List entity "city" was changed in the LUIS app. Update its definition by hand',
+                    'warning [WARN]: Regex entity "zipCode" is in the LUIS app but is not defined in the .lu files. Add its definition by hand'
+                ]);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('refreshes a folder of .lu files from the command line', function(done) {
+        let folder = folders.copy('refreshupdate');
+        // line endings of refreshed files are kept
+        fs.writeFileSync(path.join(folder, 'greeting.lu'), greetingContent.replace(/\n/g, '\r\n'), 'utf-8');
+        let appFile = path.join(folder, 'app.json');
+        exec(`node ${ludown} refresh -i ${appFile} --lu_folder ${folder} -n weather`, (error, stdout, stderr) => {
+            try {
+                assert.isNull(error);
+                assert.equal(fs.readFileSync(path.join(folder, 'other.lu'), 'utf-8'), fs.readFileSync(testFolders.fixture('refreshupdate/other.lu'), 'utf-8'));
+                assert.include(stderr, path.join(folder, 'other.lu') + ' - [WARN]: File was not updated');
+                let greeting = fs.readFileSync(path.join(folder, 'greeting.lu'), 'utf-8');
+                assert.include(greeting, '- hi\r\n  - hello {userName={firstName=Bob}}\r\n  - howdy\r\n');
+                assert.notInclude(greeting, '# Bye');
+                assert.equal(fs.readFileSync(path.join(folder, 'help.lu'), 'utf-8'), helpContent);
+                assert.equal(fs.readFileSync(path.join(folder, 'weather.lu'), 'utf-8'), '> Weather\n\n> !# @intent.description = Weather forecast\n# Weather\n- weather in Seattle\n- what is the weather in {city}\n');
+                assert.isFalse(fs.existsSync(path.join(folder, 'app.lu')));
+            } catch (err) {
+                return done(err);
+            }
+            let files = {};
+            ['greeting.lu', 'weather.lu'].forEach(file => files[file] = fs.readFileSync(path.join(folder, file), 'utf-8'));
+            parser.parseContents({files: files, defines: {market: 'uk'}})
+                .then(res => {
+                    let utterances = res.LUISJsonStructure.utterances.filter(utterance => !utterance.testOnly).map(utterance => utterance.intent + ':' + utterance.text).sort();
+                    assert.deepEqual(utterances, ['Greeting:hello Bob', 'Greeting:hi', 'Greeting:hiya', 'Greeting:howdy', 'Weather:weather in Seattle']);
+                    done();
+                })
+                .catch(err => done(err));
+        });
+    });
+});
@@ -0,0 +1,126 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const chai = require('chai');
+const assert = chai.assert;
+const parser = require('../lib/parseFileContents');
+const toLUHelpers = require('../lib/toLU-helpers');
+const retCode = require('../lib/enums/CLI-errors');
+describe('Regex entities in LU files', function() {
+    it('Correctly parses regex entity definitions', function(done) {
+        let fileContent = `$hrfNumber:/hrf-[0-9]{6}/`;
+        parser.parseFile(fileContent, false, null)
+            .then(res => {
+                assert.equal(res.LUISJsonStructure.regex_entities.length, 1);
+                assert.equal(res.LUISJsonStructure.regex_entities[0].name, 'hrfNumber');
+                assert.equal(res.LUISJsonStructure.regex_entities[0].regexPattern, 'hrf-[0-9]{6}');
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('Correctly parses regex patterns that include ":" and "="', function(done) {
+        let fileContent = `$time:/[0-9]{2}:[0-9]{2}(=|-)/`;
+        parser.parseFile(fileContent, false, null)
+            .then(res => {
+                assert.equal(res.LUISJsonStructure.regex_entities[0].regexPattern, '[0-9]{2}:[0-9]{2}(=|-)');
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('Correctly adds roles used in patterns to regex entities', function(done) {
+        let fileContent = `# transfer
+        - transfer from {account:fromAccount} to {account:toAccount}
+        
+        $account:/[0-9]{8}/`;
+        parser.parseFile(fileContent, false, null)
+            .then(res => parser.validateLUISBlob(res.LUISJsonStructure).then(() => res))
+            .then(res => {
+                assert.equal(res.LUISJsonStructure.patternAnyEntities.length, 0);
+                assert.deepEqual(res.LUISJsonStructure.regex_entities[0].roles, ['fromAccount', 'toAccount']);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('Throws on invalid regex entity definition', function(done) {
+        let fileContent = `$hrfNumber:/hrf-[0-9]{6}`;
+        parser.parseFile(fileContent, false, null)
+            .then(() => done('Test fail! Did not throw when expected'))
+            .catch(err => {
+                assert.equal(err.errCode, retCode.errorCode.INVALID_REGEX_ENTITY);
+                done();
+            });
+    });
+
+    it('Throws on conflicting regex entity definitions', function(done) {
+        let fileContent = `$hrfNumber:/hrf-[0-9]{6}/
+        $hrfNumber:/hrf-[0-9]{7}/`;
+        parser.parseFile(fileContent, false, null)
+            .then(() => done('Test fail! Did not throw when expected'))
+            .catch(err => {
+                assert.equal(err.errCode, retCode.errorCode.INVALID_REGEX_ENTITY);
+                done();
+            });
+    });
+
+    it('validateLUISBlob throws when a regex entity collides with another entity type', function(done) {
+        let fileContent = `# test
+        - my id is {hrfNumber=hrf-123456}
+        
+        $hrfNumber:/hrf-[0-9]{6}/`;
+        parser.parseFile(fileContent, false, null)
+            .then(res => parser.validateLUISBlob(res.LUISJsonStructure))
+            .then(() => done('Test fail! Did not throw when expected'))
+            .catch(err => {
+                assert.equal(err.errCode, retCode.errorCode.DUPLICATE_ENTITIES);
+                done();
+            });
+    });
+
+    it('Correctly collates regex entities across files', function(done) {
+        let file1 = `$hrfNumber:/hrf-[0-9]{6}/
+        # test
+        - {hrfNumber:oldId}`;
+        let file2 = `$hrfNumber:/hrf-[0-9]{6}/
+        $zipCode:/[0-9]{5}/
+        # test
+        - {hrfNumber:newId}`;
+        Promise.all([parser.parseFile(file1, false, null), parser.parseFile(file2, false, null)])
+            .then(res => Promise.all(res.map(item => parser.validateLUISBlob(item.LUISJsonStructure))).then(() => parser.collateLUISFiles(res)))
+            .then(res => {
+                assert.equal(res.regex_entities.length, 2);
+                assert.deepEqual(res.regex_entities[0].roles, ['oldId', 'newId']);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('Throws when collating conflicting regex entity definitions', function(done) {
+        Promise.all([parser.parseFile(`$hrfNumber:/hrf-[0-9]{6}/`, false, null), parser.parseFile(`$hrfNumber:/hrf-[0-9]{7}/`, false, null)])
+            .then(res => parser.collateLUISFiles(res))
+            .then(() => done('Test fail! Did not throw when expected'))
+            .catch(err => {
+                assert.equal(err.errCode, retCode.errorCode.INVALID_REGEX_ENTITY);
+                done();
+            });
+    });
+
+    it('Regex entities round trip through refresh', function(done) {
+        let fileContent = `# test
+        - my id is {hrfNumber}
+        
+        $hrfNumber:/hrf-[0-9]{6}/`;
+        parser.parseFile(fileContent, false, null)
+            .then(res => parser.validateLUISBlob(res.LUISJsonStructure).then(() => res.LUISJsonStructure))
+            .then(luisJSON => toLUHelpers.constructMdFromLUISJSON(luisJSON))
+            .then(luContent => parser.parseFile(luContent, false, null))
+            .then(res => {
+                assert.deepEqual(res.LUISJsonStructure.regex_entities, [{name: 'hrfNumber', regexPattern: 'hrf-[0-9]{6}', roles: []}]);
+                done();
+            })
+            .catch(err => done(err));
+    });
+});
@@ -0,0 +1,136 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const chai = require('chai');
+const assert = chai.assert;
+const fs = require('fs');
+const path = require('path');
+const { exec } = require('child_process');
+const parser = require('../lib/parser');
+const parseFile = require('../lib/parseFileContents').parseFile;
+const resolvers = require('../lib/resolvers');
+const retCode = require('../lib/enums/CLI-errors');
+const testFolders = require('./utils/testFolders');
+const ludown = require.resolve('../bin/ludown');
+const mirrorFolder = path.join(__dirname, 'testcases/mirror');
+
+describe('Resolving URL references', function() {
+    const folders = testFolders.use('resolvers');
+    it('imports .lu files referenced by URL and resolves their relative references from a mirror folder', function(done) {
+        parser.parseFiles({in: path.join(mirrorFolder, 'root.lu'), ref_mirror: mirrorFolder, cache: false}, [], true)
+            .then(res => {
+                assert.deepEqual(res.parsedFiles.slice(1), ['https://example.com/lu/common.lu', 'https://example.com/lu/more.lu']);
+                assert.deepEqual(res.allParsedContent.LUISContent.map(item => item.LUISJsonStructure.intents[0].name), ['Cancel', 'Greeting', 'Help']);
+                assert.deepEqual(res.allParsedContent.QnAContent[2].qnaJsonStructure.urls, ['https://example.com/faq']);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('reads content types declared in the mirror folder', function(done) {
+        parseFile('[manual](https://example.com/manual.pdf)', false, 'en-us', undefined, false, resolvers.createMirrorResolver(mirrorFolder))
+            .then(res => {
+                assert.equal(res.qnaJsonStructure.files.length, 1);
+                assert.equal(res.qnaJsonStructure.files[0].fileUri, 'https://example.com/manual.pdf');
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('throws when a URL does not have a content type declared in the mirror folder', function(done) {
+        parseFile('[unknown](https://example.com/unknown)', false, 'en-us', undefined, false, resolvers.createMirrorResolver(mirrorFolder))
+            .then(() => done('Test fail! Did not throw when expected'))
+            .catch(err => {
+                assert.equal(err.errCode, retCode.errorCode.INVALID_URI);
+                assert.include(err.text, 'does not have a content type declared in');
+                done();
+            });
+    });
+
+    it('uses a custom resolver passed through parseContents', function(done) {
+        let requested = [];
+        let resolver = {
+            getContentType: async function(uri) {
+                requested.push(uri);
+                return 'application/pdf';
+            },
+            readLUFile: async function(uri) {
+                requested.push(uri);
+                if(uri === 'https://contoso.com/lu/common.lu') return `# Greeting
+- hi
+
+[manual](https://contoso.com/manual.pdf)`;
+                throw new Error('not found');
+            }
+        };
+        parser.parseContents({files: {'main.lu': `[shared](https://contoso.com/lu/common.lu)
+
+# Cancel
+- cancel`}, resolver: resolver})
+            .then(res => {
+                assert.deepEqual(requested, ['https://contoso.com/lu/common.lu', 'https://contoso.com/manual.pdf']);
+                assert.deepEqual(res.LUISJsonStructure.intents.map(item => item.name), ['Cancel', 'Greeting']);
+                assert.equal(res.qnaJsonStructure.files[0].fileUri, 'https://contoso.com/manual.pdf');
+                assert.deepEqual(res.diagnostics, []);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('reports errors from custom resolvers as diagnostics', function(done) {
+        let resolver = {
+            getContentType: async () => 'text/html',
+            readLUFile: async () => { throw new Error('not found'); }
+        };
+        parser.parseContents({files: {'main.lu': '[shared](https://contoso.com/lu/missing.lu)'}, resolver: resolver})
+            .then(res => {
+                assert.equal(res.diagnostics.length, 1);
+                assert.equal(res.diagnostics[0].errCode, retCode.errorCode.FILE_OPEN_ERROR);
+                assert.equal(res.diagnostics[0].file, 'https://contoso.com/lu/missing.lu');
+                assert.include(res.diagnostics[0].text, 'Sorry unable to open [https://contoso.com/lu/missing.lu]. not found');
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('parseContents does not access the network unless a resolver is passed in', function(done) {
+        parser.parseContents({files: {'main.lu': `[shared](https://contoso.com/lu/common.lu)
+[manual](https://contoso.com/manual.pdf)`}})
+            .then(res => {
+                assert.deepEqual(res.diagnostics.map(item => item.errCode), [retCode.errorCode.INVALID_URI, retCode.errorCode.INVALID_URI]);
+                res.diagnostics.forEach(item => assert.include(item.text, 'cannot be resolved without network access'));
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('parseFile does not access the network with the offline resolver', function(done) {
+        parseFile('[manual](https://contoso.com/manual.pdf)', false, 'en-us', undefined, false, resolvers.createOfflineResolver())
+            .then(() => done('Test fail! parseFile did not throw when expected'))
+            .catch(err => {
+                if(typeof err === 'string') return done(err);
+                try {
+                    assert.equal(err.errCode, retCode.errorCode.INVALID_URI);
+                    assert.include(err.text, 'cannot be resolved without network access');
+                    done();
+                } catch (assertErr) {
+                    done(assertErr);
+                }
+            });
+    });
+
+    it('resolves URL references from the folder passed in --ref_mirror', function(done) {
+        let outFolder = folders.create();
+        exec(`node ${ludown} parse toluis --in ${path.join(mirrorFolder, 'root.lu')} --out_folder ${outFolder} --out root.json --ref_mirror ${mirrorFolder} --no-cache`, (error) => {
+            try {
+                assert.isNull(error);
+                let luisJSON = JSON.parse(fs.readFileSync(path.join(outFolder, 'root.json'), 'utf-8'));
+                assert.deepEqual(luisJSON.utterances.map(item => item.text), ['cancel', 'stop', 'hi', 'hello', 'help me', 'what can you do']);
+                done();
+            } catch (err) {
+                done(err);
+            }
+        });
+    });
+});
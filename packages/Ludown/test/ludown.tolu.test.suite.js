@@ -5,6 +5,10 @@
 const chai = require('chai');
 const assert = chai.assert;
 const toLU = require('../lib/toLU');
+const toLUHelpers = require('../lib/toLU-helpers');
+const parseFileContents = require('../lib/parseFileContents');
+const LUIS = require('../lib/classes/LUIS');
+const txtfile = require('read-text-file');
 const path = require('path');
 const exception = require('../lib/classes/exception');
 const retCode = require('../lib/enums/CLI-errors');
@@ -27,8 +31,30 @@ describe('With toLU module', function() {
     });
 
     // composites
-    it('throws when input file has composite entities', function(done) {
-        let invalidFile = resolvePath('test/testcases/InvalidLUISModel.json')
+    it('correctly generates composite entity definitions', function(done) {
+        let LUISJSON = JSON.parse(txtfile.readSync(resolvePath('test/testcases/compositeEntities.json')));
+        toLUHelpers.constructMdFromLUISJSON(LUISJSON)
+            .then(res => {
+                assert.isTrue(res.includes('$requestedLocation:[cafeLocation, geography]'));
+                assert.isTrue(res.includes('- book a table for {partySize=2} in {requestedLocation=seattle}'));
+                done();
+            })
+            .catch(err => done(err))
+    });
+
+    it('correctly generates regex entity definitions', function(done) {
+        let LUISJSON = new LUIS();
+        LUISJSON.regex_entities.push({name: 'hrfNumber', regexPattern: 'hrf-[0-9]{6}', roles: []});
+        toLUHelpers.constructMdFromLUISJSON(LUISJSON)
+            .then(res => {
+                assert.isTrue(res.includes('$hrfNumber:/hrf-[0-9]{6}/'));
+                done();
+            })
+            .catch(err => done(err))
+    });
+
+    it('throws when input file has regex entities without a name or pattern', function(done) {
+        let invalidFile = resolvePath('test/testcases/InvalidLUISModel1.json')
         toLU.generateMarkdown({LUIS_File:invalidFile})
             .then(() => done('Test fail! Did not throw when expected'))
             .catch(err => {
@@ -37,14 +63,83 @@ describe('With toLU module', function() {
             })
     });
 
-    it('throws when input file has regex entities', function(done) {
-        let invalidFile = resolvePath('test/testcases/InvalidLUISModel1.json')
-        toLU.generateMarkdown({LUIS_File:invalidFile})
+    it('regex entities round trip through refresh and parse', function(done) {
+        // the exported app has regex entities without a name or pattern, give them one. geography is no longer a LUIS prebuilt entity
+        let LUISJSON = JSON.parse(txtfile.readSync(resolvePath('test/testcases/InvalidLUISModel1.json')));
+        LUISJSON.regex_entities = [
+            {name: 'orderNumber', regexPattern: 'ord-[0-9]{6}', roles: []},
+            {name: 'zipCode', regexPattern: '[0-9]{5}(-[0-9]{4})?', roles: []}
+        ];
+        LUISJSON.prebuiltEntities = LUISJSON.prebuiltEntities.filter(entity => entity.name !== 'geography');
+        LUISJSON.utterances.forEach(utterance => utterance.entities = utterance.entities.filter(entity => entity.entity !== 'geography'));
+        toLUHelpers.constructMdFromLUISJSON(LUISJSON)
+            .then(res => parseFileContents.parseFile(res, false, 'en-us'))
+            .then(res => {
+                let parsedLUIS = res.LUISJsonStructure;
+                assert.deepEqual(parsedLUIS.regex_entities.map(entity => ({name: entity.name, regexPattern: entity.regexPattern})),
+                    LUISJSON.regex_entities.map(entity => ({name: entity.name, regexPattern: entity.regexPattern})));
+                assert.equal(parsedLUIS.utterances.length, LUISJSON.utterances.length);
+                assert.deepEqual(parsedLUIS.intents.map(intent => intent.name).sort(), LUISJSON.intents.map(intent => intent.name).sort());
+                done();
+            })
+            .catch(err => done(err))
+    });
+
+    it('correctly generates nested labels from overlapping entities', function(done) {
+        let LUISJSON = new LUIS();
+        LUISJSON.intents.push({name: 'setAddress'});
+        LUISJSON.utterances.push({
+            text: 'ship to 1 Main St, Seattle please',
+            intent: 'setAddress',
+            entities: [
+                {entity: 'City', startPos: 19, endPos: 25},
+                {entity: 'StreetName', startPos: 10, endPos: 13},
+                {entity: 'Address', startPos: 8, endPos: 25},
+                {entity: 'Street', startPos: 8, endPos: 16}
+            ]
+        });
+        toLUHelpers.constructMdFromLUISJSON(LUISJSON)
+            .then(res => {
+                assert.isTrue(res.includes('- ship to {Address={Street=1 {StreetName=Main} St}, {City=Seattle}} please'));
+                done();
+            })
+            .catch(err => done(err))
+    });
+
+    it('throws when entity labels partially overlap', function(done) {
+        let LUISJSON = new LUIS();
+        LUISJSON.intents.push({name: 'setAddress'});
+        LUISJSON.utterances.push({
+            text: 'ship to 1 Main St',
+            intent: 'setAddress',
+            entities: [
+                {entity: 'Number', startPos: 8, endPos: 13},
+                {entity: 'Street', startPos: 10, endPos: 16}
+            ]
+        });
+        toLUHelpers.constructMdFromLUISJSON(LUISJSON)
             .then(() => done('Test fail! Did not throw when expected'))
             .catch(err => {
-                assert.equal(new exception(err).errCode, retCode.errorCode.INVALID_INPUT_FILE);
+                assert.equal(err.errCode, retCode.errorCode.INVALID_INPUT_FILE);
+                assert.include(err.text, '"Number" and "Street" partially overlap');
+                done();
+            })
+            .catch(err => done(err))
+    });
+
+    it('nested labels round trip through refresh', function(done) {
+        let luContent = `# setAddress
+- ship to {Address={Street=1 {StreetName=Main} St}, {City=Seattle}} please
+- {Name={FirstName=john}} lives at {Address=2nd {Street=Ave}}
+`;
+        parseFileContents.parseFile(luContent, false, 'en-us')
+            .then(res => toLUHelpers.constructMdFromLUISJSON(res.LUISJsonStructure))
+            .then(res => {
+                assert.isTrue(res.includes('- ship to {Address={Street=1 {StreetName=Main} St}, {City=Seattle}} please'));
+                assert.isTrue(res.includes('- {Name={FirstName=john}} lives at {Address=2nd {Street=Ave}}'));
                 done();
             })
+            .catch(err => done(err))
     });
 
     it('throws when input file has regex features', function(done) {
@@ -0,0 +1,144 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const chai = require('chai');
+const assert = chai.assert;
+const fs = require('fs');
+const path = require('path');
+const translate = require('../lib/translate');
+const translators = require('../lib/translators');
+const retCode = require('../lib/enums/CLI-errors');
+const testFolders = require('./utils/testFolders');
+const translator = translators.createDictionaryTranslator({
+    fr: {'hi': 'salut', '> greetings': '> salutations'},
+    de: {'hi': 'hallo', '> greetings': '> Grüße'}
+});
+/**
+ * Helper function to read an output file with normalized new lines
+ * @param {string} file file path
+ * @returns {string} file content
+ */
+const readOutput = function(file) {
+    return fs.readFileSync(file, 'utf-8').replace(/\r\n/g, '\n');
+};
+
+describe('Translate output layout', function() {
+    const folders = testFolders.use('translatelayout');
+    /**
+     * Helper function to copy the en-us source tree, which references a file outside of it, and add an empty out folder
+     * @returns {string} folder with en-us, shared and out folders
+     */
+    const createSourceTree = function() {
+        let folder = folders.copy('translatelayout');
+        fs.mkdirSync(path.join(folder, 'out'));
+        return folder;
+    };
+    it('mirrors the source tree under locale folders for each target language', function(done) {
+        let folder = createSourceTree();
+        let program = {
+            lu_folder: path.join(folder, 'en-us'),
+            subfolder: true,
+            to_lang: 'fr, de=de-at',
+            layout: 'locale',
+            out_folder: path.join(folder, 'out'),
+            translate_comments: true,
+            translator: translator
+        };
+        translate.translateContent(program)
+            .then(() => {
+                assert.deepEqual(fs.readdirSync(path.join(folder, 'out')).sort(), ['de-at', 'fr-fr']);
+                assert.equal(readOutput(path.join(folder, 'out', 'fr-fr', 'root.lu')), `> !# @app.culture = fr-fr
+[Greetings](./dialogs/greetings.lu)
+[Dialogs](./dialogs/*)
+[Shared](../../shared/common.lu)
+
+`);
+                assert.equal(readOutput(path.join(folder, 'out', 'de-at', 'dialogs', 'greetings.lu')), `> !# @app.culture = de-at
+> Grüße
+# Greeting
+- hallo
+- [more greetings](../root.lu#Greeting)
+- [help questions](../../../shared/common.lu#?)
+
+`);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('rewrites references to flattened files in the flat layout', function(done) {
+        let folder = createSourceTree();
+        let program = {
+            lu_folder: path.join(folder, 'en-us'),
+            subfolder: true,
+            to_lang: 'fr',
+            out_folder: path.join(folder, 'out'),
+            translator: translator
+        };
+        translate.translateContent(program)
+            .then(() => {
+                assert.equal(readOutput(path.join(folder, 'out', 'fr', 'root.lu')), `> !# @app.culture = fr-fr
+[Greetings](./greetings.lu)
+[Dialogs](./greetings.lu)
+[Shared](../../shared/common.lu)
+
+`);
+                assert.equal(readOutput(path.join(folder, 'out', 'fr', 'greetings.lu')), `> greetings
+# Greeting
+- salut
+- [more greetings](./root.lu#Greeting)
+- [help questions](../../shared/common.lu#?)
+
+`);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('leaves folder references that pick up untranslated files as they are', function(done) {
+        let folder = createSourceTree();
+        let program = {
+            lu_folder: path.join(folder, 'en-us'),
+            to_lang: 'fr',
+            out_folder: path.join(folder, 'out'),
+            translator: translator
+        };
+        fs.writeFileSync(path.join(folder, 'en-us', 'dialogs', 'help.lu'), '# Help\n- hi\n', 'utf-8');
+        fs.writeFileSync(path.join(folder, 'en-us', 'all.lu'), '[All](./**)\n', 'utf-8');
+        let stderrWrite = process.stderr.write;
+        let warnings = '';
+        process.stderr.write = function(text) {
+            warnings += text;
+            return true;
+        };
+        translate.translateContent(program)
+            .then(() => {
+                process.stderr.write = stderrWrite;
+                assert.equal(readOutput(path.join(folder, 'out', 'fr', 'all.lu')), '[All](./**)\n\n');
+                assert.include(warnings, '[WARN]: Reference to "./**" was not rewritten');
+                done();
+            })
+            .catch(err => {
+                process.stderr.write = stderrWrite;
+                done(err);
+            });
+    });
+
+    it('validates target languages and layout', function(done) {
+        let folder = createSourceTree();
+        let program = {lu_folder: path.join(folder, 'en-us'), out_folder: path.join(folder, 'out'), translator: translator};
+        translate.translateContent(Object.assign({to_lang: ' , '}, program))
+            .then(() => done('Did not throw when expected'))
+            .catch(err => {
+                assert.equal(err.errCode, retCode.errorCode.INVALID_INPUT);
+                return translate.translateContent(Object.assign({to_lang: 'fr', layout: 'tree'}, program));
+            })
+            .then(() => done('Did not throw when expected'))
+            .catch(err => {
+                assert.equal(err.errCode, retCode.errorCode.INVALID_INPUT);
+                done();
+            })
+            .catch(err => done(err));
+    });
+});
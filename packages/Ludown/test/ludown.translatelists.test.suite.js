@@ -0,0 +1,78 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const chai = require('chai');
+const assert = chai.assert;
+const translateHelpers = require('../lib/translate-helpers');
+const translators = require('../lib/translators');
+const helpers = require('../lib/helpers');
+const luContent = `$commPreference:call=
+- call
+- phone call
+- sms
+
+$Want:PhraseList
+- need, want
+
+$productName:surface=
+- surface
+- surface pro
+`;
+const translator = translators.createDictionaryTranslator({
+    de: {
+        'call': 'Anruf',
+        'phone call': 'Telefonat',
+        'sms': 'SMS',
+        'need, want': 'brauchen, wollen',
+        'surface': 'Oberfläche',
+        'surface pro': 'Oberfläche Pro'
+    }
+});
+
+describe('Translate list entities and phrase lists', function() {
+    it('translates synonyms but not canonical forms by default', function(done) {
+        translateHelpers.parseAndTranslate(luContent, translator, 'de', '', false, false, false)
+            .then(res => {
+                assert.equal(helpers.sanitizeNewLines(res), helpers.sanitizeNewLines(`$commPreference:call=
+- Anruf
+- Telefonat
+- SMS
+
+$Want:PhraseList
+- brauchen, wollen
+
+$productName:surface=
+- Oberfläche
+- Oberfläche Pro
+
+`));
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('keeps canonical forms, skips entities and writes bilingual lists', function(done) {
+        let options = {keepCanonicalForms: true, bilingualLists: true, skipEntities: ['ProductName']};
+        translateHelpers.parseAndTranslate(luContent, translator, 'de', '', false, false, false, options)
+            .then(res => {
+                assert.equal(helpers.sanitizeNewLines(res), helpers.sanitizeNewLines(`$commPreference:call=
+- call
+- phone call
+- Telefonat
+- sms
+
+$Want:PhraseList
+- need, want
+- brauchen, wollen
+
+$productName:surface=
+- surface
+- surface pro
+
+`));
+                done();
+            })
+            .catch(err => done(err));
+    });
+});
@@ -0,0 +1,217 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const chai = require('chai');
+const assert = chai.assert;
+const fs = require('fs');
+const path = require('path');
+const { exec } = require('child_process');
+const translateHelpers = require('../lib/translate-helpers');
+const translators = require('../lib/translators');
+const translationMemory = require('../lib/translation-memory');
+const glossary = require('../lib/glossary');
+const retCode = require('../lib/enums/CLI-errors');
+const testFolders = require('./utils/testFolders');
+const ludown = require.resolve('../bin/ludown');
+const luContent = fs.readFileSync(testFolders.fixture('translationmemory/flights.lu'), 'utf-8');
+const dictionaryFile = testFolders.fixture('translators/dictionary.json');
+const dictionary = JSON.parse(fs.readFileSync(dictionaryFile, 'utf-8'));
+/**
+ * Helper function to create a dictionary translator that counts calls to the translation service
+ * @param {Object} translations translations by target language
+ * @returns {Object} translator with a calls counter
+ */
+const countingTranslator = function(translations) {
+    let translator = translators.createDictionaryTranslator(translations);
+    let counter = {
+        calls: 0,
+        translate: async function(text, toLang, fromLang) {
+            counter.calls++;
+            return translator.translate(text, toLang, fromLang);
+        }
+    };
+    return counter;
+};
+
+describe('Translation memory and glossary', function() {
+    const folders = testFolders.use('translationmemory');
+    it('only sends text that is not in the translation memory to the translator', function(done) {
+        let translator = countingTranslator(dictionary);
+        let memory = translationMemory.createTranslationMemory();
+        translateHelpers.parseAndTranslate(luContent, translator, 'de', 'en', false, false, false, {memory: memory})
+            .then(() => {
+                assert.equal(translator.calls, 2);
+                assert.isTrue(memory.modified);
+                assert.deepEqual(memory.lookup('hi', 'DE', 'en'), {text: 'hallo', alignment: undefined});
+                return translateHelpers.parseAndTranslate(luContent, translator, 'de', 'en', false, false, false, {memory: memory});
+            })
+            .then(res => {
+                assert.equal(translator.calls, 2);
+                assert.include(res, '- buche einen Flug nach {city=Seattle}');
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('reads and writes translation memories as JSON and TMX', function() {
+        let folder = folders.create();
+        let memory = translationMemory.createTranslationMemory();
+        memory.add('what is <b> & "c"?', 'fr', {text: 'qu\'est-ce que <b> & "c" ?'});
+        memory.add('book a flight to seattle', 'de', dictionary.de['book a flight to seattle'], 'en');
+        ['memory.json', 'memory.tmx'].forEach(fileName => {
+            let file = path.join(folder, fileName);
+            translationMemory.writeTranslationMemory(file, memory);
+            let readMemory = translationMemory.readTranslationMemory(file);
+            assert.isFalse(readMemory.modified);
+            assert.deepEqual(readMemory.getEntries(), [
+                {source: 'book a flight to seattle', from: 'en', to: 'de', text: 'buche einen Flug nach Seattle', alignment: '0:3-0:4 5:5-6:10 7:12-12:15 14:15-17:20 17:23-22:28'},
+                {source: 'what is <b> & "c"?', from: 'und', to: 'fr', text: 'qu\'est-ce que <b> & "c" ?'}
+            ]);
+        });
+        assert.include(fs.readFileSync(path.join(folder, 'memory.tmx'), 'utf-8'), '<seg>what is &lt;b&gt; &amp; &quot;c&quot;?</seg>');
+        assert.deepEqual(translationMemory.readTranslationMemory(path.join(folder, 'missing.json')).getEntries(), []);
+        try {
+            translationMemory.readTranslationMemory(testFolders.fixture('translationmemory/bad.json'));
+            assert.fail('Did not throw when expected');
+        } catch (err) {
+            assert.equal(err.errCode, retCode.errorCode.INVALID_INPUT_FILE);
+        }
+    });
+
+    it('keeps glossary terms and applies forced translations', function(done) {
+        let translator = countingTranslator({
+            de: {
+                'fly contoso to seattle': {text: 'fliege Kontosso nach Seattle', alignment: '0:2-0:5 4:10-7:14 12:13-16:19 15:21-21:27'},
+                'savings': 'Ersparnisse'
+            }
+        });
+        let terms = glossary.createGlossary({doNotTranslate: ['Contoso'], translations: {de: {'checking account': 'Girokonto'}}});
+        translateHelpers.parseAndTranslate(`# Fly
+- fly contoso to {city=seattle}
+- contoso
+
+$account:checking=
+- checking account
+- savings
+`, translator, 'de', '', false, false, false, {glossary: terms})
+            .then(res => {
+                assert.include(res, '- fliege Contoso nach {city=Seattle}');
+                assert.include(res, '- Contoso\n');
+                assert.include(res, '- Girokonto\n');
+                assert.include(res, '- Ersparnisse\n');
+                assert.equal(translator.calls, 2);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('warns once per text about glossary terms that could not be applied without an alignment', function(done) {
+        let translator = translators.createDictionaryTranslator({de: {'fly contoso to seattle': 'fliege Kontosso nach Seattle'}});
+        let diagnostics = [];
+        translateHelpers.parseAndTranslate(`# Fly
+- fly contoso to seattle
+
+# Travel
+- fly contoso to seattle
+`, translator, 'de', '', false, false, false, {glossary: glossary.createGlossary({doNotTranslate: ['Contoso']}), diagnostics: diagnostics})
+            .then(res => {
+                assert.include(res, '- fliege Kontosso nach Seattle');
+                assert.equal(diagnostics.length, 1);
+                assert.equal(diagnostics[0].severity, 'warning');
+                assert.include(diagnostics[0].text, 'Glossary term(s) "Contoso" were not applied to the translation of "fly contoso to seattle"');
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('remembers translations by source and target language', function() {
+        let memory = translationMemory.createTranslationMemory([{source: 'hi', from: 'en', to: 'de', text: 'hallo'}]);
+        memory.add('hi', 'de', {text: 'Hallo!'});
+        memory.add('hi', 'de', {text: 'hi'}, 'nl');
+        assert.deepEqual(memory.lookup('hi', 'de', 'EN'), {text: 'hallo', alignment: undefined});
+        assert.deepEqual(memory.lookup('hi', 'de'), {text: 'Hallo!', alignment: undefined});
+        assert.deepEqual(memory.lookup('hi', 'de', 'nl'), {text: 'hi', alignment: undefined});
+        assert.isUndefined(memory.lookup('hi', 'de', 'fr'));
+        assert.deepEqual(memory.getEntries().map(entry => entry.from), ['en', 'nl', 'und']);
+    });
+
+    it('remembers translations before glossary terms are applied', function(done) {
+        let translator = countingTranslator({
+            de: {'fly contoso to seattle': {text: 'fliege Kontosso nach Seattle', alignment: '0:2-0:5 4:10-7:14 12:13-16:19 15:21-21:27'}}
+        });
+        let memory = translationMemory.createTranslationMemory();
+        let content = '# Fly\n- fly contoso to seattle\n';
+        translateHelpers.parseAndTranslate(content, translator, 'de', 'en', false, false, false, {memory: memory, glossary: glossary.createGlossary({doNotTranslate: ['Contoso']})})
+            .then(res => {
+                assert.include(res, '- fliege Contoso nach Seattle');
+                assert.equal(memory.lookup('fly contoso to seattle', 'de', 'en').text, 'fliege Kontosso nach Seattle');
+                let terms = glossary.createGlossary({translations: {de: {'contoso': 'Contoso AG'}}});
+                return translateHelpers.parseAndTranslate(content, translator, 'de', 'en', false, false, false, {memory: memory, glossary: terms});
+            })
+            .then(res => {
+                assert.include(res, '- fliege Contoso AG nach Seattle');
+                assert.equal(translator.calls, 1);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('saves the translation memory from the command line when one is requested', function(done) {
+        let folder = folders.create();
+        let luFile = testFolders.fixture('translationmemory/flights.lu');
+        let emptyDictionaryFile = testFolders.fixture('translationmemory/empty.json');
+        let memoryFile = path.join(folder, 'translation-memory.json');
+        let translate = `node ${ludown} translate --in ${luFile} -t de -o ${folder} --provider dictionary --provider_config `;
+        exec(translate + dictionaryFile, (error) => {
+            try {
+                assert.isNull(error);
+                assert.isFalse(fs.existsSync(memoryFile));
+            } catch (err) {
+                return done(err);
+            }
+            exec(translate + dictionaryFile + ' --translation_memory', (error) => {
+                try {
+                    assert.isNull(error);
+                    assert.equal(translationMemory.readTranslationMemory(memoryFile).getEntries().length, 2);
+                } catch (err) {
+                    return done(err);
+                }
+                exec(translate + emptyDictionaryFile + ' --translation_memory ' + memoryFile, (error) => {
+                    try {
+                        assert.isNull(error);
+                        assert.include(fs.readFileSync(path.join(folder, 'de', 'flights.lu'), 'utf-8'), '- buche einen Flug nach {city=Seattle}');
+                    } catch (err) {
+                        return done(err);
+                    }
+                    exec(translate + emptyDictionaryFile, (error) => {
+                        try {
+                            assert.equal(error.code, retCode.errorCode.TRANSLATE_SERVICE_FAIL);
+                            done();
+                        } catch (err) {
+                            done(err);
+                        }
+                    });
+                });
+            });
+        });
+    });
+
+    it('writes out glossary terms that could not be applied as warnings from the command line', function(done) {
+        let folder = folders.create();
+        let luFile = testFolders.fixture('translationmemory/flights.lu');
+        let noAlignmentFile = path.join(folder, 'dictionary.json');
+        let glossaryFile = path.join(folder, 'glossary.json');
+        fs.writeFileSync(noAlignmentFile, JSON.stringify({de: {'hi': 'hallo', 'book a flight to seattle': 'buche einen Flug nach Seattle'}}), 'utf-8');
+        fs.writeFileSync(glossaryFile, JSON.stringify({doNotTranslate: ['Seattle']}), 'utf-8');
+        exec(`node ${ludown} translate --in ${luFile} -t de -o ${folder} --provider dictionary --provider_config ${noAlignmentFile} --glossary ${glossaryFile}`, (error, stdout, stderr) => {
+            try {
+                assert.isNull(error);
+                assert.include(stderr, luFile + ' - [WARN]: Glossary term(s) "Seattle" were not applied to the translation of "book a flight to seattle"');
+                done();
+            } catch (err) {
+                done(err);
+            }
+        });
+    });
+});
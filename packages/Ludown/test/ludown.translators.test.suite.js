@@ -0,0 +1,189 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const chai = require('chai');
+const assert = chai.assert;
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { exec } = require('child_process');
+const translateHelpers = require('../lib/translate-helpers');
+const translators = require('../lib/translators');
+const helpers = require('../lib/helpers');
+const retCode = require('../lib/enums/CLI-errors');
+const testFolders = require('./utils/testFolders');
+const ludown = require.resolve('../bin/ludown');
+const luContent = fs.readFileSync(testFolders.fixture('translators/flights.lu'), 'utf-8');
+const dictionaryFile = testFolders.fixture('translators/dictionary.json');
+const dictionary = JSON.parse(fs.readFileSync(dictionaryFile, 'utf-8'));
+
+describe('Translation providers', function() {
+    const folders = testFolders.use('translators');
+    it('keeps entity labels for translators that return alignments', function(done) {
+        translateHelpers.parseAndTranslate(luContent, translators.createDictionaryTranslator(dictionary), 'de', '', false, false, false)
+            .then(res => {
+                assert.equal(helpers.sanitizeNewLines(res), helpers.sanitizeNewLines(`> Flights
+# BookFlight
+- hallo
+- buche einen Flug nach {city=Seattle}
+
+`));
+                return translateHelpers.parseAndTranslate('# BookFlight\n- book a flight to {city=seattle}', translators.createDictionaryTranslator({de: {'book a flight to seattle': 'buche einen Flug nach Seattle'}}), 'de', '', false, false, false);
+            })
+            .then(res => {
+                assert.include(res, '- buche einen Flug nach Seattle');
+                return translateHelpers.parseAndTranslate('# Help\n- help', translators.createDictionaryTranslator(dictionary), 'de', '', false, false, false);
+            })
+            .then(() => done('Did not throw when expected'))
+            .catch(err => {
+                assert.equal(err.errCode, retCode.errorCode.TRANSLATE_SERVICE_FAIL);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('calls HTTP translation services with the configured request and response mapping', function(done) {
+        let requests = [];
+        let server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                requests.push({url: req.url, authorization: req.headers.authorization, body: JSON.parse(body)});
+                let text = JSON.parse(body).q[0];
+                if(text === 'fail') {
+                    res.writeHead(500);
+                    return res.end();
+                }
+                let translation = dictionary.de[text];
+                res.writeHead(200, {'Content-Type': 'application/json'});
+                res.end(JSON.stringify({results: [typeof translation === 'string' ? {translated: translation} : {translated: translation.text, align: translation.alignment}]}));
+            });
+        });
+        const finish = err => server.close(() => done(err));
+        server.listen(0, '127.0.0.1', () => {
+            let translator = translators.createHttpTranslator({
+                url: 'http://127.0.0.1:' + server.address().port + '/translate?to={to}',
+                headers: {Authorization: 'Bearer {key}'},
+                body: {q: ['{text}'], source: '{from}'},
+                response: {text: 'results.0.translated', alignment: 'results.0.align'}
+            }, 'secret', {maxRetries: 0});
+            translateHelpers.parseAndTranslate(luContent, translator, 'de', 'en', false, false, false)
+                .then(res => {
+                    assert.include(res, '- buche einen Flug nach {city=Seattle}');
+                    assert.deepEqual(requests[0], {url: '/translate?to=de', authorization: 'Bearer secret', body: {q: ['hi'], source: 'en'}});
+                    return translator.translate('fail', 'de');
+                })
+                .then(() => finish('Did not throw when expected'))
+                .catch(err => {
+                    try {
+                        assert.equal(err.errCode, retCode.errorCode.TRANSLATE_SERVICE_FAIL);
+                        finish();
+                    } catch (assertErr) {
+                        finish(assertErr);
+                    }
+                });
+        });
+    });
+
+    it('translates in batches with a bounded number of requests in flight', function(done) {
+        let batches = [];
+        let inFlight = 0;
+        let maxInFlight = 0;
+        let dictionaryTranslator = translators.createDictionaryTranslator({de: {'one': 'eins', 'two': 'zwei', 'three': 'drei', 'four': 'vier', 'five': 'fünf', 'book a flight to seattle': dictionary.de['book a flight to seattle']}});
+        let translator = {
+            maxBatchSize: 2,
+            translate: () => Promise.reject(new Error('Did not translate in batches')),
+            translateBatch: async function(texts, toLang, fromLang) {
+                batches.push(texts);
+                maxInFlight = Math.max(maxInFlight, ++inFlight);
+                await new Promise(resolve => setTimeout(resolve, 10));
+                inFlight--;
+                return Promise.all(texts.map(text => dictionaryTranslator.translate(text, toLang, fromLang)));
+            }
+        };
+        translateHelpers.parseAndTranslate('# Count\n- one\n- two\n- three\n- two\n- four\n- five\n- book a flight to {city=seattle}', translator, 'de', '', false, false, false, {concurrency: 2})
+            .then(res => {
+                assert.equal(helpers.sanitizeNewLines(res), helpers.sanitizeNewLines('# Count\n- eins\n- zwei\n- drei\n- zwei\n- vier\n- fünf\n- buche einen Flug nach {city=Seattle}\n'));
+                assert.deepEqual(batches, [['one', 'two'], ['three', 'four'], ['five', 'book a flight to seattle']]);
+                assert.equal(maxInFlight, 2);
+                done();
+            })
+            .catch(err => done(err));
+    });
+
+    it('reports responses that are not JSON as translation service failures', function(done) {
+        let server = http.createServer((req, res) => {
+            res.writeHead(200, {'Content-Type': 'text/html'});
+            res.end('<html><body>Service unavailable</body></html>');
+        });
+        const finish = err => server.close(() => done(err));
+        server.listen(0, '127.0.0.1', () => {
+            translators.createHttpTranslator({url: 'http://127.0.0.1:' + server.address().port + '/translate'}, '', {maxRetries: 0}).translate('hi', 'de')
+                .then(() => finish('Did not throw when expected'))
+                .catch(err => {
+                    try {
+                        assert.equal(err.errCode, retCode.errorCode.TRANSLATE_SERVICE_FAIL);
+                        assert.include(err.text, 'is not valid JSON');
+                        finish();
+                    } catch (assertErr) {
+                        finish(assertErr);
+                    }
+                });
+        });
+    });
+
+    it('retries throttled and failed translation requests', function(done) {
+        let responses = [429, 503, 200, 500];
+        let server = http.createServer((req, res) => {
+            let status = responses.shift();
+            res.writeHead(status, status === 429 ? {'Retry-After': '0'} : {'Content-Type': 'application/json'});
+            res.end(status === 200 ? JSON.stringify({text: 'hallo'}) : '');
+        });
+        const finish = err => server.close(() => done(err));
+        server.listen(0, '127.0.0.1', () => {
+            let config = {url: 'http://127.0.0.1:' + server.address().port + '/translate'};
+            translators.createHttpTranslator(config, '', {maxRetries: 2, retryDelay: 1}).translate('hi', 'de')
+                .then(res => {
+                    assert.equal(res.text, 'hallo');
+                    return translators.createHttpTranslator(config, '', {maxRetries: 0}).translate('hi', 'de');
+                })
+                .then(() => finish('Did not throw when expected'))
+                .catch(err => {
+                    try {
+                        assert.equal(err.errCode, retCode.errorCode.TRANSLATE_SERVICE_FAIL);
+                        assert.deepEqual(responses, []);
+                        finish();
+                    } catch (assertErr) {
+                        finish(assertErr);
+                    }
+                });
+        });
+    });
+
+    it('validates the requested provider', function() {
+        assert.isFunction(translators.getTranslator({translate_key: 'key'}).translate);
+        [{provider: 'babelfish'}, {translate_key: 'key', max_retries: '-1'}, {provider: 'dictionary'}, {provider: 'http', provider_config: testFolders.fixture('translators/missing.json')}].forEach(program => {
+            try {
+                translators.getTranslator(program);
+                assert.fail('Did not throw when expected');
+            } catch (err) {
+                assert.include([retCode.errorCode.INVALID_INPUT, retCode.errorCode.FILE_OPEN_ERROR], err.errCode);
+            }
+        });
+    });
+
+    it('translates .lu files with the dictionary provider from the command line', function(done) {
+        let folder = folders.create();
+        let luFile = testFolders.fixture('translators/flights.lu');
+        exec(`node ${ludown} translate --in ${luFile} -t de -o ${folder} --provider dictionary --provider_config ${dictionaryFile}`, (error) => {
+            try {
+                assert.isNull(error);
+                assert.include(fs.readFileSync(path.join(folder, 'de', 'flights.lu'), 'utf-8'), '- buche einen Flug nach {city=Seattle}');
+                done();
+            } catch (err) {
+                done(err);
+            }
+        });
+    });
+});
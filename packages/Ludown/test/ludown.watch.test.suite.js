@@ -0,0 +1,166 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const chai = require('chai');
+const assert = chai.assert;
+const fs = require('fs');
+const path = require('path');
+const parser = require('../lib/parser');
+const cmdEnum = require('../lib/enums/parsecommands');
+const testFolders = require('./utils/testFolders');
+
+/**
+ * Helper function to wait until a condition is met
+ * @param {Function} condition function that returns true once the condition is met
+ * @param {int} timeout time to wait in milliseconds
+ * @returns {Promise} resolves once the condition is met. Rejects on timeout
+ */
+const waitFor = function(condition, timeout) {
+    let start = Date.now();
+    return new Promise((resolve, reject) => {
+        let check = function() {
+            if(condition()) return resolve();
+            if(Date.now() - start > timeout) return reject(new Error('Timed out waiting for condition'));
+            setTimeout(check, 50);
+        };
+        check();
+    });
+};
+
+/**
+ * Helper function to read utterances from the generated LUIS JSON file
+ * @param {string} luisFile generated LUIS JSON file
+ * @returns {string []} utterances. Empty if the file has not been written yet
+ */
+const readUtterances = function(luisFile) {
+    if(!fs.existsSync(luisFile)) return [];
+    try {
+        return JSON.parse(fs.readFileSync(luisFile, 'utf-8')).utterances.map(item => item.text);
+    } catch (err) {
+        return [];
+    }
+};
+
+describe('The parse command in watch mode', function() {
+    const folders = testFolders.use('watch');
+    let watcher, stdoutWrite, output;
+    beforeEach(function() {
+        output = '';
+        stdoutWrite = process.stdout.write;
+        process.stdout.write = function(text) {
+            output += text;
+            return true;
+        };
+    });
+    afterEach(function() {
+        process.stdout.write = stdoutWrite;
+        if(watcher) watcher.close();
+        watcher = undefined;
+    });
+    /**
+     * Helper function to restore stdout before the test result is reported
+     * @param {Function} done mocha done callback
+     * @returns {Function} callback that completes the test
+     */
+    const finish = function(done) {
+        return err => {
+            process.stdout.write = stdoutWrite;
+            done(err);
+        };
+    };
+
+    it('re-generates the LUIS model when the root file or newly referenced files change', function(done) {
+        let folder = folders.copy('watch');
+        let rootFile = path.join(folder, 'root.lu');
+        let childFile = path.join(folder, 'child.lu');
+        let luisFile = path.join(folder, 'root.json');
+        parser.watchFiles({in: rootFile, out_folder: folder, out: 'root.json', cache: false}, cmdEnum.luis)
+            .then(res => {
+                watcher = res;
+                assert.deepEqual(readUtterances(luisFile), ['hi']);
+                assert.deepEqual(watcher.files, [rootFile]);
+                fs.writeFileSync(rootFile, `# Greeting
+- hi
+- [hello](./child.lu#Hello)`, 'utf-8');
+                return waitFor(() => readUtterances(luisFile).length === 2, 5000);
+            })
+            .then(() => {
+                assert.deepEqual(watcher.files, [rootFile, childFile]);
+                fs.writeFileSync(childFile, `# Hello
+- howdy`, 'utf-8');
+                return waitFor(() => readUtterances(luisFile).includes('howdy'), 5000);
+            })
+            .then(() => finish(done)())
+            .catch(err => finish(done)(err));
+    });
+
+    it('reports errors without stopping and keeps the last output files', function(done) {
+        let folder = folders.copy('watch');
+        let rootFile = path.join(folder, 'root.lu');
+        let luisFile = path.join(folder, 'root.json');
+        parser.watchFiles({in: rootFile, out_folder: folder, out: 'root.json', cache: false}, cmdEnum.luis)
+            .then(res => {
+                watcher = res;
+                fs.writeFileSync(rootFile, `# Greeting
+- hi
+   hello there`, 'utf-8');
+                return waitFor(() => output.includes('Output files were not updated.'), 5000);
+            })
+            .then(() => {
+                assert.include(output, rootFile + ':3:4 - ');
+                assert.deepEqual(readUtterances(luisFile), ['hi']);
+                fs.writeFileSync(rootFile, `# Greeting
+- hi
+- hello there`, 'utf-8');
+                return waitFor(() => readUtterances(luisFile).length === 2, 5000);
+            })
+            .then(() => finish(done)())
+            .catch(err => finish(done)(err));
+    });
+
+    it('keeps watching after a run fails unexpectedly', function(done) {
+        let folder = folders.copy('watch');
+        let rootFile = path.join(folder, 'root.lu');
+        let luisFile = path.join(folder, 'root.json');
+        let stderrWrite = process.stderr.write;
+        let errors = '';
+        let failNextSummary = false;
+        process.stderr.write = function(text) {
+            errors += text;
+            return true;
+        };
+        process.stdout.write = function(text) {
+            if(failNextSummary && text.includes('Watching')) {
+                failNextSummary = false;
+                throw new Error('stdout is gone');
+            }
+            output += text;
+            return true;
+        };
+        parser.watchFiles({in: rootFile, out_folder: folder, out: 'root.json', cache: false}, cmdEnum.luis)
+            .then(res => {
+                watcher = res;
+                failNextSummary = true;
+                fs.writeFileSync(rootFile, `# Greeting
+- hi
+- hello`, 'utf-8');
+                return waitFor(() => errors.includes('stdout is gone'), 5000);
+            })
+            .then(() => {
+                fs.writeFileSync(rootFile, `# Greeting
+- hi
+- hello
+- hello there`, 'utf-8');
+                return waitFor(() => readUtterances(luisFile).length === 3, 5000);
+            })
+            .then(() => {
+                process.stderr.write = stderrWrite;
+                finish(done)();
+            })
+            .catch(err => {
+                process.stderr.write = stderrWrite;
+                finish(done)(err);
+            });
+    });
+});
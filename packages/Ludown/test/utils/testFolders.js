@@ -0,0 +1,47 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+const fs = require('fs');
+const path = require('path');
+// scratch folders live under test/output along with the output of the other suites
+const OUTPUT_FOLDER = path.join(__dirname, '../output');
+const TESTCASES_FOLDER = path.join(__dirname, '../testcases');
+const testFolders = {
+    /**
+     * Helper function to get the path of a file or folder under test/testcases
+     * @param {string} relativePath path relative to test/testcases
+     * @returns {string} absolute path
+     */
+    fixture: function(relativePath) {
+        return path.join(TESTCASES_FOLDER, relativePath);
+    },
+    /**
+     * Helper function to set up scratch folders for the tests in a suite. Call it inside describe().
+     * Every folder created through the returned object is deleted once the suite is done.
+     * @param {string} name name of the suite. Used as the prefix of the folder names
+     * @returns {Object} Object with create() that returns an empty folder and copy(fixture) that returns a folder with a copy of a folder under test/testcases
+     */
+    use: function(name) {
+        let folders = [];
+        after(function() {
+            folders.forEach(folder => fs.rmSync(folder, { recursive: true, force: true }));
+        });
+        const create = function() {
+            fs.mkdirSync(OUTPUT_FOLDER, { recursive: true });
+            let folder = fs.mkdtempSync(path.join(OUTPUT_FOLDER, name + '-'));
+            folders.push(folder);
+            return folder;
+        };
+        return {
+            create: create,
+            copy: function(fixture) {
+                let folder = create();
+                fs.cpSync(testFolders.fixture(fixture), folder, { recursive: true });
+                return folder;
+            }
+        };
+    }
+};
+
+module.exports = testFolders;